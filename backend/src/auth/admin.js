@@ -0,0 +1,37 @@
+// Resolves the contract admin's Stellar address
+//
+// ADMIN_ADDRESS in the environment wins. Otherwise the backend asks the
+// deployed contract via a read-only `get_admin` simulation and caches the
+// answer, since the admin can only be set once at initialization.
+
+import { scValToNative } from '@stellar/stellar-sdk';
+import { simulateContractCall } from '../soroban.js';
+
+let cachedAdmin = process.env.ADMIN_ADDRESS || null;
+
+async function fetchAdminFromContract(contractId) {
+  const retval = await simulateContractCall(contractId, 'get_admin');
+
+  // Option<Address> decodes to the address string, or null/undefined when unset
+  return scValToNative(retval) || null;
+}
+
+/**
+ * Get the contract admin address
+ * @returns {Promise<string|null>} Stellar address, or null if it cannot be determined
+ */
+export async function getAdminAddress() {
+  if (cachedAdmin) return cachedAdmin;
+
+  const contractId = process.env.CONTRACT_ID;
+  if (!contractId) return null;
+
+  try {
+    cachedAdmin = await fetchAdminFromContract(contractId);
+    if (cachedAdmin) console.log(`[Auth] Contract admin is ${cachedAdmin}`);
+  } catch (error) {
+    console.error('[Auth] Could not fetch contract admin:', error.message);
+  }
+
+  return cachedAdmin;
+}
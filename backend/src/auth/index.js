@@ -0,0 +1,37 @@
+// Authentication and roles for protected routes
+//
+// Admins and issuers obtain a session token by answering a login challenge,
+// applicants receive one when they submit a KYC request. The token is sent as
+// `Authorization: Bearer <token>` on every protected request.
+
+import { verifySession } from './sessions.js';
+
+export { createChallenge, consumeChallenge, createSession, verifySession } from './sessions.js';
+export { verifyRingSignature } from './ringSignature.js';
+export { buildChallengeTransaction, verifyChallengeTransaction, isStellarAddress } from './stellar.js';
+export { getAdminAddress } from './admin.js';
+export { ROLES } from './roles.js';
+
+/**
+ * Express middleware that requires a valid session with one of the given roles.
+ * The verified session is exposed as req.session ({ role, sub, exp }).
+ * @param {...string} roles - Allowed roles
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+    const session = verifySession(token);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!roles.includes(session.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    req.session = session;
+    next();
+  };
+}
@@ -0,0 +1,56 @@
+// BLS12-381 ring signature verification, mirroring the contract's verify_ring
+//
+// A single-member ring is a plain Schnorr signature, which is how issuers
+// prove they hold the secret key behind their registered public key.
+
+import { bls12_381 } from '@noble/curves/bls12-381.js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { bytesToHex, hexToBytes, concatBytes, utf8ToBytes } from '@noble/hashes/utils.js';
+
+const { Point } = bls12_381.G1;
+const Fr = bls12_381.fields.Fr;
+
+// Same generator constant as G1_GENERATOR in contracts/ring-sig-kyc/src/lib.rs
+const G1_GENERATOR = Point.fromBytes(hexToBytes(
+  '17f1d3a73197d7942695638c4fa9ac0fc3688c4f9774b905a14e3a3f171bac58' +
+  '6c55e83ff97a1aeffb3af00adb22c6bb114d1d6855d545a8aa7d76c8cf2e21f2' +
+  '67816aef1db507c96655b9d5caac42364e6f38ba0ecb751bad54dcd6b939c2ca'
+));
+
+// Fr::from_bytes reads 32 big-endian bytes and reduces them mod r
+function toScalar(bytes) {
+  return Fr.create(BigInt('0x' + bytesToHex(bytes)));
+}
+
+/**
+ * Verify a ring signature exactly as the contract does
+ * @param {string[]} ring - Public keys (96-byte hex)
+ * @param {string|Uint8Array} message - Signed message (strings are UTF-8 encoded)
+ * @param {{challenge: string, responses: string[]}} signature - 32-byte hex values
+ * @returns {boolean}
+ */
+export function verifyRingSignature(ring, message, signature) {
+  try {
+    if (!ring.length || ring.length !== signature.responses.length) return false;
+
+    const points = ring.map(pk => Point.fromBytes(hexToBytes(pk)));
+    const msg = typeof message === 'string' ? utf8ToBytes(message) : message;
+    const base = concatBytes(...ring.map(hexToBytes), msg);
+    const challenge = hexToBytes(signature.challenge);
+    if (challenge.length !== 32) return false;
+
+    let c = challenge;
+    for (let j = 0; j < points.length; j++) {
+      const r = hexToBytes(signature.responses[j]);
+      if (r.length !== 32) return false;
+      const x = G1_GENERATOR.multiplyUnsafe(toScalar(r)).add(points[j].multiplyUnsafe(toScalar(c)));
+      c = sha256(concatBytes(base, x.toBytes(false)));
+    }
+
+    // Fr equality works on reduced values, so compare the scalars rather than raw bytes
+    return toScalar(c) === toScalar(challenge);
+  } catch (error) {
+    // Malformed points or hex never verify
+    return false;
+  }
+}
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyRingSignature } from './ringSignature.js';
+
+// Signatures made by the frontend signer (frontend/src/utils/ringSignature.js).
+// frontend/src/utils/ringSignature.test.js checks that signMessage produces
+// these byte for byte, and contracts/ring-sig-kyc/src/test.rs that the
+// contract signs and accepts the same, so all three stay in step.
+const MESSAGE = 'ring-sig-kyc known answer 1';
+
+const RING = [
+  '0299348281e1a2bc26af3745a858668a8d595ed8e91aeedbce4fdf02ed39b8512f80cd47f232b019080949474e21bb25' +
+  '03366404f8d983682dab6aaba8405b1f31d04bc177db79d31f8afafd564ad5d80aba645a6447ef307f68a19b7d7b6de4',
+  '021192c5d622b68e6ef660d20cdfd42b90b9569842b82db9393a71481a6ba72e2a76c59fa710c45419c8b152c1c2c4d6' +
+  '0b31031a280c87c5e665d3367f43a85bb06996859a65d9d5083bf663ac0ae800a2d692e12e5176796e8633dc4fde2939',
+  '0c77f924d4c86f83a23ef92b431453ff6be9d1de3fbdbff32395eef49a273258bc25bc0035e4f4a1e2dea337935551c3' +
+  '16f1958eb4836288342bd8d8f961bbf4db23d475d52b23412e3f5ca853d2ed7825e70cd8b2bf707de3d410e87038f814'
+];
+
+// Signed by RING[1]; the closing hash is above the group order, so this only
+// verifies if the challenge is compared in Fr
+const RING_SIGNATURE = {
+  challenge: '69d47288003cb9acf21cc54093898249ce6e346da80f77e5e51b35555ccb68b8',
+  responses: [
+    '13e06837d76c51ac2efd22c8c7da3314063b190dc9637ca9adb21245754d7681',
+    '6190248b7e0a2c2f01b6ab28762d24ae6d673086cb07a8e55597e37637a710dc',
+    '352302489bc2fcf025cf00cda8308033f97ac87712ce90b4d7cd72c58e4c3af9'
+  ]
+};
+
+// signChallenge by RING[0]'s key, as sent for issuer login
+const LOGIN_SIGNATURE = {
+  challenge: '09cfb5683890620ca8c84a9583a6bb0d3d308957464d2ec48882a78689b4ba56',
+  responses: ['675c716e2e79b6af2a5658ef53bde2cfe13b1dd9b197075db0f65774d3170a73']
+};
+
+// Flip the last bit of a 32-byte hex value
+const flip = hex => hex.slice(0, -1) + (parseInt(hex.slice(-1), 16) ^ 1).toString(16);
+
+describe('verifyRingSignature', () => {
+  it('accepts ring signatures made by the frontend signer', () => {
+    assert.equal(verifyRingSignature(RING, MESSAGE, RING_SIGNATURE), true);
+    assert.equal(verifyRingSignature(RING, new TextEncoder().encode(MESSAGE), RING_SIGNATURE), true);
+  });
+
+  it('accepts an issuer login signature from the frontend', () => {
+    assert.equal(verifyRingSignature([RING[0]], MESSAGE, LOGIN_SIGNATURE), true);
+    assert.equal(verifyRingSignature([RING[1]], MESSAGE, LOGIN_SIGNATURE), false);
+  });
+
+  it('rejects another message or ring order', () => {
+    assert.equal(verifyRingSignature(RING, `${MESSAGE}!`, RING_SIGNATURE), false);
+    assert.equal(verifyRingSignature([RING[1], RING[0], RING[2]], MESSAGE, RING_SIGNATURE), false);
+  });
+
+  it('rejects a tampered signature', () => {
+    assert.equal(verifyRingSignature(RING, MESSAGE, { ...RING_SIGNATURE, challenge: flip(RING_SIGNATURE.challenge) }), false);
+    for (let i = 0; i < RING.length; i++) {
+      const responses = RING_SIGNATURE.responses.map((response, j) => (j === i ? flip(response) : response));
+      assert.equal(verifyRingSignature(RING, MESSAGE, { ...RING_SIGNATURE, responses }), false);
+    }
+  });
+
+  it('rejects malformed input instead of throwing', () => {
+    assert.equal(verifyRingSignature([], MESSAGE, { challenge: RING_SIGNATURE.challenge, responses: [] }), false);
+    assert.equal(verifyRingSignature(RING.slice(0, 2), MESSAGE, RING_SIGNATURE), false);
+    assert.equal(verifyRingSignature(['00'.repeat(96), ...RING.slice(1)], MESSAGE, RING_SIGNATURE), false);
+    assert.equal(verifyRingSignature(RING, MESSAGE, { ...RING_SIGNATURE, challenge: 'ab' }), false);
+  });
+});
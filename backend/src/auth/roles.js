@@ -0,0 +1,11 @@
+// Roles a session token can carry
+//
+//   admin     - the contract admin's Stellar address; manages issuers and housekeeping
+//   issuer    - a registered issuer's BLS public key; reviews its own KYC requests
+//   applicant - a user ID that submitted a KYC request; collects its own credential
+
+export const ROLES = Object.freeze({
+  ADMIN: 'admin',
+  ISSUER: 'issuer',
+  APPLICANT: 'applicant'
+});
@@ -0,0 +1,101 @@
+// Login challenges and short-lived session tokens
+//
+// Challenges are one-time nonces kept in memory until they are used or
+// expire. Session tokens are stateless: a base64url JSON payload followed by
+// an HMAC-SHA256 over it, so they survive restarts when AUTH_SECRET is set.
+
+import crypto from 'crypto';
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS || '900', 10);
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  console.warn('[Auth] AUTH_SECRET not set - using a random secret, sessions will not survive a restart');
+}
+
+// Structure: { nonce: { role, subject, message, expiresAt } }
+const pendingChallenges = new Map();
+
+function sign(payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a one-time login challenge
+ * @param {string} role - Role the caller wants to log in as
+ * @param {string} subject - Identity being proven (e.g. issuer public key)
+ * @returns {{nonce: string, message: string, expiresAt: string}}
+ */
+export function createChallenge(role, subject) {
+  const nonce = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Date.now() + CHALLENGE_TTL_MS;
+  const message = `Selective Disclosure KYC ${role} login\nnonce: ${nonce}`;
+
+  pendingChallenges.set(nonce, { role, subject, message, expiresAt });
+
+  // Drop anything that has expired while we're here
+  for (const [key, value] of pendingChallenges.entries()) {
+    if (value.expiresAt < Date.now()) pendingChallenges.delete(key);
+  }
+
+  return { nonce, message, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Consume a challenge. Each nonce can only be used once.
+ * @returns {Object|null} The challenge, or null if unknown, expired or for someone else
+ */
+export function consumeChallenge(nonce, role, subject) {
+  const challenge = pendingChallenges.get(nonce);
+  pendingChallenges.delete(nonce);
+
+  if (!challenge || challenge.expiresAt < Date.now()) return null;
+  if (challenge.role !== role || challenge.subject !== subject) return null;
+
+  return challenge;
+}
+
+/**
+ * Issue a session token
+ * @param {string} role
+ * @param {string} subject
+ * @param {number} [ttlSeconds] - Lifetime, defaults to SESSION_TTL_SECONDS
+ * @returns {{token: string, expiresAt: string}}
+ */
+export function createSession(role, subject, ttlSeconds = SESSION_TTL_SECONDS) {
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = Buffer.from(JSON.stringify({ role, sub: subject, exp })).toString('base64url');
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a session token
+ * @param {string} token
+ * @returns {{role: string, sub: string, exp: number}|null} Session, or null if invalid or expired
+ */
+export function verifySession(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, mac] = token.split('.');
+  if (!payload || !mac) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(mac);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!session.exp || session.exp < Date.now() / 1000) return null;
+    return session;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,71 @@
+// Stellar wallet challenges (SEP-10 style)
+//
+// The wallet proves control of an address by signing a transaction that
+// carries the login nonce in a manageData operation. The transaction has
+// sequence number 0 and is never submitted to the network.
+
+import { Account, BASE_FEE, Keypair, Networks, Operation, StrKey, TransactionBuilder } from '@stellar/stellar-sdk';
+
+export const NETWORK_PASSPHRASE = Networks[process.env.STELLAR_NETWORK || 'TESTNET'];
+
+const DATA_NAME = 'kyc auth';
+
+/**
+ * Check that a string is a Stellar account address (G...)
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isStellarAddress(address) {
+  return typeof address === 'string' && StrKey.isValidEd25519PublicKey(address);
+}
+
+/**
+ * Build an unsigned challenge transaction for a wallet to sign
+ * @param {string} address - Stellar address expected to sign
+ * @param {string} nonce - Hex nonce (first 64 chars are embedded)
+ * @param {number} ttlSeconds - Validity window
+ * @returns {string} Transaction XDR (base64)
+ */
+export function buildChallengeTransaction(address, nonce, ttlSeconds = 300) {
+  const now = Math.floor(Date.now() / 1000);
+
+  return new TransactionBuilder(new Account(address, '-1'), {
+    fee: BASE_FEE,
+    networkPassphrase: NETWORK_PASSPHRASE,
+    timebounds: { minTime: now, maxTime: now + ttlSeconds }
+  })
+    .addOperation(Operation.manageData({ name: DATA_NAME, value: nonce.slice(0, 64) }))
+    .build()
+    .toXDR();
+}
+
+/**
+ * Verify a wallet-signed challenge transaction
+ * @param {string} signedXdr - Signed transaction XDR
+ * @param {string} address - Stellar address that must have signed
+ * @param {string} nonce - Nonce the transaction must carry
+ * @returns {boolean}
+ */
+export function verifyChallengeTransaction(signedXdr, address, nonce) {
+  try {
+    const tx = TransactionBuilder.fromXDR(signedXdr, NETWORK_PASSPHRASE);
+
+    if (tx.source !== address || tx.sequence !== '0') return false;
+    if (tx.operations.length !== 1) return false;
+
+    const [op] = tx.operations;
+    if (op.type !== 'manageData' || op.name !== DATA_NAME) return false;
+    if (!op.value || op.value.toString('utf8') !== nonce.slice(0, 64)) return false;
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!tx.timeBounds || Number(tx.timeBounds.maxTime) < now) return false;
+
+    const keypair = Keypair.fromPublicKey(address);
+    const hash = tx.hash();
+    return tx.signatures.some(sig =>
+      sig.hint().equals(keypair.signatureHint()) && keypair.verify(hash, sig.signature())
+    );
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,35 @@
+// Shape checks for end-to-end encrypted credential delivery
+//
+// The backend never sees credential plaintext: applicants register an
+// ephemeral P-256 public key with their request and issuers upload an
+// envelope encrypted to it (see frontend/src/utils/delivery.js). All the
+// server can do is check that what it relays looks like the real thing.
+
+const ENVELOPE_ALG = 'ECDH-P256+HKDF-SHA256+A256GCM';
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Check an applicant delivery key: base64 of an uncompressed P-256 point
+ * @param {string} publicKey
+ * @returns {boolean}
+ */
+export function isDeliveryPublicKey(publicKey) {
+  if (typeof publicKey !== 'string' || !BASE64.test(publicKey)) return false;
+
+  const raw = Buffer.from(publicKey, 'base64');
+  return raw.length === 65 && raw[0] === 0x04;
+}
+
+/**
+ * Check an encrypted credential envelope produced by the issuer
+ * @param {Object} envelope
+ * @returns {boolean}
+ */
+export function isCredentialEnvelope(envelope) {
+  if (!envelope || typeof envelope !== 'object') return false;
+  if (envelope.version !== 1 || envelope.alg !== ENVELOPE_ALG) return false;
+
+  return ['salt', 'iv', 'ciphertext'].every(field =>
+    typeof envelope[field] === 'string' && BASE64.test(envelope[field])
+  ) && isDeliveryPublicKey(envelope.epk);
+}
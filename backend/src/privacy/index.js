@@ -0,0 +1,6 @@
+// Encryption at rest and retention for applicant PII, and checks for
+// end-to-end encrypted credential delivery
+
+export { loadDataKey, createPiiVault } from './vault.js';
+export { purgeExpiredPii, purgeUncollectedCredentials, startPiiRetention } from './retention.js';
+export { isDeliveryPublicKey, isCredentialEnvelope } from './delivery.js';
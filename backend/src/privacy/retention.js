@@ -0,0 +1,68 @@
+// Retention policy for applicant PII
+//
+// Once an issuer has decided on a request the personal data has served its
+// purpose. The request metadata is kept (status, attributes, timestamps) but
+// the sealed userData and document photo are deleted PII_RETENTION_HOURS
+// after approval or rejection.
+//
+// Issued credentials wait, encrypted to the applicant, until the applicant
+// acknowledges saving them. Any never acknowledged are deleted
+// CREDENTIAL_RETENTION_HOURS after issuance; by default that matches the
+// applicant token lifetime, after which nobody could collect them anyway.
+
+const PII_RETENTION_HOURS = parseFloat(process.env.PII_RETENTION_HOURS || '24');
+const CREDENTIAL_RETENTION_HOURS = parseFloat(process.env.CREDENTIAL_RETENTION_HOURS || '24');
+const PII_PURGE_INTERVAL_MINUTES = parseFloat(process.env.PII_PURGE_INTERVAL_MINUTES || '10');
+
+/**
+ * Purge PII for every request decided more than retentionHours ago
+ * @param {Object} storage - Store instance
+ * @param {number} [retentionHours]
+ * @returns {Promise<number>} Number of requests purged
+ */
+export async function purgeExpiredPii(storage, retentionHours = PII_RETENTION_HOURS) {
+  const cutoff = new Date(Date.now() - retentionHours * 60 * 60 * 1000);
+  const purged = await storage.purgeRequestPii(cutoff);
+
+  if (purged > 0) {
+    console.log(`[Privacy] Purged PII for ${purged} decided request(s)`);
+  }
+  return purged;
+}
+
+/**
+ * Delete issued credentials nobody acknowledged within retentionHours
+ * @param {Object} storage - Store instance
+ * @param {number} [retentionHours]
+ * @returns {Promise<number>} Number of credentials deleted
+ */
+export async function purgeUncollectedCredentials(storage, retentionHours = CREDENTIAL_RETENTION_HOURS) {
+  const cutoff = new Date(Date.now() - retentionHours * 60 * 60 * 1000);
+  const purged = await storage.deleteCredentialsOlderThan(cutoff);
+
+  if (purged > 0) {
+    console.log(`[Privacy] Deleted ${purged} uncollected credential(s)`);
+  }
+  return purged;
+}
+
+/**
+ * Run purgeExpiredPii and purgeUncollectedCredentials now and then on a fixed interval
+ * @param {Object} storage - Store instance
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startPiiRetention(storage) {
+  const run = () => Promise.all([
+    purgeExpiredPii(storage),
+    purgeUncollectedCredentials(storage)
+  ]).catch(error => {
+    console.error('[Privacy] PII purge failed:', error.message);
+  });
+
+  run();
+  const timer = setInterval(run, PII_PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+
+  console.log(`[Privacy] PII kept for ${PII_RETENTION_HOURS}h after a decision, uncollected credentials for ${CREDENTIAL_RETENTION_HOURS}h, checked every ${PII_PURGE_INTERVAL_MINUTES} min`);
+  return timer;
+}
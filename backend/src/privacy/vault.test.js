@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createPiiVault, loadDataKey } from './vault.js';
+
+const record = {
+  userData: { name: 'Test User', dateOfBirth: '1990-01-01' },
+  documentPhoto: 'data:image/png;base64,iVBORw0KGgo='
+};
+
+// Flip one byte inside a base64 part of a sealed record
+function tamper(sealed, part) {
+  const parts = sealed.split('.');
+  const bytes = Buffer.from(parts[part], 'base64');
+  bytes[0] ^= 0x01;
+  parts[part] = bytes.toString('base64');
+  return parts.join('.');
+}
+
+describe('PII vault', () => {
+  const vault = createPiiVault(crypto.randomBytes(32));
+
+  it('opens what it sealed', () => {
+    const sealed = vault.seal(record, 'req_1');
+
+    assert.match(sealed, /^v1\.[^.]+\.[^.]+\.[^.]+$/);
+    assert.ok(!sealed.includes('Test User'));
+    assert.deepEqual(vault.open(sealed, 'req_1'), record);
+  });
+
+  it('uses a fresh IV for every seal', () => {
+    assert.notEqual(vault.seal(record, 'req_1'), vault.seal(record, 'req_1'));
+  });
+
+  it('refuses to open with a different key', () => {
+    const sealed = vault.seal(record, 'req_1');
+    const other = createPiiVault(crypto.randomBytes(32));
+
+    assert.throws(() => other.open(sealed, 'req_1'));
+  });
+
+  it('refuses to open under another request ID', () => {
+    const sealed = vault.seal(record, 'req_1');
+
+    assert.throws(() => vault.open(sealed, 'req_2'));
+  });
+
+  it('detects tampered ciphertext, tag and IV', () => {
+    const sealed = vault.seal(record, 'req_1');
+
+    for (const part of [1, 2, 3]) {
+      assert.throws(() => vault.open(tamper(sealed, part), 'req_1'));
+    }
+  });
+
+  it('rejects an unknown format version', () => {
+    const sealed = vault.seal(record, 'req_1');
+
+    assert.throws(() => vault.open(sealed.replace(/^v1/, 'v0'), 'req_1'), /Unsupported PII format: v0/);
+  });
+
+  it('needs a 32-byte key', () => {
+    assert.throws(() => createPiiVault(crypto.randomBytes(16)), /32-byte key/);
+    assert.throws(() => createPiiVault('00'.repeat(32)), /32-byte key/);
+  });
+});
+
+describe('loadDataKey', () => {
+  it('takes the key from hex', () => {
+    const hexKey = 'ab'.repeat(32);
+
+    assert.deepEqual(loadDataKey({ hexKey }), Buffer.from(hexKey, 'hex'));
+    assert.throws(() => loadDataKey({ hexKey: 'abcd' }), /64 hex characters/);
+  });
+
+  it('creates a key file on first run and reuses it afterwards', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pii-vault-'));
+    const keyPath = path.join(dir, 'nested', 'encryption.key');
+
+    try {
+      const created = loadDataKey({ hexKey: '', keyPath });
+      assert.equal(created.length, 32);
+      assert.deepEqual(loadDataKey({ hexKey: '', keyPath }), created);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
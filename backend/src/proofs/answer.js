@@ -0,0 +1,83 @@
+// Answering a proof session
+//
+// Everything a submission goes through - expiry, issuer checks, the claim
+// and the ring checks - lives here rather than in the route, so it can
+// be exercised against any store without a server or an RPC node.
+
+import { isProofSessionExpired } from './sessions.js';
+import { verifyProof as verifyAgainstRing } from './verify.js';
+import { publishProofSession } from './events.js';
+
+/**
+ * Answer a session with a proof bundle
+ *
+ * Only a valid proof completes the session. One that doesn't verify leaves it
+ * pending, so the prover can still answer until it expires.
+ * @param {Object} storage - Store instance
+ * @param {string} sessionId
+ * @param {{issuerPubKey: string, signatures: Array<{challenge: string, responses: string[]}>}} proof
+ *   One signature per session attribute, in order; shapes already checked
+ * @param {Object} [options]
+ * @param {Function} [options.verifyProof] - Ring checks, defaults to the on-chain one (see ./verify.js)
+ * @returns {Promise<{status: number, error?: string, session?: Object, verification?: Object}>}
+ *   An HTTP status with either an error message or the verified session and verification result
+ */
+export async function answerProofSession(storage, sessionId, { issuerPubKey, signatures }, { verifyProof = verifyAgainstRing } = {}) {
+  const session = await storage.getProofSession(sessionId);
+  if (!session) {
+    return { status: 404, error: 'Proof session not found' };
+  }
+
+  if (signatures.length !== session.attributes.length) {
+    return { status: 400, error: `Expected one signature for each of: ${session.attributes.join(', ')}` };
+  }
+
+  if (isProofSessionExpired(session)) {
+    return { status: 410, error: 'Proof session has expired' };
+  }
+
+  if (session.issuerPubKey && session.issuerPubKey !== issuerPubKey) {
+    return { status: 400, error: 'This verifier only accepts proofs from another issuer' };
+  }
+
+  const issuer = await storage.getIssuerByPublicKey(issuerPubKey);
+  if (!issuer) {
+    return { status: 400, error: 'Unknown issuer' };
+  }
+
+  // Held while the rings are checked, so two submissions can't both be verified
+  const claimed = await storage.claimProofSession(sessionId, new Date());
+  if (!claimed) {
+    return { status: 409, error: 'Proof session has already been answered' };
+  }
+  publishProofSession(claimed);
+
+  const reopen = async () => publishProofSession(await storage.updateProofSession(sessionId, { status: 'pending' }));
+
+  let verification;
+  try {
+    verification = await verifyProof(claimed, issuerPubKey, signatures);
+  } catch (error) {
+    // Couldn't reach the contract; the prover hasn't been judged yet, so let them retry
+    await reopen();
+    throw error;
+  }
+
+  if (!verification.valid) {
+    // Anyone who saw the session link can post a bad proof; that mustn't lock out the real prover
+    await reopen();
+    console.log(`[Proof Rejected] ${sessionId} for ${session.attributes.join(', ')} (${issuer.name}): ${verification.reason}`);
+    return { status: 422, error: `Proof does not verify: ${verification.reason}` };
+  }
+
+  const updated = await storage.updateProofSession(sessionId, {
+    status: 'verified',
+    result: { ...verification, issuerPubKey, issuerName: issuer.name },
+    completedAt: new Date().toISOString()
+  });
+  publishProofSession(updated);
+
+  console.log(`[Proof Verified] ${sessionId} for ${session.attributes.join(', ')} (${issuer.name})`);
+
+  return { status: 200, session: updated, verification };
+}
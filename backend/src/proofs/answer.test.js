@@ -0,0 +1,159 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStorage } from '../storage/index.js';
+import { newProofSession } from './sessions.js';
+import { answerProofSession } from './answer.js';
+import { subscribeProofSession } from './events.js';
+
+const ISSUER = 'aa'.repeat(96);
+const OTHER_ISSUER = 'bb'.repeat(96);
+
+const signature = { challenge: '11'.repeat(32), responses: ['22'.repeat(32), '33'.repeat(32)] };
+const signatures = [signature];
+
+// Stands in for the on-chain ring check
+const accept = async session => ({ valid: true, rings: session.attributes.map(attribute => ({ attribute, ringSize: 2 })) });
+const reject = async () => ({ valid: false, rings: [{ attribute: 'over_18', ringSize: 2 }], reason: 'over_18: signature does not verify against the ring' });
+
+describe('answerProofSession', () => {
+  let storage;
+
+  async function openSession(overrides = {}) {
+    const session = { ...newProofSession({ sessionId: 'session_1', attributes: ['over_18'], origin: 'https://shop.example' }), ...overrides };
+    await storage.addProofSession(session);
+    return session;
+  }
+
+  const answer = (verifyProof, proof = { issuerPubKey: ISSUER, signatures }) =>
+    answerProofSession(storage, 'session_1', proof, { verifyProof });
+
+  beforeEach(async () => {
+    storage = createMemoryStorage();
+    await storage.addIssuer({ id: 'issuer_1', name: 'Acme', publicKey: ISSUER, timestamp: new Date().toISOString() });
+    await storage.addIssuer({ id: 'issuer_2', name: 'Globex', publicKey: OTHER_ISSUER, timestamp: new Date().toISOString() });
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('records a verified proof with the issuer that vouched for it', async () => {
+    await openSession();
+    let checked;
+
+    const outcome = await answer(async (session, issuerPubKey, submitted) => {
+      checked = { session, issuerPubKey, submitted };
+      return accept(session);
+    });
+
+    assert.equal(outcome.status, 200);
+    assert.equal(outcome.verification.valid, true);
+    assert.equal(outcome.session.status, 'verified');
+    assert.deepEqual(outcome.session.result, {
+      valid: true,
+      rings: [{ attribute: 'over_18', ringSize: 2 }],
+      issuerPubKey: ISSUER,
+      issuerName: 'Acme'
+    });
+    assert.ok(outcome.session.completedAt);
+    assert.equal(checked.session.message, (await storage.getProofSession('session_1')).message);
+    assert.equal(checked.issuerPubKey, ISSUER);
+    assert.deepEqual(checked.submitted, signatures);
+  });
+
+  it('keeps the session open for the real prover after a proof that does not verify', async () => {
+    await openSession();
+
+    // e.g. garbage posted by someone who only saw the session link
+    const outcome = await answer(reject);
+
+    assert.deepEqual(outcome, { status: 422, error: 'Proof does not verify: over_18: signature does not verify against the ring' });
+    const session = await storage.getProofSession('session_1');
+    assert.equal(session.status, 'pending');
+    assert.equal(session.result, null);
+    assert.equal(session.completedAt, null);
+
+    assert.equal((await answer(accept)).session.status, 'verified');
+  });
+
+  it('needs one signature per requested attribute', async () => {
+    await openSession({ attributes: ['over_18', 'resident_us'] });
+
+    const short = await answer(() => assert.fail('an incomplete bundle must not be verified'));
+    assert.deepEqual(short, { status: 400, error: 'Expected one signature for each of: over_18, resident_us' });
+    assert.equal((await storage.getProofSession('session_1')).status, 'pending');
+
+    let checked;
+    const outcome = await answer(async (session, issuerPubKey, submitted) => {
+      checked = submitted;
+      return accept(session);
+    }, { issuerPubKey: ISSUER, signatures: [signature, signature] });
+
+    assert.equal(checked.length, 2);
+    assert.equal(outcome.session.status, 'verified');
+    assert.deepEqual(outcome.session.result.rings.map(ring => ring.attribute), ['over_18', 'resident_us']);
+  });
+
+  it('takes no answer after a verified one', async () => {
+    await openSession();
+    await answer(accept);
+
+    const second = await answer(() => assert.fail('a verified session must not be verified again'));
+
+    assert.deepEqual(second, { status: 409, error: 'Proof session has already been answered' });
+    assert.equal((await storage.getProofSession('session_1')).status, 'verified');
+  });
+
+  it('refuses an expired session without checking the proof', async () => {
+    await openSession({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const outcome = await answer(() => assert.fail('an expired session must not be verified'));
+
+    assert.deepEqual(outcome, { status: 410, error: 'Proof session has expired' });
+    assert.equal((await storage.getProofSession('session_1')).completedAt, null);
+  });
+
+  it('refuses proofs from an issuer the verifier did not ask for', async () => {
+    await openSession({ issuerPubKey: ISSUER });
+
+    const outcome = await answer(() => assert.fail('a mismatched issuer must not be verified'), { issuerPubKey: OTHER_ISSUER, signatures });
+
+    assert.deepEqual(outcome, { status: 400, error: 'This verifier only accepts proofs from another issuer' });
+    assert.equal((await storage.getProofSession('session_1')).status, 'pending');
+
+    // The right issuer can still answer
+    assert.equal((await answer(accept)).session.status, 'verified');
+  });
+
+  it('refuses unknown issuers and sessions', async () => {
+    await openSession();
+
+    assert.deepEqual(await answer(accept, { issuerPubKey: 'cc'.repeat(96), signatures }), { status: 400, error: 'Unknown issuer' });
+    assert.deepEqual(
+      await answerProofSession(storage, 'missing', { issuerPubKey: ISSUER, signatures }, { verifyProof: accept }),
+      { status: 404, error: 'Proof session not found' }
+    );
+  });
+
+  it('reopens the session when the ring cannot be read', async () => {
+    await openSession();
+
+    await assert.rejects(answer(async () => { throw new Error('RPC unavailable'); }), /RPC unavailable/);
+    assert.equal((await storage.getProofSession('session_1')).status, 'pending');
+
+    assert.equal((await answer(accept)).session.status, 'verified');
+  });
+
+  it('publishes each status change to subscribers', async () => {
+    await openSession();
+    const seen = [];
+    const unsubscribe = subscribeProofSession('session_1', session => seen.push(session.status));
+
+    await assert.rejects(answer(async () => { throw new Error('RPC unavailable'); }));
+    await answer(reject);
+    await answer(accept);
+    unsubscribe();
+
+    assert.deepEqual(seen, ['verifying', 'pending', 'verifying', 'pending', 'verifying', 'verified']);
+  });
+});
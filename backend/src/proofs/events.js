@@ -0,0 +1,30 @@
+// Live proof session updates
+//
+// A verifier page waiting on a prover (often on another device) subscribes
+// to its session instead of polling. Updates are published in-process, so
+// subscribers only hear about sessions answered through this server.
+
+import { EventEmitter } from 'events';
+
+const emitter = new EventEmitter();
+// One listener per open stream; many verifiers may be waiting at once
+emitter.setMaxListeners(0);
+
+/**
+ * Tell subscribers a session changed
+ * @param {Object} session - Session in the storage shape
+ */
+export function publishProofSession(session) {
+  emitter.emit(session.sessionId, session);
+}
+
+/**
+ * Listen for changes to a session
+ * @param {string} sessionId
+ * @param {function(Object): void} listener - Called with the session in the storage shape
+ * @returns {function(): void} Unsubscribe
+ */
+export function subscribeProofSession(sessionId, listener) {
+  emitter.on(sessionId, listener);
+  return () => emitter.off(sessionId, listener);
+}
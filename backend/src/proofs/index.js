@@ -0,0 +1,14 @@
+// Proof sessions: verifier-issued challenges that provers answer with a ring signature
+
+export {
+  FINAL_PROOF_STATUSES,
+  isAttributeName,
+  isAttributeSet,
+  normalizeOrigin,
+  newProofSession,
+  isProofSessionExpired,
+  proofSessionView
+} from './sessions.js';
+export { isRingSignature, fetchAttributeRing, verifyProof } from './verify.js';
+export { answerProofSession } from './answer.js';
+export { publishProofSession, subscribeProofSession } from './events.js';
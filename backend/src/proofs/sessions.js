@@ -0,0 +1,118 @@
+// Verifier challenge sessions
+//
+// A relying party opens a session naming the attributes it wants proven and
+// its own origin. The backend picks the nonce and the exact message to sign,
+// so a proof is fresh, addressed to that verifier, and - because each session
+// accepts a single submission - can never be replayed.
+
+import crypto from 'crypto';
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.PROOF_SESSION_TTL_SECONDS || '300', 10);
+const MAX_TTL_SECONDS = 3600;
+const MAX_ATTRIBUTES = 8;
+
+// Statuses a session never leaves; 'pending' and 'verifying' are still in flight
+export const FINAL_PROOF_STATUSES = ['verified', 'expired'];
+
+/**
+ * Check an attribute name: a Soroban Symbol the contract can key rings by
+ * @param {string} attribute
+ * @returns {boolean}
+ */
+export function isAttributeName(attribute) {
+  return typeof attribute === 'string' && /^[a-zA-Z0-9_]{1,32}$/.test(attribute);
+}
+
+/**
+ * Check a requested attribute set: 1-8 distinct attribute names
+ * @param {string[]} attributes
+ * @returns {boolean}
+ */
+export function isAttributeSet(attributes) {
+  return Array.isArray(attributes)
+    && attributes.length > 0 && attributes.length <= MAX_ATTRIBUTES
+    && new Set(attributes).size === attributes.length
+    && attributes.every(isAttributeName);
+}
+
+/**
+ * Reduce a verifier origin to scheme://host[:port]
+ * @param {string} origin - e.g. https://shop.example or a full URL on it
+ * @returns {string|null} Normalized origin, or null if it isn't http(s)
+ */
+export function normalizeOrigin(origin) {
+  try {
+    const url = new URL(origin);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a new pending session (not yet stored)
+ * @param {Object} options
+ * @param {string} options.sessionId
+ * @param {string[]} options.attributes - Attributes the verifier wants proven, all over this session's message
+ * @param {string} options.origin - Normalized verifier origin
+ * @param {string|null} [options.issuerPubKey] - Only accept proofs against this issuer's rings
+ * @param {number} [options.ttlSeconds] - Capped at one hour
+ * @returns {Object} Session in the storage shape
+ */
+export function newProofSession({ sessionId, attributes, origin, issuerPubKey = null, ttlSeconds = DEFAULT_TTL_SECONDS }) {
+  const nonce = crypto.randomBytes(32).toString('hex');
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + Math.min(ttlSeconds, MAX_TTL_SECONDS) * 1000).toISOString();
+
+  const message = [
+    'Selective Disclosure KYC proof',
+    `origin: ${origin}`,
+    `attributes: ${attributes.join(', ')}`,
+    `nonce: ${nonce}`,
+    `expires: ${expiresAt}`
+  ].join('\n');
+
+  return {
+    sessionId,
+    nonce,
+    attributes,
+    issuerPubKey,
+    origin,
+    message,
+    status: 'pending',
+    createdAt: createdAt.toISOString(),
+    expiresAt
+  };
+}
+
+/**
+ * Check whether a session can no longer accept a proof because time ran out
+ * @param {Object} session
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isProofSessionExpired(session, now = new Date()) {
+  return session.status === 'pending' && new Date(session.expiresAt) <= now;
+}
+
+/**
+ * Shape a session for API responses. Pending sessions past their expiry
+ * are reported as 'expired'.
+ * @param {Object} session
+ * @returns {Object}
+ */
+export function proofSessionView(session) {
+  return {
+    sessionId: session.sessionId,
+    attributes: session.attributes,
+    issuerPubKey: session.issuerPubKey,
+    origin: session.origin,
+    nonce: session.nonce,
+    message: session.message,
+    status: isProofSessionExpired(session) ? 'expired' : session.status,
+    result: session.result || null,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt,
+    completedAt: session.completedAt || null
+  };
+}
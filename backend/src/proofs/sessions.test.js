@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isAttributeName,
+  isAttributeSet,
+  normalizeOrigin,
+  newProofSession,
+  isProofSessionExpired,
+  proofSessionView
+} from './sessions.js';
+import { isRingSignature } from './verify.js';
+
+const options = { sessionId: 'session_1', attributes: ['over_18', 'resident_us'], origin: 'https://shop.example' };
+
+describe('newProofSession', () => {
+  it('binds the nonce, origin, attributes and expiry into one message', () => {
+    const session = newProofSession(options);
+
+    assert.match(session.nonce, /^[0-9a-f]{64}$/);
+    assert.equal(session.status, 'pending');
+    assert.equal(session.issuerPubKey, null);
+    assert.equal(session.message, [
+      'Selective Disclosure KYC proof',
+      'origin: https://shop.example',
+      'attributes: over_18, resident_us',
+      `nonce: ${session.nonce}`,
+      `expires: ${session.expiresAt}`
+    ].join('\n'));
+  });
+
+  it('never reuses a nonce', () => {
+    assert.notEqual(newProofSession(options).nonce, newProofSession(options).nonce);
+  });
+
+  it('caps the lifetime at one hour', () => {
+    const session = newProofSession({ ...options, ttlSeconds: 24 * 60 * 60 });
+    const lifetime = new Date(session.expiresAt) - new Date(session.createdAt);
+
+    assert.equal(lifetime, 60 * 60 * 1000);
+  });
+});
+
+describe('proof session expiry', () => {
+  const session = newProofSession({ ...options, ttlSeconds: 60 });
+  const later = new Date(new Date(session.expiresAt).getTime() + 1);
+
+  it('expires pending sessions once their time is up', () => {
+    assert.equal(isProofSessionExpired(session), false);
+    assert.equal(isProofSessionExpired(session, new Date(session.expiresAt)), true);
+    assert.equal(isProofSessionExpired(session, later), true);
+  });
+
+  it('keeps answered sessions as they are', () => {
+    for (const status of ['verifying', 'verified']) {
+      assert.equal(isProofSessionExpired({ ...session, status }, later), false);
+    }
+  });
+
+  it('reports pending sessions past their expiry as expired', () => {
+    const expired = { ...session, expiresAt: new Date(Date.now() - 1000).toISOString() };
+
+    assert.equal(proofSessionView(session).status, 'pending');
+    assert.equal(proofSessionView(expired).status, 'expired');
+    assert.equal(proofSessionView({ ...expired, status: 'verified' }).status, 'verified');
+  });
+});
+
+describe('input checks', () => {
+  it('accepts attribute names the contract can key rings by', () => {
+    assert.equal(isAttributeName('over_18'), true);
+    assert.equal(isAttributeName(''), false);
+    assert.equal(isAttributeName('a'.repeat(33)), false);
+    assert.equal(isAttributeName('over-18'), false);
+  });
+
+  it('accepts 1-8 distinct attributes to prove together', () => {
+    assert.equal(isAttributeSet(['over_18']), true);
+    assert.equal(isAttributeSet(['over_18', 'resident_us']), true);
+    assert.equal(isAttributeSet([]), false);
+    assert.equal(isAttributeSet(['over_18', 'over_18']), false);
+    assert.equal(isAttributeSet(Array.from({ length: 9 }, (_, i) => `attr_${i}`)), false);
+    assert.equal(isAttributeSet(['over_18', 'over-21']), false);
+    assert.equal(isAttributeSet('over_18'), false);
+  });
+
+  it('reduces origins to scheme, host and port', () => {
+    assert.equal(normalizeOrigin('https://shop.example/checkout?step=2'), 'https://shop.example');
+    assert.equal(normalizeOrigin('http://localhost:3000'), 'http://localhost:3000');
+    assert.equal(normalizeOrigin('javascript:alert(1)'), null);
+    assert.equal(normalizeOrigin('shop.example'), null);
+  });
+
+  it('checks the shape of a ring signature', () => {
+    const signature = { challenge: 'ab'.repeat(32), responses: ['cd'.repeat(32)] };
+
+    assert.equal(isRingSignature(signature), true);
+    assert.equal(isRingSignature({ ...signature, responses: [] }), false);
+    assert.equal(isRingSignature({ ...signature, challenge: 'ab' }), false);
+    assert.equal(isRingSignature({ ...signature, responses: ['zz'.repeat(32)] }), false);
+    assert.equal(isRingSignature(null), false);
+  });
+});
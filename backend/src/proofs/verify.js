@@ -0,0 +1,78 @@
+// Checks a submitted proof against the issuer's current on-chain rings
+//
+// The ring is read from the contract on every check, so members revoked
+// since the prover last synced their credential can't slip through.
+
+import { scValToNative, xdr } from '@stellar/stellar-sdk';
+import { verifyRingSignature } from '../auth/ringSignature.js';
+import { simulateContractCall } from '../soroban.js';
+
+const SCALAR_HEX = /^[0-9a-f]{64}$/i;
+
+/**
+ * Check the shape of a ring signature: { challenge, responses } as 32-byte hex
+ * @param {*} signature
+ * @returns {boolean}
+ */
+export function isRingSignature(signature) {
+  return !!signature
+    && typeof signature.challenge === 'string' && SCALAR_HEX.test(signature.challenge)
+    && Array.isArray(signature.responses) && signature.responses.length > 0
+    && signature.responses.every(response => typeof response === 'string' && SCALAR_HEX.test(response));
+}
+
+/**
+ * Read an issuer's ring for an attribute from the contract
+ * @param {string} issuerPubKey - Issuer public key (96-byte hex)
+ * @param {string} attribute
+ * @returns {Promise<string[]|null>} Member keys as hex, or null if the issuer has no such ring
+ */
+export async function fetchAttributeRing(issuerPubKey, attribute) {
+  const contractId = process.env.CONTRACT_ID;
+  if (!contractId) {
+    throw new Error('CONTRACT_ID is not configured');
+  }
+
+  const retval = await simulateContractCall(contractId, 'get_ring_for_attribute', [
+    xdr.ScVal.scvBytes(Buffer.from(issuerPubKey, 'hex')),
+    xdr.ScVal.scvSymbol(attribute)
+  ]);
+
+  // Option<Vec<BytesN<96>>> decodes to an array of Buffers, or null/undefined for None
+  const ring = scValToNative(retval);
+  return ring ? ring.map(key => Buffer.from(key).toString('hex')) : null;
+}
+
+/**
+ * Verify a session's proof bundle: one ring signature per requested attribute,
+ * each over the session message. Valid only if every attribute verifies.
+ * @param {Object} session - Proof session (its message is what was signed)
+ * @param {string} issuerPubKey - Issuer whose rings the prover signed against
+ * @param {Array<{challenge: string, responses: string[]}>} signatures - In the order of session.attributes
+ * @returns {Promise<{valid: boolean, rings: Array<{attribute: string, ringSize: number}>, reason?: string}>}
+ */
+export async function verifyProof(session, issuerPubKey, signatures) {
+  const rings = [];
+
+  for (const [i, attribute] of session.attributes.entries()) {
+    const ring = await fetchAttributeRing(issuerPubKey, attribute);
+    const signature = signatures[i];
+    rings.push({ attribute, ringSize: ring ? ring.length : 0 });
+
+    if (!ring) {
+      return { valid: false, rings, reason: `Issuer has no ring for ${attribute}` };
+    }
+    if (ring.length !== signature.responses.length) {
+      return {
+        valid: false,
+        rings,
+        reason: `${attribute}: signature covers ${signature.responses.length} keys but the ring has ${ring.length}`
+      };
+    }
+    if (!verifyRingSignature(ring, session.message, signature)) {
+      return { valid: false, rings, reason: `${attribute}: signature does not verify against the ring` };
+    }
+  }
+
+  return { valid: true, rings };
+}
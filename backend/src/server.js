@@ -2,38 +2,106 @@ import express from 'express';
 import cors from 'cors';
 import bodyParser from 'body-parser';
 import { v4 as uuidv4 } from 'uuid';
+import { createStorage } from './storage/index.js';
+import {
+  requireRole,
+  createChallenge,
+  consumeChallenge,
+  createSession,
+  verifyRingSignature,
+  buildChallengeTransaction,
+  verifyChallengeTransaction,
+  isStellarAddress,
+  getAdminAddress,
+  ROLES
+} from './auth/index.js';
+import {
+  loadDataKey,
+  createPiiVault,
+  startPiiRetention,
+  isDeliveryPublicKey,
+  isCredentialEnvelope
+} from './privacy/index.js';
+import {
+  FINAL_PROOF_STATUSES,
+  isAttributeSet,
+  normalizeOrigin,
+  newProofSession,
+  proofSessionView,
+  isRingSignature,
+  answerProofSession,
+  subscribeProofSession
+} from './proofs/index.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Comment lines keep idle event streams from being closed by proxies
+const EVENT_STREAM_KEEPALIVE_MS = 25 * 1000;
+
+// Applicants may wait a long time for review, so their tokens outlive admin/issuer sessions
+const APPLICANT_SESSION_TTL_SECONDS = parseInt(process.env.APPLICANT_SESSION_TTL_SECONDS || '86400', 10);
+
 // Middleware
 app.use(cors());
 // Increase limit to handle base64 images (default is 100kb)
 app.use(bodyParser.json({ limit: '10mb' }));
 
-// In-memory storage for KYC requests
-// Structure: { requestId: { userId, issuerPubKey, attributes, userData, documentPhoto, status, timestamp } }
-const kycRequests = new Map();
-
-// Structure: { userId: credentialJSON }
-const issuedCredentials = new Map();
-
-// Structure: { issuerId: { name, publicKey, timestamp } }
-const registeredIssuers = new Map();
+// Persistent storage for KYC requests, issued credentials and registered issuers
+// (SQLite by default, set STORAGE_DRIVER=memory for a throwaway in-memory store)
+const storage = createStorage();
+
+// Applicant userData and document photos are only ever stored sealed
+const piiVault = createPiiVault(loadDataKey());
+
+/**
+ * Decrypt the PII attached to a request
+ * @returns {Promise<{userData: Object, documentPhoto: string}|null>} null once purged
+ */
+async function openRequestPii(requestId) {
+  const sealed = await storage.getRequestPii(requestId);
+  return sealed ? piiVault.open(sealed, requestId) : null;
+}
+
+/**
+ * Seal any PII left in plaintext by databases created before encryption at rest
+ */
+async function sealLegacyPii() {
+  const legacy = await storage.listLegacyPii();
+  for (const { requestId, record } of legacy) {
+    await storage.putRequestPii(requestId, piiVault.seal(record, requestId));
+  }
+  if (legacy.length > 0) {
+    console.log(`[Privacy] Encrypted PII for ${legacy.length} existing request(s)`);
+  }
+}
+
+/**
+ * Check the per-attribute ring member keys an issuer reports on approval
+ * @param {*} keys - { attribute: publicKeyHex }
+ * @param {string[]} attributes - Attributes on the request
+ */
+function isRingMemberKeys(keys, attributes) {
+  if (!keys || typeof keys !== 'object' || Array.isArray(keys)) return false;
+  return Object.entries(keys).every(([attribute, publicKey]) =>
+    attributes.includes(attribute) && typeof publicKey === 'string' && /^[0-9a-f]{192}$/i.test(publicKey)
+  );
+}
 
 // GET /api/health - Health check
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', storage: storage.driver, timestamp: new Date().toISOString() });
 });
 
 // GET /api/issuers - Get list of registered issuers
 app.get('/api/issuers', async (req, res) => {
   try {
-    const issuers = Array.from(registeredIssuers.entries()).map(([id, data]) => ({
-      id,
-      name: data.name,
-      publicKey: data.publicKey,
-      timestamp: data.timestamp
+    const issuers = (await storage.listIssuers()).map(issuer => ({
+      id: issuer.id,
+      name: issuer.name,
+      publicKey: issuer.publicKey,
+      stellarAddress: issuer.stellarAddress,
+      timestamp: issuer.timestamp
     }));
     res.json({ issuers });
   } catch (error) {
@@ -41,10 +109,10 @@ app.get('/api/issuers', async (req, res) => {
   }
 });
 
-// POST /api/issuers - Register new issuer
-app.post('/api/issuers', (req, res) => {
+// POST /api/issuers - Register new issuer (admin only)
+app.post('/api/issuers', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    const { name, publicKey } = req.body;
+    const { name, publicKey, stellarAddress } = req.body;
 
     if (!name || !publicKey) {
       return res.status(400).json({ error: 'Missing required fields: name and publicKey' });
@@ -55,16 +123,23 @@ app.post('/api/issuers', (req, res) => {
       return res.status(400).json({ error: 'Invalid public key format. Must be 192 hex characters.' });
     }
 
+    // Optional wallet address the issuer can use to log in instead of their BLS key
+    if (stellarAddress && !isStellarAddress(stellarAddress)) {
+      return res.status(400).json({ error: 'Invalid Stellar address' });
+    }
+
     // Check if issuer with this public key already exists
-    const existing = Array.from(registeredIssuers.values()).find(i => i.publicKey === publicKey);
+    const existing = await storage.getIssuerByPublicKey(publicKey);
     if (existing) {
       return res.status(400).json({ error: 'Issuer with this public key already registered' });
     }
 
     const issuerId = uuidv4();
-    registeredIssuers.set(issuerId, {
+    await storage.addIssuer({
+      id: issuerId,
       name,
       publicKey,
+      stellarAddress: stellarAddress || null,
       timestamp: new Date().toISOString()
     });
 
@@ -80,10 +155,135 @@ app.post('/api/issuers', (req, res) => {
   }
 });
 
+// POST /api/auth/admin/challenge - Get a challenge transaction for the contract admin's wallet
+app.post('/api/auth/admin/challenge', async (req, res) => {
+  try {
+    const { address } = req.body;
+
+    if (!isStellarAddress(address)) {
+      return res.status(400).json({ error: 'Missing or invalid Stellar address' });
+    }
+
+    const adminAddress = await getAdminAddress();
+    if (!adminAddress) {
+      return res.status(503).json({ error: 'Contract admin unknown. Set ADMIN_ADDRESS or CONTRACT_ID.' });
+    }
+
+    if (address !== adminAddress) {
+      return res.status(403).json({ error: 'Address is not the contract admin' });
+    }
+
+    const challenge = createChallenge(ROLES.ADMIN, address);
+
+    res.json({
+      ...challenge,
+      transaction: buildChallengeTransaction(address, challenge.nonce)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/auth/admin/session - Exchange the signed challenge transaction for an admin token
+app.post('/api/auth/admin/session', async (req, res) => {
+  try {
+    const { address, nonce, signedTransaction } = req.body;
+
+    if (!address || !nonce || !signedTransaction) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (address !== await getAdminAddress()) {
+      return res.status(403).json({ error: 'Address is not the contract admin' });
+    }
+
+    if (!consumeChallenge(nonce, ROLES.ADMIN, address)) {
+      return res.status(401).json({ error: 'Challenge expired or already used' });
+    }
+
+    if (!verifyChallengeTransaction(signedTransaction, address, nonce)) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const session = createSession(ROLES.ADMIN, address);
+    console.log(`[Admin Login] ${address}`);
+
+    res.json({ success: true, ...session });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/auth/issuer/challenge - Get a one-time nonce to prove issuer key ownership
+app.post('/api/auth/issuer/challenge', async (req, res) => {
+  try {
+    const { issuerPubKey } = req.body;
+
+    if (!issuerPubKey) {
+      return res.status(400).json({ error: 'Missing required field: issuerPubKey' });
+    }
+
+    const issuer = await storage.getIssuerByPublicKey(issuerPubKey);
+    if (!issuer) {
+      return res.status(404).json({ error: 'Issuer not registered' });
+    }
+
+    const challenge = createChallenge(ROLES.ISSUER, issuerPubKey);
+
+    res.json({
+      ...challenge,
+      // Issuers with a linked wallet can sign this transaction instead of the message
+      transaction: issuer.stellarAddress
+        ? buildChallengeTransaction(issuer.stellarAddress, challenge.nonce)
+        : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/auth/issuer/session - Exchange a signed challenge for a session token
+app.post('/api/auth/issuer/session', async (req, res) => {
+  try {
+    const { issuerPubKey, nonce, signature, signedTransaction } = req.body;
+
+    if (!issuerPubKey || !nonce || (!signature && !signedTransaction)) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const issuer = await storage.getIssuerByPublicKey(issuerPubKey);
+    if (!issuer) {
+      return res.status(404).json({ error: 'Issuer not registered' });
+    }
+
+    const challenge = consumeChallenge(nonce, ROLES.ISSUER, issuerPubKey);
+    if (!challenge) {
+      return res.status(401).json({ error: 'Challenge expired or already used' });
+    }
+
+    const verified = signature
+      // BLS: a single-member ring signature over the challenge message
+      ? verifyRingSignature([issuerPubKey], challenge.message, signature)
+      // Wallet: the challenge transaction signed by the issuer's linked Stellar address
+      : !!issuer.stellarAddress && verifyChallengeTransaction(signedTransaction, issuer.stellarAddress, nonce);
+
+    if (!verified) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const session = createSession(ROLES.ISSUER, issuerPubKey);
+    console.log(`[Issuer Login] ${issuer.name} via ${signature ? 'BLS key' : 'wallet'}`);
+
+    res.json({ success: true, ...session });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // POST /api/request-kyc - User submits KYC request
-app.post('/api/request-kyc', (req, res) => {
+app.post('/api/request-kyc', async (req, res) => {
   try {
-    const { userId, issuerPubKey, attributes, userData, documentPhoto } = req.body;
+    const { userId, issuerPubKey, attributes, userData, documentPhoto, deliveryPublicKey } = req.body;
 
     if (!userId || !issuerPubKey || !attributes || !userData) {
       return res.status(400).json({ error: 'Missing required fields' });
@@ -93,22 +293,37 @@ app.post('/api/request-kyc', (req, res) => {
       return res.status(400).json({ error: 'Document photo is required' });
     }
 
+    // The issuer encrypts the credential to this key, so we only ever relay ciphertext
+    if (!isDeliveryPublicKey(deliveryPublicKey)) {
+      return res.status(400).json({ error: 'Missing or invalid deliveryPublicKey (base64 P-256 public key)' });
+    }
+
     const requestId = uuidv4();
-    kycRequests.set(requestId, {
+    await storage.addRequest({
+      requestId,
       userId,
       issuerPubKey,
       attributes, // Array of attribute names like ['over_18', 'resident_uk']
-      userData, // { name, email, country, dob, etc. }
-      documentPhoto, // Base64 encoded image
+      deliveryPublicKey,
       status: 'pending',
       timestamp: new Date().toISOString()
     });
 
+    // userData ({ name, email, country, dob, etc.}) and the base64 document
+    // photo are encrypted before they touch storage
+    await storage.putRequestPii(requestId, piiVault.seal({ userData, documentPhoto }, requestId));
+
     console.log(`[KYC Request] ${requestId} from user ${userId} to issuer ${issuerPubKey}`);
 
+    // Only whoever submitted the request can later collect the credential. The
+    // token names the request, never the client-supplied userId, so filing a
+    // request under someone else's userId gets you nothing of theirs.
+    const applicantSession = createSession(ROLES.APPLICANT, requestId, APPLICANT_SESSION_TTL_SECONDS);
+
     res.json({
       success: true,
       requestId,
+      applicantToken: applicantSession.token,
       message: 'KYC request submitted successfully'
     });
   } catch (error) {
@@ -116,61 +331,109 @@ app.post('/api/request-kyc', (req, res) => {
   }
 });
 
-// GET /api/kyc-requests - Get all pending KYC requests (for issuer dashboard)
-app.get('/api/kyc-requests', (req, res) => {
+// GET /api/kyc-requests - Get the logged-in issuer's KYC requests (for issuer dashboard)
+app.get('/api/kyc-requests', requireRole(ROLES.ISSUER), async (req, res) => {
   try {
     const { issuerPubKey, status } = req.query;
 
-    let requests = Array.from(kycRequests.entries()).map(([id, data]) => ({
-      requestId: id,
-      ...data
-    }));
-
-    // Filter by issuer if provided
-    if (issuerPubKey) {
-      requests = requests.filter(r => r.issuerPubKey === issuerPubKey);
+    if (issuerPubKey && issuerPubKey !== req.session.sub) {
+      return res.status(403).json({ error: 'Unauthorized issuer' });
     }
 
-    // Filter by status if provided
-    if (status) {
-      requests = requests.filter(r => r.status === status);
-    }
+    // Always scoped to the session's issuer, optionally filtered by status
+    const requests = await storage.listRequests({ issuerPubKey: req.session.sub, status });
+
+    // Decrypt userData for the dashboard; photos are fetched one at a time
+    // from /api/kyc-requests/:requestId/document
+    const withPii = await Promise.all(requests.map(async request => {
+      const pii = await openRequestPii(request.requestId);
+      return {
+        ...request,
+        userData: pii ? pii.userData : null,
+        hasDocument: !!(pii && pii.documentPhoto)
+      };
+    }));
 
-    res.json({ requests });
+    res.json({ requests: withPii });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // GET /api/kyc-requests/:requestId - Get specific KYC request
-app.get('/api/kyc-requests/:requestId', (req, res) => {
+app.get('/api/kyc-requests/:requestId', requireRole(ROLES.ISSUER), async (req, res) => {
   try {
     const { requestId } = req.params;
-    const request = kycRequests.get(requestId);
+    const request = await storage.getRequest(requestId);
 
     if (!request) {
       return res.status(404).json({ error: 'Request not found' });
     }
 
+    if (request.issuerPubKey !== req.session.sub) {
+      return res.status(403).json({ error: 'Unauthorized issuer' });
+    }
+
+    const pii = await openRequestPii(requestId);
+
     res.json({
-      requestId,
-      ...request
+      ...request,
+      userData: pii ? pii.userData : null,
+      documentPhoto: pii ? pii.documentPhoto : null
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// GET /api/kyc-requests/:requestId/document - Decrypted document photo for the owning issuer
+app.get('/api/kyc-requests/:requestId/document', requireRole(ROLES.ISSUER), async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const request = await storage.getRequest(requestId);
+
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    if (request.issuerPubKey !== req.session.sub) {
+      return res.status(403).json({ error: 'Unauthorized issuer' });
+    }
+
+    const pii = await openRequestPii(requestId);
+    if (!pii || !pii.documentPhoto) {
+      return res.status(410).json({ error: 'Document has been purged under the retention policy' });
+    }
+
+    res.json({ requestId, documentPhoto: pii.documentPhoto });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // POST /api/approve-kyc - Issuer approves KYC request
-app.post('/api/approve-kyc', (req, res) => {
+app.post('/api/approve-kyc', requireRole(ROLES.ISSUER), async (req, res) => {
   try {
-    const { requestId, issuerPubKey, credential } = req.body;
+    const { requestId, encryptedCredential, ringMemberKeys } = req.body;
+    const issuerPubKey = req.session.sub;
+
+    if (req.body.issuerPubKey && req.body.issuerPubKey !== issuerPubKey) {
+      return res.status(403).json({ error: 'Unauthorized issuer' });
+    }
+
+    if (req.body.credential) {
+      return res.status(400).json({ error: 'Plaintext credentials are not accepted. Encrypt to the request deliveryPublicKey.' });
+    }
 
-    if (!requestId || !issuerPubKey || !credential) {
+    if (!requestId || !encryptedCredential) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    const request = kycRequests.get(requestId);
+    if (!isCredentialEnvelope(encryptedCredential)) {
+      return res.status(400).json({ error: 'Invalid encrypted credential' });
+    }
+
+    const request = await storage.getRequest(requestId);
     if (!request) {
       return res.status(404).json({ error: 'Request not found' });
     }
@@ -179,15 +442,29 @@ app.post('/api/approve-kyc', (req, res) => {
       return res.status(403).json({ error: 'Unauthorized issuer' });
     }
 
+    if (request.status !== 'pending') {
+      return res.status(409).json({ error: `Only pending requests can be approved (status: ${request.status})` });
+    }
+
+    if (!request.deliveryPublicKey) {
+      return res.status(409).json({ error: 'Request has no delivery key. The applicant must submit a new request.' });
+    }
+
+    // Public ring keys only; needed to revoke the user's attributes later
+    if (ringMemberKeys !== undefined && !isRingMemberKeys(ringMemberKeys, request.attributes)) {
+      return res.status(400).json({ error: 'Invalid ringMemberKeys. Expected { attribute: 192-hex public key } for the requested attributes.' });
+    }
+
     // Update request status
-    request.status = 'approved';
-    request.approvedAt = new Date().toISOString();
-    kycRequests.set(requestId, request);
+    await storage.updateRequest(requestId, {
+      status: 'approved',
+      approvedAt: new Date().toISOString(),
+      ringMemberKeys: ringMemberKeys || null
+    });
 
-    // Store credential for user to retrieve
-    issuedCredentials.set(request.userId, {
-      credential,
-      requestId,
+    // Store the encrypted credential for the user to retrieve
+    await storage.putCredential(requestId, {
+      credential: encryptedCredential,
       timestamp: new Date().toISOString()
     });
 
@@ -203,15 +480,24 @@ app.post('/api/approve-kyc', (req, res) => {
 });
 
 // POST /api/reject-kyc - Issuer rejects KYC request
-app.post('/api/reject-kyc', (req, res) => {
+app.post('/api/reject-kyc', requireRole(ROLES.ISSUER), async (req, res) => {
   try {
-    const { requestId, issuerPubKey, reason } = req.body;
+    const { requestId, reason } = req.body;
+    const issuerPubKey = req.session.sub;
 
-    if (!requestId || !issuerPubKey) {
+    if (req.body.issuerPubKey && req.body.issuerPubKey !== issuerPubKey) {
+      return res.status(403).json({ error: 'Unauthorized issuer' });
+    }
+
+    if (!requestId) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    const request = kycRequests.get(requestId);
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({ error: 'reason must be a string' });
+    }
+
+    const request = await storage.getRequest(requestId);
     if (!request) {
       return res.status(404).json({ error: 'Request not found' });
     }
@@ -220,11 +506,16 @@ app.post('/api/reject-kyc', (req, res) => {
       return res.status(403).json({ error: 'Unauthorized issuer' });
     }
 
+    if (request.status !== 'pending') {
+      return res.status(409).json({ error: `Only pending requests can be rejected (status: ${request.status})` });
+    }
+
     // Update request status
-    request.status = 'rejected';
-    request.rejectedAt = new Date().toISOString();
-    request.rejectionReason = reason;
-    kycRequests.set(requestId, request);
+    await storage.updateRequest(requestId, {
+      status: 'rejected',
+      rejectedAt: new Date().toISOString(),
+      rejectionReason: reason
+    });
 
     console.log(`[KYC Rejected] ${requestId} for user ${request.userId}`);
 
@@ -237,82 +528,274 @@ app.post('/api/reject-kyc', (req, res) => {
   }
 });
 
-// GET /api/credential/:userId - User retrieves their credential
-app.get('/api/credential/:userId', (req, res) => {
+// POST /api/revoke-kyc - Issuer records that an approved user's ring keys were revoked on-chain
+app.post('/api/revoke-kyc', requireRole(ROLES.ISSUER), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const credentialData = issuedCredentials.get(userId);
+    const { requestId, reason } = req.body;
+    const issuerPubKey = req.session.sub;
+
+    if (!requestId || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'Missing required fields: requestId and reason' });
+    }
+
+    const request = await storage.getRequest(requestId);
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    if (request.issuerPubKey !== issuerPubKey) {
+      return res.status(403).json({ error: 'Unauthorized issuer' });
+    }
+
+    if (request.status !== 'approved') {
+      return res.status(409).json({ error: `Only approved requests can be revoked (status: ${request.status})` });
+    }
+
+    await storage.updateRequest(requestId, {
+      status: 'revoked',
+      revokedAt: new Date().toISOString(),
+      revocationReason: reason.trim()
+    });
+
+    console.log(`[KYC Revoked] ${requestId} for user ${request.userId}`);
+
+    res.json({
+      success: true,
+      message: 'KYC approval revoked'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/credential/:requestId - User retrieves their credential (applicant token from request-kyc)
+app.get('/api/credential/:requestId', requireRole(ROLES.APPLICANT), async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    if (requestId !== req.session.sub) {
+      return res.status(403).json({ error: 'Unauthorized applicant' });
+    }
+    const credentialData = await storage.getCredential(requestId);
 
     if (!credentialData) {
-      return res.status(404).json({ error: 'No credential found for this user' });
+      return res.status(404).json({ error: 'No credential found for this request' });
     }
 
-    // Return credential and then delete it (one-time retrieval)
+    // Kept until the applicant acknowledges it below, so a response lost in
+    // transit or a failed save can be retried; the retention purge removes
+    // whatever is never acknowledged
     res.json({
       success: true,
-      credential: credentialData.credential,
+      encryptedCredential: credentialData.credential,
+      requestId: credentialData.requestId,
       timestamp: credentialData.timestamp
     });
 
-    // Clean up after successful retrieval
-    issuedCredentials.delete(userId);
-    console.log(`[Credential Retrieved] User ${userId}`);
+    console.log(`[Credential Retrieved] Request ${requestId}`);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// POST /api/cleanup - Clean up old requests and credentials
-app.post('/api/cleanup', (req, res) => {
+// POST /api/credential/:requestId/ack - User confirms the credential is saved, so it can be deleted
+app.post('/api/credential/:requestId/ack', requireRole(ROLES.APPLICANT), async (req, res) => {
   try {
-    const { maxAgeHours = 24 } = req.body;
-    const cutoffTime = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
+    const { requestId } = req.params;
+
+    if (requestId !== req.session.sub) {
+      return res.status(403).json({ error: 'Unauthorized applicant' });
+    }
+
+    // Deleting is idempotent, so a retried acknowledgement succeeds too
+    await storage.deleteCredential(requestId);
+    console.log(`[Credential Acknowledged] Request ${requestId}`);
+
+    res.json({ success: true, message: 'Credential deleted from the server' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/proof-sessions - Open a challenge session for a verifier
+app.post('/api/proof-sessions', async (req, res) => {
+  try {
+    const { attribute, origin, issuerPubKey, ttlSeconds } = req.body;
+    // A set of attributes to prove together, or a single `attribute`
+    const attributes = req.body.attributes ?? (attribute ? [attribute] : null);
+
+    if (!isAttributeSet(attributes)) {
+      return res.status(400).json({ error: 'Invalid attributes. Expected 1-8 distinct attribute names.' });
+    }
+
+    const verifierOrigin = normalizeOrigin(origin);
+    if (!verifierOrigin) {
+      return res.status(400).json({ error: 'Invalid origin. Must be an http(s) URL.' });
+    }
 
-    let cleanedRequests = 0;
-    let cleanedCredentials = 0;
+    if (issuerPubKey && !(await storage.getIssuerByPublicKey(issuerPubKey))) {
+      return res.status(400).json({ error: 'Unknown issuer' });
+    }
 
-    // Clean old KYC requests
-    for (const [id, data] of kycRequests.entries()) {
-      if (new Date(data.timestamp) < cutoffTime) {
-        kycRequests.delete(id);
-        cleanedRequests++;
-      }
+    if (ttlSeconds !== undefined && !(Number.isInteger(ttlSeconds) && ttlSeconds > 0)) {
+      return res.status(400).json({ error: 'ttlSeconds must be a positive integer' });
     }
 
-    // Clean old credentials
-    for (const [userId, data] of issuedCredentials.entries()) {
-      if (new Date(data.timestamp) < cutoffTime) {
-        issuedCredentials.delete(userId);
-        cleanedCredentials++;
-      }
+    const session = newProofSession({
+      sessionId: uuidv4(),
+      attributes,
+      origin: verifierOrigin,
+      issuerPubKey: issuerPubKey || null,
+      ttlSeconds
+    });
+    await storage.addProofSession(session);
+
+    console.log(`[Proof Session] ${session.sessionId} for ${attributes.join(', ')} by ${verifierOrigin}`);
+
+    res.json({ success: true, ...proofSessionView(session) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/proof-sessions/:sessionId - Get a session's challenge and, once answered, its result
+app.get('/api/proof-sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await storage.getProofSession(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Proof session not found' });
     }
 
-    console.log(`[Cleanup] Removed ${cleanedRequests} requests and ${cleanedCredentials} credentials`);
+    res.json(proofSessionView(session));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/proof-sessions/:sessionId/events - Stream a session's updates (server-sent events) until it is final
+app.get('/api/proof-sessions/:sessionId/events', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await storage.getProofSession(sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Proof session not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    let unsubscribe = () => {};
+    let expiryTimer = null;
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), EVENT_STREAM_KEEPALIVE_MS);
+
+    const close = () => {
+      unsubscribe();
+      clearTimeout(expiryTimer);
+      clearInterval(keepAlive);
+      if (!res.writableEnded) res.end();
+    };
+
+    const send = (current) => {
+      const view = proofSessionView(current);
+      res.write(`data: ${JSON.stringify(view)}\n\n`);
+      if (FINAL_PROOF_STATUSES.includes(view.status)) close();
+    };
+
+    req.on('close', close);
+    unsubscribe = subscribeProofSession(sessionId, send);
+    send(session);
+
+    // Nobody writes to a session that simply runs out, so report the expiry ourselves
+    if (!res.writableEnded) {
+      expiryTimer = setTimeout(async () => {
+        try {
+          const current = await storage.getProofSession(sessionId);
+          if (current) send(current);
+        } catch (error) {
+          console.error(`[Proof Session] ${sessionId} expiry check failed:`, error.message);
+        }
+      }, new Date(session.expiresAt) - Date.now() + 100);
+    }
+  } catch (error) {
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// POST /api/proof-sessions/:sessionId/proof - Answer a session with one ring signature per attribute over its message
+app.post('/api/proof-sessions/:sessionId/proof', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { issuerPubKey, signature } = req.body;
+    // One signature per requested attribute, in order; a lone `signature` answers a single-attribute session
+    const signatures = req.body.signatures ?? (signature ? [signature] : null);
+
+    if (!issuerPubKey || !Array.isArray(signatures) || !signatures.every(isRingSignature)) {
+      return res.status(400).json({ error: 'Missing required fields: issuerPubKey and signatures' });
+    }
+
+    const outcome = await answerProofSession(storage, sessionId, { issuerPubKey, signatures });
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.json({ success: true, ...proofSessionView(outcome.session) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/cleanup - Clean up old requests and credentials (admin only)
+app.post('/api/cleanup', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { maxAgeHours = 24 } = req.body;
+
+    if (typeof maxAgeHours !== 'number' || !Number.isFinite(maxAgeHours) || maxAgeHours <= 0) {
+      return res.status(400).json({ error: 'maxAgeHours must be a positive number' });
+    }
+
+    const cutoffTime = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
+
+    // Clean old KYC requests, credentials and proof sessions
+    const cleanedRequests = await storage.deleteRequestsOlderThan(cutoffTime);
+    const cleanedCredentials = await storage.deleteCredentialsOlderThan(cutoffTime);
+    const cleanedProofSessions = await storage.deleteProofSessionsOlderThan(cutoffTime);
+
+    console.log(`[Cleanup] Removed ${cleanedRequests} requests, ${cleanedCredentials} credentials and ${cleanedProofSessions} proof sessions`);
 
     res.json({
       success: true,
       cleanedRequests,
-      cleanedCredentials
+      cleanedCredentials,
+      cleanedProofSessions
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/stats - Get system statistics
-app.get('/api/stats', (req, res) => {
+// GET /api/stats - Get system statistics (admin only)
+app.get('/api/stats', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    const pending = Array.from(kycRequests.values()).filter(r => r.status === 'pending').length;
-    const approved = Array.from(kycRequests.values()).filter(r => r.status === 'approved').length;
-    const rejected = Array.from(kycRequests.values()).filter(r => r.status === 'rejected').length;
+    const counts = await storage.countRequestsByStatus();
 
     res.json({
-      totalIssuers: registeredIssuers.size,
-      totalRequests: kycRequests.size,
-      pendingRequests: pending,
-      approvedRequests: approved,
-      rejectedRequests: rejected,
-      pendingCredentials: issuedCredentials.size
+      totalIssuers: await storage.countIssuers(),
+      totalRequests: counts.total,
+      pendingRequests: counts.pending,
+      approvedRequests: counts.approved,
+      rejectedRequests: counts.rejected,
+      revokedRequests: counts.revoked,
+      pendingCredentials: await storage.countCredentials()
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -326,6 +809,9 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
+await sealLegacyPii();
+startPiiRetention(storage);
+
 app.listen(PORT, () => {
   console.log(`\n🚀 Selective Disclosure KYC Backend`);
   console.log(`📡 Server running on http://localhost:${PORT}`);
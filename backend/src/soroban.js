@@ -0,0 +1,37 @@
+// Read-only calls into the deployed contract
+//
+// Reads go through `simulateTransaction`, so they need no funded account,
+// no signature and no fee. The source account only has to be well-formed.
+
+import { Account, BASE_FEE, Contract, SorobanRpc, TransactionBuilder } from '@stellar/stellar-sdk';
+import { NETWORK_PASSPHRASE } from './auth/stellar.js';
+
+const RPC_URL = process.env.SOROBAN_RPC_URL || 'https://soroban-testnet.stellar.org';
+
+// Any valid account works as the source of a simulation
+const SIMULATION_ACCOUNT = 'GAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAWHF';
+
+/**
+ * Simulate a contract call and return its result
+ * @param {string} contractId - Contract address (C...)
+ * @param {string} method - Contract function name
+ * @param {import('@stellar/stellar-sdk').xdr.ScVal[]} [args]
+ * @returns {Promise<import('@stellar/stellar-sdk').xdr.ScVal>} Return value
+ */
+export async function simulateContractCall(contractId, method, args = []) {
+  const server = new SorobanRpc.Server(RPC_URL, { allowHttp: RPC_URL.startsWith('http://') });
+  const transaction = new TransactionBuilder(new Account(SIMULATION_ACCOUNT, '0'), {
+    fee: BASE_FEE,
+    networkPassphrase: NETWORK_PASSPHRASE
+  })
+    .addOperation(new Contract(contractId).call(method, ...args))
+    .setTimeout(30)
+    .build();
+
+  const response = await server.simulateTransaction(transaction);
+  if (!SorobanRpc.Api.isSimulationSuccess(response)) {
+    throw new Error(`${method} simulation failed: ${response.error || 'unknown error'}`);
+  }
+
+  return response.result.retval;
+}
@@ -0,0 +1,41 @@
+// Pluggable storage layer for the backend
+//
+// Every store exposes the same async interface:
+//
+//   Issuers:      listIssuers, getIssuerByPublicKey, addIssuer, countIssuers
+//   KYC requests: addRequest, getRequest, listRequests, updateRequest,
+//                 deleteRequestsOlderThan, countRequestsByStatus
+//   Sealed PII:   putRequestPii, getRequestPii, listLegacyPii, purgeRequestPii
+//   Credentials:  putCredential, getCredential, deleteCredential,
+//                 deleteCredentialsOlderThan, countCredentials
+//   Proofs:       addProofSession, getProofSession, claimProofSession,
+//                 updateProofSession, deleteProofSessionsOlderThan
+//   Lifecycle:    close
+//
+// The driver is picked with STORAGE_DRIVER ('sqlite' by default, or 'memory').
+
+import { createMemoryStorage } from './memory.js';
+import { createSqliteStorage } from './sqlite.js';
+
+export { createMemoryStorage, createSqliteStorage };
+
+/**
+ * Create the configured store
+ * @param {Object} [options]
+ * @param {string} [options.driver] - 'sqlite' or 'memory'
+ * @param {string} [options.filename] - SQLite database file
+ * @returns {Object} Store instance
+ */
+export function createStorage({
+  driver = process.env.STORAGE_DRIVER || 'sqlite',
+  filename = process.env.DATABASE_PATH || './data/kyc.db'
+} = {}) {
+  switch (driver) {
+    case 'sqlite':
+      return createSqliteStorage({ filename });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
@@ -0,0 +1,199 @@
+// In-memory storage backend
+//
+// Keeps everything in Maps, exactly like the original server did. Data is
+// lost on restart, so this is only meant for tests and throwaway demos.
+
+/**
+ * Create an in-memory store
+ * @returns {Object} Store implementing the storage interface (see ./index.js)
+ */
+export function createMemoryStorage() {
+  // Structure: { requestId: { userId, issuerPubKey, attributes, deliveryPublicKey, status, timestamp } }
+  const kycRequests = new Map();
+
+  // Structure: { requestId: sealedPii }
+  const requestPii = new Map();
+
+  // Structure: { requestId: { credential, timestamp } }
+  const issuedCredentials = new Map();
+
+  // Structure: { issuerId: { name, publicKey, stellarAddress, timestamp } }
+  const registeredIssuers = new Map();
+
+  // Structure: { sessionId: { nonce, attributes, issuerPubKey, origin, message, status, result, createdAt, expiresAt, completedAt } }
+  const proofSessions = new Map();
+
+  return {
+    driver: 'memory',
+
+    // Issuers
+
+    async listIssuers() {
+      return Array.from(registeredIssuers.entries()).map(([id, data]) => ({ id, ...data }));
+    },
+
+    async getIssuerByPublicKey(publicKey) {
+      for (const [id, data] of registeredIssuers.entries()) {
+        if (data.publicKey === publicKey) return { id, ...data };
+      }
+      return null;
+    },
+
+    async addIssuer({ id, name, publicKey, stellarAddress = null, timestamp }) {
+      registeredIssuers.set(id, { name, publicKey, stellarAddress, timestamp });
+    },
+
+    async countIssuers() {
+      return registeredIssuers.size;
+    },
+
+    // KYC requests
+
+    async addRequest({ requestId, ...data }) {
+      kycRequests.set(requestId, { ...data });
+    },
+
+    async getRequest(requestId) {
+      const request = kycRequests.get(requestId);
+      return request ? { requestId, ...request } : null;
+    },
+
+    async listRequests({ issuerPubKey, status } = {}) {
+      return Array.from(kycRequests.entries())
+        .map(([id, data]) => ({ requestId: id, ...data }))
+        .filter(r => !issuerPubKey || r.issuerPubKey === issuerPubKey)
+        .filter(r => !status || r.status === status);
+    },
+
+    async updateRequest(requestId, changes) {
+      const request = kycRequests.get(requestId);
+      if (!request) return null;
+      const updated = { ...request, ...changes };
+      kycRequests.set(requestId, updated);
+      return { requestId, ...updated };
+    },
+
+    async deleteRequestsOlderThan(cutoff) {
+      let removed = 0;
+      for (const [id, data] of kycRequests.entries()) {
+        if (new Date(data.timestamp) < cutoff) {
+          kycRequests.delete(id);
+          requestPii.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async countRequestsByStatus() {
+      const counts = { total: kycRequests.size, pending: 0, approved: 0, rejected: 0, revoked: 0 };
+      for (const data of kycRequests.values()) {
+        if (data.status in counts) counts[data.status]++;
+      }
+      return counts;
+    },
+
+    // Sealed PII, kept apart from request metadata
+
+    async putRequestPii(requestId, sealed) {
+      requestPii.set(requestId, sealed);
+    },
+
+    async getRequestPii(requestId) {
+      return requestPii.get(requestId) || null;
+    },
+
+    async listLegacyPii() {
+      // Nothing was ever stored unencrypted in memory
+      return [];
+    },
+
+    async purgeRequestPii(cutoff) {
+      const purgedAt = new Date().toISOString();
+      let purged = 0;
+      for (const [id, data] of kycRequests.entries()) {
+        const decidedAt = data.status === 'approved' || data.status === 'revoked' ? data.approvedAt
+          : data.status === 'rejected' ? data.rejectedAt
+          : null;
+        if (decidedAt && !data.piiPurgedAt && new Date(decidedAt) < cutoff) {
+          requestPii.delete(id);
+          kycRequests.set(id, { ...data, piiPurgedAt: purgedAt });
+          purged++;
+        }
+      }
+      return purged;
+    },
+
+    // Issued credentials awaiting pickup
+
+    async putCredential(requestId, { credential, timestamp }) {
+      issuedCredentials.set(requestId, { credential, timestamp });
+    },
+
+    async getCredential(requestId) {
+      const data = issuedCredentials.get(requestId);
+      return data ? { ...data, requestId } : null;
+    },
+
+    async deleteCredential(requestId) {
+      issuedCredentials.delete(requestId);
+    },
+
+    async deleteCredentialsOlderThan(cutoff) {
+      let removed = 0;
+      for (const [requestId, data] of issuedCredentials.entries()) {
+        if (new Date(data.timestamp) < cutoff) {
+          issuedCredentials.delete(requestId);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async countCredentials() {
+      return issuedCredentials.size;
+    },
+
+    // Verifier proof sessions
+
+    async addProofSession({ sessionId, ...data }) {
+      for (const session of proofSessions.values()) {
+        if (session.nonce === data.nonce) throw new Error('Duplicate proof session nonce');
+      }
+      proofSessions.set(sessionId, { result: null, completedAt: null, ...data });
+    },
+
+    async getProofSession(sessionId) {
+      const session = proofSessions.get(sessionId);
+      return session ? { sessionId, ...session } : null;
+    },
+
+    async claimProofSession(sessionId, now) {
+      const session = proofSessions.get(sessionId);
+      if (!session || session.status !== 'pending' || new Date(session.expiresAt) <= now) return null;
+      proofSessions.set(sessionId, { ...session, status: 'verifying' });
+      return { sessionId, ...session, status: 'verifying' };
+    },
+
+    async updateProofSession(sessionId, changes) {
+      const session = proofSessions.get(sessionId);
+      if (!session) return null;
+      const updated = { ...session, ...changes };
+      proofSessions.set(sessionId, updated);
+      return { sessionId, ...updated };
+    },
+
+    async deleteProofSessionsOlderThan(cutoff) {
+      let removed = 0;
+      for (const [id, session] of proofSessions.entries()) {
+        if (new Date(session.createdAt) < cutoff) {
+          proofSessions.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async close() {}
+  };
+}
@@ -0,0 +1,197 @@
+// Schema migrations for the SQLite storage backend
+//
+// Each migration runs once, in order, inside a transaction. The applied
+// version is tracked with SQLite's user_version pragma. Never edit a
+// migration that has shipped - append a new one instead.
+
+export const migrations = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: `
+      CREATE TABLE issuers (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        public_key TEXT NOT NULL UNIQUE,
+        timestamp TEXT NOT NULL
+      );
+
+      CREATE TABLE kyc_requests (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        issuer_pub_key TEXT NOT NULL,
+        attributes TEXT NOT NULL,
+        user_data TEXT NOT NULL,
+        document_photo TEXT,
+        status TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        approved_at TEXT,
+        rejected_at TEXT,
+        rejection_reason TEXT
+      );
+      CREATE INDEX idx_kyc_requests_issuer_status ON kyc_requests (issuer_pub_key, status);
+
+      CREATE TABLE issued_credentials (
+        user_id TEXT PRIMARY KEY,
+        credential TEXT NOT NULL,
+        request_id TEXT NOT NULL,
+        timestamp TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'issuer_stellar_address',
+    up: `
+      ALTER TABLE issuers ADD COLUMN stellar_address TEXT;
+    `
+  },
+  {
+    // Moves userData and document photos out of kyc_requests into their own
+    // table. Existing rows are copied as legacy plaintext and sealed by the
+    // server on its next startup (see sealLegacyPii in server.js).
+    version: 3,
+    name: 'separate_encrypted_pii',
+    up: `
+      CREATE TABLE kyc_requests_new (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        issuer_pub_key TEXT NOT NULL,
+        attributes TEXT NOT NULL,
+        status TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        approved_at TEXT,
+        rejected_at TEXT,
+        rejection_reason TEXT,
+        pii_purged_at TEXT
+      );
+      INSERT INTO kyc_requests_new (id, user_id, issuer_pub_key, attributes, status, timestamp, approved_at, rejected_at, rejection_reason)
+        SELECT id, user_id, issuer_pub_key, attributes, status, timestamp, approved_at, rejected_at, rejection_reason
+        FROM kyc_requests;
+
+      CREATE TEMP TABLE legacy_pii AS
+        SELECT id, json_object('userData', json(user_data), 'documentPhoto', document_photo) AS record, timestamp
+        FROM kyc_requests;
+
+      DROP TABLE kyc_requests;
+      ALTER TABLE kyc_requests_new RENAME TO kyc_requests;
+      CREATE INDEX idx_kyc_requests_issuer_status ON kyc_requests (issuer_pub_key, status);
+
+      CREATE TABLE kyc_request_pii (
+        request_id TEXT PRIMARY KEY REFERENCES kyc_requests (id) ON DELETE CASCADE,
+        sealed TEXT,
+        legacy_plaintext TEXT,
+        created_at TEXT NOT NULL
+      );
+      INSERT INTO kyc_request_pii (request_id, legacy_plaintext, created_at)
+        SELECT id, record, timestamp FROM legacy_pii;
+      DROP TABLE legacy_pii;
+    `
+  },
+  {
+    // Applicant's ephemeral public key; issuers encrypt the credential to it
+    version: 4,
+    name: 'request_delivery_public_key',
+    up: `
+      ALTER TABLE kyc_requests ADD COLUMN delivery_public_key TEXT;
+    `
+  },
+  {
+    // Ring member keys issued per attribute (so they can be revoked later) and the revocation record
+    version: 5,
+    name: 'request_ring_members_and_revocation',
+    up: `
+      ALTER TABLE kyc_requests ADD COLUMN ring_member_keys TEXT;
+      ALTER TABLE kyc_requests ADD COLUMN revoked_at TEXT;
+      ALTER TABLE kyc_requests ADD COLUMN revocation_reason TEXT;
+    `
+  },
+  {
+    // Verifier challenge sessions; the UNIQUE nonce means a proof can only ever answer one of them
+    version: 6,
+    name: 'proof_sessions',
+    up: `
+      CREATE TABLE proof_sessions (
+        id TEXT PRIMARY KEY,
+        nonce TEXT NOT NULL UNIQUE,
+        attribute TEXT NOT NULL,
+        issuer_pub_key TEXT,
+        origin TEXT NOT NULL,
+        message TEXT NOT NULL,
+        status TEXT NOT NULL,
+        result TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        completed_at TEXT
+      );
+      CREATE INDEX idx_proof_sessions_created_at ON proof_sessions (created_at);
+    `
+  },
+  {
+    // A session asks for a set of attributes, proven together over one message
+    version: 7,
+    name: 'proof_session_attribute_sets',
+    up: `
+      CREATE TABLE proof_sessions_new (
+        id TEXT PRIMARY KEY,
+        nonce TEXT NOT NULL UNIQUE,
+        attributes TEXT NOT NULL,
+        issuer_pub_key TEXT,
+        origin TEXT NOT NULL,
+        message TEXT NOT NULL,
+        status TEXT NOT NULL,
+        result TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        completed_at TEXT
+      );
+      INSERT INTO proof_sessions_new
+        SELECT id, nonce, json_array(attribute), issuer_pub_key, origin, message, status, result,
+               created_at, expires_at, completed_at
+        FROM proof_sessions;
+
+      DROP TABLE proof_sessions;
+      ALTER TABLE proof_sessions_new RENAME TO proof_sessions;
+      CREATE INDEX idx_proof_sessions_created_at ON proof_sessions (created_at);
+    `
+  },
+  {
+    // Credentials are collected per request: the client-chosen userId can't be trusted to identify anyone
+    version: 8,
+    name: 'credentials_by_request',
+    up: `
+      CREATE TABLE issued_credentials_new (
+        request_id TEXT PRIMARY KEY,
+        credential TEXT NOT NULL,
+        timestamp TEXT NOT NULL
+      );
+      INSERT OR REPLACE INTO issued_credentials_new (request_id, credential, timestamp)
+        SELECT request_id, credential, timestamp FROM issued_credentials;
+
+      DROP TABLE issued_credentials;
+      ALTER TABLE issued_credentials_new RENAME TO issued_credentials;
+    `
+  }
+];
+
+/**
+ * Apply any pending migrations to a better-sqlite3 database
+ * @param {import('better-sqlite3').Database} db
+ * @returns {number} The schema version after migrating
+ */
+export function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+
+  for (const migration of migrations) {
+    if (migration.version <= current) continue;
+
+    db.transaction(() => {
+      db.exec(migration.up);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+
+    console.log(`[Storage] Applied migration ${migration.version} (${migration.name})`);
+  }
+
+  return db.pragma('user_version', { simple: true });
+}
@@ -0,0 +1,351 @@
+// SQLite storage backend (default)
+//
+// Persists KYC requests, issuers and undelivered credentials to a single
+// database file so they survive restarts and deploys.
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { migrate } from './migrations.js';
+
+function rowToIssuer(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    publicKey: row.public_key,
+    stellarAddress: row.stellar_address,
+    timestamp: row.timestamp
+  };
+}
+
+function rowToRequest(row) {
+  const request = {
+    requestId: row.id,
+    userId: row.user_id,
+    issuerPubKey: row.issuer_pub_key,
+    attributes: JSON.parse(row.attributes),
+    deliveryPublicKey: row.delivery_public_key,
+    status: row.status,
+    timestamp: row.timestamp
+  };
+
+  // Only include lifecycle fields once they are set, matching the in-memory shape
+  if (row.approved_at) request.approvedAt = row.approved_at;
+  if (row.rejected_at) request.rejectedAt = row.rejected_at;
+  if (row.rejection_reason !== null) request.rejectionReason = row.rejection_reason;
+  if (row.pii_purged_at) request.piiPurgedAt = row.pii_purged_at;
+  if (row.ring_member_keys) request.ringMemberKeys = JSON.parse(row.ring_member_keys);
+  if (row.revoked_at) request.revokedAt = row.revoked_at;
+  if (row.revocation_reason !== null) request.revocationReason = row.revocation_reason;
+
+  return request;
+}
+
+function rowToProofSession(row) {
+  return {
+    sessionId: row.id,
+    nonce: row.nonce,
+    attributes: JSON.parse(row.attributes),
+    issuerPubKey: row.issuer_pub_key,
+    origin: row.origin,
+    message: row.message,
+    status: row.status,
+    result: row.result ? JSON.parse(row.result) : null,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    completedAt: row.completed_at
+  };
+}
+
+// Proof session fields that can change after creation
+const PROOF_SESSION_COLUMNS = {
+  status: 'status',
+  result: 'result',
+  completedAt: 'completed_at'
+};
+
+// Maps request fields to their column names for partial updates
+const REQUEST_COLUMNS = {
+  userId: 'user_id',
+  issuerPubKey: 'issuer_pub_key',
+  attributes: 'attributes',
+  deliveryPublicKey: 'delivery_public_key',
+  status: 'status',
+  timestamp: 'timestamp',
+  approvedAt: 'approved_at',
+  rejectedAt: 'rejected_at',
+  rejectionReason: 'rejection_reason',
+  piiPurgedAt: 'pii_purged_at',
+  ringMemberKeys: 'ring_member_keys',
+  revokedAt: 'revoked_at',
+  revocationReason: 'revocation_reason'
+};
+
+const JSON_COLUMNS = new Set(['attributes', 'ring_member_keys']);
+
+/**
+ * Create a SQLite-backed store
+ * @param {Object} options
+ * @param {string} options.filename - Database file path, or ':memory:'
+ * @returns {Object} Store implementing the storage interface (see ./index.js)
+ */
+export function createSqliteStorage({ filename }) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  const version = migrate(db);
+  console.log(`[Storage] SQLite database ${filename} at schema version ${version}`);
+
+  const statements = {
+    listIssuers: db.prepare('SELECT * FROM issuers ORDER BY timestamp'),
+    getIssuerByPublicKey: db.prepare('SELECT * FROM issuers WHERE public_key = ?'),
+    addIssuer: db.prepare(
+      `INSERT INTO issuers (id, name, public_key, stellar_address, timestamp)
+       VALUES (@id, @name, @publicKey, @stellarAddress, @timestamp)`
+    ),
+    countIssuers: db.prepare('SELECT COUNT(*) AS count FROM issuers'),
+
+    addRequest: db.prepare(`
+      INSERT INTO kyc_requests (id, user_id, issuer_pub_key, attributes, delivery_public_key, status, timestamp)
+      VALUES (@requestId, @userId, @issuerPubKey, @attributes, @deliveryPublicKey, @status, @timestamp)
+    `),
+    getRequest: db.prepare('SELECT * FROM kyc_requests WHERE id = ?'),
+    listRequests: db.prepare(`
+      SELECT * FROM kyc_requests
+      WHERE (@issuerPubKey IS NULL OR issuer_pub_key = @issuerPubKey)
+        AND (@status IS NULL OR status = @status)
+      ORDER BY timestamp
+    `),
+    deleteRequestsOlderThan: db.prepare('DELETE FROM kyc_requests WHERE timestamp < ?'),
+    countRequestsByStatus: db.prepare('SELECT status, COUNT(*) AS count FROM kyc_requests GROUP BY status'),
+
+    putRequestPii: db.prepare(`
+      INSERT INTO kyc_request_pii (request_id, sealed, created_at)
+      VALUES (@requestId, @sealed, @createdAt)
+      ON CONFLICT (request_id) DO UPDATE SET sealed = excluded.sealed, legacy_plaintext = NULL
+    `),
+    getRequestPii: db.prepare('SELECT sealed FROM kyc_request_pii WHERE request_id = ? AND sealed IS NOT NULL'),
+    listLegacyPii: db.prepare('SELECT request_id, legacy_plaintext FROM kyc_request_pii WHERE legacy_plaintext IS NOT NULL'),
+    decidedBefore: db.prepare(`
+      SELECT id FROM kyc_requests
+      WHERE pii_purged_at IS NULL
+        AND ((status IN ('approved', 'revoked') AND approved_at < @cutoff) OR (status = 'rejected' AND rejected_at < @cutoff))
+    `),
+    deleteRequestPii: db.prepare('DELETE FROM kyc_request_pii WHERE request_id = ?'),
+    markPiiPurged: db.prepare('UPDATE kyc_requests SET pii_purged_at = ? WHERE id = ?'),
+
+    putCredential: db.prepare(`
+      INSERT INTO issued_credentials (request_id, credential, timestamp)
+      VALUES (@requestId, @credential, @timestamp)
+      ON CONFLICT (request_id) DO UPDATE SET
+        credential = excluded.credential,
+        timestamp = excluded.timestamp
+    `),
+    getCredential: db.prepare('SELECT * FROM issued_credentials WHERE request_id = ?'),
+    deleteCredential: db.prepare('DELETE FROM issued_credentials WHERE request_id = ?'),
+    deleteCredentialsOlderThan: db.prepare('DELETE FROM issued_credentials WHERE timestamp < ?'),
+    countCredentials: db.prepare('SELECT COUNT(*) AS count FROM issued_credentials'),
+
+    addProofSession: db.prepare(`
+      INSERT INTO proof_sessions (id, nonce, attributes, issuer_pub_key, origin, message, status, created_at, expires_at)
+      VALUES (@sessionId, @nonce, @attributes, @issuerPubKey, @origin, @message, @status, @createdAt, @expiresAt)
+    `),
+    getProofSession: db.prepare('SELECT * FROM proof_sessions WHERE id = ?'),
+    // A single conditional UPDATE, so two submissions racing for one session can't both win
+    claimProofSession: db.prepare(`
+      UPDATE proof_sessions SET status = 'verifying'
+      WHERE id = @sessionId AND status = 'pending' AND expires_at > @now
+    `),
+    deleteProofSessionsOlderThan: db.prepare('DELETE FROM proof_sessions WHERE created_at < ?')
+  };
+
+  return {
+    driver: 'sqlite',
+    db,
+
+    // Issuers
+
+    async listIssuers() {
+      return statements.listIssuers.all().map(rowToIssuer);
+    },
+
+    async getIssuerByPublicKey(publicKey) {
+      const row = statements.getIssuerByPublicKey.get(publicKey);
+      return row ? rowToIssuer(row) : null;
+    },
+
+    async addIssuer(issuer) {
+      statements.addIssuer.run({ stellarAddress: null, ...issuer });
+    },
+
+    async countIssuers() {
+      return statements.countIssuers.get().count;
+    },
+
+    // KYC requests
+
+    async addRequest(request) {
+      statements.addRequest.run({
+        ...request,
+        attributes: JSON.stringify(request.attributes)
+      });
+    },
+
+    async getRequest(requestId) {
+      const row = statements.getRequest.get(requestId);
+      return row ? rowToRequest(row) : null;
+    },
+
+    async listRequests({ issuerPubKey, status } = {}) {
+      return statements.listRequests
+        .all({ issuerPubKey: issuerPubKey || null, status: status || null })
+        .map(rowToRequest);
+    },
+
+    async updateRequest(requestId, changes) {
+      const assignments = [];
+      const params = { requestId };
+
+      for (const [field, value] of Object.entries(changes)) {
+        const column = REQUEST_COLUMNS[field];
+        if (!column) throw new Error(`Unknown request field: ${field}`);
+        assignments.push(`${column} = @${field}`);
+        params[field] = JSON_COLUMNS.has(column) ? JSON.stringify(value) : (value ?? null);
+      }
+
+      if (assignments.length > 0) {
+        db.prepare(`UPDATE kyc_requests SET ${assignments.join(', ')} WHERE id = @requestId`).run(params);
+      }
+
+      return this.getRequest(requestId);
+    },
+
+    async deleteRequestsOlderThan(cutoff) {
+      return statements.deleteRequestsOlderThan.run(cutoff.toISOString()).changes;
+    },
+
+    async countRequestsByStatus() {
+      const counts = { total: 0, pending: 0, approved: 0, rejected: 0, revoked: 0 };
+      for (const { status, count } of statements.countRequestsByStatus.all()) {
+        counts.total += count;
+        if (status in counts) counts[status] = count;
+      }
+      return counts;
+    },
+
+    // Sealed PII, kept apart from request metadata
+
+    async putRequestPii(requestId, sealed) {
+      statements.putRequestPii.run({ requestId, sealed, createdAt: new Date().toISOString() });
+    },
+
+    async getRequestPii(requestId) {
+      const row = statements.getRequestPii.get(requestId);
+      return row ? row.sealed : null;
+    },
+
+    async listLegacyPii() {
+      return statements.listLegacyPii.all().map(row => ({
+        requestId: row.request_id,
+        record: JSON.parse(row.legacy_plaintext)
+      }));
+    },
+
+    async purgeRequestPii(cutoff) {
+      const purgedAt = new Date().toISOString();
+      const ids = statements.decidedBefore.all({ cutoff: cutoff.toISOString() }).map(row => row.id);
+
+      db.transaction(() => {
+        for (const id of ids) {
+          statements.deleteRequestPii.run(id);
+          statements.markPiiPurged.run(purgedAt, id);
+        }
+      })();
+
+      return ids.length;
+    },
+
+    // Issued credentials awaiting pickup
+
+    async putCredential(requestId, { credential, timestamp }) {
+      statements.putCredential.run({
+        requestId,
+        credential: JSON.stringify(credential),
+        timestamp
+      });
+    },
+
+    async getCredential(requestId) {
+      const row = statements.getCredential.get(requestId);
+      if (!row) return null;
+      return {
+        credential: JSON.parse(row.credential),
+        requestId: row.request_id,
+        timestamp: row.timestamp
+      };
+    },
+
+    async deleteCredential(requestId) {
+      statements.deleteCredential.run(requestId);
+    },
+
+    async deleteCredentialsOlderThan(cutoff) {
+      return statements.deleteCredentialsOlderThan.run(cutoff.toISOString()).changes;
+    },
+
+    async countCredentials() {
+      return statements.countCredentials.get().count;
+    },
+
+    // Verifier proof sessions
+
+    async addProofSession(session) {
+      statements.addProofSession.run({
+        issuerPubKey: null,
+        ...session,
+        attributes: JSON.stringify(session.attributes)
+      });
+    },
+
+    async getProofSession(sessionId) {
+      const row = statements.getProofSession.get(sessionId);
+      return row ? rowToProofSession(row) : null;
+    },
+
+    async claimProofSession(sessionId, now) {
+      const { changes } = statements.claimProofSession.run({ sessionId, now: now.toISOString() });
+      return changes === 1 ? this.getProofSession(sessionId) : null;
+    },
+
+    async updateProofSession(sessionId, changes) {
+      const assignments = [];
+      const params = { sessionId };
+
+      for (const [field, value] of Object.entries(changes)) {
+        const column = PROOF_SESSION_COLUMNS[field];
+        if (!column) throw new Error(`Unknown proof session field: ${field}`);
+        assignments.push(`${column} = @${field}`);
+        params[field] = column === 'result' ? JSON.stringify(value) : (value ?? null);
+      }
+
+      if (assignments.length > 0) {
+        db.prepare(`UPDATE proof_sessions SET ${assignments.join(', ')} WHERE id = @sessionId`).run(params);
+      }
+
+      return this.getProofSession(sessionId);
+    },
+
+    async deleteProofSessionsOlderThan(cutoff) {
+      return statements.deleteProofSessionsOlderThan.run(cutoff.toISOString()).changes;
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
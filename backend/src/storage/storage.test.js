@@ -0,0 +1,288 @@
+// Both drivers run the same checks, since server.js can't tell them apart
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStorage, createSqliteStorage } from './index.js';
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = hours => new Date(Date.now() - hours * HOUR).toISOString();
+
+const drivers = {
+  memory: () => createMemoryStorage(),
+  sqlite: () => createSqliteStorage({ filename: ':memory:' })
+};
+
+function request(requestId, overrides = {}) {
+  return {
+    requestId,
+    userId: `user_${requestId}`,
+    issuerPubKey: 'aa'.repeat(96),
+    attributes: ['over_18'],
+    deliveryPublicKey: 'key',
+    status: 'pending',
+    timestamp: new Date().toISOString(),
+    ...overrides
+  };
+}
+
+function proofSession(sessionId, overrides = {}) {
+  return {
+    sessionId,
+    nonce: `nonce_${sessionId}`,
+    attributes: ['over_18'],
+    issuerPubKey: null,
+    origin: 'https://shop.example',
+    message: `message_${sessionId}`,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + HOUR).toISOString(),
+    ...overrides
+  };
+}
+
+for (const [driver, create] of Object.entries(drivers)) {
+  describe(`${driver} storage`, () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = create();
+    });
+
+    afterEach(async () => {
+      await storage.close();
+    });
+
+    describe('issuers', () => {
+      it('adds issuers and finds them by public key', async () => {
+        await storage.addIssuer({ id: 'issuer_1', name: 'Acme', publicKey: 'ab'.repeat(96), timestamp: hoursAgo(1) });
+        await storage.addIssuer({ id: 'issuer_2', name: 'Globex', publicKey: 'cd'.repeat(96), stellarAddress: 'GABC', timestamp: hoursAgo(0) });
+
+        assert.equal(await storage.countIssuers(), 2);
+        assert.deepEqual((await storage.listIssuers()).map(issuer => issuer.id), ['issuer_1', 'issuer_2']);
+
+        const issuer = await storage.getIssuerByPublicKey('cd'.repeat(96));
+        assert.equal(issuer.id, 'issuer_2');
+        assert.equal(issuer.name, 'Globex');
+        assert.equal(issuer.stellarAddress, 'GABC');
+        assert.equal((await storage.getIssuerByPublicKey('ab'.repeat(96))).stellarAddress, null);
+      });
+
+      it('returns null for an unknown public key', async () => {
+        assert.equal(await storage.getIssuerByPublicKey('ef'.repeat(96)), null);
+      });
+    });
+
+    describe('KYC requests', () => {
+      it('stores a request and reads it back', async () => {
+        await storage.addRequest(request('req_1', { attributes: ['over_18', 'resident_us'] }));
+
+        const stored = await storage.getRequest('req_1');
+        assert.equal(stored.requestId, 'req_1');
+        assert.equal(stored.userId, 'user_req_1');
+        assert.deepEqual(stored.attributes, ['over_18', 'resident_us']);
+        assert.equal(stored.deliveryPublicKey, 'key');
+        assert.equal(stored.status, 'pending');
+        assert.equal(await storage.getRequest('missing'), null);
+      });
+
+      it('filters the list by issuer and status', async () => {
+        await storage.addRequest(request('req_1'));
+        await storage.addRequest(request('req_2', { issuerPubKey: 'bb'.repeat(96) }));
+        await storage.addRequest(request('req_3', { status: 'approved' }));
+
+        const ids = requests => requests.map(r => r.requestId).sort();
+        assert.deepEqual(ids(await storage.listRequests()), ['req_1', 'req_2', 'req_3']);
+        assert.deepEqual(ids(await storage.listRequests({ issuerPubKey: 'aa'.repeat(96) })), ['req_1', 'req_3']);
+        assert.deepEqual(ids(await storage.listRequests({ status: 'pending' })), ['req_1', 'req_2']);
+        assert.deepEqual(ids(await storage.listRequests({ issuerPubKey: 'bb'.repeat(96), status: 'approved' })), []);
+      });
+
+      it('merges updates into the stored request', async () => {
+        await storage.addRequest(request('req_1'));
+        const approvedAt = new Date().toISOString();
+
+        const updated = await storage.updateRequest('req_1', {
+          status: 'approved',
+          approvedAt,
+          ringMemberKeys: { over_18: 'cc'.repeat(96) }
+        });
+
+        assert.equal(updated.status, 'approved');
+        assert.equal(updated.approvedAt, approvedAt);
+        assert.deepEqual(updated.ringMemberKeys, { over_18: 'cc'.repeat(96) });
+        assert.deepEqual(updated.attributes, ['over_18']);
+        assert.deepEqual(await storage.getRequest('req_1'), updated);
+        assert.equal(await storage.updateRequest('missing', { status: 'approved' }), null);
+      });
+
+      it('records a revocation', async () => {
+        await storage.addRequest(request('req_1', { status: 'approved' }));
+        const revokedAt = new Date().toISOString();
+
+        const revoked = await storage.updateRequest('req_1', { status: 'revoked', revokedAt, revocationReason: 'Document expired' });
+
+        assert.equal(revoked.status, 'revoked');
+        assert.equal(revoked.revokedAt, revokedAt);
+        assert.equal(revoked.revocationReason, 'Document expired');
+        assert.deepEqual(await storage.getRequest('req_1'), revoked);
+      });
+
+      it('counts requests by status', async () => {
+        await storage.addRequest(request('req_1'));
+        await storage.addRequest(request('req_2', { status: 'approved' }));
+        await storage.addRequest(request('req_3', { status: 'approved' }));
+        await storage.addRequest(request('req_4', { status: 'rejected' }));
+        await storage.addRequest(request('req_5', { status: 'revoked' }));
+
+        assert.deepEqual(await storage.countRequestsByStatus(), {
+          total: 5, pending: 1, approved: 2, rejected: 1, revoked: 1
+        });
+      });
+
+      it('deletes old requests along with their PII', async () => {
+        await storage.addRequest(request('old', { timestamp: hoursAgo(48) }));
+        await storage.addRequest(request('new'));
+        await storage.putRequestPii('old', 'sealed-old');
+        await storage.putRequestPii('new', 'sealed-new');
+
+        assert.equal(await storage.deleteRequestsOlderThan(new Date(Date.now() - 24 * HOUR)), 1);
+        assert.equal(await storage.getRequest('old'), null);
+        assert.equal(await storage.getRequestPii('old'), null);
+        assert.equal(await storage.getRequestPii('new'), 'sealed-new');
+      });
+    });
+
+    describe('sealed PII', () => {
+      it('replaces the sealed PII of a request', async () => {
+        await storage.addRequest(request('req_1'));
+        await storage.putRequestPii('req_1', 'first');
+        await storage.putRequestPii('req_1', 'second');
+
+        assert.equal(await storage.getRequestPii('req_1'), 'second');
+        assert.deepEqual(await storage.listLegacyPii(), []);
+      });
+
+      it('purges PII only for requests decided before the cutoff', async () => {
+        await storage.addRequest(request('approved_old', { status: 'approved' }));
+        await storage.updateRequest('approved_old', { approvedAt: hoursAgo(48) });
+        await storage.addRequest(request('rejected_old', { status: 'rejected' }));
+        await storage.updateRequest('rejected_old', { rejectedAt: hoursAgo(48) });
+        await storage.addRequest(request('revoked_old', { status: 'revoked' }));
+        await storage.updateRequest('revoked_old', { approvedAt: hoursAgo(48) });
+        await storage.addRequest(request('approved_new', { status: 'approved' }));
+        await storage.updateRequest('approved_new', { approvedAt: hoursAgo(1) });
+        await storage.addRequest(request('pending', { timestamp: hoursAgo(48) }));
+        for (const id of ['approved_old', 'rejected_old', 'revoked_old', 'approved_new', 'pending']) {
+          await storage.putRequestPii(id, `sealed-${id}`);
+        }
+
+        const cutoff = new Date(Date.now() - 24 * HOUR);
+        assert.equal(await storage.purgeRequestPii(cutoff), 3);
+        assert.equal(await storage.getRequestPii('approved_old'), null);
+        assert.equal(await storage.getRequestPii('rejected_old'), null);
+        assert.equal(await storage.getRequestPii('revoked_old'), null);
+        assert.equal(await storage.getRequestPii('approved_new'), 'sealed-approved_new');
+        assert.equal(await storage.getRequestPii('pending'), 'sealed-pending');
+        assert.ok((await storage.getRequest('approved_old')).piiPurgedAt);
+        assert.equal((await storage.getRequest('pending')).piiPurgedAt, undefined);
+
+        // Already purged requests aren't counted again
+        assert.equal(await storage.purgeRequestPii(cutoff), 0);
+      });
+    });
+
+    describe('issued credentials', () => {
+      it('keeps a credential under its request until it is deleted', async () => {
+        const credential = { issuer: 'aa'.repeat(96), user_keys: { over_18: '11'.repeat(32) } };
+        const timestamp = new Date().toISOString();
+        await storage.putCredential('req_1', { credential, timestamp });
+
+        assert.deepEqual(await storage.getCredential('req_1'), { credential, requestId: 'req_1', timestamp });
+        assert.equal(await storage.countCredentials(), 1);
+
+        await storage.deleteCredential('req_1');
+        assert.equal(await storage.getCredential('req_1'), null);
+
+        // Deleting twice is harmless, which the ack route relies on
+        await storage.deleteCredential('req_1');
+        assert.equal(await storage.countCredentials(), 0);
+      });
+
+      it('replaces the credential when a request is issued again', async () => {
+        await storage.putCredential('req_1', { credential: { version: 1 }, timestamp: hoursAgo(1) });
+        await storage.putCredential('req_1', { credential: { version: 2 }, timestamp: hoursAgo(0) });
+
+        assert.deepEqual((await storage.getCredential('req_1')).credential, { version: 2 });
+        assert.equal(await storage.countCredentials(), 1);
+      });
+
+      it('deletes uncollected credentials older than the cutoff', async () => {
+        await storage.putCredential('old', { credential: {}, timestamp: hoursAgo(48) });
+        await storage.putCredential('new', { credential: {}, timestamp: hoursAgo(1) });
+
+        assert.equal(await storage.deleteCredentialsOlderThan(new Date(Date.now() - 24 * HOUR)), 1);
+        assert.equal(await storage.getCredential('old'), null);
+        assert.ok(await storage.getCredential('new'));
+      });
+    });
+
+    describe('proof sessions', () => {
+      it('stores a session and reads it back', async () => {
+        await storage.addProofSession(proofSession('session_1', { attributes: ['over_18', 'resident_us'] }));
+
+        const session = await storage.getProofSession('session_1');
+        assert.equal(session.sessionId, 'session_1');
+        assert.deepEqual(session.attributes, ['over_18', 'resident_us']);
+        assert.equal(session.status, 'pending');
+        assert.equal(session.result, null);
+        assert.equal(session.completedAt, null);
+        assert.equal(await storage.getProofSession('missing'), null);
+      });
+
+      it('rejects a second session with the same nonce', async () => {
+        await storage.addProofSession(proofSession('session_1', { nonce: 'shared' }));
+        await assert.rejects(storage.addProofSession(proofSession('session_2', { nonce: 'shared' })));
+      });
+
+      it('lets a pending session be claimed only once', async () => {
+        await storage.addProofSession(proofSession('session_1'));
+
+        const claimed = await storage.claimProofSession('session_1', new Date());
+        assert.equal(claimed.status, 'verifying');
+        assert.equal(await storage.claimProofSession('session_1', new Date()), null);
+        assert.equal((await storage.getProofSession('session_1')).status, 'verifying');
+      });
+
+      it('does not claim an expired session', async () => {
+        await storage.addProofSession(proofSession('session_1', { expiresAt: hoursAgo(1) }));
+        assert.equal(await storage.claimProofSession('session_1', new Date()), null);
+        assert.equal((await storage.getProofSession('session_1')).status, 'pending');
+      });
+
+      it('records the outcome of a session', async () => {
+        await storage.addProofSession(proofSession('session_1'));
+        const completedAt = new Date().toISOString();
+
+        const updated = await storage.updateProofSession('session_1', {
+          status: 'verified',
+          result: { valid: true, rings: [{ attribute: 'over_18', ringSize: 4 }] },
+          completedAt
+        });
+
+        assert.equal(updated.status, 'verified');
+        assert.deepEqual(updated.result, { valid: true, rings: [{ attribute: 'over_18', ringSize: 4 }] });
+        assert.equal(updated.completedAt, completedAt);
+        assert.equal(await storage.updateProofSession('missing', { status: 'verified' }), null);
+      });
+
+      it('deletes sessions created before the cutoff', async () => {
+        await storage.addProofSession(proofSession('old', { createdAt: hoursAgo(48) }));
+        await storage.addProofSession(proofSession('new'));
+
+        assert.equal(await storage.deleteProofSessionsOlderThan(new Date(Date.now() - 24 * HOUR)), 1);
+        assert.equal(await storage.getProofSession('old'), null);
+        assert.ok(await storage.getProofSession('new'));
+      });
+    });
+  });
+}
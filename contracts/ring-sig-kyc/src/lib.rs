@@ -31,9 +31,11 @@ pub struct KeyRingResult {
 pub enum DataKey {
     Ring,
     LoginCount,
-    RingByAttribute(Symbol),
+    RingByAttribute(BytesN<96>, Symbol),
     Issuers,
     Admin,
+    RingVersion(BytesN<96>, Symbol),
+    IssuerAddress(BytesN<96>),
 }
 
 #[contract]
@@ -59,11 +61,15 @@ impl RingSigContract {
     }
 
     /// Register a new issuer (admin only)
-    pub fn register_issuer(env: Env, issuer_pub: BytesN<96>) {
+    /// `issuer_address` is the account that must authorize changes to this
+    /// issuer's rings. Registering an existing issuer again re-links its address.
+    pub fn register_issuer(env: Env, issuer_pub: BytesN<96>, issuer_address: Address) {
         let admin: Address = env.storage().instance().get(&DataKey::Admin)
             .expect("Contract not initialized");
         admin.require_auth();
 
+        env.storage().persistent().set(&DataKey::IssuerAddress(issuer_pub.clone()), &issuer_address);
+
         let mut issuers: Vec<BytesN<96>> = env.storage().persistent()
             .get(&DataKey::Issuers)
             .unwrap_or(Vec::new(&env));
@@ -86,24 +92,76 @@ impl RingSigContract {
             .unwrap_or(Vec::new(&env))
     }
 
-    /// Create or update a ring for a specific attribute
-    pub fn create_ring_for_attribute(
+    /// Get the address linked to a registered issuer
+    pub fn get_issuer_address(env: Env, issuer_pub: BytesN<96>) -> Option<Address> {
+        env.storage().persistent().get(&DataKey::IssuerAddress(issuer_pub))
+    }
+
+    /// Add members to the ring for an attribute, creating it if needed.
+    /// Existing members are never dropped, so credentials issued earlier stay
+    /// valid. New keys are inserted in sorted order, so a member's position says
+    /// nothing about when it joined. Keys already in the ring are skipped.
+    /// Returns the new ring version.
+    pub fn add_ring_members(
+        env: Env,
+        issuer_pub: BytesN<96>,
+        attribute: Symbol,
+        new_members: Vec<BytesN<96>>
+    ) -> u32 {
+        Self::require_issuer_auth(&env, &issuer_pub);
+
+        let key = DataKey::RingByAttribute(issuer_pub.clone(), attribute.clone());
+        let mut ring: Vec<BytesN<96>> = env.storage().persistent()
+            .get(&key)
+            .unwrap_or(Vec::new(&env));
+
+        for member in new_members.iter() {
+            if !ring.contains(&member) {
+                Self::insert_sorted(&mut ring, member);
+            }
+        }
+
+        env.storage().persistent().set(&key, &ring);
+        Self::bump_ring_version(&env, issuer_pub, attribute)
+    }
+
+    /// Revoke a member of an issuer's attribute ring.
+    /// The revoked key is swapped for `replacement`, a decoy nobody holds the
+    /// secret key for, so the ring keeps its size. Returns the new ring version.
+    pub fn revoke_ring_member(
         env: Env,
-        issuer: Address,
+        issuer_pub: BytesN<96>,
         attribute: Symbol,
-        users: Vec<BytesN<96>>
-    ) {
-        issuer.require_auth();
+        member: BytesN<96>,
+        replacement: BytesN<96>
+    ) -> u32 {
+        Self::require_issuer_auth(&env, &issuer_pub);
+
+        let key = DataKey::RingByAttribute(issuer_pub.clone(), attribute.clone());
+        let mut ring: Vec<BytesN<96>> = env.storage().persistent()
+            .get(&key)
+            .expect("Ring not found");
+
+        if ring.contains(&replacement) {
+            panic!("Replacement key already in ring");
+        }
+
+        let index = ring.first_index_of(&member).expect("Member not in ring");
+        ring.remove(index);
+        Self::insert_sorted(&mut ring, replacement);
 
-        // Verify issuer is registered (optional - could be enforced)
-        // For now, any authenticated address can create rings
+        env.storage().persistent().set(&key, &ring);
+        Self::bump_ring_version(&env, issuer_pub, attribute)
+    }
 
-        env.storage().persistent().set(&DataKey::RingByAttribute(attribute), &users);
+    /// Get an issuer's ring for a specific attribute
+    pub fn get_ring_for_attribute(env: Env, issuer_pub: BytesN<96>, attribute: Symbol) -> Option<Vec<BytesN<96>>> {
+        env.storage().persistent().get(&DataKey::RingByAttribute(issuer_pub, attribute))
     }
 
-    /// Get the ring for a specific attribute
-    pub fn get_ring_for_attribute(env: Env, attribute: Symbol) -> Option<Vec<BytesN<96>>> {
-        env.storage().persistent().get(&DataKey::RingByAttribute(attribute))
+    /// Get how many times an issuer's ring for an attribute has changed (0 if it doesn't exist)
+    pub fn get_ring_version(env: Env, issuer_pub: BytesN<96>, attribute: Symbol) -> u32 {
+        env.storage().persistent().get(&DataKey::RingVersion(issuer_pub, attribute)).unwrap_or(0)
     }
 
     /// Legacy init function for backwards compatibility
@@ -199,14 +257,15 @@ impl RingSigContract {
         }
     }
 
-    /// Verify a ring signature against a specific attribute ring
+    /// Verify a ring signature against an issuer's ring for an attribute
     pub fn verify_attribute(
         env: Env,
         msg: Bytes,
         sig: RingSignature,
+        issuer_pub: BytesN<96>,
         attribute: Symbol
     ) -> bool {
-        let ring: Vec<BytesN<96>> = match env.storage().persistent().get(&DataKey::RingByAttribute(attribute)) {
+        let ring: Vec<BytesN<96>> = match env.storage().persistent().get(&DataKey::RingByAttribute(issuer_pub, attribute)) {
             Some(r) => r,
             None => return false,
         };
@@ -214,6 +273,33 @@ impl RingSigContract {
         Self::verify_ring(env, msg, sig, ring)
     }
 
+    /// Verify one ring signature per attribute, all over the same message.
+    /// True only if every attribute verifies; counts as a single login.
+    pub fn verify_attributes(
+        env: Env,
+        msg: Bytes,
+        sigs: Vec<RingSignature>,
+        issuer_pub: BytesN<96>,
+        attributes: Vec<Symbol>
+    ) -> bool {
+        if attributes.is_empty() || attributes.len() != sigs.len() {
+            return false;
+        }
+
+        for (attribute, sig) in attributes.iter().zip(sigs.iter()) {
+            let ring: Vec<BytesN<96>> = match env.storage().persistent().get(&DataKey::RingByAttribute(issuer_pub.clone(), attribute)) {
+                Some(r) => r,
+                None => return false,
+            };
+            if !Self::check_ring(&env, &msg, sig, ring) {
+                return false;
+            }
+        }
+
+        Self::bump_login_count(&env);
+        true
+    }
+
     /// Verify a ring signature against the default ring
     pub fn verify(env: Env, msg: Bytes, sig: RingSignature) -> bool {
         let ring: Vec<BytesN<96>> = match env.storage().persistent().get(&DataKey::Ring) {
@@ -226,16 +312,25 @@ impl RingSigContract {
 
     /// Internal function to verify a ring signature
     fn verify_ring(env: Env, msg: Bytes, sig: RingSignature, ring: Vec<BytesN<96>>) -> bool {
+        let ok = Self::check_ring(&env, &msg, sig, ring);
+        if ok {
+            Self::bump_login_count(&env);
+        }
+        ok
+    }
+
+    // The ring signature check itself, without touching storage
+    fn check_ring(env: &Env, msg: &Bytes, sig: RingSignature, ring: Vec<BytesN<96>>) -> bool {
         if ring.is_empty() || ring.len() != sig.responses.len() {
             return false;
         }
         let bls = env.crypto().bls12_381();
-        let gen_g = G1Affine::from_bytes(BytesN::from_array(&env, &G1_GENERATOR));
-        let mut base = Bytes::new(&env);
+        let gen_g = G1Affine::from_bytes(BytesN::from_array(env, &G1_GENERATOR));
+        let mut base = Bytes::new(env);
         for pk in ring.iter() {
             base.append(&pk.into());
         }
-        base.append(&msg);
+        base.append(msg);
         let mut c = Fr::from_bytes(sig.challenge.clone());
         let n = ring.len();
         for j in 0..n {
@@ -248,15 +343,39 @@ impl RingSigContract {
             pre.append(&xj.to_bytes().into());
             c = Fr::from_bytes(env.crypto().sha256(&pre).into());
         }
-        let ok = c == Fr::from_bytes(sig.challenge);
-        if ok {
-            env.storage()
-                .persistent()
-                .update(&DataKey::LoginCount, |opt: Option<u64>| -> u64 {
-                    opt.map(|v| v.saturating_add(1)).unwrap_or(1)
-                });
+        c == Fr::from_bytes(sig.challenge)
+    }
+
+    fn bump_login_count(env: &Env) {
+        env.storage()
+            .persistent()
+            .update(&DataKey::LoginCount, |opt: Option<u64>| -> u64 {
+                opt.map(|v| v.saturating_add(1)).unwrap_or(1)
+            });
+    }
+
+    // Keep rings in canonical (byte-wise sorted) order
+    fn insert_sorted(ring: &mut Vec<BytesN<96>>, key: BytesN<96>) {
+        let mut index = 0;
+        while index < ring.len() && ring.get_unchecked(index) < key {
+            index += 1;
         }
-        ok
+        ring.insert(index, key);
+    }
+
+    // Only the address linked to a registered issuer may write that issuer's rings
+    fn require_issuer_auth(env: &Env, issuer_pub: &BytesN<96>) {
+        let issuer_address: Address = env.storage().persistent()
+            .get(&DataKey::IssuerAddress(issuer_pub.clone()))
+            .expect("Issuer not registered");
+        issuer_address.require_auth();
+    }
+
+    fn bump_ring_version(env: &Env, issuer_pub: BytesN<96>, attribute: Symbol) -> u32 {
+        let key = DataKey::RingVersion(issuer_pub, attribute);
+        let version: u32 = env.storage().persistent().get(&key).unwrap_or(0) + 1;
+        env.storage().persistent().set(&key, &version);
+        version
     }
 }
 
@@ -1,7 +1,7 @@
 #![cfg(test)]
 
 use super::*;
-use soroban_sdk::{testutils::Address as _, Address, Env};
+use soroban_sdk::{symbol_short, testutils::Address as _, Address, Env};
 
 #[test]
 fn test_initialization() {
@@ -24,16 +24,18 @@ fn test_register_issuer() {
     let client = RingSigContractClient::new(&env, &contract_id);
 
     let admin = Address::generate(&env);
+    let issuer = Address::generate(&env);
     env.mock_all_auths();
 
     client.initialize(&admin);
 
     let issuer_pub = BytesN::from_array(&env, &[1u8; 96]);
-    client.register_issuer(&issuer_pub);
+    client.register_issuer(&issuer_pub, &issuer);
 
     let issuers = client.get_issuers();
     assert_eq!(issuers.len(), 1);
     assert_eq!(issuers.get_unchecked(0), issuer_pub);
+    assert_eq!(client.get_issuer_address(&issuer_pub), Some(issuer));
 }
 
 #[test]
@@ -48,13 +50,395 @@ fn test_attribute_ring() {
 
     client.initialize(&admin);
 
+    let issuer_pub = BytesN::from_array(&env, &[9u8; 96]);
+    client.register_issuer(&issuer_pub, &issuer);
+
     let attribute = symbol_short!("over_18");
     let mut users = Vec::new(&env);
     users.push_back(BytesN::from_array(&env, &[1u8; 96]));
     users.push_back(BytesN::from_array(&env, &[2u8; 96]));
 
-    client.create_ring_for_attribute(&issuer, &attribute, &users);
+    client.add_ring_members(&issuer_pub, &attribute, &users);
 
-    let retrieved_ring = client.get_ring_for_attribute(&attribute);
+    let retrieved_ring = client.get_ring_for_attribute(&issuer_pub, &attribute);
     assert_eq!(retrieved_ring, Some(users));
+    assert_eq!(client.get_ring_version(&issuer_pub, &attribute), 1);
+}
+
+// Known-answer vector, shared with frontend/src/utils/ringSignature.test.js.
+// The browser signer must produce exactly these bytes from the same keys,
+// nonce (sha256([42; 32])) and decoy responses (sha256([100 + i; 32])).
+const KAT_MESSAGE: &str = "ring-sig-kyc known answer 1";
+
+const KAT_SECRET_KEYS: [&str; 3] = [
+    "2b32db6c2c0a6235fb1397e8225ea85e0f0e6e8c7b126d0016ccbde0e667151e",
+    "2ce6f9651ea8c600590bab5a6c1bf7274e01b01f39ac0fa82bbc5a5a51cfb043",
+    "328674a5f838f6987ead31003978b5ed607ccc5ed2aa73677f861d4d4e567cfc",
+];
+
+const KAT_RING: [&str; 3] = [
+    concat!(
+        "0299348281e1a2bc26af3745a858668a8d595ed8e91aeedbce4fdf02ed39b8512f80cd47f232b019080949474e21bb25",
+        "03366404f8d983682dab6aaba8405b1f31d04bc177db79d31f8afafd564ad5d80aba645a6447ef307f68a19b7d7b6de4"
+    ),
+    concat!(
+        "021192c5d622b68e6ef660d20cdfd42b90b9569842b82db9393a71481a6ba72e2a76c59fa710c45419c8b152c1c2c4d6",
+        "0b31031a280c87c5e665d3367f43a85bb06996859a65d9d5083bf663ac0ae800a2d692e12e5176796e8633dc4fde2939"
+    ),
+    concat!(
+        "0c77f924d4c86f83a23ef92b431453ff6be9d1de3fbdbff32395eef49a273258bc25bc0035e4f4a1e2dea337935551c3",
+        "16f1958eb4836288342bd8d8f961bbf4db23d475d52b23412e3f5ca853d2ed7825e70cd8b2bf707de3d410e87038f814"
+    ),
+];
+
+// Signed by KAT_RING[1]
+const KAT_CHALLENGE: &str = "69d47288003cb9acf21cc54093898249ce6e346da80f77e5e51b35555ccb68b8";
+const KAT_RESPONSES: [&str; 3] = [
+    "13e06837d76c51ac2efd22c8c7da3314063b190dc9637ca9adb21245754d7681",
+    "6190248b7e0a2c2f01b6ab28762d24ae6d673086cb07a8e55597e37637a710dc",
+    "352302489bc2fcf025cf00cda8308033f97ac87712ce90b4d7cd72c58e4c3af9",
+];
+
+// One-member ring of KAT_RING[0], as used for issuer login
+const KAT_LOGIN_CHALLENGE: &str = "09cfb5683890620ca8c84a9583a6bb0d3d308957464d2ec48882a78689b4ba56";
+const KAT_LOGIN_RESPONSE: &str = "675c716e2e79b6af2a5658ef53bde2cfe13b1dd9b197075db0f65774d3170a73";
+
+fn hex_bytes<const N: usize>(env: &Env, hex: &str) -> BytesN<N> {
+    let mut bytes = [0u8; N];
+    for (i, byte) in bytes.iter_mut().enumerate() {
+        *byte = u8::from_str_radix(&hex[2 * i..2 * i + 2], 16).unwrap();
+    }
+    BytesN::from_array(env, &bytes)
+}
+
+#[test]
+fn test_known_answer_vector() {
+    let env = Env::default();
+    let contract_id = env.register_contract(None, RingSigContract);
+    let client = RingSigContractClient::new(&env, &contract_id);
+
+    let keys = client.create_keys(&3);
+    for i in 0..3 {
+        assert_eq!(keys.secret_keys.get_unchecked(i), hex_bytes::<32>(&env, KAT_SECRET_KEYS[i as usize]));
+        assert_eq!(keys.ring.get_unchecked(i), hex_bytes::<96>(&env, KAT_RING[i as usize]));
+    }
+
+    let msg = Bytes::from_slice(&env, KAT_MESSAGE.as_bytes());
+    let mut responses: Vec<BytesN<32>> = Vec::new(&env);
+    for response in KAT_RESPONSES.iter() {
+        responses.push_back(hex_bytes(&env, response));
+    }
+    let kat = RingSignature {
+        challenge: hex_bytes(&env, KAT_CHALLENGE),
+        responses,
+    };
+
+    // sign() leaves decoy responses unreduced, so compare them as scalars
+    let sig = client.sign(&msg, &keys.ring, &1, &keys.secret_keys.get_unchecked(1));
+    assert_eq!(sig.challenge, kat.challenge);
+    for i in 0..3 {
+        assert_eq!(
+            Fr::from_bytes(sig.responses.get_unchecked(i)).to_bytes(),
+            kat.responses.get_unchecked(i)
+        );
+    }
+
+    client.init(&keys.ring);
+    assert!(client.verify(&msg, &kat));
+    assert!(!client.verify(&Bytes::from_slice(&env, b"ring-sig-kyc known answer 2"), &kat));
+    assert_eq!(client.get_login_count(), 1);
+}
+
+#[test]
+fn test_known_answer_login_vector() {
+    let env = Env::default();
+    let contract_id = env.register_contract(None, RingSigContract);
+    let client = RingSigContractClient::new(&env, &contract_id);
+
+    let keys = client.create_keys(&1);
+    let msg = Bytes::from_slice(&env, KAT_MESSAGE.as_bytes());
+    let mut responses: Vec<BytesN<32>> = Vec::new(&env);
+    responses.push_back(hex_bytes(&env, KAT_LOGIN_RESPONSE));
+    let kat = RingSignature {
+        challenge: hex_bytes(&env, KAT_LOGIN_CHALLENGE),
+        responses,
+    };
+
+    let sig = client.sign(&msg, &keys.ring, &0, &keys.secret_keys.get_unchecked(0));
+    assert_eq!(sig.challenge, kat.challenge);
+    assert_eq!(sig.responses, kat.responses);
+
+    client.init(&keys.ring);
+    assert!(client.verify(&msg, &kat));
+}
+
+#[test]
+fn test_add_ring_members_appends() {
+    let env = Env::default();
+    let contract_id = env.register_contract(None, RingSigContract);
+    let client = RingSigContractClient::new(&env, &contract_id);
+
+    let admin = Address::generate(&env);
+    let issuer = Address::generate(&env);
+    env.mock_all_auths();
+
+    client.initialize(&admin);
+
+    let issuer_pub = BytesN::from_array(&env, &[9u8; 96]);
+    client.register_issuer(&issuer_pub, &issuer);
+
+    let attribute = symbol_short!("over_18");
+    assert_eq!(client.get_ring_version(&issuer_pub, &attribute), 0);
+
+    let mut first = Vec::new(&env);
+    first.push_back(BytesN::from_array(&env, &[1u8; 96]));
+    first.push_back(BytesN::from_array(&env, &[2u8; 96]));
+    assert_eq!(client.add_ring_members(&issuer_pub, &attribute, &first), 1);
+
+    // A later approval adds to the ring instead of replacing it; duplicates are skipped
+    let mut second = Vec::new(&env);
+    second.push_back(BytesN::from_array(&env, &[2u8; 96]));
+    second.push_back(BytesN::from_array(&env, &[3u8; 96]));
+    assert_eq!(client.add_ring_members(&issuer_pub, &attribute, &second), 2);
+
+    let ring = client.get_ring_for_attribute(&issuer_pub, &attribute).unwrap();
+    assert_eq!(ring.len(), 3);
+    assert_eq!(ring.get_unchecked(0), BytesN::from_array(&env, &[1u8; 96]));
+    assert_eq!(ring.get_unchecked(1), BytesN::from_array(&env, &[2u8; 96]));
+    assert_eq!(ring.get_unchecked(2), BytesN::from_array(&env, &[3u8; 96]));
+    assert_eq!(client.get_ring_version(&issuer_pub, &attribute), 2);
+}
+
+#[test]
+fn test_ring_members_are_sorted() {
+    let env = Env::default();
+    let contract_id = env.register_contract(None, RingSigContract);
+    let client = RingSigContractClient::new(&env, &contract_id);
+
+    let admin = Address::generate(&env);
+    let issuer = Address::generate(&env);
+    env.mock_all_auths();
+
+    client.initialize(&admin);
+
+    let issuer_pub = BytesN::from_array(&env, &[9u8; 96]);
+    client.register_issuer(&issuer_pub, &issuer);
+
+    let attribute = symbol_short!("over_18");
+    for byte in [5u8, 3u8, 7u8, 1u8] {
+        let mut members = Vec::new(&env);
+        members.push_back(BytesN::from_array(&env, &[byte; 96]));
+        client.add_ring_members(&issuer_pub, &attribute, &members);
+    }
+
+    // Join order doesn't show in the ring
+    let ring = client.get_ring_for_attribute(&issuer_pub, &attribute).unwrap();
+    assert_eq!(ring.len(), 4);
+    assert_eq!(ring.get_unchecked(0), BytesN::from_array(&env, &[1u8; 96]));
+    assert_eq!(ring.get_unchecked(1), BytesN::from_array(&env, &[3u8; 96]));
+    assert_eq!(ring.get_unchecked(2), BytesN::from_array(&env, &[5u8; 96]));
+    assert_eq!(ring.get_unchecked(3), BytesN::from_array(&env, &[7u8; 96]));
+}
+
+#[test]
+fn test_rings_are_namespaced_by_issuer() {
+    let env = Env::default();
+    let contract_id = env.register_contract(None, RingSigContract);
+    let client = RingSigContractClient::new(&env, &contract_id);
+
+    let admin = Address::generate(&env);
+    let issuer_a = Address::generate(&env);
+    let issuer_b = Address::generate(&env);
+    env.mock_all_auths();
+
+    client.initialize(&admin);
+
+    let issuer_a_pub = BytesN::from_array(&env, &[8u8; 96]);
+    let issuer_b_pub = BytesN::from_array(&env, &[9u8; 96]);
+    client.register_issuer(&issuer_a_pub, &issuer_a);
+    client.register_issuer(&issuer_b_pub, &issuer_b);
+
+    let attribute = symbol_short!("res_uk");
+    let mut ring_a = Vec::new(&env);
+    ring_a.push_back(BytesN::from_array(&env, &[1u8; 96]));
+    let mut ring_b = Vec::new(&env);
+    ring_b.push_back(BytesN::from_array(&env, &[2u8; 96]));
+
+    client.add_ring_members(&issuer_a_pub, &attribute, &ring_a);
+    client.add_ring_members(&issuer_b_pub, &attribute, &ring_b);
+
+    assert_eq!(client.get_ring_for_attribute(&issuer_a_pub, &attribute), Some(ring_a));
+    assert_eq!(client.get_ring_for_attribute(&issuer_b_pub, &attribute), Some(ring_b));
+}
+
+#[test]
+#[should_panic(expected = "Issuer not registered")]
+fn test_unregistered_issuer_cannot_write_rings() {
+    let env = Env::default();
+    let contract_id = env.register_contract(None, RingSigContract);
+    let client = RingSigContractClient::new(&env, &contract_id);
+
+    let admin = Address::generate(&env);
+    env.mock_all_auths();
+
+    client.initialize(&admin);
+
+    let issuer_pub = BytesN::from_array(&env, &[9u8; 96]);
+    let mut users = Vec::new(&env);
+    users.push_back(BytesN::from_array(&env, &[1u8; 96]));
+
+    client.add_ring_members(&issuer_pub, &symbol_short!("over_18"), &users);
+}
+
+#[test]
+#[should_panic]
+fn test_ring_writes_need_the_linked_address() {
+    let env = Env::default();
+    let contract_id = env.register_contract(None, RingSigContract);
+    let client = RingSigContractClient::new(&env, &contract_id);
+
+    let admin = Address::generate(&env);
+    let issuer = Address::generate(&env);
+    env.mock_all_auths();
+
+    client.initialize(&admin);
+
+    let issuer_pub = BytesN::from_array(&env, &[9u8; 96]);
+    client.register_issuer(&issuer_pub, &issuer);
+
+    // Drop the blanket mock: nobody has authorized as the issuer's address
+    env.set_auths(&[]);
+
+    let mut users = Vec::new(&env);
+    users.push_back(BytesN::from_array(&env, &[1u8; 96]));
+    client.add_ring_members(&issuer_pub, &symbol_short!("over_18"), &users);
+}
+
+#[test]
+fn test_revoke_ring_member_keeps_ring_size() {
+    let env = Env::default();
+    let contract_id = env.register_contract(None, RingSigContract);
+    let client = RingSigContractClient::new(&env, &contract_id);
+
+    let admin = Address::generate(&env);
+    let issuer = Address::generate(&env);
+    env.mock_all_auths();
+
+    client.initialize(&admin);
+
+    let issuer_pub = BytesN::from_array(&env, &[9u8; 96]);
+    client.register_issuer(&issuer_pub, &issuer);
+
+    let attribute = symbol_short!("over_18");
+    let mut users = Vec::new(&env);
+    users.push_back(BytesN::from_array(&env, &[1u8; 96]));
+    users.push_back(BytesN::from_array(&env, &[2u8; 96]));
+    users.push_back(BytesN::from_array(&env, &[3u8; 96]));
+    client.add_ring_members(&issuer_pub, &attribute, &users);
+
+    let revoked = BytesN::from_array(&env, &[2u8; 96]);
+    let decoy = BytesN::from_array(&env, &[4u8; 96]);
+    assert_eq!(client.revoke_ring_member(&issuer_pub, &attribute, &revoked, &decoy), 2);
+
+    let ring = client.get_ring_for_attribute(&issuer_pub, &attribute).unwrap();
+    assert_eq!(ring.len(), 3);
+    assert!(!ring.contains(&revoked));
+    // The decoy takes its sorted place rather than the revoked member's slot
+    assert_eq!(ring.get_unchecked(0), BytesN::from_array(&env, &[1u8; 96]));
+    assert_eq!(ring.get_unchecked(1), BytesN::from_array(&env, &[3u8; 96]));
+    assert_eq!(ring.get_unchecked(2), decoy);
+}
+
+#[test]
+#[should_panic(expected = "Member not in ring")]
+fn test_revoke_unknown_member() {
+    let env = Env::default();
+    let contract_id = env.register_contract(None, RingSigContract);
+    let client = RingSigContractClient::new(&env, &contract_id);
+
+    let admin = Address::generate(&env);
+    let issuer = Address::generate(&env);
+    env.mock_all_auths();
+
+    client.initialize(&admin);
+
+    let issuer_pub = BytesN::from_array(&env, &[9u8; 96]);
+    client.register_issuer(&issuer_pub, &issuer);
+
+    let attribute = symbol_short!("over_18");
+    let mut users = Vec::new(&env);
+    users.push_back(BytesN::from_array(&env, &[1u8; 96]));
+    client.add_ring_members(&issuer_pub, &attribute, &users);
+
+    client.revoke_ring_member(
+        &issuer_pub,
+        &attribute,
+        &BytesN::from_array(&env, &[5u8; 96]),
+        &BytesN::from_array(&env, &[6u8; 96]),
+    );
+}
+
+fn dummy_signature(env: &Env, ring_size: u32) -> RingSignature {
+    let mut responses = Vec::new(env);
+    for _ in 0..ring_size {
+        responses.push_back(BytesN::from_array(env, &[0u8; 32]));
+    }
+    RingSignature {
+        challenge: BytesN::from_array(env, &[0u8; 32]),
+        responses,
+    }
+}
+
+#[test]
+fn test_verify_attributes_needs_a_signature_per_attribute() {
+    let env = Env::default();
+    let contract_id = env.register_contract(None, RingSigContract);
+    let client = RingSigContractClient::new(&env, &contract_id);
+
+    let issuer_pub = BytesN::from_array(&env, &[9u8; 96]);
+    let msg = Bytes::from_slice(&env, b"challenge");
+
+    let mut attributes = Vec::new(&env);
+    attributes.push_back(symbol_short!("over_21"));
+    attributes.push_back(symbol_short!("res_us"));
+
+    let mut sigs = Vec::new(&env);
+    sigs.push_back(dummy_signature(&env, 1));
+
+    assert!(!client.verify_attributes(&msg, &sigs, &issuer_pub, &attributes));
+    assert!(!client.verify_attributes(&msg, &Vec::new(&env), &issuer_pub, &Vec::new(&env)));
+    assert_eq!(client.get_login_count(), 0);
+}
+
+#[test]
+fn test_verify_attributes_fails_if_a_ring_is_missing() {
+    let env = Env::default();
+    let contract_id = env.register_contract(None, RingSigContract);
+    let client = RingSigContractClient::new(&env, &contract_id);
+
+    let admin = Address::generate(&env);
+    let issuer = Address::generate(&env);
+    env.mock_all_auths();
+
+    client.initialize(&admin);
+
+    let issuer_pub = BytesN::from_array(&env, &[9u8; 96]);
+    client.register_issuer(&issuer_pub, &issuer);
+
+    let mut users = Vec::new(&env);
+    users.push_back(BytesN::from_array(&env, &[1u8; 96]));
+    client.add_ring_members(&issuer_pub, &symbol_short!("over_21"), &users);
+
+    // The placeholder keys aren't curve points, so the missing ring is checked first
+    let mut attributes = Vec::new(&env);
+    attributes.push_back(symbol_short!("res_us"));
+    attributes.push_back(symbol_short!("over_21"));
+
+    let mut sigs = Vec::new(&env);
+    sigs.push_back(dummy_signature(&env, 1));
+    sigs.push_back(dummy_signature(&env, 1));
+
+    let msg = Bytes::from_slice(&env, b"challenge");
+    assert!(!client.verify_attributes(&msg, &sigs, &issuer_pub, &attributes));
+    assert_eq!(client.get_login_count(), 0);
 }
@@ -4,11 +4,23 @@ import AdminPage from './pages/AdminPage';
 import IssuerPage from './pages/IssuerPage';
 import VerifyPage from './pages/VerifyPage';
 import ConfirmPage from './pages/ConfirmPage';
+import VerifierPage from './pages/VerifierPage';
+import PresentationPage from './pages/PresentationPage';
+import EmbedProvePage from './pages/EmbedProvePage';
 import HomePage from './pages/HomePage';
 
 function App() {
   const location = useLocation();
 
+  // Opened by the partner widget in a popup or iframe: no site navigation
+  if (location.pathname === '/embed/prove') {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <EmbedProvePage />
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       <nav className="bg-white shadow-lg">
@@ -63,6 +75,16 @@ function App() {
               >
                 Prove Identity
               </Link>
+              <Link
+                to="/verifier"
+                className={`px-3 py-2 rounded-md text-sm font-medium ${
+                  location.pathname.startsWith('/verifier')
+                    ? 'bg-indigo-100 text-indigo-700'
+                    : 'text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                Request Proof
+              </Link>
             </div>
           </div>
         </div>
@@ -75,6 +97,8 @@ function App() {
           <Route path="/issuer" element={<IssuerPage />} />
           <Route path="/verify" element={<VerifyPage />} />
           <Route path="/confirm" element={<ConfirmPage />} />
+          <Route path="/verifier" element={<VerifierPage />} />
+          <Route path="/verifier/presentation" element={<PresentationPage />} />
         </Routes>
       </main>
     </div>
@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import {
+  exportBackup,
+  importBackup,
+  hasWallet,
+  isWalletUnlocked,
+  MIN_PASSPHRASE_LENGTH,
+} from '../utils/credentials';
+
+const inputClass = 'block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 mb-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+// Download the wallet as an encrypted backup file, or restore one into it.
+// No <form> here: VerifyPage renders this next to its own form.
+const CredentialBackup = ({ canBackup, onRestored }) => {
+  const [backupPassphrase, setBackupPassphrase] = useState('');
+  const [backupConfirmation, setBackupConfirmation] = useState('');
+  const [file, setFile] = useState(null);
+  const [restorePassphrase, setRestorePassphrase] = useState('');
+  const [walletPassphrase, setWalletPassphrase] = useState('');
+  // A locked wallet needs its passphrase to restore into; with none, one is created
+  const [walletState, setWalletState] = useState('unlocked'); // 'none' | 'locked' | 'unlocked'
+  const [status, setStatus] = useState({ text: '', type: '' });
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    checkWallet();
+  }, []);
+
+  const checkWallet = async () => {
+    try {
+      if (!isWalletUnlocked()) setWalletState(await hasWallet() ? 'locked' : 'none');
+    } catch (error) {
+      console.error('Error checking wallet:', error);
+    }
+  };
+
+  const handleBackup = async () => {
+    if (backupPassphrase !== backupConfirmation) {
+      setStatus({ text: 'The passphrases do not match', type: 'error' });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const blob = new Blob([await exportBackup(backupPassphrase)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `kyc-credentials-backup-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      setBackupPassphrase('');
+      setBackupConfirmation('');
+      setStatus({ text: 'Backup downloaded. Keep it and its passphrase somewhere safe.', type: 'success' });
+    } catch (error) {
+      setStatus({ text: `Backup failed: ${error.message}`, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const walletLocked = walletState === 'locked';
+
+  const handleRestore = async () => {
+    try {
+      setLoading(true);
+      const result = await importBackup(await file.text(), restorePassphrase, walletLocked ? walletPassphrase : null);
+      setRestorePassphrase('');
+      setWalletPassphrase('');
+      setWalletState('unlocked');
+      const unreadable = result.invalid.length > 0
+        ? ` ${result.invalid.length} could not be read and ${result.invalid.length === 1 ? 'was' : 'were'} left out: ${result.invalid.map(entry => entry.error).join('; ')}`
+        : '';
+      setStatus({
+        text: `Restored ${result.added} credential${result.added === 1 ? '' : 's'}${result.skipped ? ` (${result.skipped} already in your wallet)` : ''}.${unreadable}`,
+        type: result.invalid.length > 0 ? 'error' : 'success',
+      });
+      onRestored(result);
+    } catch (error) {
+      setStatus({ text: `Restore failed: ${error.message}`, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {canBackup && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-1">Back Up Credentials</h4>
+          <p className="text-sm text-gray-600 mb-3">
+            Your secret keys only exist in this browser. Download an encrypted copy so clearing browser storage
+            doesn't cost you your credentials. Choose a passphrase for the file of at least {MIN_PASSPHRASE_LENGTH} characters.
+          </p>
+          <input
+            type="password"
+            value={backupPassphrase}
+            onChange={(e) => setBackupPassphrase(e.target.value)}
+            placeholder="Backup passphrase"
+            autoComplete="new-password"
+            className={inputClass}
+          />
+          <input
+            type="password"
+            value={backupConfirmation}
+            onChange={(e) => setBackupConfirmation(e.target.value)}
+            placeholder="Repeat backup passphrase"
+            autoComplete="new-password"
+            className={inputClass}
+          />
+          <button
+            type="button"
+            onClick={handleBackup}
+            disabled={loading || !backupPassphrase}
+            className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400"
+          >
+            Download Backup
+          </button>
+        </div>
+      )}
+
+      <div>
+        <h4 className="text-sm font-medium text-gray-900 mb-1">Restore from Backup</h4>
+        <p className="text-sm text-gray-600 mb-3">
+          {walletState === 'none'
+            ? 'The backup passphrase also becomes the passphrase of the wallet in this browser.'
+            : walletLocked
+            ? 'Restored credentials are added to the wallet in this browser, so enter its passphrase as well.'
+            : 'Credentials already in this browser are kept; duplicates are skipped.'}
+        </p>
+        <input
+          type="file"
+          accept=".json,application/json"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          className="block w-full text-sm text-gray-700 mb-3"
+        />
+        <input
+          type="password"
+          value={restorePassphrase}
+          onChange={(e) => setRestorePassphrase(e.target.value)}
+          placeholder="Backup passphrase"
+          autoComplete="current-password"
+          className={inputClass}
+        />
+        {walletLocked && (
+          <input
+            type="password"
+            value={walletPassphrase}
+            onChange={(e) => setWalletPassphrase(e.target.value)}
+            placeholder="Wallet passphrase"
+            autoComplete="current-password"
+            className={inputClass}
+          />
+        )}
+        <button
+          type="button"
+          onClick={handleRestore}
+          disabled={loading || !file || !restorePassphrase || (walletLocked && !walletPassphrase)}
+          className="py-2 px-4 border border-indigo-300 rounded-md shadow-sm text-sm font-medium text-indigo-700 bg-white hover:bg-indigo-50 disabled:bg-gray-100 disabled:text-gray-400"
+        >
+          Restore
+        </button>
+      </div>
+
+      {status.text && (
+        <p className={`text-sm ${status.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{status.text}</p>
+      )}
+    </div>
+  );
+};
+
+export default CredentialBackup;
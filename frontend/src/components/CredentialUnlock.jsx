@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import {
+  unlockWallet,
+  unlockWalletWithPasskey,
+  countPasskeys,
+  isCredentialUnprotected,
+  MIN_PASSPHRASE_LENGTH,
+} from '../utils/credentials';
+import { isPasskeySupported } from '../utils/passkey';
+
+// Asks for the wallet passphrase, or a passkey if one is set up, and calls onUnlock once credentials can be loaded.
+// A credential left in plaintext by an earlier version gets a new passphrase instead.
+const CredentialUnlock = ({ onUnlock }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [passkeyAvailable, setPasskeyAvailable] = useState(false);
+  const unprotected = isCredentialUnprotected();
+
+  useEffect(() => {
+    if (!isPasskeySupported()) return;
+    countPasskeys()
+      .then(count => setPasskeyAvailable(count > 0))
+      .catch(err => console.error('Error checking passkeys:', err));
+  }, []);
+
+  const handlePasskey = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await unlockWalletWithPasskey();
+      onUnlock();
+    } catch (err) {
+      // A cancelled prompt lands here too; the passphrase form stays available
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (unprotected && passphrase !== confirmation) {
+      setError('The passphrases do not match');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await unlockWallet(passphrase);
+      onUnlock();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white shadow overflow-hidden sm:rounded-lg p-6">
+      <h3 className="text-lg leading-6 font-medium text-gray-900 mb-2">
+        {unprotected ? 'Protect Your Credential' : 'Unlock Your Credentials'}
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {unprotected
+          ? `Your credential, including its secret keys, is stored unencrypted in this browser. Choose a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters to encrypt it.`
+          : 'Your credentials are encrypted in this browser. Enter your passphrase to use them.'}
+      </p>
+
+      {passkeyAvailable && (
+        <>
+          <button
+            type="button"
+            onClick={handlePasskey}
+            disabled={loading}
+            className="w-full py-2 px-4 mb-3 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400"
+          >
+            Unlock with Passkey
+          </button>
+          <p className="text-xs text-gray-500 text-center mb-3">or use your passphrase</p>
+        </>
+      )}
+
+      <input
+        type="password"
+        value={passphrase}
+        onChange={(e) => setPassphrase(e.target.value)}
+        placeholder="Passphrase"
+        autoComplete={unprotected ? 'new-password' : 'current-password'}
+        autoFocus
+        className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 mb-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+      />
+      {unprotected && (
+        <input
+          type="password"
+          value={confirmation}
+          onChange={(e) => setConfirmation(e.target.value)}
+          placeholder="Repeat passphrase"
+          autoComplete="new-password"
+          className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 mb-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+        />
+      )}
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      <button
+        type="submit"
+        disabled={loading || !passphrase}
+        className="w-full py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400"
+      >
+        {loading ? 'Unlocking...' : unprotected ? 'Encrypt and Continue' : 'Unlock'}
+      </button>
+    </form>
+  );
+};
+
+export default CredentialUnlock;
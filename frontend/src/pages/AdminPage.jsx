@@ -1,13 +1,17 @@
 import React, { useState, useEffect } from 'react';
-import { connectWallet, registerIssuer, initializeContract, createKeys, getWalletAddressIfConnected } from '../utils/contract';
+import { connectWallet, registerIssuer, initializeContract, getWalletAddressIfConnected } from '../utils/contract';
+import { generateKeys } from '../utils/keygen';
+import { loginAdmin, authHeaders } from '../utils/auth';
 import ProfessionalHeader from '../components/ProfessionalHeader';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
 function AdminPage() {
   const [walletAddress, setWalletAddress] = useState('');
+  const [adminSession, setAdminSession] = useState(null);
   const [issuers, setIssuers] = useState([]);
   const [newIssuerName, setNewIssuerName] = useState('');
+  const [newIssuerWallet, setNewIssuerWallet] = useState('');
   const [generatedKeys, setGeneratedKeys] = useState(null);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ text: '', type: '' });
@@ -39,6 +43,19 @@ function AdminPage() {
     }
   };
 
+  const handleAdminLogin = async () => {
+    try {
+      setLoading(true);
+      setMessage({ text: 'Please sign the login challenge in your wallet...', type: 'info' });
+      setAdminSession(await loginAdmin(walletAddress));
+      setMessage({ text: 'Signed in as contract admin', type: 'success' });
+    } catch (error) {
+      setMessage({ text: `Admin sign in failed: ${error.message}`, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const loadIssuers = async () => {
     try {
       setLoading(true);
@@ -61,8 +78,8 @@ function AdminPage() {
 
     try {
       setLoading(true);
-      await initializeContract(walletAddress);
-      setMessage({ text: 'Contract initialized successfully!', type: 'success' });
+      const result = await initializeContract(walletAddress);
+      setMessage({ text: `Contract initialized successfully (ledger ${result.ledger})!`, type: 'success' });
       setIsInitialized(true);
     } catch (error) {
       setMessage({ text: `Error initializing: ${error.message}`, type: 'error' });
@@ -79,20 +96,31 @@ function AdminPage() {
       return;
     }
 
+    if (!adminSession) {
+      setMessage({ text: 'Please sign in as admin first', type: 'error' });
+      return;
+    }
+
     if (!newIssuerName || newIssuerName.trim() === '') {
       setMessage({ text: 'Please enter an issuer name', type: 'error' });
       return;
     }
 
+    const issuerAddress = newIssuerWallet.trim();
+    if (!issuerAddress) {
+      setMessage({ text: 'Please enter the issuer Stellar address', type: 'error' });
+      return;
+    }
+
     try {
       setLoading(true);
-      setMessage({ text: 'Generating keys via smart contract...', type: 'info' });
+      setMessage({ text: 'Generating issuer keys...', type: 'info' });
 
-      // Generate keys via smart contract simulation
-      const keys = await createKeys(1);
+      // Generate a fresh random keypair locally
+      const keys = await generateKeys(1);
 
       if (!keys.publicKeys || keys.publicKeys.length === 0 || !keys.secretKeys || keys.secretKeys.length === 0) {
-        throw new Error('Failed to generate keys from contract');
+        throw new Error('Failed to generate keys');
       }
 
       const publicKey = keys.publicKeys[0];
@@ -101,17 +129,18 @@ function AdminPage() {
       setMessage({ text: 'Registering issuer on blockchain...', type: 'info' });
 
       // Register issuer's public key on the blockchain
-      await registerIssuer(publicKey, walletAddress);
+      await registerIssuer(publicKey, issuerAddress, walletAddress);
 
       setMessage({ text: 'Saving issuer to backend...', type: 'info' });
 
       // Store issuer in backend
       const response = await fetch(`${API_URL}/api/issuers`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders(adminSession.token),
         body: JSON.stringify({
           name: newIssuerName,
-          publicKey: publicKey
+          publicKey: publicKey,
+          stellarAddress: issuerAddress
         })
       });
 
@@ -129,6 +158,7 @@ function AdminPage() {
 
       setMessage({ text: 'Issuer authorized successfully! Keys generated below.', type: 'success' });
       setNewIssuerName('');
+      setNewIssuerWallet('');
       await loadIssuers();
     } catch (error) {
       setMessage({ text: `Error: ${error.message}`, type: 'error' });
@@ -171,6 +201,19 @@ function AdminPage() {
                 <p className="text-sm text-gray-600">
                   Connected as: <span className="font-mono">{walletAddress}</span>
                 </p>
+                {adminSession ? (
+                  <p className="mt-2 text-sm text-green-700">
+                    ✓ Signed in as admin until {new Date(adminSession.expiresAt).toLocaleTimeString()}
+                  </p>
+                ) : (
+                  <button
+                    onClick={handleAdminLogin}
+                    disabled={loading}
+                    className="mt-3 inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400"
+                  >
+                    Sign In as Admin
+                  </button>
+                )}
               </div>
             )}
           </div>
@@ -233,15 +276,34 @@ function AdminPage() {
                   className="shadow-sm focus:ring-indigo-500 focus:border-indigo-500 block w-full sm:text-sm border-gray-300 rounded-md p-2 border"
                 />
                 <p className="mt-1 text-xs text-gray-500">
-                  This will generate cryptographic keys via the smart contract
+                  This will generate a random cryptographic keypair in your browser
+                </p>
+              </div>
+              <div className="mb-4">
+                <label
+                  htmlFor="issuerWallet"
+                  className="block text-sm font-medium text-gray-700 mb-2"
+                >
+                  Issuer Stellar Address
+                </label>
+                <input
+                  type="text"
+                  id="issuerWallet"
+                  value={newIssuerWallet}
+                  onChange={(e) => setNewIssuerWallet(e.target.value)}
+                  placeholder="G..."
+                  className="shadow-sm focus:ring-indigo-500 focus:border-indigo-500 block w-full sm:text-sm border-gray-300 rounded-md p-2 border font-mono"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Signs this issuer's ring updates on-chain, and lets the issuer sign in to the dashboard with this wallet
                 </p>
               </div>
               <button
                 type="submit"
-                disabled={loading || !walletAddress}
+                disabled={loading || !walletAddress || !adminSession}
                 className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400"
               >
-                {loading ? 'Authorizing...' : 'Authorize New Issuer'}
+                {loading ? 'Authorizing...' : !adminSession ? 'Sign In as Admin First' : 'Authorize New Issuer'}
               </button>
             </form>
           </div>
@@ -339,7 +401,8 @@ function AdminPage() {
           <ul className="list-disc list-inside text-sm text-blue-800 space-y-1">
             <li>Connect your Stellar wallet (Freighter) to authenticate as admin</li>
             <li>If this is the first time, initialize the contract with your admin address</li>
-            <li>Enter an issuer name and click "Authorize New Issuer" to generate real cryptographic keys via the smart contract</li>
+            <li>Sign in as admin by signing a one-time login challenge with the contract admin wallet</li>
+            <li>Enter an issuer name and click "Authorize New Issuer" to generate a random keypair locally (nothing secret is sent to the network)</li>
             <li>Copy the generated JSON credentials and securely provide them to the issuer</li>
             <li>Only authorized issuers can approve KYC requests and add users to attribute rings</li>
           </ul>
@@ -1,22 +1,85 @@
-import React, { useState, useEffect } from 'react';
-import { loadCredential, hasCredential, formatCredential, deleteCredential } from '../utils/credentials';
-import { signRing, verifyAttribute, getLoginCount, getWalletAddressIfConnected, connectWallet } from '../utils/contract';
+import React, { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  listCredentials,
+  loadCredential,
+  updateCredential,
+  hasCredentials,
+  formatCredential,
+  deleteCredential,
+  isWalletUnlocked,
+  lockWallet,
+  changePassphrase,
+  countPasskeys,
+  addPasskey,
+  removePasskeys,
+  MIN_PASSPHRASE_LENGTH,
+} from '../utils/credentials';
+import { isPasskeySupported } from '../utils/passkey';
+import { attributeStatus, usableAttributes } from '../utils/credentialSchema';
+import {
+  signRing,
+  signRingLocally,
+  verifyAttributes,
+  getRingForAttribute,
+  getLoginCount,
+  getWalletAddressIfConnected,
+  connectWallet,
+  CONTRACT_ID,
+  RPC_URL,
+  NETWORK_PASSPHRASE,
+} from '../utils/contract';
+import QRCode from 'qrcode';
+import { verifyAttributesOffChain, scValToRingSignature } from '../utils/verifier';
+import { findSignerIndex } from '../utils/ringSignature';
+import { getProofSession, submitProof } from '../utils/proofSessions';
+import { createPresentation, withoutRings } from '../utils/presentation';
 import ProfessionalHeader from '../components/ProfessionalHeader';
+import CredentialUnlock from '../components/CredentialUnlock';
+import CredentialBackup from '../components/CredentialBackup';
+
+// Signing happens in the browser; VITE_RPC_SIGNING=true falls back to simulating
+// the contract's `sign`, which sends the secret key to the RPC node
+const USE_RPC_SIGNING = import.meta.env.VITE_RPC_SIGNING === 'true';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
 function ConfirmPage() {
+  // Everything in the wallet ({ id, credential }), and the one being proven with
+  const [credentials, setCredentials] = useState([]);
+  const [credentialId, setCredentialId] = useState(null);
   const [credential, setCredential] = useState(null);
-  const [selectedAttribute, setSelectedAttribute] = useState('');
+  // Credentials are stored but the passphrase hasn't been entered yet
+  const [locked, setLocked] = useState(false);
+  const [passphraseForm, setPassphraseForm] = useState({ current: '', next: '' });
+  // Passkeys that can unlock the wallet instead of the passphrase
+  const [passkeyCount, setPasskeyCount] = useState(0);
+  // Attributes proven together: one ring signature each, all over the same challenge
+  const [selectedAttributes, setSelectedAttributes] = useState([]);
   const [challenge, setChallenge] = useState('');
-  const [signature, setSignature] = useState(null);
+  const [signatures, setSignatures] = useState(null);
+  // Ring each signature was made against, for the exported presentation
+  const [signedRings, setSignedRings] = useState(null);
+  const [presentationQr, setPresentationQr] = useState('');
   const [verificationResult, setVerificationResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ text: '', type: '' });
-  const [loginCount, setLoginCount] = useState(0);
+  const [loginCount, setLoginCount] = useState(0n);
   const [showCredentialDetails, setShowCredentialDetails] = useState(false);
   const [walletAddress, setWalletAddress] = useState('');
+  const [issuers, setIssuers] = useState([]);
+  // Attributes whose on-chain ring no longer contains our key
+  const [notMember, setNotMember] = useState({});
+  // Challenge session opened by a verifier (?session=<id>); its message replaces a self-made challenge
+  const [searchParams] = useSearchParams();
+  const [sessionInput, setSessionInput] = useState('');
+  const [proofSession, setProofSession] = useState(null);
+  // Saves of refreshed rings, one at a time so none overwrites another
+  const ringWrites = useRef(Promise.resolve());
 
   useEffect(() => {
-    loadUserCredential();
+    loadUserCredentials();
+    loadIssuers();
     loadLoginCount();
     checkExistingWallet();
   }, []);
@@ -42,23 +105,136 @@ function ConfirmPage() {
     }
   };
 
-  const loadUserCredential = async () => {
+  const selectCredential = (entry) => {
+    setCredentialId(entry ? entry.id : null);
+    setCredential(entry ? entry.credential : null);
+    setNotMember({});
+    // Set first attribute that hasn't expired as default
+    const attributes = entry ? usableAttributes(entry.credential) : [];
+    setSelectedAttributes(attributes.slice(0, 1));
+  };
+
+  const loadUserCredentials = async () => {
+    try {
+      if (await hasCredentials()) {
+        if (!isWalletUnlocked()) {
+          setLocked(true);
+          return;
+        }
+        const entries = await listCredentials();
+        setCredentials(entries);
+        selectCredential(entries[0]);
+        setPasskeyCount(await countPasskeys());
+      }
+    } catch (error) {
+      console.error('Error loading credentials:', error);
+      setMessage({ text: 'Error loading credentials. Please get verified first.', type: 'error' });
+    }
+  };
+
+  // Proofs are checked against the issuer's own rings, so show who that is
+  const loadIssuers = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/issuers`);
+      const data = await response.json();
+      setIssuers(data.issuers || []);
+    } catch (error) {
+      console.error('Error loading issuers:', error);
+    }
+  };
+
+  // The registry's name wins; the one in the credential is what the issuer was called when issuing
+  const nameOfIssuer = (issuerPubKey, fallback = null) => issuers.find(i => i.publicKey === issuerPubKey)?.name || fallback || '';
+  const issuerName = credential ? nameOfIssuer(credential.issuer, credential.issuer_name) : '';
+
+  // Picker groups: one per issuer, in the order their first credential was issued
+  const credentialsByIssuer = credentials.reduce((groups, entry) => {
+    const group = groups.find(g => g.issuer === entry.credential.issuer);
+    if (group) group.entries.push(entry);
+    else groups.push({ issuer: entry.credential.issuer, entries: [entry] });
+    return groups;
+  }, []);
+
+  const issuerLabel = () => {
+    const shortKey = `${credential.issuer.substring(0, 20)}...`;
+    return issuerName ? `${issuerName} (${shortKey})` : shortKey;
+  };
+
+  // Fetch the current on-chain ring and our position in it (-1 if our key isn't there)
+  const locateInRing = async (attribute) => {
+    const ring = await getRingForAttribute(credential.issuer, attribute);
+    const index = ring ? findSignerIndex(ring, credential.user_keys[attribute]) : -1;
+
+    setNotMember(prev => ({ ...prev, [attribute]: index < 0 }));
+    return { ring, index };
+  };
+
+  const notMemberMessage = (attribute) => ({
+    text: `Not a member: your key for "${attribute}" is not in the on-chain ring of ${issuerLabel()}. The issuer has most likely revoked this attribute, so it can't be proven any more.`,
+    type: 'error',
+  });
+
+  // The ring grows (and may be reordered) as the issuer approves others; keep our copy current
+  // (lookups run in parallel, so each only writes its own ring into the latest state and stored record)
+  const refreshStoredRing = (attribute, ring) => {
+    const stored = credential.rings[attribute] || [];
+    if (stored.length === ring.length && stored.every((key, i) => key.toLowerCase() === ring[i])) return;
+
+    const id = credentialId;
+    const userKey = credential.user_keys[attribute];
+    const withRing = current => ({ ...current, rings: { ...current.rings, [attribute]: ring } });
+    // The user may have picked another credential meanwhile; only update the one we looked up
+    setCredential(prev => (prev?.user_keys[attribute] === userKey ? withRing(prev) : prev));
+    setCredentials(prev => prev.map(entry => (entry.id === id ? { ...entry, credential: withRing(entry.credential) } : entry)));
+
+    ringWrites.current = ringWrites.current
+      .then(async () => {
+        const current = await loadCredential(id);
+        if (current) await updateCredential(id, withRing(current));
+      })
+      .catch(error => console.error('Error saving refreshed ring:', error));
+  };
+
+  const describeAttributes = (attributes) => attributes.map(attribute => `"${attribute}"`).join(' and ');
+
+  // Keep the credential's attribute order, so signatures line up the same way every time
+  const toggleAttribute = (attribute) => {
+    if (attributeStatus(credential, attribute).expired) return;
+    const next = selectedAttributes.includes(attribute)
+      ? selectedAttributes.filter(a => a !== attribute)
+      : Object.keys(credential.user_keys).filter(a => a === attribute || selectedAttributes.includes(a));
+    setSelectedAttributes(next);
+    handleReset();
+  };
+
+  const notMemberAttributes = selectedAttributes.filter(attribute => notMember[attribute]);
+
+  const formatDate = (iso) => new Date(iso).toLocaleDateString();
+  const expiredAttributes = credential
+    ? Object.keys(credential.user_keys).filter(attribute => attributeStatus(credential, attribute).expired)
+    : [];
+  const expiringAttributes = credential
+    ? Object.keys(credential.user_keys).filter(attribute => attributeStatus(credential, attribute).expiresSoon)
+    : [];
+  // Rings live on one contract; a credential issued against another can't be proven here
+  const otherDeployment = credential && (
+    (credential.contract_id && credential.contract_id !== CONTRACT_ID)
+    || (credential.network_passphrase && credential.network_passphrase !== NETWORK_PASSPHRASE)
+  );
+
+  // After a failed check, tell a missing key apart from a bad signature
+  const explainFailure = async (fallback) => {
     try {
-      if (hasCredential()) {
-        const cred = await loadCredential();
-        if (cred) {
-          setCredential(cred);
-          // Set first attribute as default
-          const attributes = Object.keys(cred.user_keys);
-          if (attributes.length > 0) {
-            setSelectedAttribute(attributes[0]);
-          }
+      for (const attribute of selectedAttributes) {
+        if ((await locateInRing(attribute)).index < 0) {
+          setMessage(notMemberMessage(attribute));
+          return;
         }
       }
     } catch (error) {
-      console.error('Error loading credential:', error);
-      setMessage({ text: 'Error loading credential. Please get verified first.', type: 'error' });
+      console.error('Error checking ring membership:', error);
     }
+    setMessage(fallback);
   };
 
   const loadLoginCount = async () => {
@@ -70,19 +246,115 @@ function ConfirmPage() {
     }
   };
 
+  // Check membership as soon as an attribute is picked, so a revoked key shows up before signing
+  useEffect(() => {
+    if (!credential) return;
+    for (const attribute of selectedAttributes) {
+      locateInRing(attribute)
+        .then(({ ring, index }) => {
+          if (index >= 0) refreshStoredRing(attribute, ring);
+        })
+        .catch(error => console.error('Error checking ring membership:', error));
+    }
+  }, [credentialId, selectedAttributes.join()]);
+
+  // Load the verifier's session once the wallet is open
+  useEffect(() => {
+    const sessionId = searchParams.get('session');
+    if (credential && sessionId && !proofSession) loadProofSession(sessionId);
+  }, [credential !== null, searchParams]);
+
+  const handleSelectCredential = (id) => {
+    handleReset();
+    selectCredential(credentials.find(entry => entry.id === id));
+  };
+
+  // Accepts a bare session ID or a link carrying ?session=<id>
+  const parseSessionId = (input) => {
+    const trimmed = input.trim();
+    try {
+      return new URL(trimmed).searchParams.get('session') || trimmed;
+    } catch {
+      return trimmed;
+    }
+  };
+
+  const loadProofSession = async (sessionId) => {
+    try {
+      setLoading(true);
+      const session = await getProofSession(sessionId);
+
+      if (session.status !== 'pending') {
+        setMessage({ text: `This verifier request is ${session.status} and can't be answered any more.`, type: 'error' });
+        return;
+      }
+      // All the requested attributes must come from one credential, since they're checked against one issuer
+      const fromIssuer = credentials.filter(entry => !session.issuerPubKey || entry.credential.issuer === session.issuerPubKey);
+      const holding = fromIssuer.filter(entry => session.attributes.every(attribute => entry.credential.user_keys[attribute]));
+      const match = holding.find(entry => session.attributes.every(attribute => !attributeStatus(entry.credential, attribute).expired));
+      if (!match) {
+        let text = `${session.origin} only accepts ${describeAttributes(session.attributes)} from an issuer you have no credential from.`;
+        if (holding.length > 0) {
+          text = `Your credential for ${describeAttributes(session.attributes)} has expired, so ${session.origin}'s request can't be answered. Get verified again.`;
+        } else if (fromIssuer.length > 0) {
+          text = `${session.origin} asks for ${describeAttributes(session.attributes)}, which none of your credentials includes.`;
+        }
+        setMessage({ text, type: 'error' });
+        return;
+      }
+
+      selectCredential(match);
+      setProofSession(session);
+      setSelectedAttributes(session.attributes);
+      setChallenge(session.message);
+      setSignatures(null);
+      setVerificationResult(null);
+      setMessage({ text: `${session.origin} asks you to prove ${describeAttributes(session.attributes)}. Sign its challenge below.`, type: 'info' });
+    } catch (error) {
+      console.error('Error loading proof session:', error);
+      setMessage({ text: `Could not load verifier request: ${error.message}`, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const generateChallenge = () => {
     const timestamp = Date.now();
-    const random = Math.random().toString(36).substring(2, 15);
-    const challengeMsg = `prove_${selectedAttribute}_${timestamp}_${random}`;
+    const random = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+    const challengeMsg = `prove_${selectedAttributes.join('+')}_${timestamp}_${random}`;
     setChallenge(challengeMsg);
-    setSignature(null);
+    setSignatures(null);
     setVerificationResult(null);
     return challengeMsg;
   };
 
+  // Find our key in the attribute's current on-chain ring, falling back to the stored copy if the RPC is down
+  const ringForSigning = async (attribute) => {
+    try {
+      const located = await locateInRing(attribute);
+      if (located.index >= 0) refreshStoredRing(attribute, located.ring);
+      return located;
+    } catch (error) {
+      // RPC unreachable: sign against the stored copy and let verification decide
+      console.error('Error fetching on-chain ring, using stored copy:', error);
+      const ring = credential.rings[attribute];
+      const index = findSignerIndex(ring, credential.user_keys[attribute]);
+      if (index < 0) {
+        throw new Error(`Your key is not in the stored ring for ${attribute}`);
+      }
+      return { ring, index };
+    }
+  };
+
   const handleSign = async () => {
-    if (!credential || !selectedAttribute) {
-      setMessage({ text: 'Please select an attribute', type: 'error' });
+    if (!credential || selectedAttributes.length === 0) {
+      setMessage({ text: 'Please select at least one attribute', type: 'error' });
+      return;
+    }
+
+    const expired = selectedAttributes.filter(attribute => attributeStatus(credential, attribute).expired);
+    if (expired.length > 0) {
+      setMessage({ text: `${describeAttributes(expired)} expired and can't be signed with. Get verified again.`, type: 'error' });
       return;
     }
 
@@ -94,21 +366,34 @@ function ConfirmPage() {
 
     try {
       setLoading(true);
-      setMessage({ text: 'Signing challenge with ring signature...', type: 'info' });
+      const sigs = [];
+      const rings = [];
 
-      const ring = credential.rings[selectedAttribute];
-      const secretKey = credential.user_keys[selectedAttribute];
+      // Every attribute signs the same challenge, which binds the bundle together
+      for (const attribute of selectedAttributes) {
+        setMessage({ text: `Looking up your position in the on-chain ring for "${attribute}"...`, type: 'info' });
 
-      // In a real implementation, we need to know the index of our public key in the ring
-      // For demo, we'll use index 0
-      const secretIdx = 0;
+        const { ring, index } = await ringForSigning(attribute);
+        if (index < 0) {
+          // Don't sign a proof the contract is bound to reject
+          setMessage(notMemberMessage(attribute));
+          return;
+        }
 
-      // Sign the challenge
-      const sig = await signRing(challenge, ring, secretIdx, secretKey);
-      setSignature(sig);
+        setMessage({ text: `Signing challenge for "${attribute}" with ring signature...`, type: 'info' });
+
+        const secretKey = credential.user_keys[attribute];
+        sigs.push(USE_RPC_SIGNING
+          ? await signRing(challenge, ring, index, secretKey)
+          : await signRingLocally(challenge, ring, index, secretKey));
+        rings.push(ring);
+      }
+      setSignatures(sigs);
+      setSignedRings(rings);
+      setPresentationQr('');
 
       setMessage({
-        text: 'Challenge signed successfully! Now verify to prove your attribute.',
+        text: `Challenge signed for ${describeAttributes(selectedAttributes)}! Now verify to prove ${selectedAttributes.length > 1 ? 'them' : 'it'}.`,
         type: 'success',
       });
     } catch (error) {
@@ -119,58 +404,243 @@ function ConfirmPage() {
     }
   };
 
+  // Hand the proof to the verifier's session; the backend checks it against the on-chain ring
+  const handleSubmitProof = async () => {
+    if (!signatures) {
+      setMessage({ text: 'Please sign the challenge first', type: 'error' });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setMessage({ text: `Sending proof to ${proofSession.origin}...`, type: 'info' });
+
+      // Only a valid proof is accepted; anything else comes back as an error and leaves the session open
+      const session = await submitProof(proofSession.sessionId, credential.issuer, signatures);
+      setProofSession(session);
+      setVerificationResult(true);
+      setMessage({
+        text: `✅ ${proofSession.origin} accepted your proof of ${describeAttributes(selectedAttributes)} from ${issuerLabel()}.`,
+        type: 'success',
+      });
+    } catch (error) {
+      console.error('Proof submission error:', error);
+      await explainFailure({ text: `❌ Sending proof to ${proofSession.origin} failed: ${error.message}`, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleVerify = async () => {
-    if (!signature) {
+    if (!signatures) {
       setMessage({ text: 'Please sign the challenge first', type: 'error' });
       return;
     }
 
     try {
       setLoading(true);
-      setMessage({ text: 'Verifying ring signature on-chain...', type: 'info' });
+      setMessage({ text: `Verifying ring signatures on-chain against ${issuerLabel()}...`, type: 'info' });
 
-      // Verify the signature
-      const isValid = await verifyAttribute(challenge, signature, selectedAttribute);
+      // One call for the whole bundle: it only succeeds if every attribute verifies
+      const isValid = await verifyAttributes(challenge, signatures, credential.issuer, selectedAttributes);
 
       setVerificationResult(isValid);
 
       if (isValid) {
         setMessage({
-          text: `✅ Verification successful! You have proven you have the "${selectedAttribute}" attribute without revealing your identity.`,
+          text: `✅ Verification successful! You have proven you have ${describeAttributes(selectedAttributes)} from ${issuerLabel()} without revealing your identity.`,
           type: 'success',
         });
         // Reload login count
         await loadLoginCount();
       } else {
-        setMessage({
-          text: '❌ Verification failed. The signature could not be verified.',
+        await explainFailure({
+          text: '❌ Verification failed. The signatures could not be verified.',
           type: 'error',
         });
       }
     } catch (error) {
       console.error('Verification error:', error);
-      setMessage({ text: `Verification failed: ${error.message}`, type: 'error' });
-      setVerificationResult(false);
+      if (error.stage === 'timeout' || error.stage === 'result') {
+        // Submitted, but not seen in a ledger yet or its result is unreadable; don't mark the proof as failed
+        setMessage({ text: `${error.message} Transaction hash: ${error.hash}`, type: 'info' });
+      } else {
+        setVerificationResult(false);
+        await explainFailure({ text: `Verification failed: ${error.message}`, type: 'error' });
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Same check a relying party would run: read-only, no wallet, no fee, no login count bump
+  const handleCheckOffChain = async () => {
+    if (!signatures) {
+      setMessage({ text: 'Please sign the challenge first', type: 'error' });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setMessage({ text: `Checking ring signatures against the on-chain rings of ${issuerLabel()}...`, type: 'info' });
+
+      const result = await verifyAttributesOffChain(challenge, signatures, credential.issuer, selectedAttributes, {
+        contractId: CONTRACT_ID,
+        rpcUrl: RPC_URL,
+        networkPassphrase: NETWORK_PASSPHRASE,
+      });
+
+      if (result.valid) {
+        const ringSizes = result.results.map(r => `${r.attribute}: ${r.ringSize} keys`).join(', ');
+        setMessage({ text: `✅ Off-chain check passed against ${issuerLabel()}'s rings (${ringSizes}).`, type: 'success' });
+      } else {
+        await explainFailure({ text: `❌ Off-chain check failed: ${result.reason}`, type: 'error' });
+      }
+    } catch (error) {
+      console.error('Off-chain verification error:', error);
+      setMessage({ text: `Off-chain check failed: ${error.message}`, type: 'error' });
     } finally {
       setLoading(false);
     }
   };
 
+  // Everything needed to re-check this proof later, by anyone
+  const buildPresentation = () => createPresentation({
+    issuerPubKey: credential.issuer,
+    challenge,
+    attributes: selectedAttributes,
+    signatures: signatures.map(scValToRingSignature),
+    rings: signedRings,
+  }, { contractId: CONTRACT_ID, networkPassphrase: NETWORK_PASSPHRASE });
+
+  const handleDownloadPresentation = () => {
+    const blob = new Blob([JSON.stringify(buildPresentation(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `kyc-presentation-${selectedAttributes.join('+')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleCopyPresentation = async () => {
+    await navigator.clipboard.writeText(JSON.stringify(buildPresentation()));
+    setMessage({ text: 'Presentation copied as JSON.', type: 'success' });
+  };
+
+  // The QR code leaves out the rings to fit, so it can only be checked against the chain
+  const handleShowPresentationQr = async () => {
+    try {
+      const text = JSON.stringify(withoutRings(buildPresentation()));
+      setPresentationQr(await QRCode.toDataURL(text, { errorCorrectionLevel: 'L' }));
+    } catch (error) {
+      console.error('QR code error:', error);
+      setMessage({ text: 'This presentation is too large for a QR code. Download it or copy the JSON instead.', type: 'error' });
+    }
+  };
+
   const handleReset = () => {
+    setProofSession(null);
     setChallenge('');
-    setSignature(null);
+    setSignatures(null);
+    setSignedRings(null);
+    setPresentationQr('');
     setVerificationResult(null);
     setMessage({ text: '', type: '' });
   };
 
-  const handleDeleteCredential = () => {
-    if (window.confirm('Are you sure you want to delete your credential? This cannot be undone.')) {
-      deleteCredential();
-      setCredential(null);
+  const handleDeleteCredential = async () => {
+    if (!window.confirm('Are you sure you want to delete this credential? This cannot be undone.')) return;
+    try {
+      await deleteCredential(credentialId);
+      const remaining = credentials.filter(entry => entry.id !== credentialId);
+      handleReset();
+      setCredentials(remaining);
+      selectCredential(remaining[0]);
+      setShowCredentialDetails(false);
       setMessage({ text: 'Credential deleted successfully', type: 'success' });
+    } catch (error) {
+      setMessage({ text: `Could not delete credential: ${error.message}`, type: 'error' });
+    }
+  };
+
+  // Keep the credential in use; a restore into an empty wallet selects the first one
+  const handleRestored = async () => {
+    try {
+      const entries = await listCredentials();
+      setCredentials(entries);
+      if (!credential) selectCredential(entries[0]);
+    } catch (error) {
+      console.error('Error loading credentials:', error);
+    }
+  };
+
+  const handleUnlocked = () => {
+    setLocked(false);
+    loadUserCredentials();
+  };
+
+  const handleLock = () => {
+    lockWallet();
+    handleReset();
+    setCredentials([]);
+    selectCredential(null);
+    setShowCredentialDetails(false);
+    setLocked(true);
+  };
+
+  const handleChangePassphrase = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      await changePassphrase(passphraseForm.current, passphraseForm.next);
+      setPassphraseForm({ current: '', next: '' });
+      setMessage({ text: 'Passphrase changed.', type: 'success' });
+    } catch (error) {
+      setMessage({ text: `Could not change passphrase: ${error.message}`, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAddPasskey = async () => {
+    try {
+      setLoading(true);
+      await addPasskey();
+      setPasskeyCount(await countPasskeys());
+      setMessage({ text: 'Passkey added. You can now unlock with it instead of typing your passphrase.', type: 'success' });
+    } catch (error) {
+      setMessage({ text: `Could not add passkey: ${error.message}`, type: 'error' });
+    } finally {
+      setLoading(false);
     }
   };
 
+  const handleRemovePasskeys = async () => {
+    try {
+      await removePasskeys();
+      setPasskeyCount(0);
+      setMessage({ text: 'Passkey unlock turned off. Use your passphrase to unlock.', type: 'success' });
+    } catch (error) {
+      setMessage({ text: `Could not remove passkeys: ${error.message}`, type: 'error' });
+    }
+  };
+
+  if (locked) {
+    return (
+      <div className="max-w-4xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0">
+          <ProfessionalHeader
+            title="Prove Your Identity"
+            subtitle="Anonymous verification using ring signatures"
+            variant="primary"
+          />
+          <CredentialUnlock onUnlock={handleUnlocked} />
+        </div>
+      </div>
+    );
+  }
+
   if (!credential) {
     return (
       <div className="max-w-4xl mx-auto py-6 sm:px-6 lg:px-8">
@@ -187,6 +657,9 @@ function ConfirmPage() {
               Get Verified
             </a>
           </div>
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg p-6 mt-6">
+            <CredentialBackup canBackup={false} onRestored={handleRestored} />
+          </div>
         </div>
       </div>
     );
@@ -237,7 +710,7 @@ function ConfirmPage() {
                 Total anonymous verifications on this contract
               </p>
             </div>
-            <div className="text-5xl font-bold">{loginCount}</div>
+            <div className="text-5xl font-bold">{loginCount.toString()}</div>
           </div>
         </div>
 
@@ -249,14 +722,56 @@ function ConfirmPage() {
                 <h3 className="text-lg leading-6 font-medium text-gray-900 mb-2">
                   Your Credential
                 </h3>
+                {credentials.length > 1 && (
+                  <select
+                    value={credentialId}
+                    onChange={(e) => handleSelectCredential(e.target.value)}
+                    disabled={!!proofSession}
+                    className="mb-2 block w-full border border-gray-300 rounded-md py-2 px-3 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    {credentialsByIssuer.map(group => (
+                      <optgroup key={group.issuer} label={nameOfIssuer(group.issuer, group.entries[0].credential.issuer_name) || `${group.issuer.substring(0, 20)}...`}>
+                        {group.entries.map(entry => (
+                          <option key={entry.id} value={entry.id}>
+                            {formatCredential(entry.credential).summary}
+                          </option>
+                        ))}
+                      </optgroup>
+                    ))}
+                  </select>
+                )}
                 <div className="text-sm text-gray-600">
                   <p>
-                    Issuer: <span className="font-mono">{credential.issuer.substring(0, 20)}...</span>
+                    Issuer: {issuerName && <span className="font-medium">{issuerName} </span>}
+                    <span className="font-mono">{credential.issuer.substring(0, 20)}...</span>
                   </p>
                   <p className="mt-1">
                     Attributes: {Object.keys(credential.user_keys).join(', ')}
                   </p>
+                  <p className="mt-1">
+                    {credential.issued_at && `Issued ${formatDate(credential.issued_at)}. `}
+                    {credential.expires_at ? `Valid until ${formatDate(credential.expires_at)}.` : 'No expiry date.'}
+                  </p>
                 </div>
+                {expiredAttributes.length > 0 && (
+                  <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+                    Expired: {expiredAttributes.map(attribute => `${attribute} (${formatDate(attributeStatus(credential, attribute).expiresAt)})`).join(', ')}.
+                    {' '}Expired attributes can't be proven. Get verified again to renew them.
+                  </div>
+                )}
+                {expiringAttributes.length > 0 && (
+                  <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-yellow-800">
+                    Expiring soon: {expiringAttributes.map(attribute => {
+                      const { daysLeft, expiresAt } = attributeStatus(credential, attribute);
+                      return `${attribute} in ${daysLeft} day${daysLeft === 1 ? '' : 's'} (${formatDate(expiresAt)})`;
+                    }).join(', ')}.
+                  </div>
+                )}
+                {otherDeployment && (
+                  <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-yellow-800">
+                    This credential was issued on another contract or network, so its rings may not exist on this one.
+                  </div>
+                )}
               </div>
               <button
                 onClick={() => setShowCredentialDetails(!showCredentialDetails)}
@@ -264,6 +779,13 @@ function ConfirmPage() {
               >
                 {showCredentialDetails ? 'Hide Details' : 'Show Details'}
               </button>
+              <button
+                onClick={handleLock}
+                disabled={loading}
+                className="ml-4 text-sm text-gray-600 hover:text-gray-800"
+              >
+                Lock
+              </button>
             </div>
 
             {showCredentialDetails && (
@@ -271,6 +793,55 @@ function ConfirmPage() {
                 <pre className="text-xs overflow-x-auto">
                   {JSON.stringify(credential, null, 2)}
                 </pre>
+                <form onSubmit={handleChangePassphrase} className="mt-4 flex flex-wrap gap-2 items-center">
+                  <input
+                    type="password"
+                    value={passphraseForm.current}
+                    onChange={(e) => setPassphraseForm({ ...passphraseForm, current: e.target.value })}
+                    placeholder="Current passphrase"
+                    autoComplete="current-password"
+                    className="border border-gray-300 rounded-md py-1 px-2 text-sm"
+                  />
+                  <input
+                    type="password"
+                    value={passphraseForm.next}
+                    onChange={(e) => setPassphraseForm({ ...passphraseForm, next: e.target.value })}
+                    placeholder={`New passphrase (${MIN_PASSPHRASE_LENGTH}+ characters)`}
+                    autoComplete="new-password"
+                    className="border border-gray-300 rounded-md py-1 px-2 text-sm"
+                  />
+                  <button
+                    type="submit"
+                    disabled={loading || !passphraseForm.current || !passphraseForm.next}
+                    className="text-sm text-indigo-600 hover:text-indigo-800 disabled:text-gray-400"
+                  >
+                    Change Passphrase
+                  </button>
+                </form>
+                {isPasskeySupported() && (
+                  <div className="mt-4 flex flex-wrap gap-4 items-center text-sm">
+                    <span className="text-gray-600">
+                      {passkeyCount > 0
+                        ? `Passkey unlock is on (${passkeyCount} passkey${passkeyCount === 1 ? '' : 's'}).`
+                        : 'Unlock with a passkey instead of typing your passphrase.'}
+                    </span>
+                    <button
+                      onClick={handleAddPasskey}
+                      disabled={loading}
+                      className="text-indigo-600 hover:text-indigo-800 disabled:text-gray-400"
+                    >
+                      {passkeyCount > 0 ? 'Add Another Passkey' : 'Set Up Passkey'}
+                    </button>
+                    {passkeyCount > 0 && (
+                      <button onClick={handleRemovePasskeys} className="text-red-600 hover:text-red-800">
+                        Turn Off Passkey Unlock
+                      </button>
+                    )}
+                  </div>
+                )}
+                <div className="mt-4 pt-4 border-t border-gray-200">
+                  <CredentialBackup canBackup onRestored={handleRestored} />
+                </div>
                 <button
                   onClick={handleDeleteCredential}
                   className="mt-4 text-sm text-red-600 hover:text-red-800"
@@ -301,27 +872,41 @@ function ConfirmPage() {
         <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
           <div className="px-4 py-5 sm:p-6">
             <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
-              Select Attribute to Prove
+              Select Attributes to Prove
             </h3>
-            <select
-              value={selectedAttribute}
-              onChange={(e) => {
-                setSelectedAttribute(e.target.value);
-                handleReset();
-              }}
-              className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md border"
-            >
-              {Object.keys(credential.user_keys).map((attr) => (
-                <option key={attr} value={attr}>
-                  {attr.replace(/_/g, ' ').toUpperCase()} (Ring size:{' '}
-                  {credential.rings[attr].length})
-                </option>
-              ))}
-            </select>
+            <div className="space-y-2">
+              {Object.keys(credential.user_keys).map((attr) => {
+                const status = attributeStatus(credential, attr);
+                return (
+                  <label key={attr} className={`flex items-center gap-2 text-sm ${status.expired ? 'text-gray-400' : 'text-gray-700'}`}>
+                    <input
+                      type="checkbox"
+                      checked={selectedAttributes.includes(attr)}
+                      onChange={() => toggleAttribute(attr)}
+                      disabled={!!proofSession || status.expired}
+                      className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                    />
+                    {attr.replace(/_/g, ' ').toUpperCase()} (Ring size: {credential.rings[attr].length})
+                    {status.expired && <span className="text-red-600">- expired</span>}
+                    {status.expiresSoon && <span className="text-yellow-700">- expires in {status.daysLeft} day{status.daysLeft === 1 ? '' : 's'}</span>}
+                    {notMember[attr] && <span className="text-red-600">- not a member</span>}
+                  </label>
+                );
+              })}
+            </div>
             <p className="mt-2 text-sm text-gray-500">
-              You will prove you belong to this attribute group without revealing which key is
-              yours.
+              You will prove you belong to each selected attribute group without revealing which key is
+              yours. Several attributes are signed over the same challenge and verified together.
             </p>
+            {notMemberAttributes.length > 0 && (
+              <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-md">
+                <p className="text-sm font-medium text-red-800">Not a member</p>
+                <p className="text-sm text-red-700 mt-1">
+                  Your key for {describeAttributes(notMemberAttributes)} is not in the issuer's current on-chain ring,
+                  so it can't be proven. The issuer has most likely revoked it.
+                </p>
+              </div>
+            )}
           </div>
         </div>
 
@@ -331,26 +916,60 @@ function ConfirmPage() {
             <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">Challenge</h3>
 
             {!challenge ? (
-              <button
-                onClick={generateChallenge}
-                className="w-full py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
-              >
-                Generate Challenge
-              </button>
+              <div>
+                <p className="text-sm text-gray-600 mb-2">
+                  Paste the request link or session ID a verifier gave you. Its challenge names the verifier and
+                  expires, so your proof can only be used once, by them.
+                </p>
+                <div className="flex gap-3 mb-4">
+                  <input
+                    type="text"
+                    value={sessionInput}
+                    onChange={(e) => setSessionInput(e.target.value)}
+                    placeholder="https://.../confirm?session=... or session ID"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                  <button
+                    onClick={() => loadProofSession(parseSessionId(sessionInput))}
+                    disabled={loading || !sessionInput.trim()}
+                    className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400"
+                  >
+                    Load Request
+                  </button>
+                </div>
+                <button
+                  onClick={generateChallenge}
+                  className="w-full py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  Practice with a Self-Made Challenge
+                </button>
+              </div>
             ) : (
               <div>
+                {proofSession && (
+                  <div className="bg-indigo-50 border border-indigo-200 rounded-md p-4 mb-4 text-sm text-indigo-900">
+                    <p>
+                      Verifier: <span className="font-mono">{proofSession.origin}</span>
+                    </p>
+                    <p>Attributes: {proofSession.attributes.join(', ')}</p>
+                    <p>Expires: {new Date(proofSession.expiresAt).toLocaleString()}</p>
+                  </div>
+                )}
+
                 <div className="bg-gray-50 rounded-md p-4 mb-4">
                   <p className="text-sm text-gray-600 mb-1">Challenge Message:</p>
-                  <p className="font-mono text-sm break-all">{challenge}</p>
+                  <p className="font-mono text-sm break-all whitespace-pre-wrap">{challenge}</p>
                 </div>
 
-                {signature && (
+                {signatures && (
                   <div className="bg-green-50 border border-green-200 rounded-md p-4 mb-4">
                     <p className="text-sm text-green-800 font-medium mb-1">
                       ✓ Challenge Signed
                     </p>
                     <p className="text-xs text-green-700">
-                      Ring signature generated using your private key
+                      {signatures.length > 1
+                        ? `${signatures.length} ring signatures generated using your private keys`
+                        : 'Ring signature generated using your private key'}
                     </p>
                   </div>
                 )}
@@ -358,21 +977,40 @@ function ConfirmPage() {
                 <div className="flex gap-3">
                   <button
                     onClick={handleSign}
-                    disabled={loading || signature}
+                    disabled={loading || !!signatures || selectedAttributes.length === 0 || notMemberAttributes.length > 0}
                     className="flex-1 py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:bg-gray-400"
                   >
-                    {signature ? 'Signed ✓' : loading ? 'Signing...' : 'Sign Challenge'}
+                    {signatures ? 'Signed ✓' : loading ? 'Signing...' : 'Sign Challenge'}
                   </button>
 
+                  {proofSession && (
+                    <button
+                      onClick={handleSubmitProof}
+                      disabled={loading || !signatures || proofSession.status !== 'pending'}
+                      className="flex-1 py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400"
+                    >
+                      {proofSession.status === 'pending' ? 'Send Proof to Verifier' : 'Proof Sent ✓'}
+                    </button>
+                  )}
+
                   <button
                     onClick={handleVerify}
-                    disabled={loading || !signature || verificationResult !== null || !walletAddress}
+                    disabled={loading || !signatures || verificationResult !== null || !walletAddress}
                     className="flex-1 py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400"
                     title={!walletAddress ? 'Connect wallet first' : ''}
                   >
                     {loading ? 'Verifying...' : !walletAddress ? 'Connect Wallet First' : 'Verify On-Chain'}
                   </button>
 
+                  <button
+                    onClick={handleCheckOffChain}
+                    disabled={loading || !signatures}
+                    className="py-3 px-4 border border-indigo-300 rounded-md shadow-sm text-sm font-medium text-indigo-700 bg-white hover:bg-indigo-50 disabled:bg-gray-100 disabled:text-gray-400"
+                    title="Read-only check, no wallet or fee needed"
+                  >
+                    Check Off-Chain
+                  </button>
+
                   <button
                     onClick={handleReset}
                     disabled={loading}
@@ -381,6 +1019,44 @@ function ConfirmPage() {
                     Reset
                   </button>
                 </div>
+
+                {signatures && (
+                  <div className="mt-4 border-t border-gray-200 pt-4">
+                    <p className="text-sm font-medium text-gray-700 mb-1">Export Presentation</p>
+                    <p className="text-xs text-gray-500 mb-3">
+                      A file with the challenge, your ring {signatures.length > 1 ? 'signatures' : 'signature'} and the
+                      ring snapshot, so anyone can re-check this proof later on the Check Presentation page.
+                    </p>
+                    <div className="flex gap-3">
+                      <button
+                        onClick={handleDownloadPresentation}
+                        className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                      >
+                        Download
+                      </button>
+                      <button
+                        onClick={handleCopyPresentation}
+                        className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                      >
+                        Copy JSON
+                      </button>
+                      <button
+                        onClick={handleShowPresentationQr}
+                        className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                      >
+                        Show QR Code
+                      </button>
+                    </div>
+                    {presentationQr && (
+                      <div className="mt-4 text-center">
+                        <img src={presentationQr} alt="Presentation QR code" className="mx-auto w-64 h-64" />
+                        <p className="text-xs text-gray-500 mt-2">
+                          Without the ring snapshot, so it is checked against the current on-chain rings.
+                        </p>
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -401,8 +1077,8 @@ function ConfirmPage() {
             </h3>
             <p className="text-gray-700">
               {verificationResult
-                ? `You have successfully proven you have the "${selectedAttribute}" attribute without revealing your identity. The smart contract verified your ring signature anonymously.`
-                : 'The ring signature could not be verified. Please try again with a new challenge.'}
+                ? `You have successfully proven you have the ${describeAttributes(selectedAttributes)} ${selectedAttributes.length > 1 ? 'attributes' : 'attribute'} without revealing your identity. ${proofSession ? `${proofSession.origin} checked` : 'The smart contract verified'} your ring ${selectedAttributes.length > 1 ? 'signatures' : 'signature'} anonymously against the ${selectedAttributes.length > 1 ? 'rings' : 'ring'} of ${issuerLabel()}.`
+                : 'The ring signatures could not be verified. Please try again with a new challenge.'}
             </p>
           </div>
         )}
@@ -412,15 +1088,16 @@ function ConfirmPage() {
           <h3 className="text-lg font-medium text-blue-900 mb-2">How Ring Signatures Work</h3>
           <ol className="list-decimal list-inside text-sm text-blue-800 space-y-2">
             <li>
-              <strong>Select an attribute</strong> - Choose which verified attribute you want to
-              prove (e.g., "over_18")
+              <strong>Select attributes</strong> - Choose which verified attributes you want to
+              prove (e.g., "over_18"); several are proven over the same challenge
             </li>
             <li>
-              <strong>Generate challenge</strong> - Create a random message to sign
+              <strong>Load the verifier's request</strong> - The verifier's challenge names its origin and
+              expires, and can only be answered once
             </li>
             <li>
-              <strong>Sign with your private key</strong> - Create a ring signature using your
-              attribute's private key
+              <strong>Sign with your private keys</strong> - Create one ring signature per attribute
+              using that attribute's private key
             </li>
             <li>
               <strong>Verify on-chain</strong> - The smart contract verifies you're in the
@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { listCredentials, hasCredentials, isWalletUnlocked } from '../utils/credentials';
+import { signRing, signRingLocally, getRingForAttribute } from '../utils/contract';
+import { scValToRingSignature } from '../utils/verifier';
+import { findSignerIndex } from '../utils/ringSignature';
+import { MESSAGE_TYPES, validateProofRequest, buildProofMessage } from '../widget/protocol';
+import CredentialUnlock from '../components/CredentialUnlock';
+import { attributeStatus } from '../utils/credentialSchema';
+
+// Same switch as ConfirmPage: sign in the browser unless RPC signing is explicitly enabled
+const USE_RPC_SIGNING = import.meta.env.VITE_RPC_SIGNING === 'true';
+
+// Opened by the "Prove with KYC" widget in a popup or iframe. The window that
+// opened us is the only one we talk to, and the proof goes back to its origin only.
+function EmbedProvePage() {
+  const [credentials, setCredentials] = useState([]);
+  const [locked, setLocked] = useState(false);
+  const [request, setRequest] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+  // { source, origin } of the page that sent the request
+  const requesterRef = useRef(null);
+
+  const host = window.opener || (window.parent !== window ? window.parent : null);
+
+  useEffect(() => {
+    loadUserCredentials();
+
+    if (!host) {
+      setMessage({ text: 'This page is opened by the "Prove with KYC" button on a partner site.', type: 'error' });
+      return undefined;
+    }
+
+    const onMessage = (event) => {
+      if (event.source !== host || event.data?.type !== MESSAGE_TYPES.REQUEST || requesterRef.current) return;
+
+      const { attributes, nonce, issuerPubKey } = event.data;
+      requesterRef.current = { source: event.source, origin: event.origin };
+
+      const invalid = validateProofRequest({ attributes, nonce, issuerPubKey });
+      if (invalid) {
+        reply(MESSAGE_TYPES.ERROR, { error: invalid });
+        setMessage({ text: `Invalid request from ${event.origin}: ${invalid}`, type: 'error' });
+        return;
+      }
+
+      setRequest({ attributes, nonce, issuerPubKey, origin: event.origin });
+    };
+
+    window.addEventListener('message', onMessage);
+    // Nothing secret in READY, so any opener may hear it
+    host.postMessage({ type: MESSAGE_TYPES.READY }, '*');
+
+    return () => window.removeEventListener('message', onMessage);
+  }, []);
+
+  const loadUserCredentials = async () => {
+    try {
+      if (await hasCredentials()) {
+        // A fresh popup never starts unlocked, so this usually asks for the passphrase
+        if (isWalletUnlocked()) {
+          setCredentials((await listCredentials()).map(entry => entry.credential));
+        } else {
+          setLocked(true);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading credentials:', error);
+    }
+  };
+
+  const reply = (type, data) => {
+    const { source, origin } = requesterRef.current;
+    source.postMessage({ type, ...data }, origin);
+  };
+
+  // Stored credentials that hold every requested attribute, from the requested issuer if one is named
+  const holdingCredentials = () => credentials.filter(credential =>
+    (!request.issuerPubKey || credential.issuer === request.issuerPubKey)
+    && request.attributes.every(attribute => credential.user_keys[attribute]));
+
+  // The first of those whose requested attributes haven't expired
+  const matchingCredential = () => holdingCredentials().find(credential =>
+    request.attributes.every(attribute => !attributeStatus(credential, attribute).expired));
+
+  // Why this request can't be answered with the stored credentials, if it can't
+  const problem = () => {
+    if (credentials.length === 0) return 'No credential found in this browser. Get verified first.';
+    if (matchingCredential()) return null;
+    if (holdingCredentials().length > 0) {
+      return `Your credential for ${request.attributes.join(', ')} has expired. Get verified again.`;
+    }
+    if (request.issuerPubKey && !credentials.some(credential => credential.issuer === request.issuerPubKey)) {
+      return `${request.origin} only accepts these attributes from an issuer you have no credential from.`;
+    }
+    return `None of your credentials includes all of: ${request.attributes.join(', ')}.`;
+  };
+
+  const handleApprove = async () => {
+    const credential = matchingCredential();
+    try {
+      setLoading(true);
+      // The requester's origin comes from the browser, not from the request, so a proof can't be relayed elsewhere
+      const proofMessage = buildProofMessage({ origin: request.origin, attributes: request.attributes, nonce: request.nonce });
+      const signatures = [];
+
+      for (const attribute of request.attributes) {
+        setMessage({ text: `Signing "${attribute}" with ring signature...`, type: 'info' });
+
+        const secretKey = credential.user_keys[attribute];
+        const ring = await getRingForAttribute(credential.issuer, attribute);
+        const secretIdx = ring ? findSignerIndex(ring, secretKey) : -1;
+        if (secretIdx < 0) {
+          throw new Error(`Your key for "${attribute}" is not in the issuer's ring. It may have been revoked.`);
+        }
+
+        const signature = USE_RPC_SIGNING
+          ? await signRing(proofMessage, ring, secretIdx, secretKey)
+          : await signRingLocally(proofMessage, ring, secretIdx, secretKey);
+        signatures.push(scValToRingSignature(signature));
+      }
+
+      reply(MESSAGE_TYPES.PROOF, {
+        proof: {
+          attributes: request.attributes,
+          issuerPubKey: credential.issuer,
+          message: proofMessage,
+          signatures,
+        },
+      });
+      setMessage({ text: `✅ Proof sent to ${request.origin}. You can close this window.`, type: 'success' });
+    } catch (error) {
+      console.error('Signing error:', error);
+      setMessage({ text: `Signing failed: ${error.message}`, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDecline = () => {
+    reply(MESSAGE_TYPES.ERROR, { error: 'The user declined to share a proof' });
+  };
+
+  return (
+    <div className="max-w-md mx-auto py-6 px-4">
+      <h1 className="text-xl font-bold text-indigo-600 mb-4">Prove with KYC</h1>
+
+      {message.text && (
+        <div
+          className={`mb-4 p-4 rounded-md text-sm ${
+            message.type === 'success'
+              ? 'bg-green-50 text-green-800'
+              : message.type === 'error'
+              ? 'bg-red-50 text-red-800'
+              : 'bg-blue-50 text-blue-800'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {!request ? (
+        host && <p className="text-sm text-gray-600">Waiting for the partner site's request...</p>
+      ) : (
+        <div className="bg-white shadow rounded-lg p-4">
+          <p className="text-sm text-gray-700 mb-4">
+            <span className="font-mono font-medium">{request.origin}</span> asks you to prove{' '}
+            <span className="font-medium">{request.attributes.map(a => a.replace(/_/g, ' ')).join(' and ')}</span>.
+            It learns that you hold {request.attributes.length > 1 ? 'these attributes' : 'this attribute'}, not which
+            ring member you are.
+          </p>
+
+          {locked && (
+            <div className="mb-4">
+              <CredentialUnlock onUnlock={() => { setLocked(false); loadUserCredentials(); }} />
+            </div>
+          )}
+
+          {!locked && problem() ? (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700 mb-4">{problem()}</div>
+          ) : null}
+
+          <div className="flex gap-3">
+            <button
+              onClick={handleApprove}
+              disabled={loading || locked || !!problem() || message.type === 'success'}
+              className="flex-1 py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400"
+            >
+              {loading ? 'Signing...' : 'Sign and Share Proof'}
+            </button>
+            <button
+              onClick={handleDecline}
+              disabled={loading || message.type === 'success'}
+              className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:bg-gray-100"
+            >
+              Decline
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EmbedProvePage;
@@ -1,20 +1,46 @@
 import React, { useState, useEffect } from 'react';
-import { connectWallet, createKeys, createRingForAttribute, getWalletAddressIfConnected } from '../utils/contract';
+import {
+  connectWallet,
+  addRingMembers,
+  revokeRingMember,
+  getIssuerAddress,
+  getRingForAttribute,
+  getWalletAddressIfConnected,
+  CONTRACT_ID,
+  NETWORK_PASSPHRASE,
+} from '../utils/contract';
+import { loginIssuerWithKey, loginIssuerWithWallet, authHeaders } from '../utils/auth';
+import { encryptCredentialForDelivery } from '../utils/delivery';
+import { createCredential } from '../utils/credentialSchema';
+import { generateKeys } from '../utils/keygen';
+import { DEFAULT_TARGET_RING_SIZE, nextDecoys, describeRing } from '../utils/decoys';
+import { AVAILABLE_ATTRIBUTES } from '../utils/attributes';
 import ProfessionalHeader from '../components/ProfessionalHeader';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+// Target ring sizes are a per-issuer preference kept in this browser
+const ringTargetsKey = (issuerPubKey) => `ring_targets_${issuerPubKey}`;
+
 function IssuerPage() {
   const [walletAddress, setWalletAddress] = useState('');
   const [issuers, setIssuers] = useState([]);
   const [selectedIssuerId, setSelectedIssuerId] = useState('');
   const [credentials, setCredentials] = useState(null);
+  const [session, setSession] = useState(null);
   const [credentialsInput, setCredentialsInput] = useState('');
   const [requests, setRequests] = useState([]);
+  const [approvedRequests, setApprovedRequests] = useState([]);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ text: '', type: '' });
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [viewingDocument, setViewingDocument] = useState(null);
+  // Decrypted document photos, fetched on demand: { requestId: dataUrl }
+  const [documents, setDocuments] = useState({});
+  // { attribute: target ring size }
+  const [ringTargets, setRingTargets] = useState({});
+  // { attribute: { ringSize, decoys, anonymitySet } }
+  const [ringStats, setRingStats] = useState({});
 
   useEffect(() => {
     loadIssuers();
@@ -30,13 +56,42 @@ function IssuerPage() {
   };
 
   useEffect(() => {
-    if (credentials && credentials.publicKey) {
+    if (credentials && credentials.publicKey && session) {
       loadKYCRequests();
       const interval = setInterval(loadKYCRequests, 5000); // Poll every 5 seconds
       return () => clearInterval(interval);
     }
+  }, [credentials, session]);
+
+  useEffect(() => {
+    if (credentials && credentials.publicKey) {
+      setRingTargets(JSON.parse(localStorage.getItem(ringTargetsKey(credentials.publicKey)) || '{}'));
+      loadRingStats();
+    }
   }, [credentials]);
 
+  const targetRingSize = (attribute) => ringTargets[attribute] || DEFAULT_TARGET_RING_SIZE;
+
+  const updateRingTarget = (attribute, value) => {
+    const size = parseInt(value, 10);
+    const updated = { ...ringTargets, [attribute]: Number.isInteger(size) && size > 0 ? size : undefined };
+    setRingTargets(updated);
+    localStorage.setItem(ringTargetsKey(credentials.publicKey), JSON.stringify(updated));
+  };
+
+  const loadRingStats = async () => {
+    try {
+      const stats = {};
+      for (const { id } of AVAILABLE_ATTRIBUTES) {
+        const ring = await getRingForAttribute(credentials.publicKey, id);
+        stats[id] = ring ? describeRing(ring, credentials.publicKey, id) : null;
+      }
+      setRingStats(stats);
+    } catch (error) {
+      console.error('Error loading ring sizes:', error);
+    }
+  };
+
   const loadIssuers = async () => {
     try {
       const response = await fetch(`${API_BASE_URL}/api/issuers`);
@@ -47,19 +102,79 @@ function IssuerPage() {
     }
   };
 
-  const handleLoadCredentials = () => {
+  const handleLoadCredentials = async () => {
+    let parsed;
     try {
-      const parsed = JSON.parse(credentialsInput);
+      parsed = JSON.parse(credentialsInput);
       if (!parsed.publicKey || !parsed.secretKey || !parsed.name) {
         throw new Error('Invalid credentials format. Must include name, publicKey, and secretKey.');
       }
-      setCredentials(parsed);
-      setMessage({ text: `Loaded credentials for ${parsed.name}`, type: 'success' });
     } catch (error) {
       setMessage({ text: `Error parsing credentials: ${error.message}`, type: 'error' });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setMessage({ text: 'Signing in with issuer key...', type: 'info' });
+      // Prove key ownership to the backend; the secret key never leaves the browser
+      setSession(await loginIssuerWithKey(parsed.publicKey, parsed.secretKey));
+      setCredentials(parsed);
+      setMessage({ text: `Loaded credentials and signed in as ${parsed.name}`, type: 'success' });
+    } catch (error) {
+      setMessage({ text: `Sign in failed: ${error.message}`, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleWalletLogin = async () => {
+    const issuer = issuers.find((i) => i.id === selectedIssuerId);
+    if (!issuer) {
+      setMessage({ text: 'Please select your issuer first', type: 'error' });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setMessage({ text: 'Please sign the login challenge in your wallet...', type: 'info' });
+      setSession(await loginIssuerWithWallet(issuer.publicKey));
+      // Wallet sign-in only proves identity, so there is no issuer secret key loaded
+      setCredentials({ name: issuer.name, publicKey: issuer.publicKey });
+      setMessage({ text: `Signed in as ${issuer.name} with wallet`, type: 'success' });
+    } catch (error) {
+      setMessage({ text: `Wallet sign in failed: ${error.message}`, type: 'error' });
+    } finally {
+      setLoading(false);
     }
   };
 
+  // Call an issuer-scoped endpoint, signing in again once if the session has expired
+  const issuerFetch = async (path, options = {}) => {
+    let activeSession = session;
+    let response = await fetch(`${API_BASE_URL}${path}`, {
+      ...options,
+      headers: authHeaders(activeSession?.token),
+    });
+
+    if (response.status === 401 && credentials?.secretKey) {
+      activeSession = await loginIssuerWithKey(credentials.publicKey, credentials.secretKey);
+      setSession(activeSession);
+      response = await fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: authHeaders(activeSession.token),
+      });
+    }
+
+    if (response.status === 401) {
+      setSession(null);
+      setCredentials(null);
+      throw new Error('Session expired. Please sign in again.');
+    }
+
+    return response;
+  };
+
   const handleConnectWallet = async () => {
     try {
       setLoading(true);
@@ -74,13 +189,32 @@ function IssuerPage() {
   };
 
   const loadKYCRequests = async () => {
-    if (!credentials || !credentials.publicKey) return;
+    if (!credentials || !credentials.publicKey || !session) return;
     try {
-      const response = await fetch(`${API_BASE_URL}/api/kyc-requests?issuerPubKey=${credentials.publicKey}&status=pending`);
+      const response = await issuerFetch('/api/kyc-requests?status=pending');
       const data = await response.json();
       setRequests(data.requests || []);
+
+      const approvedResponse = await issuerFetch('/api/kyc-requests?status=approved');
+      const approvedData = await approvedResponse.json();
+      setApprovedRequests(approvedData.requests || []);
     } catch (error) {
       console.error('Error loading requests:', error);
+      setMessage({ text: error.message, type: 'error' });
+    }
+  };
+
+  // Document photos are decrypted server-side only for the owning issuer, one request at a time
+  const loadDocument = async (requestId) => {
+    try {
+      const response = await issuerFetch(`/api/kyc-requests/${requestId}/document`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load document');
+      }
+      setDocuments((prev) => ({ ...prev, [requestId]: data.documentPhoto }));
+    } catch (error) {
+      setMessage({ text: `Error: ${error.message}`, type: 'error' });
     }
   };
 
@@ -95,17 +229,34 @@ function IssuerPage() {
       return;
     }
 
+    if (!request.deliveryPublicKey) {
+      setMessage({
+        text: 'This request has no delivery key, so the credential cannot be sent securely. Ask the user to resubmit.',
+        type: 'error',
+      });
+      return;
+    }
+
+    // Attributes whose ring already holds the new member, to report if a later step fails
+    const changedRings = [];
+    const memberKeys = {};
+
     try {
       setLoading(true);
-      setMessage({ text: 'Generating keys via smart contract...', type: 'info' });
+      await checkIssuerWallet();
+
+      setMessage({ text: 'Generating keys...', type: 'info' });
 
-      // Generate keys for each attribute the user qualifies for
+      // Everything that can fail locally happens before the first on-chain
+      // write, so a bad key or delivery key never leaves a ring holding a
+      // member whose credential can't be sent
       const userKeys = {};
-      const rings = {};
+      const newMembersByAttribute = {};
+      const draftRings = {};
 
       for (const attribute of request.attributes) {
-        // Create a key for this user via smart contract
-        const keyResult = await createKeys(1);
+        // Create a fresh random key for this user
+        const keyResult = await generateKeys(1);
 
         if (!keyResult.secretKeys || !keyResult.publicKeys ||
             keyResult.secretKeys.length === 0 || keyResult.publicKeys.length === 0) {
@@ -116,50 +267,81 @@ function IssuerPage() {
         const userPublicKey = keyResult.publicKeys[0];
 
         userKeys[attribute] = userSecretKey;
+        memberKeys[attribute] = userPublicKey;
 
-        // Create ring with user's public key and some decoy keys
-        setMessage({ text: `Generating ring for ${attribute}...`, type: 'info' });
-        const decoyKeys = await createKeys(4); // Generate 4 decoy keys
+        // Rings only grow, so earlier holders' credentials stay valid. Prior
+        // members hide the new one; until there are enough of them the ring is
+        // padded to the target size with unspendable decoys.
+        const existingRing = (await getRingForAttribute(credentials.publicKey, attribute)) || [];
+        const newMembers = [userPublicKey];
 
-        const ring = [
-          userPublicKey,
-          ...decoyKeys.publicKeys
-        ];
+        const missing = targetRingSize(attribute) - existingRing.length - newMembers.length;
+        if (missing > 0) {
+          newMembers.push(...nextDecoys(existingRing, credentials.publicKey, attribute, missing));
+        }
 
-        rings[attribute] = ring;
+        newMembersByAttribute[attribute] = newMembers;
+        // The ring as the contract will store it: sorted, without duplicates
+        draftRings[attribute] = [...new Set([...existingRing, ...newMembers])].sort();
+      }
+
+      const buildCredential = (rings, ringVersions) => createCredential({
+        issuer: credentials.publicKey,
+        issuerName: credentials.name,
+        contractId: CONTRACT_ID,
+        networkPassphrase: NETWORK_PASSPHRASE,
+        userKeys,
+        rings,
+        ringVersions,
+      });
 
-        // Update the ring on-chain
-        setMessage({ text: `Registering ring for ${attribute} on blockchain (this may take a moment)...`, type: 'info' });
+      // Validates the credential and the applicant's delivery key
+      await encryptCredentialForDelivery(buildCredential(draftRings), request.deliveryPublicKey, request.requestId);
+
+      const rings = {};
+      const ringVersions = {};
+
+      for (const attribute of request.attributes) {
+        setMessage({ text: `Adding ${attribute} ring members on blockchain (this may take a moment)...`, type: 'info' });
         try {
-          await createRingForAttribute(walletAddress, attribute, ring);
-          setMessage({ text: `✓ Ring for ${attribute} registered and confirmed on blockchain`, type: 'success' });
+          const result = await addRingMembers(credentials.publicKey, attribute, newMembersByAttribute[attribute], walletAddress);
+          changedRings.push(attribute);
+          ringVersions[attribute] = result.value;
+          setMessage({ text: `✓ Ring for ${attribute} updated and confirmed on blockchain`, type: 'success' });
         } catch (error) {
-          console.error(`Error creating ring for ${attribute}:`, error);
-          throw new Error(`Failed to register ring for ${attribute} on blockchain: ${error.message}. The credential cannot be issued without on-chain ring registration.`);
+          console.error(`Error adding ring members for ${attribute}:`, error);
+          throw new Error(`Failed to update ring for ${attribute} on blockchain: ${error.message}. The credential cannot be issued without on-chain ring registration.`);
         }
+
+        // Snapshot the full ring the credential was issued against
+        const ring = await getRingForAttribute(credentials.publicKey, attribute);
+        if (!ring || !ring.includes(memberKeys[attribute])) {
+          throw new Error(`Ring for ${attribute} on blockchain does not contain the new key`);
+        }
+        rings[attribute] = ring;
       }
 
       // All rings registered successfully
       setMessage({ text: 'All rings registered, finalizing credential...', type: 'info' });
 
-      // Create credential JSON
-      const credential = {
-        issuer: credentials.publicKey,
-        user_keys: userKeys,
-        rings: rings,
-        issued_at: new Date().toISOString(),
-      };
+      // Encrypt to the user's delivery key so the backend only relays ciphertext
+      const encryptedCredential = await encryptCredentialForDelivery(
+        buildCredential(rings, ringVersions),
+        request.deliveryPublicKey,
+        request.requestId
+      );
 
-      setMessage({ text: 'Sending credential to backend...', type: 'info' });
+      setMessage({ text: 'Sending encrypted credential to backend...', type: 'info' });
 
       // Send approval to backend
-      const response = await fetch(`${API_BASE_URL}/api/approve-kyc`, {
+      const response = await issuerFetch('/api/approve-kyc', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           requestId: request.requestId,
           issuerPubKey: credentials.publicKey,
-          credential,
+          encryptedCredential,
+          // Public keys only, so the approval can be revoked later
+          ringMemberKeys: memberKeys,
         }),
       });
 
@@ -171,10 +353,92 @@ function IssuerPage() {
           type: 'success',
         });
         await loadKYCRequests();
+        await loadRingStats();
         setSelectedRequest(null);
       } else {
         throw new Error(result.error || 'Approval failed');
       }
+    } catch (error) {
+      if (changedRings.length > 0) {
+        console.error('Rings changed for a credential that was not delivered:', Object.fromEntries(changedRings.map(attribute => [attribute, memberKeys[attribute]])));
+        setMessage({
+          text: `Error: ${error.message} (rings already changed on-chain, now holding a key for a credential that was not delivered: ${changedRings.join(', ')})`,
+          type: 'error',
+        });
+      } else {
+        setMessage({ text: `Error: ${error.message}`, type: 'error' });
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The contract only lets the address registered for this issuer write its rings
+  const checkIssuerWallet = async () => {
+    const registeredAddress = await getIssuerAddress(credentials.publicKey);
+    if (!registeredAddress) {
+      throw new Error('This issuer key is not registered on-chain. Ask the admin to authorize it.');
+    }
+    if (registeredAddress !== walletAddress) {
+      throw new Error(`Connect the wallet registered for this issuer (${registeredAddress}) to update its rings.`);
+    }
+  };
+
+  const handleRevoke = async (request) => {
+    if (!walletAddress) {
+      setMessage({ text: 'Please connect wallet first', type: 'error' });
+      return;
+    }
+
+    if (!credentials) {
+      setMessage({ text: 'Please load your credentials first', type: 'error' });
+      return;
+    }
+
+    if (!request.ringMemberKeys) {
+      setMessage({
+        text: 'This request was approved before ring keys were recorded, so its keys cannot be found for revocation.',
+        type: 'error',
+      });
+      return;
+    }
+
+    const reason = window.prompt(`Why are you revoking the attributes of user ${request.userId}?`);
+    if (!reason || !reason.trim()) return;
+
+    try {
+      setLoading(true);
+      await checkIssuerWallet();
+
+      for (const [attribute, memberKey] of Object.entries(request.ringMemberKeys)) {
+        // Already gone, e.g. a previous attempt failed after this attribute
+        const ring = await getRingForAttribute(credentials.publicKey, attribute);
+        if (!ring || !ring.includes(memberKey)) continue;
+
+        // Swap the key for an unspendable decoy, so the ring doesn't shrink
+        const [decoy] = nextDecoys(ring, credentials.publicKey, attribute, 1);
+
+        setMessage({ text: `Revoking ${attribute} on blockchain (this may take a moment)...`, type: 'info' });
+        await revokeRingMember(credentials.publicKey, attribute, memberKey, decoy, walletAddress);
+      }
+
+      const response = await issuerFetch('/api/revoke-kyc', {
+        method: 'POST',
+        body: JSON.stringify({
+          requestId: request.requestId,
+          reason: reason.trim(),
+        }),
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        setMessage({ text: `Attributes revoked for user ${request.userId}`, type: 'success' });
+        await loadKYCRequests();
+        await loadRingStats();
+      } else {
+        throw new Error(result.error || 'Revocation failed');
+      }
     } catch (error) {
       setMessage({ text: `Error: ${error.message}`, type: 'error' });
     } finally {
@@ -190,9 +454,8 @@ function IssuerPage() {
 
     try {
       setLoading(true);
-      const response = await fetch(`${API_BASE_URL}/api/reject-kyc`, {
+      const response = await issuerFetch('/api/reject-kyc', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           requestId: request.requestId,
           issuerPubKey: credentials.publicKey,
@@ -274,6 +537,15 @@ function IssuerPage() {
                   <p className="mt-1 text-xs text-gray-500">
                     {issuers.length === 0 ? 'No issuers registered yet. Contact admin.' : 'Select your issuer from the list'}
                   </p>
+                  {walletAddress && selectedIssuerId && (
+                    <button
+                      onClick={handleWalletLogin}
+                      disabled={loading}
+                      className="mt-3 inline-flex items-center px-4 py-2 border border-indigo-600 text-sm font-medium rounded-md text-indigo-700 bg-white hover:bg-indigo-50 disabled:text-gray-400 disabled:border-gray-300"
+                    >
+                      Sign In with Connected Wallet
+                    </button>
+                  )}
                 </div>
                 <div className="mb-4">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -287,12 +559,13 @@ function IssuerPage() {
                     className="shadow-sm focus:ring-indigo-500 focus:border-indigo-500 block w-full sm:text-sm border-gray-300 rounded-md p-2 border font-mono text-xs"
                   />
                   <p className="mt-1 text-xs text-gray-500">
-                    Paste the JSON credentials provided by the admin
+                    Paste the JSON credentials provided by the admin. Your secret key is only used to sign a
+                    login challenge locally and is never sent to the server.
                   </p>
                 </div>
                 <button
                   onClick={handleLoadCredentials}
-                  disabled={!credentialsInput.trim()}
+                  disabled={loading || !credentialsInput.trim()}
                   className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400"
                 >
                   Load Credentials
@@ -300,7 +573,9 @@ function IssuerPage() {
               </div>
             ) : (
               <div className="bg-green-50 border border-green-200 rounded-lg p-4">
-                <h4 className="text-sm font-medium text-green-900 mb-2">Credentials Loaded</h4>
+                <h4 className="text-sm font-medium text-green-900 mb-2">
+                  Signed In{session?.expiresAt ? ` (session expires ${new Date(session.expiresAt).toLocaleTimeString()})` : ''}
+                </h4>
                 <dl className="space-y-1">
                   <div>
                     <dt className="text-xs text-green-700">Issuer Name:</dt>
@@ -316,6 +591,7 @@ function IssuerPage() {
                 <button
                   onClick={() => {
                     setCredentials(null);
+                    setSession(null);
                     setCredentialsInput('');
                   }}
                   className="mt-3 text-sm text-green-700 hover:text-green-900 underline"
@@ -371,7 +647,7 @@ function IssuerPage() {
                         <div className="mt-3">
                           <h5 className="text-sm font-medium text-gray-700">User Data:</h5>
                           <dl className="mt-2 grid grid-cols-2 gap-x-4 gap-y-2">
-                            {Object.entries(request.userData).map(([key, value]) => (
+                            {Object.entries(request.userData || {}).map(([key, value]) => (
                               <div key={key}>
                                 <dt className="text-xs text-gray-500 capitalize">{key}:</dt>
                                 <dd className="text-sm text-gray-900">{value}</dd>
@@ -381,7 +657,20 @@ function IssuerPage() {
                         </div>
 
                         {/* Document Photo */}
-                        {request.documentPhoto && (
+                        {request.hasDocument && !documents[request.requestId] && (
+                          <div className="mt-4">
+                            <h5 className="text-sm font-medium text-gray-700 mb-2">
+                              Identity Document:
+                            </h5>
+                            <button
+                              onClick={() => loadDocument(request.requestId)}
+                              className="px-3 py-1.5 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                            >
+                              Show Document
+                            </button>
+                          </div>
+                        )}
+                        {documents[request.requestId] && (
                           <div className="mt-4">
                             <h5 className="text-sm font-medium text-gray-700 mb-2">
                               Identity Document:
@@ -389,10 +678,10 @@ function IssuerPage() {
                             <div className="relative group">
                               <div
                                 className="border-2 border-gray-300 rounded-lg overflow-hidden cursor-pointer hover:border-indigo-500 transition-colors"
-                                onClick={() => setViewingDocument(request.documentPhoto)}
+                                onClick={() => setViewingDocument(documents[request.requestId])}
                               >
                                 <img
-                                  src={request.documentPhoto}
+                                  src={documents[request.requestId]}
                                   alt="User document"
                                   className="w-full max-w-md h-48 object-cover"
                                 />
@@ -446,20 +735,135 @@ function IssuerPage() {
           </div>
         </div>
 
+        {/* Approved Requests */}
+        {credentials && approvedRequests.length > 0 && (
+          <div className="mt-6 bg-white shadow overflow-hidden sm:rounded-lg">
+            <div className="px-4 py-5 sm:p-6">
+              <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+                Approved Users ({approvedRequests.length})
+              </h3>
+              <div className="space-y-3">
+                {approvedRequests.map((request) => (
+                  <div
+                    key={request.requestId}
+                    className="border border-gray-200 rounded-lg p-4 flex justify-between items-center"
+                  >
+                    <div>
+                      <h4 className="text-sm font-medium text-gray-900">User: {request.userId}</h4>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Approved: {new Date(request.approvedAt).toLocaleString()}
+                      </p>
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        {request.attributes.map((attr) => (
+                          <span
+                            key={attr}
+                            className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800"
+                          >
+                            {attr}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => handleRevoke(request)}
+                      disabled={loading || !request.ringMemberKeys}
+                      className="ml-4 px-4 py-2 border border-red-300 text-sm font-medium rounded-md text-red-700 bg-white hover:bg-red-50 disabled:bg-gray-100 disabled:text-gray-400"
+                      title={!request.ringMemberKeys ? 'Approved before ring keys were recorded' : ''}
+                    >
+                      Revoke
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Ring Sizes */}
+        {credentials && (
+          <div className="mt-6 bg-white shadow overflow-hidden sm:rounded-lg">
+            <div className="px-4 py-5 sm:p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg leading-6 font-medium text-gray-900">Attribute Rings</h3>
+                <button
+                  onClick={loadRingStats}
+                  className="text-sm text-indigo-600 hover:text-indigo-800"
+                >
+                  Refresh
+                </button>
+              </div>
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead>
+                  <tr>
+                    <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Attribute</th>
+                    <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Target Size</th>
+                    <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Ring Size</th>
+                    <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Decoys</th>
+                    <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Anonymity Set</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {AVAILABLE_ATTRIBUTES.map(({ id, label }) => (
+                    <tr key={id}>
+                      <td className="py-2 text-sm text-gray-900">{label}</td>
+                      <td className="py-2">
+                        <input
+                          type="number"
+                          min="1"
+                          value={targetRingSize(id)}
+                          onChange={(e) => updateRingTarget(id, e.target.value)}
+                          className="w-20 text-sm border border-gray-300 rounded-md p-1"
+                        />
+                      </td>
+                      <td className="py-2 text-sm text-gray-900">{ringStats[id] ? ringStats[id].ringSize : '-'}</td>
+                      <td className="py-2 text-sm text-gray-900">{ringStats[id] ? ringStats[id].decoys : '-'}</td>
+                      <td className="py-2 text-sm font-medium text-gray-900">
+                        {ringStats[id] ? ringStats[id].anonymitySet : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="mt-3 text-xs text-gray-500">
+                New rings are padded to the target size with decoys derived from a public seed, so nobody holds
+                their keys and anyone can spot them. The anonymity set counts only real members.
+              </p>
+            </div>
+          </div>
+        )}
+
         {/* Instructions */}
         <div className="mt-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
           <h3 className="text-lg font-medium text-blue-900 mb-2">Instructions</h3>
           <ul className="list-disc list-inside text-sm text-blue-800 space-y-1">
             <li>Connect your Stellar wallet to sign blockchain transactions</li>
             <li>Paste the JSON credentials provided by the admin to load your issuer identity</li>
+            <li>
+              Loading credentials signs a one-time login challenge with your issuer key, or use your connected
+              wallet if the admin linked it to your issuer
+            </li>
             <li>Review user information and identity document photo</li>
+            <li>
+              Personal data and documents are stored encrypted and deleted automatically a while after you
+              approve or reject a request
+            </li>
             <li>Click on document photos to view in full size</li>
             <li>Approve or reject KYC requests based on verification</li>
             <li>
-              Approving generates real cryptographic key pairs via the smart contract for each attribute
+              Approving generates a fresh random key pair in your browser for each attribute
+            </li>
+            <li>
+              Each user's key joins the attribute ring in sorted order, hidden among earlier members and padded
+              with unspendable decoys up to the target size
+            </li>
+            <li>
+              Revoking an approved user swaps their ring keys for fresh decoys on-chain, so they can no longer
+              prove those attributes while the ring keeps its size
+            </li>
+            <li>
+              The credential JSON is encrypted to a key only the user's browser holds, so the backend never sees
+              it
             </li>
-            <li>Ring signatures are created with user's key plus decoy keys for anonymity</li>
-            <li>The credential JSON is sent to the user for secure local storage</li>
           </ul>
         </div>
       </div>
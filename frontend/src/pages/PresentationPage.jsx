@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { parsePresentation, verifyPresentation, hasEmbeddedRings } from '../utils/presentation';
+import { RPC_URL, NETWORK_PASSPHRASE } from '../utils/contract';
+import ProfessionalHeader from '../components/ProfessionalHeader';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// Re-checks a presentation exported from ConfirmPage, against the chain or its embedded rings
+function PresentationPage() {
+  const [issuers, setIssuers] = useState([]);
+  const [input, setInput] = useState('');
+  const [presentation, setPresentation] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  useEffect(() => {
+    loadIssuers();
+  }, []);
+
+  const loadIssuers = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/issuers`);
+      const data = await response.json();
+      setIssuers(data.issuers || []);
+    } catch (error) {
+      console.error('Error loading issuers:', error);
+    }
+  };
+
+  const issuerName = (publicKey) => {
+    const issuer = issuers.find(i => i.publicKey === publicKey);
+    return issuer ? issuer.name : 'Unregistered issuer';
+  };
+
+  const loadPresentation = (text) => {
+    setInput(text);
+    setResult(null);
+    try {
+      setPresentation(parsePresentation(text));
+      setMessage({ text: '', type: '' });
+    } catch (error) {
+      setPresentation(null);
+      setMessage({ text: `Invalid presentation: ${error.message}`, type: 'error' });
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) loadPresentation(await file.text());
+  };
+
+  const handleCheck = async (offline) => {
+    // The rings are read through our own RPC, which only serves our network
+    if (!offline && presentation.network.networkPassphrase !== NETWORK_PASSPHRASE) {
+      setMessage({ text: `This presentation is for another network (${presentation.network.networkPassphrase}).`, type: 'error' });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setMessage({ text: offline ? 'Checking against the embedded rings...' : 'Checking against the on-chain rings...', type: 'info' });
+
+      const checked = await verifyPresentation(presentation, offline ? {} : { rpcUrl: RPC_URL });
+      setResult(checked);
+
+      if (checked.valid) {
+        setMessage({
+          text: offline
+            ? '✅ Every signature matches its embedded ring. This does not show the rings were the issuer\'s; check against the chain for that.'
+            : '✅ Every signature matches the issuer\'s current on-chain ring.',
+          type: 'success',
+        });
+      } else {
+        setMessage({ text: `❌ ${checked.reason}`, type: 'error' });
+      }
+    } catch (error) {
+      console.error('Presentation check error:', error);
+      setMessage({ text: `Check failed: ${error.message}`, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto py-6 sm:px-6 lg:px-8">
+      <div className="px-4 py-6 sm:px-0">
+        <ProfessionalHeader
+          title="Check a Presentation"
+          subtitle="Re-check an exported proof against chain state or its embedded rings"
+          variant="primary"
+        />
+
+        {/* Messages */}
+        {message.text && (
+          <div
+            className={`mb-6 p-4 rounded-md ${
+              message.type === 'success'
+                ? 'bg-green-50 text-green-800'
+                : message.type === 'error'
+                ? 'bg-red-50 text-red-800'
+                : 'bg-blue-50 text-blue-800'
+            }`}
+          >
+            {message.text}
+          </div>
+        )}
+
+        <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+          <div className="px-4 py-5 sm:p-6 space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Presentation file</label>
+              <input type="file" accept=".json,application/json" onChange={handleFile} className="block w-full text-sm text-gray-700" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Or paste the JSON (e.g. scanned from the QR code)</label>
+              <textarea
+                value={input}
+                onChange={(e) => loadPresentation(e.target.value)}
+                rows={6}
+                className="block w-full border border-gray-300 rounded-md p-2 font-mono text-xs focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+          </div>
+        </div>
+
+        {presentation && (
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+            <div className="px-4 py-5 sm:p-6">
+              <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">Presentation</h3>
+              <div className="text-sm text-gray-600 space-y-1 mb-4">
+                <p>Attributes: {presentation.proofs.map(proof => proof.attribute).join(', ')}</p>
+                <p>
+                  Issuer: {issuerName(presentation.issuerPubKey)}{' '}
+                  <span className="font-mono">({presentation.issuerPubKey.substring(0, 20)}...)</span>
+                </p>
+                <p>Contract: <span className="font-mono break-all">{presentation.network.contractId}</span></p>
+                <p>Network: {presentation.network.networkPassphrase}</p>
+                {presentation.createdAt && <p>Created: {new Date(presentation.createdAt).toLocaleString()}</p>}
+              </div>
+              <div className="bg-gray-50 rounded-md p-4 mb-4">
+                <p className="text-sm text-gray-600 mb-1">Signed challenge:</p>
+                <p className="font-mono text-sm break-all whitespace-pre-wrap">{presentation.challenge}</p>
+              </div>
+
+              <div className="flex gap-3">
+                <button
+                  onClick={() => handleCheck(false)}
+                  disabled={loading}
+                  className="flex-1 py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400"
+                >
+                  Check Against Chain
+                </button>
+                <button
+                  onClick={() => handleCheck(true)}
+                  disabled={loading || !hasEmbeddedRings(presentation)}
+                  className="flex-1 py-3 px-4 border border-indigo-300 rounded-md shadow-sm text-sm font-medium text-indigo-700 bg-white hover:bg-indigo-50 disabled:bg-gray-100 disabled:text-gray-400"
+                  title={hasEmbeddedRings(presentation) ? '' : 'This presentation has no embedded rings'}
+                >
+                  Check Offline
+                </button>
+              </div>
+
+              {result && (
+                <ul className="mt-4 text-sm space-y-1">
+                  {result.results.map(r => (
+                    <li key={r.attribute} className={r.valid ? 'text-green-700' : 'text-red-700'}>
+                      {r.valid ? '✓' : '✗'} {r.attribute} - ring of {r.ringSize}
+                      {r.ringChanged && ' (changed since signing)'}
+                      {r.reason && `: ${r.reason}`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <h3 className="text-lg font-medium text-blue-900 mb-2">About Presentations</h3>
+          <ul className="list-disc list-inside text-sm text-blue-800 space-y-2">
+            <li>Provers export them from the <Link to="/confirm" className="underline">Prove Identity</Link> page after signing</li>
+            <li>Against the chain, each signature is checked with the issuer's current ring; a ring that changed since signing is flagged</li>
+            <li>Offline, each signature is checked with the ring snapshot in the file, matched to its hash</li>
+            <li>A presentation answers whatever challenge it signed. Only trust one whose challenge you issued, or that names your site</li>
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PresentationPage;
@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import QRCode from 'qrcode';
+import { AVAILABLE_ATTRIBUTES } from '../utils/attributes';
+import { createProofSession, waitForProofResult } from '../utils/proofSessions';
+import ProfessionalHeader from '../components/ProfessionalHeader';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+// Where provers open the link; set it when this page is served from an address phones can't reach (e.g. localhost)
+const PROVER_URL = import.meta.env.VITE_PROVER_URL || window.location.origin;
+
+const STATUS_LABELS = {
+  pending: 'Waiting for the prover',
+  verifying: 'Proof received, checking it against the chain...',
+  verified: 'Verified',
+  failed: 'Rejected',
+  expired: 'Expired',
+};
+
+function VerifierPage() {
+  const [issuers, setIssuers] = useState([]);
+  const [attributes, setAttributes] = useState([AVAILABLE_ATTRIBUTES[0].id]);
+  const [issuerPubKey, setIssuerPubKey] = useState('');
+  const [session, setSession] = useState(null);
+  const [qrCode, setQrCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+  const pollRef = useRef(null);
+
+  useEffect(() => {
+    loadIssuers();
+    // Stop polling when leaving the page
+    return () => pollRef.current?.abort();
+  }, []);
+
+  const loadIssuers = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/issuers`);
+      const data = await response.json();
+      setIssuers(data.issuers || []);
+    } catch (error) {
+      console.error('Error loading issuers:', error);
+    }
+  };
+
+  const issuerName = (publicKey) => {
+    const issuer = issuers.find(i => i.publicKey === publicKey);
+    return issuer ? issuer.name : `${publicKey.substring(0, 20)}...`;
+  };
+
+  const toggleAttribute = (id) => {
+    setAttributes(prev => (prev.includes(id) ? prev.filter(a => a !== id) : [...prev, id]));
+  };
+
+  const proverLink = (sessionId) => new URL(`/confirm?session=${sessionId}`, PROVER_URL).toString();
+
+  const handleRequestProof = async () => {
+    if (attributes.length === 0) {
+      setMessage({ text: 'Select at least one attribute', type: 'error' });
+      return;
+    }
+
+    pollRef.current?.abort();
+
+    try {
+      setLoading(true);
+      const created = await createProofSession({ attributes, issuerPubKey: issuerPubKey || undefined });
+      setSession(created);
+      setQrCode(await QRCode.toDataURL(proverLink(created.sessionId), { margin: 1, width: 256 }));
+      setMessage({ text: 'Scan the QR code with the phone holding the credential, or send the link.', type: 'info' });
+
+      pollRef.current = new AbortController();
+      const finished = await waitForProofResult(created.sessionId, {
+        signal: pollRef.current.signal,
+        onUpdate: setSession,
+      });
+
+      if (finished.status === 'verified') {
+        setMessage({
+          text: `✅ Proof verified: the prover holds ${finished.attributes.map(a => `"${a}"`).join(' and ')} from ${issuerName(finished.result.issuerPubKey)}.`,
+          type: 'success',
+        });
+      } else {
+        setMessage({ text: 'The challenge expired before a proof arrived.', type: 'error' });
+      }
+    } catch (error) {
+      if (!pollRef.current?.signal.aborted) {
+        console.error('Proof session error:', error);
+        setMessage({ text: `Error: ${error.message}`, type: 'error' });
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    await navigator.clipboard.writeText(proverLink(session.sessionId));
+    setMessage({ text: 'Link copied. Send it to the person who should prove the attribute.', type: 'info' });
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto py-6 sm:px-6 lg:px-8">
+      <div className="px-4 py-6 sm:px-0">
+        <ProfessionalHeader
+          title="Request a Proof"
+          subtitle="Ask for an attribute with a fresh, one-time challenge"
+          variant="primary"
+        />
+
+        {/* Messages */}
+        {message.text && (
+          <div
+            className={`mb-6 p-4 rounded-md ${
+              message.type === 'success'
+                ? 'bg-green-50 text-green-800'
+                : message.type === 'error'
+                ? 'bg-red-50 text-red-800'
+                : 'bg-blue-50 text-blue-800'
+            }`}
+          >
+            {message.text}
+          </div>
+        )}
+
+        <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+          <div className="px-4 py-5 sm:p-6 space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Attributes</label>
+              <p className="text-xs text-gray-500 mb-2">All selected attributes are proven together over one challenge.</p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {AVAILABLE_ATTRIBUTES.map((attr) => (
+                  <label key={attr.id} className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={attributes.includes(attr.id)}
+                      onChange={() => toggleAttribute(attr.id)}
+                      className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                    />
+                    {attr.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Issuer</label>
+              <select
+                value={issuerPubKey}
+                onChange={(e) => setIssuerPubKey(e.target.value)}
+                className="block w-full pl-3 pr-10 py-2 text-base border border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
+              >
+                <option value="">Any registered issuer</option>
+                {issuers.map((issuer) => (
+                  <option key={issuer.id} value={issuer.publicKey}>
+                    {issuer.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <button
+              onClick={handleRequestProof}
+              disabled={loading}
+              className="w-full py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400"
+            >
+              {loading ? 'Waiting for Proof...' : 'Create Challenge'}
+            </button>
+          </div>
+        </div>
+
+        {session && (
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+            <div className="px-4 py-5 sm:p-6">
+              <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">Challenge Session</h3>
+              <div className="text-sm text-gray-600 space-y-1 mb-4">
+                <p>
+                  Status: <span className="font-medium">{STATUS_LABELS[session.status] || session.status}</span>
+                </p>
+                <p>Expires: {new Date(session.expiresAt).toLocaleString()}</p>
+              </div>
+              {qrCode && session.status === 'pending' && (
+                <div className="text-center mb-4">
+                  <img src={qrCode} alt="QR code for the prover link" className="mx-auto w-64 h-64" />
+                  <p className="text-xs text-gray-500 mt-2">
+                    Scan with your phone to prove there. This page updates as soon as the proof arrives.
+                  </p>
+                </div>
+              )}
+              <div className="bg-gray-50 rounded-md p-4 mb-4">
+                <p className="text-sm text-gray-600 mb-1">Link for the prover:</p>
+                <p className="font-mono text-sm break-all">{proverLink(session.sessionId)}</p>
+              </div>
+              <button
+                onClick={handleCopyLink}
+                className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Copy Link
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <h3 className="text-lg font-medium text-blue-900 mb-2">How It Works</h3>
+          <ol className="list-decimal list-inside text-sm text-blue-800 space-y-2">
+            <li>The backend picks a random nonce and a message naming this site, the attributes and an expiry</li>
+            <li>The prover scans the QR code or opens the link, on any device, and signs that message with each requested attribute key</li>
+            <li>The backend checks every ring signature against the issuer's on-chain rings and burns the nonce</li>
+            <li>This page follows the session live and shows the result - you never learn which ring member signed</li>
+          </ol>
+          <p className="text-sm text-blue-800 mt-3">
+            Got a presentation file or QR code instead?{' '}
+            <Link to="/verifier/presentation" className="underline font-medium">Check a presentation</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VerifierPage;
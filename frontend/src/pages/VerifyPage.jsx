@@ -1,20 +1,26 @@
 import React, { useState, useEffect } from 'react';
-import { generateUserId, saveCredential } from '../utils/credentials';
+import { useNavigate } from 'react-router-dom';
+import {
+  generateUserId,
+  saveCredential,
+  hasWallet,
+  isWalletUnlocked,
+  unlockWallet,
+  putPendingRequest,
+  getLatestPendingRequest,
+  deletePendingRequest,
+  MIN_PASSPHRASE_LENGTH,
+} from '../utils/credentials';
+import { generateDeliveryKeyPair, decryptDeliveredCredential } from '../utils/delivery';
 import DocumentCapture from '../components/DocumentCapture';
+import CredentialBackup from '../components/CredentialBackup';
 import ProfessionalHeader from '../components/ProfessionalHeader';
+import { AVAILABLE_ATTRIBUTES } from '../utils/attributes';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
-const AVAILABLE_ATTRIBUTES = [
-  { id: 'over_18', label: 'Over 18 years old', description: 'Verify age requirement' },
-  { id: 'over_21', label: 'Over 21 years old', description: 'Verify legal drinking age' },
-  { id: 'resident_uk', label: 'UK Resident', description: 'Verify UK residency' },
-  { id: 'resident_us', label: 'US Resident', description: 'Verify US residency' },
-  { id: 'no_criminal_history', label: 'No Criminal History', description: 'Background check clear' },
-  { id: 'accredited_investor', label: 'Accredited Investor', description: 'Verify investment status' },
-];
-
 function VerifyPage() {
+  const navigate = useNavigate();
   const [userId, setUserId] = useState('');
   const [issuers, setIssuers] = useState([]);
   const [selectedIssuer, setSelectedIssuer] = useState('');
@@ -30,22 +36,68 @@ function VerifyPage() {
   const [message, setMessage] = useState({ text: '', type: '' });
   const [requestSubmitted, setRequestSubmitted] = useState(false);
   const [requestId, setRequestId] = useState('');
+  const [applicantToken, setApplicantToken] = useState('');
+  // Ephemeral keypair the issuer encrypts our credential to; the private key never leaves this browser
+  const [deliveryKeyPair, setDeliveryKeyPair] = useState(null);
   const [checkingCredential, setCheckingCredential] = useState(false);
   const [documentPhoto, setDocumentPhoto] = useState(null);
+  // The passphrase is settled with the request, so the credential is saved the moment it
+  // arrives: a new one for the first credential, the wallet's own after that
+  const [walletState, setWalletState] = useState('new'); // 'new' | 'locked' | 'unlocked'
+  const [passphrase, setPassphrase] = useState('');
+  const [passphraseConfirmation, setPassphraseConfirmation] = useState('');
+  // A request picked up after a reload has to settle the passphrase again
+  const [passphraseSettled, setPassphraseSettled] = useState(false);
 
   useEffect(() => {
     // Generate user ID on mount
     setUserId(generateUserId());
     loadIssuers();
+    loadWalletState();
+    restorePendingRequest();
   }, []);
 
+  // Carry on waiting for a request submitted before the page was reloaded
+  const restorePendingRequest = async () => {
+    try {
+      const pending = await getLatestPendingRequest();
+      if (!pending) return;
+
+      setUserId(pending.userId);
+      setRequestId(pending.requestId);
+      setApplicantToken(pending.applicantToken);
+      setDeliveryKeyPair({ privateKey: pending.deliveryKey });
+      setRequestSubmitted(true);
+      setMessage({ text: 'Your KYC request is still pending. Waiting for issuer approval...', type: 'success' });
+    } catch (error) {
+      console.error('Error restoring pending request:', error);
+    }
+  };
+
+  const loadWalletState = async () => {
+    try {
+      if (isWalletUnlocked()) setWalletState('unlocked');
+      else if (await hasWallet()) setWalletState('locked');
+    } catch (error) {
+      console.error('Error checking wallet:', error);
+    }
+  };
+
   useEffect(() => {
-    // Poll for credential if request was submitted
-    if (requestSubmitted && userId) {
+    // Poll for credential if request was submitted and there's a way to save it
+    if (requestSubmitted && (passphraseSettled || walletState === 'unlocked')) {
       const interval = setInterval(checkForCredential, 3000);
       return () => clearInterval(interval);
     }
-  }, [requestSubmitted, userId]);
+  }, [requestSubmitted, passphraseSettled, walletState]);
+
+  // A restored wallet is unlocked, so it can be used straight away
+  const handleRestored = () => {
+    setWalletState('unlocked');
+    setTimeout(() => {
+      navigate('/confirm');
+    }, 2000);
+  };
 
   const loadIssuers = async () => {
     try {
@@ -67,6 +119,43 @@ function VerifyPage() {
     );
   };
 
+  // Check the passphrase for a new wallet, or unlock the existing one with it
+  const settlePassphrase = async () => {
+    if (walletState === 'new') {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setMessage({ text: `Please choose a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`, type: 'error' });
+        return false;
+      }
+
+      if (passphrase !== passphraseConfirmation) {
+        setMessage({ text: 'The passphrases do not match', type: 'error' });
+        return false;
+      }
+    }
+
+    // Check the wallet passphrase now rather than find out it's wrong once the credential arrives
+    if (walletState === 'locked') {
+      try {
+        await unlockWallet(passphrase);
+        setWalletState('unlocked');
+      } catch (error) {
+        setMessage({ text: `Could not unlock your wallet: ${error.message}`, type: 'error' });
+        return false;
+      }
+    }
+
+    setPassphraseSettled(true);
+    return true;
+  };
+
+  const handleResumePassphrase = async (e) => {
+    e.preventDefault();
+
+    if (await settlePassphrase()) {
+      setMessage({ text: 'Waiting for issuer approval...', type: 'success' });
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -90,8 +179,11 @@ function VerifyPage() {
       return;
     }
 
+    if (!(await settlePassphrase())) return;
+
     try {
       setLoading(true);
+      const keyPair = await generateDeliveryKeyPair();
       const response = await fetch(`${API_BASE_URL}/api/request-kyc`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -101,13 +193,30 @@ function VerifyPage() {
           attributes: selectedAttributes,
           userData,
           documentPhoto,
+          deliveryPublicKey: keyPair.publicKey,
         }),
       });
 
       const result = await response.json();
 
       if (result.success) {
+        // Kept until the credential is collected, so a reload doesn't lose the request
+        try {
+          await putPendingRequest({
+            requestId: result.requestId,
+            userId,
+            applicantToken: result.applicantToken,
+            deliveryKey: keyPair.privateKey,
+            createdAt: new Date().toISOString(),
+          });
+        } catch (error) {
+          console.error('Error storing pending request:', error);
+        }
+
         setRequestId(result.requestId);
+        // Needed to collect the credential once the issuer approves
+        setApplicantToken(result.applicantToken);
+        setDeliveryKeyPair(keyPair);
         setRequestSubmitted(true);
         setMessage({
           text: 'KYC request submitted! Waiting for issuer approval...',
@@ -128,23 +237,67 @@ function VerifyPage() {
 
     try {
       setCheckingCredential(true);
-      const response = await fetch(`${API_BASE_URL}/api/credential/${userId}`);
+      const response = await fetch(`${API_BASE_URL}/api/credential/${requestId}`, {
+        headers: { Authorization: `Bearer ${applicantToken}` },
+      });
+
+      // The applicant token has expired, and with it any way to collect this credential
+      if (response.status === 401 || response.status === 403) {
+        await deletePendingRequest(requestId);
+        setRequestSubmitted(false);
+        setMessage({ text: 'Your KYC request has expired. Please submit a new one.', type: 'error' });
+        return;
+      }
 
       if (response.ok) {
         const data = await response.json();
-        if (data.success && data.credential) {
-          // Save credential to localStorage
-          saveCredential(data.credential);
+        if (data.success && data.encryptedCredential) {
+          // Only this page holds the key to open what the issuer sent
+          let credential;
+          try {
+            credential = await decryptDeliveredCredential(
+              data.encryptedCredential,
+              deliveryKeyPair.privateKey,
+              requestId
+            );
+          } catch (error) {
+            await deletePendingRequest(requestId);
+            setRequestSubmitted(false);
+            setMessage({ text: 'Could not decrypt the credential from the issuer. Please submit a new request.', type: 'error' });
+            return;
+          }
+
+          // Encrypted under the passphrase chosen with the request, or added to the already unlocked wallet
+          try {
+            await saveCredential(credential, passphrase || null);
+          } catch (error) {
+            // The request stays pending, so reloading the page tries again
+            setRequestSubmitted(false);
+            setMessage({ text: `Could not save the credential: ${error.message}`, type: 'error' });
+            return;
+          }
+          await deletePendingRequest(requestId);
+
+          // Safely stored, so the server can drop its copy. If this fails the
+          // retention purge removes it later.
+          try {
+            await fetch(`${API_BASE_URL}/api/credential/${requestId}/ack`, {
+              method: 'POST',
+              headers: { Authorization: `Bearer ${applicantToken}` },
+            });
+          } catch (error) {
+            console.error('Error acknowledging credential:', error);
+          }
 
           setMessage({
-            text: 'Credential received and saved! You can now prove your attributes.',
+            text: 'Credential received and saved encrypted! You can now prove your attributes.',
             type: 'success',
           });
           setRequestSubmitted(false);
 
-          // Redirect to confirm page after a delay
+          // Redirect to confirm page after a delay, without a reload so the credential stays unlocked
           setTimeout(() => {
-            window.location.href = '/confirm';
+            navigate('/confirm');
           }, 2000);
         }
       }
@@ -170,7 +323,8 @@ function VerifyPage() {
             <h3 className="text-lg leading-6 font-medium text-gray-900 mb-2">Your User ID</h3>
             <p className="text-sm text-gray-600 font-mono">{userId}</p>
             <p className="text-xs text-gray-500 mt-1">
-              Save this ID to check your credential status later
+              Sent with your request. This browser remembers the request, so you can close or reload the page
+              while you wait for approval.
             </p>
           </div>
         </div>
@@ -357,6 +511,56 @@ function VerifyPage() {
               </div>
             </div>
 
+            {/* Credential Passphrase */}
+            {walletState !== 'unlocked' && (
+              <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+                <div className="px-4 py-5 sm:p-6">
+                  <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+                    {walletState === 'new' ? 'Protect Your Credential *' : 'Unlock Your Wallet *'}
+                  </h3>
+                  {walletState === 'new' ? (
+                    <p className="text-sm text-gray-600 mb-4">
+                      Your credential holds the secret keys that prove your attributes. It is encrypted in this
+                      browser with a passphrase, which you'll need to use it. There is no way to recover it if you
+                      forget the passphrase.
+                    </p>
+                  ) : (
+                    <p className="text-sm text-gray-600 mb-4">
+                      This browser already holds credentials. The new one is added to the same wallet, under the
+                      same passphrase.
+                    </p>
+                  )}
+                  <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Passphrase</label>
+                      <input
+                        type="password"
+                        value={passphrase}
+                        onChange={(e) => setPassphrase(e.target.value)}
+                        autoComplete={walletState === 'new' ? 'new-password' : 'current-password'}
+                        minLength={walletState === 'new' ? MIN_PASSPHRASE_LENGTH : undefined}
+                        className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                        required
+                      />
+                    </div>
+                    {walletState === 'new' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">Repeat Passphrase</label>
+                        <input
+                          type="password"
+                          value={passphraseConfirmation}
+                          onChange={(e) => setPassphraseConfirmation(e.target.value)}
+                          autoComplete="new-password"
+                          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                          required
+                        />
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </div>
+            )}
+
             {/* Submit Button */}
             <button
               type="submit"
@@ -379,6 +583,55 @@ function VerifyPage() {
               Your KYC request has been submitted to the issuer. This page will automatically
               update when your credential is ready.
             </p>
+
+            {/* After a reload the passphrase is gone, and it's needed to save the credential */}
+            {!passphraseSettled && walletState !== 'unlocked' && (
+              <form onSubmit={handleResumePassphrase} className="mt-6 max-w-sm mx-auto text-left">
+                <p className="text-sm text-gray-600 mb-3">
+                  {walletState === 'new'
+                    ? `Choose a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters to protect the credential. There is no way to recover it if you forget it.`
+                    : 'Enter your wallet passphrase so the credential can be saved when it arrives.'}
+                </p>
+                <input
+                  type="password"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  placeholder="Passphrase"
+                  autoComplete={walletState === 'new' ? 'new-password' : 'current-password'}
+                  className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 mb-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                  required
+                />
+                {walletState === 'new' && (
+                  <input
+                    type="password"
+                    value={passphraseConfirmation}
+                    onChange={(e) => setPassphraseConfirmation(e.target.value)}
+                    placeholder="Repeat passphrase"
+                    autoComplete="new-password"
+                    className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 mb-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                    required
+                  />
+                )}
+                <button
+                  type="submit"
+                  className="w-full py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+                >
+                  {walletState === 'new' ? 'Set Passphrase' : 'Unlock Wallet'}
+                </button>
+              </form>
+            )}
+          </div>
+        )}
+
+        {/* Backup and Restore */}
+        {!requestSubmitted && (
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg mt-6">
+            <div className="px-4 py-5 sm:p-6">
+              <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+                Back Up or Restore Credentials
+              </h3>
+              <CredentialBackup canBackup={walletState === 'unlocked'} onRestored={handleRestored} />
+            </div>
           </div>
         )}
       </div>
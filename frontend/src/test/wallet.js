@@ -0,0 +1,59 @@
+// Test helpers for the credential wallet
+//
+// Every test gets an empty IndexedDB (fake-indexeddb) and localStorage, and a
+// fresh copy of credentials.js, so no vault key or open connection leaks
+// from one test into the next.
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { vi } from 'vitest';
+import { createCredential } from '../utils/credentialSchema';
+
+export const hex = bytes => Array.from(crypto.getRandomValues(new Uint8Array(bytes)), b => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * @returns {Map<string, string>} The backing map, to inspect or seed localStorage directly
+ */
+function stubLocalStorage() {
+  const items = new Map();
+  vi.stubGlobal('localStorage', {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  });
+  return items;
+}
+
+/**
+ * Reset browser storage and load the wallet modules again
+ * @returns {Promise<{wallet: Object, store: Object, localItems: Map<string, string>}>}
+ */
+export async function freshWallet() {
+  vi.stubGlobal('indexedDB', new IDBFactory());
+  const localItems = stubLocalStorage();
+  vi.resetModules();
+  return {
+    wallet: await import('../utils/credentials'),
+    store: await import('../utils/credentialStore'),
+    localItems,
+  };
+}
+
+/**
+ * A valid credential with random keys
+ * @param {Object} [options]
+ * @param {string} [options.issuer] - Issuer public key (96 bytes hex)
+ * @param {string[]} [options.attributes]
+ * @param {Date} [options.now] - Issuance date
+ * @returns {Object}
+ */
+export function makeCredential({ issuer = hex(96), attributes = ['over_18'], now = new Date() } = {}) {
+  return createCredential({
+    issuer,
+    issuerName: 'Test Issuer',
+    contractId: 'CTEST',
+    networkPassphrase: 'Test SDF Network ; September 2015',
+    userKeys: Object.fromEntries(attributes.map(attribute => [attribute, hex(32)])),
+    rings: Object.fromEntries(attributes.map(attribute => [attribute, [hex(96), hex(96)]])),
+    now,
+  });
+}
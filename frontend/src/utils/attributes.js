@@ -0,0 +1,10 @@
+// Attributes issuers can vouch for
+
+export const AVAILABLE_ATTRIBUTES = [
+  { id: 'over_18', label: 'Over 18 years old', description: 'Verify age requirement' },
+  { id: 'over_21', label: 'Over 21 years old', description: 'Verify legal drinking age' },
+  { id: 'resident_uk', label: 'UK Resident', description: 'Verify UK residency' },
+  { id: 'resident_us', label: 'US Resident', description: 'Verify US residency' },
+  { id: 'no_criminal_history', label: 'No Criminal History', description: 'Background check clear' },
+  { id: 'accredited_investor', label: 'Accredited Investor', description: 'Verify investment status' },
+];
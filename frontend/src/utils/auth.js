@@ -0,0 +1,92 @@
+// Backend authentication helpers
+// Issuers prove they hold their BLS secret key (or their linked Stellar wallet),
+// and the admin proves control of the contract admin wallet, by signing a
+// one-time challenge. Both get back a short-lived session token.
+import { signChallenge } from './ringSignature';
+import { signChallengeTransaction } from './contract';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+async function postJson(path, body) {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Request to ${path} failed`);
+  }
+  return data;
+}
+
+/**
+ * Log in as an issuer by signing the challenge with the issuer's BLS key
+ * @param {string} publicKey - Issuer public key (96-byte hex)
+ * @param {string} secretKey - Issuer secret key (32-byte hex), never sent anywhere
+ * @returns {Promise<{token: string, expiresAt: string}>}
+ */
+export async function loginIssuerWithKey(publicKey, secretKey) {
+  const challenge = await postJson('/api/auth/issuer/challenge', { issuerPubKey: publicKey });
+
+  const signature = signChallenge(challenge.message, secretKey);
+
+  const { token, expiresAt } = await postJson('/api/auth/issuer/session', {
+    issuerPubKey: publicKey,
+    nonce: challenge.nonce,
+    signature,
+  });
+  return { token, expiresAt };
+}
+
+/**
+ * Log in as an issuer by signing the challenge transaction with the connected wallet.
+ * Only works for issuers registered with a linked Stellar address.
+ * @param {string} publicKey - Issuer public key (96-byte hex)
+ * @returns {Promise<{token: string, expiresAt: string}>}
+ */
+export async function loginIssuerWithWallet(publicKey) {
+  const challenge = await postJson('/api/auth/issuer/challenge', { issuerPubKey: publicKey });
+
+  if (!challenge.transaction) {
+    throw new Error('This issuer has no linked Stellar wallet. Log in with the issuer key instead.');
+  }
+
+  const signedTransaction = await signChallengeTransaction(challenge.transaction);
+
+  const { token, expiresAt } = await postJson('/api/auth/issuer/session', {
+    issuerPubKey: publicKey,
+    nonce: challenge.nonce,
+    signedTransaction,
+  });
+  return { token, expiresAt };
+}
+
+/**
+ * Log in as the contract admin by signing the challenge transaction with the connected wallet
+ * @param {string} address - Connected wallet address (must be the contract admin)
+ * @returns {Promise<{token: string, expiresAt: string}>}
+ */
+export async function loginAdmin(address) {
+  const challenge = await postJson('/api/auth/admin/challenge', { address });
+  const signedTransaction = await signChallengeTransaction(challenge.transaction);
+
+  const { token, expiresAt } = await postJson('/api/auth/admin/session', {
+    address,
+    nonce: challenge.nonce,
+    signedTransaction,
+  });
+  return { token, expiresAt };
+}
+
+/**
+ * Headers for an authenticated backend request
+ * @param {string} token - Session token
+ * @returns {Object}
+ */
+export function authHeaders(token) {
+  return {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${token}`,
+  };
+}
@@ -1,6 +1,8 @@
 // Soroban contract interaction utilities
-import { Contract, SorobanRpc, TransactionBuilder, Networks, BASE_FEE, Account, xdr, nativeToScVal, Transaction } from '@stellar/stellar-sdk';
+import { Contract, SorobanRpc, TransactionBuilder, Networks, BASE_FEE, Account, xdr, nativeToScVal, scValToNative, Transaction } from '@stellar/stellar-sdk';
 import { StellarWalletsKit, WalletNetwork, allowAllModules, FREIGHTER_ID } from '@creit.tech/stellar-wallets-kit';
+import { signMessage } from './ringSignature';
+import { decodePublicKeys, decodeOptionalRing, decodeOption, decodeU32, decodeU64, decodeKeyRingResult } from './scval';
 
 // Contract configuration
 export const CONTRACT_ID = import.meta.env.VITE_CONTRACT_ID || 'YOUR_CONTRACT_ID_HERE';
@@ -103,6 +105,20 @@ async function signTransaction(transaction) {
   return TransactionBuilder.fromXDR(signedTxXdr, NETWORK_PASSPHRASE);
 }
 
+/**
+ * Sign a login challenge transaction with the connected wallet.
+ * The transaction is only used to prove address ownership and is never submitted.
+ * @param {string} challengeXdr - Unsigned challenge transaction XDR from the backend
+ * @returns {Promise<string>} Signed transaction XDR
+ */
+export async function signChallengeTransaction(challengeXdr) {
+  const walletKit = getKit();
+  const { signedTxXdr } = await walletKit.signTransaction(challengeXdr, {
+    networkPassphrase: NETWORK_PASSPHRASE,
+  });
+  return signedTxXdr;
+}
+
 /**
  * Create contract instance
  */
@@ -117,557 +133,444 @@ export function getRpcServer() {
   return new SorobanRpc.Server(RPC_URL);
 }
 
+// Any valid account works as the source of a read-only simulation
+const SIMULATION_ACCOUNT = 'GAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAWHF';
+
 /**
- * Initialize contract with admin
- * @param {string} adminAddress - Admin stellar address
+ * How long to wait for a submitted transaction, and how often to ask.
+ * Polling starts at initialDelayMs and backs off by backoffFactor up to maxDelayMs.
  */
-export async function initializeContract(adminAddress) {
-  const server = getRpcServer();
-  const contract = getContract();
+export const DEFAULT_CONFIRMATION = {
+  timeoutMs: 60000,
+  initialDelayMs: 1000,
+  maxDelayMs: 5000,
+  backoffFactor: 1.5,
+};
 
-  // Build transaction
-  const account = await server.getAccount(adminAddress);
-
-  // Convert admin address to Address ScVal
-  const adminScVal = nativeToScVal(adminAddress, { type: 'address' });
+/**
+ * Error raised by the submission pipeline
+ * `stage` is where it failed: 'account', 'simulate', 'sign', 'send', 'confirm', 'timeout' or 'result'.
+ * `hash` is set once the transaction reached the network (it may still land after a timeout).
+ * 'result' means it landed, but its outcome or return value couldn't be read.
+ */
+export class ContractCallError extends Error {
+  constructor(stage, message, { method = null, hash = null, details = null } = {}) {
+    super(message);
+    this.name = 'ContractCallError';
+    this.stage = stage;
+    this.method = method;
+    this.hash = hash;
+    this.details = details;
+  }
+}
 
-  const transaction = new TransactionBuilder(account, {
+function buildCall(source, method, args) {
+  return new TransactionBuilder(source, {
     fee: BASE_FEE,
     networkPassphrase: NETWORK_PASSPHRASE,
   })
-    .addOperation(contract.call('initialize', adminScVal))
+    .addOperation(getContract().call(method, ...args))
     .setTimeout(30)
     .build();
+}
+
+// BytesN<96> issuer public key from hex
+function issuerToScVal(issuerPubKey) {
+  return nativeToScVal(Buffer.from(issuerPubKey, 'hex'), { type: 'bytes' });
+}
 
-  // Simulate first
-  console.log('Simulating initialize...');
-  const simResponse = await server.simulateTransaction(transaction);
+// Vec<BytesN<96>> from hex public keys
+function publicKeysToScVal(publicKeys) {
+  return xdr.ScVal.scvVec(publicKeys.map(key => nativeToScVal(Buffer.from(key, 'hex'), { type: 'bytes' })));
+}
 
-  if (!simResponse.result) {
-    const errorMsg = simResponse.error ? JSON.stringify(simResponse.error) : 'no error details';
-    console.error('Simulation failed:', JSON.stringify(simResponse, null, 2));
-    throw new Error(`Failed to simulate initialization: ${errorMsg}`);
+async function simulate(server, transaction, method) {
+  const response = await server.simulateTransaction(transaction);
+  if (!SorobanRpc.Api.isSimulationSuccess(response)) {
+    throw new ContractCallError('simulate', `${method} simulation failed: ${response.error || 'no result returned'}`, {
+      method,
+      details: response,
+    });
   }
+  return response;
+}
+
+/**
+ * Call a contract function by simulation and return its raw return value
+ * @param {string} method - Contract function name
+ * @param {...xdr.ScVal} args - Arguments
+ * @returns {Promise<xdr.ScVal>}
+ */
+async function simulateRead(method, ...args) {
+  const transaction = buildCall(new Account(SIMULATION_ACCOUNT, '0'), method, args);
+  const response = await simulate(getRpcServer(), transaction, method);
+  return response.result.retval;
+}
 
-  // Assemble transaction with simulation results
-  const assembledTx = SorobanRpc.assembleTransaction(transaction, simResponse).build();
+// getTransaction parses the result meta; a meta version this SDK doesn't know
+// fails the same way on every retry (js-xdr throws TypeErrors)
+const isXdrError = error => error instanceof TypeError && /XDR|union switch/i.test(error.message);
 
-  // Sign with wallet
-  const signedTx = await signTransaction(assembledTx);
+async function waitForConfirmation(server, hash, method, confirmation) {
+  const { timeoutMs, initialDelayMs, maxDelayMs, backoffFactor } = { ...DEFAULT_CONFIRMATION, ...confirmation };
+  const deadline = Date.now() + timeoutMs;
+  let delay = initialDelayMs;
 
-  // Submit transaction
-  const response = await server.sendTransaction(signedTx);
-  console.log('Initialize response:', JSON.stringify(response, null, 2));
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, Math.min(delay, Math.max(deadline - Date.now(), 0))));
+    delay = Math.min(delay * backoffFactor, maxDelayMs);
 
-  if (response.status !== 'PENDING' && response.status !== 'SUCCESS') {
-    throw new Error(`Initialization failed with status: ${response.status}`);
+    let transaction;
+    try {
+      transaction = await server.getTransaction(hash);
+    } catch (error) {
+      if (isXdrError(error)) {
+        throw new ContractCallError('result', `${method} transaction ${hash} could not be read by this Stellar SDK (${error.message}). Check it on an explorer before retrying.`, {
+          method,
+          hash,
+          details: error,
+        });
+      }
+      console.warn(`Polling ${hash} failed, retrying:`, error.message);
+      continue;
+    }
+
+    if (transaction.status === SorobanRpc.Api.GetTransactionStatus.SUCCESS) {
+      return transaction;
+    }
+    if (transaction.status === SorobanRpc.Api.GetTransactionStatus.FAILED) {
+      throw new ContractCallError('confirm', `${method} transaction failed on-chain`, {
+        method,
+        hash,
+        details: transaction.resultXdr,
+      });
+    }
+    // NOT_FOUND: not in a ledger yet
   }
 
-  return response;
+  throw new ContractCallError('timeout', `${method} transaction not confirmed after ${timeoutMs / 1000}s. It may still succeed.`, {
+    method,
+    hash,
+  });
 }
 
 /**
- * Register an issuer (admin only)
- * @param {string} issuerPubKey - Issuer's BLS public key (96 bytes hex)
- * @param {string} adminAddress - Admin stellar address
+ * Build, simulate, sign with the connected wallet, submit and wait for a contract call to land
+ * @param {string} sourceAddress - Account paying for and authorizing the call
+ * @param {string} method - Contract function name
+ * @param {Array<xdr.ScVal>} [args] - Arguments
+ * @param {Object} [options]
+ * @param {function(xdr.ScVal): *} [options.decode] - Return value decoder (defaults to scValToNative)
+ * @param {function(*): void} [options.onSimulated] - Sees the simulated return value before the wallet is asked; throw to abort
+ * @param {Object} [options.confirmation] - Overrides for DEFAULT_CONFIRMATION
+ * @returns {Promise<{hash: string, ledger: number, returnValue: xdr.ScVal, value: *}>}
+ * @throws {ContractCallError}
  */
-export async function registerIssuer(issuerPubKey, adminAddress) {
+export async function submitContractCall(sourceAddress, method, args = [], options = {}) {
+  const { decode = scValToNative, onSimulated, confirmation } = options;
   const server = getRpcServer();
-  const contract = getContract();
 
-  const account = await server.getAccount(adminAddress);
+  let account;
+  try {
+    account = await server.getAccount(sourceAddress);
+  } catch (error) {
+    throw new ContractCallError('account', `Could not load account ${sourceAddress} for ${method}: ${error.message}`, { method, details: error });
+  }
+  const transaction = buildCall(account, method, args);
 
-  // Convert hex string to Uint8Array for BytesN<96>
-  const issuerBytes = Buffer.from(issuerPubKey, 'hex');
-  const issuerScVal = nativeToScVal(issuerBytes, { type: 'bytes' });
+  const simulation = await simulate(server, transaction, method);
+  if (onSimulated) {
+    onSimulated(decode(simulation.result.retval));
+  }
 
-  const transaction = new TransactionBuilder(account, {
-    fee: BASE_FEE,
-    networkPassphrase: NETWORK_PASSPHRASE,
-  })
-    .addOperation(contract.call('register_issuer', issuerScVal))
-    .setTimeout(30)
-    .build();
+  const assembled = SorobanRpc.assembleTransaction(transaction, simulation).build();
 
-  // Simulate first
-  console.log('Simulating register_issuer...');
-  const simResponse = await server.simulateTransaction(transaction);
+  let signed;
+  try {
+    signed = await signTransaction(assembled);
+  } catch (error) {
+    throw new ContractCallError('sign', `Wallet did not sign ${method}: ${error.message}`, { method, details: error });
+  }
 
-  if (!simResponse.result) {
-    const errorMsg = simResponse.error ? JSON.stringify(simResponse.error) : 'no error details';
-    console.error('Simulation failed:', JSON.stringify(simResponse, null, 2));
-    throw new Error(`Failed to simulate issuer registration: ${errorMsg}`);
+  let sent;
+  try {
+    sent = await server.sendTransaction(signed);
+  } catch (error) {
+    throw new ContractCallError('send', `${method} could not be sent: ${error.message}`, { method, details: error });
+  }
+  if (sent.status === 'ERROR' || sent.status === 'TRY_AGAIN_LATER') {
+    throw new ContractCallError('send', `${method} was rejected by the network (${sent.status})`, {
+      method,
+      hash: sent.hash,
+      details: sent.errorResult || sent.errorResultXdr,
+    });
   }
 
-  // Assemble transaction with simulation results
-  const assembledTx = SorobanRpc.assembleTransaction(transaction, simResponse).build();
+  const confirmed = await waitForConfirmation(server, sent.hash, method, confirmation);
 
-  const signedTx = await signTransaction(assembledTx);
+  // The SDK only reads the return value out of the meta versions it knows
+  if (!confirmed.returnValue) {
+    throw new ContractCallError('result', `${method} landed in ledger ${confirmed.ledger}, but its return value could not be read (transaction meta v${confirmed.resultMetaXdr?.switch?.() ?? 'unknown'})`, {
+      method,
+      hash: sent.hash,
+      details: confirmed,
+    });
+  }
 
-  const response = await server.sendTransaction(signedTx);
-  console.log('Register issuer response:', JSON.stringify(response, null, 2));
+  return {
+    hash: sent.hash,
+    ledger: confirmed.ledger,
+    returnValue: confirmed.returnValue,
+    value: decode(confirmed.returnValue),
+  };
+}
 
-  if (response.status !== 'PENDING' && response.status !== 'SUCCESS') {
-    throw new Error(`Issuer registration failed with status: ${response.status}`);
-  }
+/**
+ * Initialize contract with admin
+ * @param {string} adminAddress - Admin stellar address
+ * @returns {Promise<{hash: string, ledger: number, returnValue: xdr.ScVal, value: *}>} Once confirmed
+ */
+export async function initializeContract(adminAddress) {
+  return submitContractCall(adminAddress, 'initialize', [
+    nativeToScVal(adminAddress, { type: 'address' }),
+  ]);
+}
 
-  return response;
+/**
+ * Register an issuer (admin only)
+ * @param {string} issuerPubKey - Issuer's BLS public key (96 bytes hex)
+ * @param {string} issuerAddress - Stellar address that signs the issuer's ring updates
+ * @param {string} adminAddress - Admin stellar address
+ * @returns {Promise<{hash: string, ledger: number, returnValue: xdr.ScVal, value: *}>} Once confirmed
+ */
+export async function registerIssuer(issuerPubKey, issuerAddress, adminAddress) {
+  return submitContractCall(adminAddress, 'register_issuer', [
+    issuerToScVal(issuerPubKey),
+    nativeToScVal(issuerAddress, { type: 'address' }),
+  ]);
 }
 
 /**
  * Get all registered issuers
+ * @returns {Promise<string[]>} Issuer public keys (96-byte hex)
  */
 export async function getIssuers() {
-  const server = getRpcServer();
-  const contract = getContract();
-
-  const transaction = new TransactionBuilder(
-    new Account('GAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAWHF', '0'),
-    {
-      fee: BASE_FEE,
-      networkPassphrase: NETWORK_PASSPHRASE,
-    }
-  )
-    .addOperation(contract.call('get_issuers'))
-    .setTimeout(30)
-    .build();
-
-  const response = await server.simulateTransaction(transaction);
-  if (response.results && response.results.length > 0) {
-    // Parse the result
-    const result = response.results[0].xdr;
-    return result; // Will need proper XDR parsing
-  }
+  return decodePublicKeys(await simulateRead('get_issuers'));
+}
 
-  return [];
+/**
+ * Get the Stellar address linked to a registered issuer
+ * @param {string} issuerPubKey - Issuer's BLS public key (96 bytes hex)
+ * @returns {Promise<string|null>} null if the issuer is not registered
+ */
+export async function getIssuerAddress(issuerPubKey) {
+  return decodeOption(await simulateRead('get_issuer_address', issuerToScVal(issuerPubKey)), scValToNative);
 }
 
 /**
- * Create keys for a ring
+ * Create keys for a ring by simulating the contract's `create_keys`.
+ * Demo only: the contract derives keys deterministically, so every caller gets
+ * the same public secret keys. Use generateKeys from ./keygen instead.
  * @param {number} ringSize - Number of keys to generate
  * @returns {Promise<{secretKeys: string[], publicKeys: string[]}>} Generated keys
  */
 export async function createKeys(ringSize) {
-  const server = getRpcServer();
-  const contract = getContract();
-
-  // Use a dummy account for simulation (read-only operation)
-  const dummyAccount = new Account('GAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAWHF', '0');
-
-  // Convert ring size to u32 ScVal
-  const ringSizeScVal = nativeToScVal(ringSize, { type: 'u32' });
-
-  const transaction = new TransactionBuilder(dummyAccount, {
-    fee: BASE_FEE,
-    networkPassphrase: NETWORK_PASSPHRASE,
-  })
-    .addOperation(contract.call('create_keys', ringSizeScVal))
-    .setTimeout(30)
-    .build();
-
-  const response = await server.simulateTransaction(transaction);
-
-  console.log('createKeys simulation response:', JSON.stringify(response, null, 2));
-
-  if (!response.result) {
-    const errorMsg = response.error ? JSON.stringify(response.error) : 'no error details';
-    console.error('Full simulation response:', JSON.stringify(response, null, 2));
-    throw new Error(`Failed to create keys: no result returned. Error: ${errorMsg}`);
-  }
-
-  // Parse the KeyRingResult struct - response.result.retval contains the ScVal directly
-  const resultScVal = response.result.retval;
-
-  console.log('resultScVal:', JSON.stringify(resultScVal, null, 2));
-
-  // The result is a struct with two fields: secret_keys (Vec) and ring (Vec)
-  if (resultScVal._switch.name !== 'scvMap') {
-    throw new Error('Unexpected result format from create_keys');
-  }
-
-  const mapEntries = resultScVal._value;
-  let secretKeys = [];
-  let publicKeys = [];
-
-  for (const entry of mapEntries) {
-    const key = entry._attributes.key;
-    const val = entry._attributes.val;
-
-    console.log('Processing entry - key:', JSON.stringify(key, null, 2));
-    console.log('Processing entry - val:', JSON.stringify(val, null, 2));
-
-    // Key is a Symbol, check which field this is
-    if (key._switch.name === 'scvSymbol') {
-      // Handle Buffer that's been serialized as {type: "Buffer", data: [...]}
-      const keyData = key._value.data || key._value;
-      const fieldName = Buffer.isBuffer(keyData) ? keyData.toString('utf8') : Buffer.from(keyData).toString('utf8');
-
-      console.log('Field name:', fieldName);
-
-      if (fieldName === 'secret_keys' && val._switch.name === 'scvVec') {
-        const vecItems = val._value;
-        secretKeys = vecItems.map(item => {
-          if (item._switch.name === 'scvBytes') {
-            const itemData = item._value.data || item._value;
-            return Buffer.isBuffer(itemData) ? itemData.toString('hex') : Buffer.from(itemData).toString('hex');
-          }
-          return null;
-        }).filter(k => k !== null);
-      } else if (fieldName === 'ring' && val._switch.name === 'scvVec') {
-        const vecItems = val._value;
-        publicKeys = vecItems.map(item => {
-          if (item._switch.name === 'scvBytes') {
-            const itemData = item._value.data || item._value;
-            return Buffer.isBuffer(itemData) ? itemData.toString('hex') : Buffer.from(itemData).toString('hex');
-          }
-          return null;
-        }).filter(k => k !== null);
-      }
-    }
-  }
-
-  console.log('Parsed keys - secretKeys:', secretKeys, 'publicKeys:', publicKeys);
-
-  return {
-    secretKeys,
-    publicKeys
-  };
+  const result = await simulateRead('create_keys', nativeToScVal(ringSize, { type: 'u32' }));
+  return decodeKeyRingResult(result);
 }
 
 /**
- * Create ring for attribute
- * @param {string} issuerAddress - Issuer stellar address
+ * Add public keys to an issuer's ring for an attribute, creating the ring if needed.
+ * Existing members are kept, so credentials issued against the ring stay valid.
+ * The contract inserts keys in sorted order and skips ones already in the ring.
+ * @param {string} issuerPubKey - Issuer's BLS public key (96 bytes hex)
  * @param {string} attribute - Attribute name (e.g., "over_18")
- * @param {Array<string>} userPubKeys - Array of user public keys (hex strings)
+ * @param {Array<string>} newPubKeys - Public keys to add (hex strings)
+ * @param {string} issuerAddress - Stellar address registered for the issuer
+ * @returns {Promise<{hash: string, ledger: number, returnValue: xdr.ScVal, value: number}>} value is the new ring version
  */
-export async function createRingForAttribute(issuerAddress, attribute, userPubKeys) {
-  const server = getRpcServer();
-  const contract = getContract();
-
-  const account = await server.getAccount(issuerAddress);
-
-  // Convert parameters to ScVal
-  const issuerScVal = nativeToScVal(issuerAddress, { type: 'address' });
-  const attributeScVal = nativeToScVal(attribute, { type: 'symbol' });
-
-  // Convert each public key to bytes and wrap in a vector
-  const pubKeyScVals = userPubKeys.map(key => {
-    const keyBytes = Buffer.from(key, 'hex');
-    return nativeToScVal(keyBytes, { type: 'bytes' });
-  });
-  const pubKeysVec = xdr.ScVal.scvVec(pubKeyScVals);
-
-  const transaction = new TransactionBuilder(account, {
-    fee: BASE_FEE,
-    networkPassphrase: NETWORK_PASSPHRASE,
-  })
-    .addOperation(
-      contract.call('create_ring_for_attribute', issuerScVal, attributeScVal, pubKeysVec)
-    )
-    .setTimeout(30)
-    .build();
-
-  // Simulate first to catch errors
-  console.log(`Simulating create_ring_for_attribute for ${attribute}...`);
-  const simResponse = await server.simulateTransaction(transaction);
-  console.log('Simulation response:', JSON.stringify(simResponse, null, 2));
-
-  if (!simResponse.result) {
-    const errorMsg = simResponse.error ? JSON.stringify(simResponse.error) : 'no error details';
-    console.error('Simulation failed:', JSON.stringify(simResponse, null, 2));
-    throw new Error(`Failed to simulate ring creation: ${errorMsg}`);
-  }
-
-  // Assemble transaction with simulation results
-  const assembledTx = SorobanRpc.assembleTransaction(transaction, simResponse).build();
-
-  const signedTx = await signTransaction(assembledTx);
-
-  const response = await server.sendTransaction(signedTx);
-  console.log('create_ring_for_attribute response:', JSON.stringify(response, null, 2));
-
-  if (response.status === 'ERROR') {
-    const errorDetails = response.errorResult || response.errorResultXdr || 'unknown error';
-    console.error('Transaction error details:', errorDetails);
-    throw new Error(`Ring creation transaction failed: ${JSON.stringify(errorDetails)}`);
-  }
-
-  if (response.status !== 'PENDING' && response.status !== 'SUCCESS') {
-    throw new Error(`Ring creation failed with unexpected status: ${response.status}`);
-  }
-
-  // Wait for transaction to be confirmed (important for multiple sequential transactions)
-  if (response.status === 'PENDING') {
-    console.log('Waiting for transaction confirmation...');
-    let attempts = 0;
-    const maxAttempts = 20; // Wait up to ~20 seconds
-
-    while (attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-
-      try {
-        const txResult = await server.getTransaction(response.hash);
-        console.log(`Transaction status (attempt ${attempts + 1}):`, txResult.status);
-
-        if (txResult.status === 'SUCCESS') {
-          console.log('Transaction confirmed successfully');
-          return txResult;
-        } else if (txResult.status === 'FAILED') {
-          throw new Error(`Transaction failed: ${JSON.stringify(txResult)}`);
-        }
-        // If still PENDING or NOT_FOUND, continue waiting
-      } catch (error) {
-        // Transaction not found yet, continue waiting
-        console.log(`Transaction not found yet (attempt ${attempts + 1})`);
-      }
-
-      attempts++;
-    }
-
-    console.warn('Transaction confirmation timeout - may still succeed');
-  }
+export async function addRingMembers(issuerPubKey, attribute, newPubKeys, issuerAddress) {
+  return submitContractCall(issuerAddress, 'add_ring_members', [
+    issuerToScVal(issuerPubKey),
+    nativeToScVal(attribute, { type: 'symbol' }),
+    publicKeysToScVal(newPubKeys),
+  ], { decode: decodeU32 });
+}
 
-  return response;
+/**
+ * Revoke a member of an issuer's attribute ring.
+ * The member's key is replaced in place by a decoy, so the ring keeps its size.
+ * @param {string} issuerPubKey - Issuer's BLS public key (96 bytes hex)
+ * @param {string} attribute - Attribute name (e.g., "over_18")
+ * @param {string} memberPubKey - Public key to revoke (hex)
+ * @param {string} replacementPubKey - Decoy public key nobody holds the secret key for, e.g. from nextDecoys in decoys.js (hex)
+ * @param {string} issuerAddress - Stellar address registered for the issuer
+ * @returns {Promise<{hash: string, ledger: number, returnValue: xdr.ScVal, value: number}>} value is the new ring version
+ */
+export async function revokeRingMember(issuerPubKey, attribute, memberPubKey, replacementPubKey, issuerAddress) {
+  return submitContractCall(issuerAddress, 'revoke_ring_member', [
+    issuerToScVal(issuerPubKey),
+    nativeToScVal(attribute, { type: 'symbol' }),
+    nativeToScVal(Buffer.from(memberPubKey, 'hex'), { type: 'bytes' }),
+    nativeToScVal(Buffer.from(replacementPubKey, 'hex'), { type: 'bytes' }),
+  ], { decode: decodeU32 });
 }
 
 /**
- * Get ring for attribute
+ * Get an issuer's ring for attribute
+ * @param {string} issuerPubKey - Issuer's BLS public key (96 bytes hex)
  * @param {string} attribute - Attribute name
+ * @returns {Promise<string[]|null>} Public keys (96-byte hex), or null if no ring is registered
  */
-export async function getRingForAttribute(attribute) {
-  const server = getRpcServer();
-  const contract = getContract();
-
-  // Convert attribute to Symbol ScVal
-  const attributeScVal = nativeToScVal(attribute, { type: 'symbol' });
+export async function getRingForAttribute(issuerPubKey, attribute) {
+  const result = await simulateRead(
+    'get_ring_for_attribute',
+    issuerToScVal(issuerPubKey),
+    nativeToScVal(attribute, { type: 'symbol' })
+  );
+  return decodeOptionalRing(result);
+}
 
-  const transaction = new TransactionBuilder(
-    new Account('GAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAWHF', '0'),
-    {
-      fee: BASE_FEE,
-      networkPassphrase: NETWORK_PASSPHRASE,
-    }
-  )
-    .addOperation(contract.call('get_ring_for_attribute', attributeScVal))
-    .setTimeout(30)
-    .build();
+/**
+ * Get the version of an issuer's ring for attribute
+ * Bumped every time the ring changes; 0 if no ring is registered.
+ * @param {string} issuerPubKey - Issuer's BLS public key (96 bytes hex)
+ * @param {string} attribute - Attribute name
+ * @returns {Promise<number>}
+ */
+export async function getRingVersion(issuerPubKey, attribute) {
+  return decodeU32(await simulateRead(
+    'get_ring_version',
+    issuerToScVal(issuerPubKey),
+    nativeToScVal(attribute, { type: 'symbol' })
+  ));
+}
 
-  const response = await server.simulateTransaction(transaction);
-  if (response.results && response.results.length > 0) {
-    return response.results[0]; // Will need proper XDR parsing
-  }
+/**
+ * Encode a ring signature as the contract's RingSignature struct
+ * (an ScMap with keys sorted by name: challenge, responses)
+ * @param {{challenge: string, responses: Array<string>}} signature - 32-byte hex components
+ * @returns {xdr.ScVal}
+ */
+export function ringSignatureToScVal({ challenge, responses }) {
+  return xdr.ScVal.scvMap([
+    new xdr.ScMapEntry({
+      key: xdr.ScVal.scvSymbol('challenge'),
+      val: xdr.ScVal.scvBytes(Buffer.from(challenge, 'hex')),
+    }),
+    new xdr.ScMapEntry({
+      key: xdr.ScVal.scvSymbol('responses'),
+      val: xdr.ScVal.scvVec(responses.map(r => xdr.ScVal.scvBytes(Buffer.from(r, 'hex')))),
+    }),
+  ]);
+}
 
-  return null;
+/**
+ * Sign a message with a ring signature locally. The secret key never leaves the browser.
+ * Returns the same RingSignature ScVal the contract's `sign` would.
+ * @param {string} message - Message to sign
+ * @param {Array<string>} ring - Array of public keys in the ring
+ * @param {number} secretIdx - Index of the signer's public key in the ring
+ * @param {string} secretKey - Secret key (hex string)
+ * @returns {Promise<xdr.ScVal>}
+ */
+export async function signRingLocally(message, ring, secretIdx, secretKey) {
+  return ringSignatureToScVal(signMessage(message, ring, secretIdx, secretKey));
 }
 
 /**
- * Sign a message with ring signature
+ * Sign a message with ring signature by simulating the contract's `sign`.
+ * Demo only: the secret key is sent to the RPC node. Use signRingLocally instead.
  * @param {string} message - Message to sign
  * @param {Array<string>} ring - Array of public keys in the ring
  * @param {number} secretIdx - Index of the secret key
  * @param {string} secretKey - Secret key (hex string)
  */
 export async function signRing(message, ring, secretIdx, secretKey) {
-  const server = getRpcServer();
-  const contract = getContract();
-
-  // Use a dummy account for simulation (signing is off-chain)
-  const dummyAccount = new Account('GAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAWHF', '0');
-
-  // Convert parameters to ScVal
-  const msgBytes = Buffer.from(message, 'utf8');
-  const msgScVal = nativeToScVal(msgBytes, { type: 'bytes' });
-
-  const ringScVals = ring.map(key => {
-    const keyBytes = Buffer.from(key, 'hex');
-    return nativeToScVal(keyBytes, { type: 'bytes' });
-  });
-  const ringVec = xdr.ScVal.scvVec(ringScVals);
-
+  const msgScVal = nativeToScVal(Buffer.from(message, 'utf8'), { type: 'bytes' });
+  const ringVec = publicKeysToScVal(ring);
   const secretIdxScVal = nativeToScVal(secretIdx, { type: 'u32' });
+  const skScVal = nativeToScVal(Buffer.from(secretKey, 'hex'), { type: 'bytes' });
 
-  const skBytes = Buffer.from(secretKey, 'hex');
-  const skScVal = nativeToScVal(skBytes, { type: 'bytes' });
-
-  const transaction = new TransactionBuilder(dummyAccount, {
-    fee: BASE_FEE,
-    networkPassphrase: NETWORK_PASSPHRASE,
-  })
-    .addOperation(contract.call('sign', msgScVal, ringVec, secretIdxScVal, skScVal))
-    .setTimeout(30)
-    .build();
-
-  const response = await server.simulateTransaction(transaction);
-
-  console.log('signRing simulation response:', JSON.stringify(response, null, 2));
-
-  if (!response.result) {
-    const errorMsg = response.error ? JSON.stringify(response.error) : 'no error details';
-    console.error('Full simulation response:', JSON.stringify(response, null, 2));
-    throw new Error(`Failed to sign: no result returned. Error: ${errorMsg}`);
-  }
-
-  // Return the signature ScVal from the result
-  return response.result.retval;
+  // Return the RingSignature ScVal as-is so it can be passed straight to verifyAttribute
+  return simulateRead('sign', msgScVal, ringVec, secretIdxScVal, skScVal);
 }
 
 /**
- * Verify ring signature for attribute
+ * Verify ring signature against an issuer's attribute ring on-chain (counts towards the login count)
  * @param {string} message - Message that was signed
- * @param {Object} signature - Ring signature object
+ * @param {xdr.ScVal} signature - RingSignature ScVal (from signRingLocally or signRing)
+ * @param {string} issuerPubKey - Issuer whose ring the proof is checked against (96 bytes hex)
  * @param {string} attribute - Attribute name
+ * @returns {Promise<boolean>} true once the verification is confirmed on-chain
  */
-export async function verifyAttribute(message, signature, attribute) {
-  const server = getRpcServer();
-  const contract = getContract();
-
+export async function verifyAttribute(message, signature, issuerPubKey, attribute) {
   // Get the connected wallet address (should already be connected)
   const walletAddress = await getWalletAddressIfConnected();
   if (!walletAddress) {
     throw new Error('Wallet not connected. Please connect your wallet first.');
   }
 
-  const account = await server.getAccount(walletAddress);
-
-  // Convert parameters to ScVal
-  const msgBytes = Buffer.from(message, 'utf8');
-  const msgScVal = nativeToScVal(msgBytes, { type: 'bytes' });
-
-  // Signature is already an XDR ScVal from the sign function result
-  // If it's not, we'd need to convert it, but typically it comes from contract response
-  const signatureScVal = signature;
-
-  const attributeScVal = nativeToScVal(attribute, { type: 'symbol' });
-
-  const transaction = new TransactionBuilder(account, {
-    fee: BASE_FEE,
-    networkPassphrase: NETWORK_PASSPHRASE,
-  })
-    .addOperation(contract.call('verify_attribute', msgScVal, signatureScVal, attributeScVal))
-    .setTimeout(30)
-    .build();
-
-  // First simulate to catch errors early
-  console.log('Simulating verify_attribute...');
-  const simResponse = await server.simulateTransaction(transaction);
-  console.log('Simulation response:', JSON.stringify(simResponse, null, 2));
+  const result = await submitContractCall(walletAddress, 'verify_attribute', [
+    nativeToScVal(Buffer.from(message, 'utf8'), { type: 'bytes' }),
+    signature,
+    issuerToScVal(issuerPubKey),
+    nativeToScVal(attribute, { type: 'symbol' }),
+  ], {
+    // Don't make the user pay for a verification the contract is going to reject
+    onSimulated: valid => {
+      if (!valid) {
+        throw new ContractCallError('simulate', 'Verification failed: Ring signature is invalid or this issuer has no ring for the attribute on-chain. The issuer may need to register the ring first.', {
+          method: 'verify_attribute',
+        });
+      }
+    },
+  });
 
-  if (!simResponse.result) {
-    const errorMsg = simResponse.error ? JSON.stringify(simResponse.error) : 'no error details';
-    console.error('Simulation failed:', errorMsg);
-    throw new Error(`Verification simulation failed: ${errorMsg}`);
-  }
+  return result.value === true;
+}
 
-  // Check if simulation returned false (verification failed in contract)
-  if (simResponse.result.retval._value === false) {
-    console.error('Contract returned false during simulation - ring may not exist or signature is invalid');
-    throw new Error('Verification failed: Ring signature is invalid or attribute ring not found on-chain. The issuer may need to register the ring first.');
+/**
+ * Verify a bundle of ring signatures, one per attribute, all over the same message.
+ * Succeeds only if every attribute verifies (counts as one login).
+ * @param {string} message - Message every signature was made over
+ * @param {Array<xdr.ScVal>} signatures - RingSignature ScVals, in the order of `attributes`
+ * @param {string} issuerPubKey - Issuer whose rings the proofs are checked against (96 bytes hex)
+ * @param {Array<string>} attributes - Attribute names
+ * @returns {Promise<boolean>} true once the verification is confirmed on-chain
+ */
+export async function verifyAttributes(message, signatures, issuerPubKey, attributes) {
+  if (attributes.length === 0 || signatures.length !== attributes.length) {
+    throw new Error('Need exactly one signature per attribute');
   }
 
-  // Assemble transaction with simulation results (add resource fees and footprint)
-  const assembledTx = SorobanRpc.assembleTransaction(transaction, simResponse).build();
-
-  const signedTx = await signTransaction(assembledTx);
-
-  const response = await server.sendTransaction(signedTx);
-  console.log('Transaction response:', JSON.stringify(response, null, 2));
-  console.log('Response status:', response.status);
-  console.log('Response hash:', response.hash);
-
-  // Handle immediate success
-  if (response.status === 'SUCCESS') {
-    console.log('Transaction succeeded immediately!');
-    return true;
+  const walletAddress = await getWalletAddressIfConnected();
+  if (!walletAddress) {
+    throw new Error('Wallet not connected. Please connect your wallet first.');
   }
 
-  // Wait for transaction to be confirmed (important for getting accurate result)
-  if (response.status === 'PENDING') {
-    console.log('Transaction pending, waiting for confirmation...');
-    console.log('Transaction hash:', response.hash);
-    let attempts = 0;
-    const maxAttempts = 30; // Wait up to 30 seconds
-
-    while (attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-
-      try {
-        // Use raw RPC call to avoid XDR parsing issues
-        console.log(`Polling RPC at: ${RPC_URL}`);
-
-        const rpcResponse = await fetch(RPC_URL, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            id: 1,
-            method: 'getTransaction',
-            params: { hash: response.hash }
-          })
+  const result = await submitContractCall(walletAddress, 'verify_attributes', [
+    nativeToScVal(Buffer.from(message, 'utf8'), { type: 'bytes' }),
+    xdr.ScVal.scvVec(signatures),
+    issuerToScVal(issuerPubKey),
+    xdr.ScVal.scvVec(attributes.map(attribute => nativeToScVal(attribute, { type: 'symbol' }))),
+  ], {
+    onSimulated: valid => {
+      if (!valid) {
+        throw new ContractCallError('simulate', 'Verification failed: at least one attribute did not verify against the issuer\'s on-chain ring.', {
+          method: 'verify_attributes',
         });
-        const result = await rpcResponse.json();
-
-        console.log(`Attempt ${attempts + 1}/${maxAttempts}:`, result);
-
-        if (result.result?.status === 'SUCCESS') {
-          console.log('✓ Transaction confirmed successfully!');
-          return true;
-        }
-
-        if (result.result?.status === 'FAILED') {
-          console.error('Transaction failed:', result);
-          throw new Error('Verification transaction failed on-chain');
-        }
-
-        if (result.result?.status === 'NOT_FOUND') {
-          console.log('Transaction not found yet, continuing to poll...');
-        }
-
-        // Also check for errors in the response
-        if (result.error) {
-          console.error('RPC error:', result.error);
-        }
-
-      } catch (error) {
-        console.warn(`Attempt ${attempts + 1}: Error checking transaction:`, error.message);
-        console.error('Full error:', error);
-        // Continue polling even if there's an error
       }
+    },
+  });
 
-      attempts++;
-    }
-
-    console.warn('Transaction confirmation timeout after 30 seconds');
-    console.warn('The transaction may still succeed - check block explorer with hash:', response.hash);
-    throw new Error('Verification transaction timeout - check block explorer');
-  }
-
-  // If we get here, transaction failed immediately
-  const errorMsg = response.errorResultXdr || response.status || 'unknown error';
-  throw new Error(`Transaction failed: ${errorMsg}`);
+  return result.value === true;
 }
 
 /**
- * Get login count
+ * Get the number of successful on-chain verifications
+ * @returns {Promise<bigint>}
  */
 export async function getLoginCount() {
-  const server = getRpcServer();
-  const contract = getContract();
-
-  const transaction = new TransactionBuilder(
-    new Account('GAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAWHF', '0'),
-    {
-      fee: BASE_FEE,
-      networkPassphrase: NETWORK_PASSPHRASE,
-    }
-  )
-    .addOperation(contract.call('get_login_count'))
-    .setTimeout(30)
-    .build();
-
-  const response = await server.simulateTransaction(transaction);
-  if (response.results && response.results.length > 0) {
-    return parseInt(response.results[0].xdr);
-  }
-
-  return 0;
+  return decodeU64(await simulateRead('get_login_count'));
 }
@@ -0,0 +1,191 @@
+// Credential schema
+// What an issuer hands a user, and what the wallet stores. Version 2:
+//
+//   {
+//     "schema_version": 2,
+//     "issuer": "<issuer BLS public key, 96 bytes hex>",
+//     "issuer_name": "Acme KYC",
+//     "contract_id": "C...",
+//     "network_passphrase": "Test SDF Network ; September 2015",
+//     "issued_at": "2025-01-15T10:30:00.000Z",
+//     "expires_at": "2026-01-15T10:30:00.000Z",
+//     "user_keys": { "over_18": "<secret key, 32 bytes hex>" },
+//     "rings": { "over_18": ["<96 bytes hex>", ...] },
+//     "attributes": {
+//       "over_18": { "issued_at": "...", "expires_at": "...", "ring_version": 3 }
+//     }
+//   }
+//
+// Credentials from before versioning ({ issuer, user_keys, rings, ring_versions?,
+// issued_at }) are migrated on load. They never had an expiry, so they get none.
+// An attribute expires at its own expires_at or the credential's, whichever
+// comes first; null means it doesn't. Expiry is kept by the wallet, not the
+// contract: a verifier only sees ring membership, so an issuer that needs a
+// hard cut-off still has to revoke the key from the ring.
+//
+// Like presentation.js, this runs in Node as well as the browser.
+
+export const CREDENTIAL_SCHEMA_VERSION = 2;
+export const DEFAULT_VALIDITY_DAYS = 365;
+// ConfirmPage warns about attributes expiring within this many days
+export const EXPIRY_WARNING_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ATTRIBUTE_PATTERN = /^[a-zA-Z0-9_]{1,32}$/;
+const isHex = (value, bytes) => typeof value === 'string' && new RegExp(`^[0-9a-f]{${bytes * 2}}$`, 'i').test(value);
+const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const isNullableDate = value => value === null || isDate(value);
+
+/**
+ * Build a credential for a newly approved user
+ * @param {Object} params
+ * @param {string} params.issuer - Issuer BLS public key (96 bytes hex)
+ * @param {string} params.issuerName
+ * @param {string} params.contractId - Contract holding the rings
+ * @param {string} params.networkPassphrase
+ * @param {Object<string, string>} params.userKeys - Secret key per attribute
+ * @param {Object<string, string[]>} params.rings - Ring snapshot per attribute
+ * @param {Object<string, number>} [params.ringVersions] - Ring version per attribute after adding the user
+ * @param {number} [params.validityDays]
+ * @param {Date} [params.now]
+ * @returns {Object} Credential in the current schema
+ */
+export function createCredential({
+  issuer,
+  issuerName,
+  contractId,
+  networkPassphrase,
+  userKeys,
+  rings,
+  ringVersions = {},
+  validityDays = DEFAULT_VALIDITY_DAYS,
+  now = new Date(),
+}) {
+  const issuedAt = now.toISOString();
+  const expiresAt = new Date(now.getTime() + validityDays * DAY_MS).toISOString();
+
+  return validateCredential({
+    schema_version: CREDENTIAL_SCHEMA_VERSION,
+    issuer,
+    issuer_name: issuerName,
+    contract_id: contractId,
+    network_passphrase: networkPassphrase,
+    issued_at: issuedAt,
+    expires_at: expiresAt,
+    user_keys: userKeys,
+    rings,
+    attributes: Object.fromEntries(Object.keys(userKeys).map(attribute => [attribute, {
+      issued_at: issuedAt,
+      expires_at: expiresAt,
+      ring_version: ringVersions[attribute] ?? null,
+    }])),
+  });
+}
+
+/**
+ * Bring a credential up to the current schema. Current ones are returned as they are.
+ * @param {Object} credential
+ * @returns {Object}
+ * @throws {Error} On a schema version newer than this code knows
+ */
+export function migrateCredential(credential) {
+  const version = credential?.schema_version ?? 1;
+  if (version === CREDENTIAL_SCHEMA_VERSION) return credential;
+  if (version !== 1) throw new Error(`Unsupported credential schema version ${version}`);
+
+  const { ring_versions: ringVersions = {}, ...rest } = credential;
+  const issuedAt = credential.issued_at || null;
+  return {
+    ...rest,
+    schema_version: CREDENTIAL_SCHEMA_VERSION,
+    issuer_name: null,
+    contract_id: null,
+    network_passphrase: null,
+    issued_at: issuedAt,
+    expires_at: null,
+    attributes: Object.fromEntries(Object.keys(credential.user_keys || {}).map(attribute => [attribute, {
+      issued_at: issuedAt,
+      expires_at: null,
+      ring_version: ringVersions[attribute] ?? null,
+    }])),
+  };
+}
+
+/**
+ * Check a credential against the current schema
+ * @param {Object} credential
+ * @returns {Object} The same credential
+ * @throws {Error} Naming every problem found
+ */
+export function validateCredential(credential) {
+  const problems = [];
+  const check = (ok, problem) => {
+    if (!ok) problems.push(problem);
+  };
+
+  if (!credential || typeof credential !== 'object') throw new Error('Invalid credential: not an object');
+  check(credential.schema_version === CREDENTIAL_SCHEMA_VERSION, `schema_version must be ${CREDENTIAL_SCHEMA_VERSION}`);
+  check(isHex(credential.issuer, 96), 'issuer must be a 96-byte hex public key');
+  check(credential.issuer_name === null || typeof credential.issuer_name === 'string', 'issuer_name must be a string');
+  check(credential.contract_id === null || typeof credential.contract_id === 'string', 'contract_id must be a string');
+  check(credential.network_passphrase === null || typeof credential.network_passphrase === 'string', 'network_passphrase must be a string');
+  check(isNullableDate(credential.issued_at), 'issued_at must be a date');
+  check(isNullableDate(credential.expires_at), 'expires_at must be a date');
+
+  const attributes = Object.keys(credential.user_keys || {});
+  check(attributes.length > 0, 'user_keys must hold at least one attribute');
+  for (const attribute of attributes) {
+    check(ATTRIBUTE_PATTERN.test(attribute), `attribute name "${attribute}" is invalid`);
+    check(isHex(credential.user_keys[attribute], 32), `user_keys.${attribute} must be a 32-byte hex secret key`);
+
+    const ring = credential.rings?.[attribute];
+    check(Array.isArray(ring) && ring.length > 0 && ring.every(key => isHex(key, 96)), `rings.${attribute} must be a list of 96-byte hex public keys`);
+
+    const meta = credential.attributes?.[attribute];
+    check(meta && isNullableDate(meta.issued_at) && isNullableDate(meta.expires_at), `attributes.${attribute} must have issued_at and expires_at`);
+  }
+
+  if (problems.length > 0) throw new Error(`Invalid credential: ${problems.join('; ')}`);
+  return credential;
+}
+
+/**
+ * When an attribute stops being usable: the earlier of its own expiry and the credential's
+ * @param {Object} credential - Current schema
+ * @param {string} attribute
+ * @returns {string|null} ISO date, or null if it doesn't expire
+ */
+export function attributeExpiry(credential, attribute) {
+  const dates = [credential.attributes?.[attribute]?.expires_at, credential.expires_at].filter(Boolean);
+  if (dates.length === 0) return null;
+  return dates.reduce((earliest, date) => (Date.parse(date) < Date.parse(earliest) ? date : earliest));
+}
+
+/**
+ * @param {Object} credential - Current schema
+ * @param {string} attribute
+ * @param {number} [now] - Milliseconds since the epoch
+ * @returns {{expiresAt: string|null, expired: boolean, expiresSoon: boolean, daysLeft: number|null}}
+ */
+export function attributeStatus(credential, attribute, now = Date.now()) {
+  const expiresAt = attributeExpiry(credential, attribute);
+  if (!expiresAt) return { expiresAt, expired: false, expiresSoon: false, daysLeft: null };
+
+  const remaining = Date.parse(expiresAt) - now;
+  return {
+    expiresAt,
+    expired: remaining <= 0,
+    expiresSoon: remaining > 0 && remaining <= EXPIRY_WARNING_DAYS * DAY_MS,
+    daysLeft: Math.max(0, Math.ceil(remaining / DAY_MS)),
+  };
+}
+
+/**
+ * Attributes that can still be signed with, in the credential's order
+ * @param {Object} credential - Current schema
+ * @param {number} [now]
+ * @returns {string[]}
+ */
+export function usableAttributes(credential, now = Date.now()) {
+  return Object.keys(credential.user_keys).filter(attribute => !attributeStatus(credential, attribute, now).expired);
+}
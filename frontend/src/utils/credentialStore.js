@@ -0,0 +1,186 @@
+// IndexedDB storage behind the credential wallet
+//
+// Two object stores: 'vault' holds the wrapped vault key (a single record),
+// and 'credentials' holds one record per credential. A credential record keeps
+// its issuer, attribute names and issuance date in the clear, so the wallet
+// can be searched by them; the credential itself, secret keys included, is
+// only in the encrypted `data` (see credentials.js).
+//
+// A third store, 'pendingRequests', remembers KYC requests whose credential
+// hasn't been collected yet, so VerifyPage can pick them up after a reload.
+// The delivery private key is kept as a non-extractable CryptoKey: IndexedDB
+// can store it, but nothing can read its bytes back out.
+
+const DB_NAME = 'kyc_wallet';
+const DB_VERSION = 2;
+const VAULT_STORE = 'vault';
+const CREDENTIAL_STORE = 'credentials';
+const PENDING_STORE = 'pendingRequests';
+const VAULT_RECORD_ID = 'vault';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore(VAULT_STORE, { keyPath: 'id' });
+          const credentials = db.createObjectStore(CREDENTIAL_STORE, { keyPath: 'id' });
+          credentials.createIndex('issuer', 'issuer');
+          credentials.createIndex('attributes', 'attributes', { multiEntry: true });
+          credentials.createIndex('issuedAt', 'issuedAt');
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(PENDING_STORE, { keyPath: 'requestId' });
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Step aside when another tab opens a newer version, or its upgrade would wait on us
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run requests in one transaction and wait for it to commit
+ * @param {string[]} storeNames
+ * @param {'readonly'|'readwrite'} mode
+ * @param {function(IDBTransaction): (IDBRequest|undefined)} operation - Issues the requests
+ * @returns {Promise<*>} Result of the request `operation` returned
+ */
+async function transact(storeNames, mode, operation) {
+  const db = await openDb();
+  const tx = db.transaction(storeNames, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const request = operation(tx);
+  await done;
+  return request?.result;
+}
+
+/**
+ * @returns {Promise<Object|null>} The vault record { version, wrappedKey, passkeys? }, or null before the first save
+ */
+export async function getVaultRecord() {
+  const record = await transact([VAULT_STORE], 'readonly', tx => tx.objectStore(VAULT_STORE).get(VAULT_RECORD_ID));
+  return record || null;
+}
+
+/**
+ * Store the vault record, and optionally credential records with it in the same transaction
+ * @param {Object} vault - { version, wrappedKey, passkeys? }
+ * @param {Object[]} [credentialRecords]
+ * @returns {Promise<void>}
+ */
+export async function putVaultRecord(vault, credentialRecords = []) {
+  await transact([VAULT_STORE, CREDENTIAL_STORE], 'readwrite', (tx) => {
+    tx.objectStore(VAULT_STORE).put({ ...vault, id: VAULT_RECORD_ID });
+    credentialRecords.forEach(record => tx.objectStore(CREDENTIAL_STORE).put(record));
+  });
+}
+
+/**
+ * Add or replace a credential record
+ * @param {Object} record - { id, issuer, attributes, issuedAt, data }
+ * @returns {Promise<void>}
+ */
+export async function putCredentialRecord(record) {
+  await transact([CREDENTIAL_STORE], 'readwrite', tx => tx.objectStore(CREDENTIAL_STORE).put(record));
+}
+
+/**
+ * Add or replace several credential records in one transaction: all of them are stored, or none
+ * @param {Object[]} records
+ * @returns {Promise<void>}
+ */
+export async function putCredentialRecords(records) {
+  await transact([CREDENTIAL_STORE], 'readwrite', (tx) => {
+    records.forEach(record => tx.objectStore(CREDENTIAL_STORE).put(record));
+  });
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getCredentialRecord(id) {
+  const record = await transact([CREDENTIAL_STORE], 'readonly', tx => tx.objectStore(CREDENTIAL_STORE).get(id));
+  return record || null;
+}
+
+/**
+ * List credential records, oldest issuance first
+ * @param {Object} [filter]
+ * @param {string} [filter.issuer] - Only this issuer's credentials (BLS public key hex)
+ * @param {string} [filter.attribute] - Only credentials holding this attribute
+ * @returns {Promise<Object[]>}
+ */
+export async function listCredentialRecords({ issuer, attribute } = {}) {
+  const records = await transact([CREDENTIAL_STORE], 'readonly', (tx) => {
+    const store = tx.objectStore(CREDENTIAL_STORE);
+    if (issuer) return store.index('issuer').getAll(issuer);
+    if (attribute) return store.index('attributes').getAll(attribute);
+    return store.index('issuedAt').getAll();
+  });
+
+  return records
+    .filter(record => !attribute || record.attributes.includes(attribute))
+    .sort((a, b) => a.issuedAt.localeCompare(b.issuedAt));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteCredentialRecord(id) {
+  await transact([CREDENTIAL_STORE], 'readwrite', tx => tx.objectStore(CREDENTIAL_STORE).delete(id));
+}
+
+/**
+ * @returns {Promise<number>}
+ */
+export function countCredentialRecords() {
+  return transact([CREDENTIAL_STORE], 'readonly', tx => tx.objectStore(CREDENTIAL_STORE).count());
+}
+
+/**
+ * Remember a submitted KYC request until its credential is collected
+ * @param {Object} pending - { requestId, userId, applicantToken, deliveryKey, createdAt }; deliveryKey is the private CryptoKey
+ * @returns {Promise<void>}
+ */
+export async function putPendingRequest(pending) {
+  await transact([PENDING_STORE], 'readwrite', tx => tx.objectStore(PENDING_STORE).put(pending));
+}
+
+/**
+ * @returns {Promise<Object|null>} The most recently submitted pending request
+ */
+export async function getLatestPendingRequest() {
+  const pending = await transact([PENDING_STORE], 'readonly', tx => tx.objectStore(PENDING_STORE).getAll());
+  return pending.sort((a, b) => a.createdAt.localeCompare(b.createdAt)).pop() || null;
+}
+
+/**
+ * @param {string} requestId
+ * @returns {Promise<void>}
+ */
+export async function deletePendingRequest(requestId) {
+  await transact([PENDING_STORE], 'readwrite', tx => tx.objectStore(PENDING_STORE).delete(requestId));
+}
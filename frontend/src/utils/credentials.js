@@ -1,14 +1,73 @@
-// Credential storage and encryption utilities
+// Credential wallet: storage and encryption
+//
+// Credentials hold the user's secret keys, so they are only ever stored
+// encrypted. A random vault key encrypts each credential with AES-GCM, and
+// the vault key is stored wrapped under the user's passphrase
+// (encryptCredential, PBKDF2). One passphrase covers every credential in the
+// wallet; changing it rewraps the vault key and leaves the credentials alone.
+// Once unlocked, the vault key stays in memory until lockWallet() or a page
+// reload. Records live in IndexedDB (credentialStore.js).
+//
+// A passkey can stand in for the passphrase: its PRF secret wraps the same
+// vault key (passkey.js), and the passphrase keeps working alongside it.
+import {
+  getVaultRecord,
+  putVaultRecord,
+  putCredentialRecord,
+  putCredentialRecords,
+  getCredentialRecord,
+  listCredentialRecords,
+  deleteCredentialRecord,
+  countCredentialRecords,
+} from './credentialStore';
+import { createPasskey, getPrfSecret } from './passkey';
+import {
+  migrateCredential,
+  validateCredential,
+  attributeStatus,
+  CREDENTIAL_SCHEMA_VERSION,
+} from './credentialSchema';
 
-const STORAGE_KEY = 'kyc_credential';
+// KYC requests still waiting for their credential are kept next to the wallet
+export { putPendingRequest, getLatestPendingRequest, deletePendingRequest } from './credentialStore';
+
+// Where earlier versions kept their single credential
+const LEGACY_STORAGE_KEY = 'kyc_credential';
+const VAULT_VERSION = 1;
+
+const PBKDF2_ITERATIONS = 100000;
+const BACKUP_TYPE = 'selective-disclosure-kyc/credential-backup';
+const BACKUP_VERSION = 1;
+// Backups record their own iteration count; a crafted file can't ask for more than this
+const MAX_BACKUP_ITERATIONS = 10000000;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Vault key (CryptoKey) while the wallet is unlocked
+let vaultKey = null;
+
+// String.fromCharCode(...bytes) overflows the call stack on large inputs
+// such as backups, so the bytes go in chunks
+const BASE64_CHUNK = 0x8000;
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+  }
+  return btoa(binary);
+}
+
+const fromBase64 = text => Uint8Array.from(atob(text), c => c.charCodeAt(0));
 
 /**
  * Encrypt credential data using Web Crypto API
  * @param {Object} credential - The credential object to encrypt
  * @param {string} password - Password for encryption
+ * @param {number} [iterations] - PBKDF2 iterations
  * @returns {Promise<string>} Base64 encoded encrypted data
  */
-export async function encryptCredential(credential, password) {
+export async function encryptCredential(credential, password, iterations = PBKDF2_ITERATIONS) {
   const encoder = new TextEncoder();
   const data = encoder.encode(JSON.stringify(credential));
 
@@ -26,7 +85,7 @@ export async function encryptCredential(credential, password) {
     {
       name: 'PBKDF2',
       salt,
-      iterations: 100000,
+      iterations,
       hash: 'SHA-256',
     },
     passwordKey,
@@ -48,21 +107,22 @@ export async function encryptCredential(credential, password) {
   combined.set(iv, salt.length);
   combined.set(new Uint8Array(encrypted), salt.length + iv.length);
 
-  return btoa(String.fromCharCode(...combined));
+  return toBase64(combined);
 }
 
 /**
  * Decrypt credential data
  * @param {string} encryptedData - Base64 encoded encrypted data
  * @param {string} password - Password for decryption
+ * @param {number} [iterations] - PBKDF2 iterations it was encrypted with
  * @returns {Promise<Object>} Decrypted credential object
  */
-export async function decryptCredential(encryptedData, password) {
+export async function decryptCredential(encryptedData, password, iterations = PBKDF2_ITERATIONS) {
   const encoder = new TextEncoder();
   const decoder = new TextDecoder();
 
   // Decode base64
-  const combined = Uint8Array.from(atob(encryptedData), c => c.charCodeAt(0));
+  const combined = fromBase64(encryptedData);
 
   // Extract salt, iv, and encrypted data
   const salt = combined.slice(0, 16);
@@ -82,7 +142,7 @@ export async function decryptCredential(encryptedData, password) {
     {
       name: 'PBKDF2',
       salt,
-      iterations: 100000,
+      iterations,
       hash: 'SHA-256',
     },
     passwordKey,
@@ -100,64 +160,509 @@ export async function decryptCredential(encryptedData, password) {
   return JSON.parse(decoder.decode(decrypted));
 }
 
+// AES-GCM under the vault key; returns base64 of iv followed by the ciphertext
+async function sealWithVaultKey(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encrypted = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  const combined = new Uint8Array(iv.length + encrypted.byteLength);
+  combined.set(iv, 0);
+  combined.set(new Uint8Array(encrypted), iv.length);
+  return toBase64(combined);
+}
+
+async function openWithVaultKey(key, sealed) {
+  const combined = fromBase64(sealed);
+  const decrypted = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: combined.slice(0, 12) },
+    key,
+    combined.slice(12)
+  );
+  return JSON.parse(new TextDecoder().decode(decrypted));
+}
+
+async function wrapVaultKey(key, passphrase) {
+  const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+  return encryptCredential({ vaultKey: toBase64(raw) }, passphrase);
+}
+
+async function unwrapVaultKey(wrappedKey, passphrase) {
+  let unwrapped;
+  try {
+    unwrapped = await decryptCredential(wrappedKey, passphrase);
+  } catch {
+    // AES-GCM can't tell a wrong passphrase from tampering; the former is far more likely
+    throw new Error('Wrong passphrase');
+  }
+  return crypto.subtle.importKey('raw', fromBase64(unwrapped.vaultKey), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+function checkPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+function lockedError() {
+  return new Error('Credential wallet is locked. Unlock it with your passphrase first.');
+}
+
+// Searchable fields in the clear, the credential itself sealed.
+// Only credentials that pass validation (after migration) are stored.
+async function sealCredentialRecord(key, id, original) {
+  const credential = validateCredential(migrateCredential(original));
+  return {
+    id,
+    issuer: credential.issuer,
+    attributes: Object.keys(credential.user_keys),
+    issuedAt: credential.issued_at || new Date().toISOString(),
+    data: await sealWithVaultKey(key, credential),
+  };
+}
+
+// Older credentials are migrated on the way out and stored back in the current schema
+async function openCredentialRecord(key, record) {
+  const stored = await openWithVaultKey(key, record.data);
+  const credential = validateCredential(migrateCredential(stored));
+  if (stored.schema_version !== CREDENTIAL_SCHEMA_VERSION) {
+    await putCredentialRecord(await sealCredentialRecord(key, record.id, credential));
+  }
+  return credential;
+}
+
+async function newVault(passphrase) {
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  return { key, record: { version: VAULT_VERSION, wrappedKey: await wrapVaultKey(key, passphrase) } };
+}
+
+async function openVaultRecord(vault, passphrase, wrappedKey = vault.wrappedKey) {
+  if (vault.version !== VAULT_VERSION) {
+    throw new Error(`Unsupported credential wallet version ${vault.version}`);
+  }
+  return unwrapVaultKey(wrappedKey, passphrase);
+}
+
 /**
- * Save credential to localStorage
+ * Read a credential saved to localStorage by an earlier version, in whichever format it was written
+ * @returns {{format: 'vault', record: Object}|{format: 'legacy-encrypted', data: string}|{format: 'plaintext', credential: Object}|null}
+ */
+function readLegacyCredential() {
+  const data = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!data) return null;
+
+  const flag = localStorage.getItem(`${LEGACY_STORAGE_KEY}_encrypted`);
+  if (flag === 'true') return { format: 'legacy-encrypted', data };
+  if (flag === 'false') return { format: 'plaintext', credential: JSON.parse(data) };
+  return { format: 'vault', record: JSON.parse(data) };
+}
+
+async function openLegacyCredential(legacy, passphrase) {
+  if (legacy.format === 'plaintext') return legacy.credential;
+  if (legacy.format === 'vault') {
+    const key = await openVaultRecord(legacy.record, passphrase);
+    return openWithVaultKey(key, legacy.record.data);
+  }
+  try {
+    return await decryptCredential(legacy.data, passphrase);
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+}
+
+function clearLegacyCredential() {
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  localStorage.removeItem(`${LEGACY_STORAGE_KEY}_encrypted`);
+}
+
+/**
+ * Unlock the wallet with its passphrase
+ *
+ * A credential left in localStorage by an earlier version is moved into the
+ * wallet on the way. If there is no wallet yet and that credential was in
+ * plaintext, the passphrase given here becomes the wallet's passphrase.
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} On a wrong passphrase, or if there is nothing to unlock
+ */
+export async function unlockWallet(passphrase) {
+  const vault = await getVaultRecord();
+  const legacy = readLegacyCredential();
+  if (!vault && !legacy) throw new Error('No credentials stored');
+
+  let key = vault ? await openVaultRecord(vault, passphrase) : null;
+
+  if (legacy && key) {
+    // Saved under some other passphrase: leave it where it is rather than lock the user out of the wallet
+    try {
+      const credential = await openLegacyCredential(legacy, passphrase);
+      await putCredentialRecord(await sealCredentialRecord(key, crypto.randomUUID(), credential));
+      clearLegacyCredential();
+    } catch (error) {
+      console.warn('Could not move the old stored credential into the wallet:', error.message);
+    }
+  } else if (legacy) {
+    const credential = await openLegacyCredential(legacy, passphrase);
+    // Old passphrases were never length-checked, so only new ones are held to the minimum
+    if (legacy.format === 'plaintext') checkPassphrase(passphrase);
+    const created = await newVault(passphrase);
+    key = created.key;
+    await putVaultRecord(created.record, [await sealCredentialRecord(key, crypto.randomUUID(), credential)]);
+    clearLegacyCredential();
+  }
+
+  vaultKey = key;
+}
+
+/**
+ * Forget the vault key; the passphrase is needed again to load credentials
+ */
+export function lockWallet() {
+  vaultKey = null;
+}
+
+/**
+ * @returns {boolean} Whether credentials can be loaded without a passphrase
+ */
+export function isWalletUnlocked() {
+  return vaultKey !== null;
+}
+
+/**
+ * @returns {Promise<boolean>} Whether a wallet (or an earlier version's credential) exists, i.e. a passphrase is already set
+ */
+export async function hasWallet() {
+  return readLegacyCredential() !== null || (await getVaultRecord()) !== null;
+}
+
+/**
+ * @returns {boolean} True if the stored credential is still in plaintext, so unlocking will set a new passphrase rather than check one
+ */
+export function isCredentialUnprotected() {
+  return readLegacyCredential()?.format === 'plaintext';
+}
+
+/**
+ * Encrypt and add a credential to the wallet
+ *
+ * Before the first save there is no wallet, and the passphrase creates it.
+ * After that, the wallet must be unlocked, or the passphrase given to unlock it.
  * @param {Object} credential - The credential object
- * @param {string} password - Optional password for encryption
+ * @param {string} [passphrase] - Wallet passphrase (required for the first credential)
+ * @returns {Promise<string>} ID of the stored credential
+ * @throws {Error} On a wrong or missing passphrase
  */
-export function saveCredential(credential, password = null) {
-  if (password) {
-    // Store with encryption promise
-    encryptCredential(credential, password).then(encrypted => {
-      localStorage.setItem(STORAGE_KEY, encrypted);
-      localStorage.setItem(`${STORAGE_KEY}_encrypted`, 'true');
-    });
-  } else {
-    // Store in plaintext (not recommended for production)
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(credential));
-    localStorage.setItem(`${STORAGE_KEY}_encrypted`, 'false');
+export async function saveCredential(credential, passphrase = null) {
+  const id = crypto.randomUUID();
+
+  if (!vaultKey && !(await hasWallet())) {
+    if (passphrase === null) throw new Error('Choose a passphrase to protect your credentials');
+    checkPassphrase(passphrase);
+    const created = await newVault(passphrase);
+    await putVaultRecord(created.record, [await sealCredentialRecord(created.key, id, credential)]);
+    vaultKey = created.key;
+    return id;
   }
+
+  if (!vaultKey) {
+    if (passphrase === null) throw lockedError();
+    await unlockWallet(passphrase);
+  }
+  await putCredentialRecord(await sealCredentialRecord(vaultKey, id, credential));
+  return id;
 }
 
 /**
- * Load credential from localStorage
- * @param {string} password - Password if credential is encrypted
- * @returns {Promise<Object|null>} The credential object or null
+ * Replace a stored credential, e.g. after refreshing its rings
+ * @param {string} id
+ * @param {Object} credential
+ * @returns {Promise<void>}
  */
-export async function loadCredential(password = null) {
-  const data = localStorage.getItem(STORAGE_KEY);
-  if (!data) return null;
+export async function updateCredential(id, credential) {
+  if (!vaultKey) throw lockedError();
+  await putCredentialRecord(await sealCredentialRecord(vaultKey, id, credential));
+}
 
-  const isEncrypted = localStorage.getItem(`${STORAGE_KEY}_encrypted`) === 'true';
+/**
+ * Load one credential from the unlocked wallet
+ * @param {string} id
+ * @returns {Promise<Object|null>} The credential in the current schema, or null if there is none with this ID
+ * @throws {Error} If the stored credential fails validation
+ */
+export async function loadCredential(id) {
+  if (!vaultKey) throw lockedError();
+  const record = await getCredentialRecord(id);
+  return record ? openCredentialRecord(vaultKey, record) : null;
+}
 
-  if (isEncrypted && password) {
+/**
+ * Load credentials from the unlocked wallet, oldest issuance first
+ *
+ * Credentials that fail validation are left out (and logged), so one bad
+ * record doesn't make the rest unusable.
+ * @param {Object} [filter]
+ * @param {string} [filter.issuer] - Only this issuer's credentials
+ * @param {string} [filter.attribute] - Only credentials holding this attribute
+ * @returns {Promise<Array<{id: string, credential: Object}>>}
+ */
+export async function listCredentials(filter) {
+  if (!vaultKey) throw lockedError();
+  const entries = [];
+  for (const record of await listCredentialRecords(filter)) {
     try {
-      return await decryptCredential(data, password);
+      entries.push({ id: record.id, credential: await openCredentialRecord(vaultKey, record) });
     } catch (error) {
-      console.error('Failed to decrypt credential:', error);
-      return null;
+      console.warn(`Skipping stored credential ${record.id}:`, error.message);
     }
-  } else if (!isEncrypted) {
-    return JSON.parse(data);
   }
+  return entries;
+}
+
+/**
+ * Replace the wallet passphrase. Only the vault key is re-encrypted.
+ * @param {string} currentPassphrase
+ * @param {string} newPassphrase
+ * @returns {Promise<void>}
+ * @throws {Error} On a wrong current passphrase or a too-short new one
+ */
+export async function changePassphrase(currentPassphrase, newPassphrase) {
+  checkPassphrase(newPassphrase);
+
+  const vault = await getVaultRecord();
+  if (!vault) throw new Error('Unlock the wallet once before changing its passphrase');
 
-  return null;
+  const key = await openVaultRecord(vault, currentPassphrase);
+  await putVaultRecord({ ...vault, wrappedKey: await wrapVaultKey(key, newPassphrase) });
+  vaultKey = key;
 }
 
+// Passkey unlock
+//
+// Next to the passphrase-wrapped key, the vault record holds one entry per
+// passkey: { credentialId, salt, wrappedKey, createdAt }. `wrappedKey` is the
+// vault key under encryptCredential with the passkey's PRF secret (base64) as
+// the password. Changing the passphrase leaves these entries alone.
+
 /**
- * Delete credential from localStorage
+ * @returns {Promise<number>} How many passkeys can unlock the wallet
  */
-export function deleteCredential() {
-  localStorage.removeItem(STORAGE_KEY);
-  localStorage.removeItem(`${STORAGE_KEY}_encrypted`);
+export async function countPasskeys() {
+  const vault = await getVaultRecord();
+  return (vault?.passkeys || []).length;
 }
 
 /**
- * Check if credential exists
- * @returns {boolean}
+ * Create a passkey and let it unlock the wallet from now on
+ * @returns {Promise<void>}
+ * @throws {Error} If the wallet is locked, the user cancels, or the passkey doesn't support PRF
  */
-export function hasCredential() {
-  return localStorage.getItem(STORAGE_KEY) !== null;
+export async function addPasskey() {
+  if (!vaultKey) throw lockedError();
+
+  const salt = crypto.getRandomValues(new Uint8Array(32));
+  const created = await createPasskey(salt);
+  // Authenticators that don't evaluate the PRF on creation need a second touch
+  const secret = created.secret || (await getPrfSecret([{ credentialId: created.credentialId, salt }])).secret;
+
+  const passkey = {
+    credentialId: created.credentialId,
+    salt: toBase64(salt),
+    wrappedKey: await wrapVaultKey(vaultKey, toBase64(secret)),
+    createdAt: new Date().toISOString(),
+  };
+  const vault = await getVaultRecord();
+  await putVaultRecord({ ...vault, passkeys: [...(vault.passkeys || []), passkey] });
+}
+
+/**
+ * Unlock the wallet with one of its passkeys instead of the passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If no passkey is set up, the user cancels, or the passkey doesn't match
+ */
+export async function unlockWalletWithPasskey() {
+  const vault = await getVaultRecord();
+  const passkeys = vault?.passkeys || [];
+  if (passkeys.length === 0) throw new Error('No passkey is set up for this wallet');
+
+  const { credentialId, secret } = await getPrfSecret(
+    passkeys.map(passkey => ({ credentialId: passkey.credentialId, salt: fromBase64(passkey.salt) }))
+  );
+  const passkey = passkeys.find(p => p.credentialId === credentialId);
+  if (!passkey) throw new Error('That passkey is not set up for this wallet');
+
+  try {
+    vaultKey = await openVaultRecord(vault, toBase64(secret), passkey.wrappedKey);
+  } catch {
+    throw new Error('The passkey could not unlock the wallet. Use your passphrase.');
+  }
+}
+
+/**
+ * Stop every passkey from unlocking the wallet; the passkeys themselves stay on the authenticator
+ * @returns {Promise<void>}
+ */
+export async function removePasskeys() {
+  if (!vaultKey) throw lockedError();
+  const { passkeys, ...vault } = await getVaultRecord();
+  await putVaultRecord(vault);
+}
+
+/**
+ * Delete a credential from the wallet
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export function deleteCredential(id) {
+  return deleteCredentialRecord(id);
+}
+
+/**
+ * Check if any credential is stored
+ * @returns {Promise<boolean>}
+ */
+export async function hasCredentials() {
+  return readLegacyCredential() !== null || (await countCredentialRecords()) > 0;
+}
+
+// Backup files
+//
+// A backup is a JSON file with a plain header and the wallet's credentials
+// encrypted under a backup passphrase by encryptCredential:
+//   { type, version, createdAt, count,
+//     kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, saltBytes: 16 },
+//     cipher: 'AES-GCM-256', data, checksum: 'sha256:<hex>' }
+// AES-GCM already rejects a tampered `data`, but can't tell that from a wrong
+// passphrase; the checksum over the header and `data` catches a corrupted or
+// truncated file first, so a failed decryption really means a wrong passphrase.
+
+const toHex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+async function backupChecksum(backup) {
+  const { kdf } = backup;
+  const covered = JSON.stringify([backup.type, backup.version, backup.count, kdf.name, kdf.hash, kdf.iterations, kdf.saltBytes, backup.cipher, backup.data]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(covered));
+  return `sha256:${toHex(new Uint8Array(digest))}`;
+}
+
+// Check the header and checksum; throws on anything this version can't read
+async function readBackupHeader(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error('Not a credential backup file');
+  }
+  if (backup?.type !== BACKUP_TYPE) throw new Error('Not a credential backup file');
+  if (backup.version !== BACKUP_VERSION) throw new Error(`Unsupported backup version ${backup.version}`);
+
+  const { kdf } = backup;
+  if (kdf?.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || kdf.saltBytes !== 16 || backup.cipher !== 'AES-GCM-256') {
+    throw new Error('Unsupported backup encryption');
+  }
+  if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_BACKUP_ITERATIONS) {
+    throw new Error('Invalid backup KDF parameters');
+  }
+  if (typeof backup.data !== 'string' || backup.checksum !== await backupChecksum(backup)) {
+    throw new Error('Backup file is damaged (checksum mismatch)');
+  }
+  return backup;
+}
+
+const sameCredential = (a, b) => a.issuer === b.issuer
+  && Object.keys(a.user_keys).length === Object.keys(b.user_keys).length
+  && Object.entries(a.user_keys).every(([attribute, key]) => b.user_keys[attribute] === key);
+
+/**
+ * Export every credential in the unlocked wallet as an encrypted backup file
+ * @param {string} passphrase - Backup passphrase; may differ from the wallet's
+ * @returns {Promise<string>} Backup file contents (JSON)
+ * @throws {Error} If the wallet is locked or empty, or the passphrase is too short
+ */
+export async function exportBackup(passphrase) {
+  if (!vaultKey) throw lockedError();
+  checkPassphrase(passphrase);
+
+  const credentials = (await listCredentials()).map(entry => entry.credential);
+  if (credentials.length === 0) throw new Error('No credentials to back up');
+
+  const backup = {
+    type: BACKUP_TYPE,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    count: credentials.length,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, saltBytes: 16 },
+    cipher: 'AES-GCM-256',
+    data: await encryptCredential({ credentials }, passphrase, PBKDF2_ITERATIONS),
+  };
+  backup.checksum = await backupChecksum(backup);
+  return JSON.stringify(backup, null, 2);
+}
+
+/**
+ * Restore credentials from a backup file into the wallet
+ *
+ * Credentials already in the wallet are skipped, and so are any that fail
+ * validation; those are listed in `invalid` by their position in the backup.
+ * Everything else is written in one transaction, so a restore never stops
+ * halfway. With no wallet in this browser (e.g. after clearing storage), one
+ * is created under `walletPassphrase`, or the backup passphrase if none is
+ * given. A locked wallet is unlocked with `walletPassphrase`.
+ * @param {string} text - Backup file contents
+ * @param {string} backupPassphrase
+ * @param {string} [walletPassphrase]
+ * @returns {Promise<{added: number, skipped: number, invalid: Array<{index: number, error: string}>}>}
+ * @throws {Error} On a damaged or unsupported file, or a wrong passphrase
+ */
+export async function importBackup(text, backupPassphrase, walletPassphrase = null) {
+  const backup = await readBackupHeader(text);
+
+  let credentials;
+  try {
+    ({ credentials } = await decryptCredential(backup.data, backupPassphrase, backup.kdf.iterations));
+  } catch {
+    throw new Error('Wrong backup passphrase');
+  }
+
+  const valid = [];
+  const invalid = [];
+  credentials.forEach((credential, index) => {
+    try {
+      valid.push(validateCredential(migrateCredential(credential)));
+    } catch (error) {
+      invalid.push({ index, error: error.message });
+    }
+  });
+
+  if (!vaultKey && (await hasWallet())) {
+    if (walletPassphrase === null) throw lockedError();
+    await unlockWallet(walletPassphrase);
+  }
+
+  const existing = vaultKey ? (await listCredentials()).map(entry => entry.credential) : [];
+  const fresh = [];
+  for (const credential of valid) {
+    if (![...existing, ...fresh].some(stored => sameCredential(stored, credential))) fresh.push(credential);
+  }
+
+  if (fresh.length > 0 && vaultKey) {
+    await putCredentialRecords(await Promise.all(
+      fresh.map(credential => sealCredentialRecord(vaultKey, crypto.randomUUID(), credential))
+    ));
+  } else if (fresh.length > 0) {
+    // No wallet in this browser yet: create it along with the restored credentials
+    const passphrase = walletPassphrase || backupPassphrase;
+    checkPassphrase(passphrase);
+    const created = await newVault(passphrase);
+    await putVaultRecord(created.record, await Promise.all(
+      fresh.map(credential => sealCredentialRecord(created.key, crypto.randomUUID(), credential))
+    ));
+    vaultKey = created.key;
+  }
+
+  return { added: fresh.length, skipped: valid.length - fresh.length, invalid };
 }
 
 /**
@@ -169,17 +674,33 @@ export function generateUserId() {
 }
 
 /**
- * Format credential for display
+ * Format credential for display. Accepts credentials from before schema versioning too.
  * @param {Object} credential
  * @returns {Object}
  */
 export function formatCredential(credential) {
+  const current = migrateCredential(credential);
+  const attributes = Object.keys(current.user_keys || {});
+  const issuedAt = current.issued_at || null;
+  const expiresAt = current.expires_at || null;
+  const expiredAttributes = attributes.filter(attribute => attributeStatus(current, attribute).expired);
+
+  const summaryParts = [attributes.join(', ')];
+  if (issuedAt) summaryParts.push(`issued ${new Date(issuedAt).toLocaleDateString()}`);
+  if (expiredAttributes.length === attributes.length && attributes.length > 0) summaryParts.push('expired');
+
   return {
-    issuer: credential.issuer.substring(0, 10) + '...',
-    attributes: Object.keys(credential.user_keys),
-    rings: Object.entries(credential.rings).map(([attr, ring]) => ({
+    issuer: current.issuer ? current.issuer.substring(0, 10) + '...' : '',
+    issuerName: current.issuer_name || null,
+    attributes,
+    rings: Object.entries(current.rings || {}).map(([attr, ring]) => ({
       attribute: attr,
       size: ring.length,
     })),
+    issuedAt,
+    expiresAt,
+    expiredAttributes,
+    // One line for pickers, e.g. "over_18, resident_uk - issued 1/15/2025"
+    summary: summaryParts.join(' - '),
   };
 }
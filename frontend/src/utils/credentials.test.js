@@ -0,0 +1,351 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { freshWallet, makeCredential, hex } from '../test/wallet';
+
+const PASSPHRASE = 'correct horse';
+
+let wallet;
+let store;
+let localItems;
+
+beforeEach(async () => {
+  ({ wallet, store, localItems } = await freshWallet());
+});
+
+describe('vault', () => {
+  it('needs a passphrase to create the wallet', async () => {
+    await expect(wallet.saveCredential(makeCredential())).rejects.toThrow('Choose a passphrase');
+    await expect(wallet.saveCredential(makeCredential(), 'short')).rejects.toThrow('at least 8 characters');
+    expect(await wallet.hasWallet()).toBe(false);
+  });
+
+  it('creates the wallet on the first save and stays unlocked', async () => {
+    const credential = makeCredential();
+    const id = await wallet.saveCredential(credential, PASSPHRASE);
+
+    expect(await wallet.hasWallet()).toBe(true);
+    expect(await wallet.hasCredentials()).toBe(true);
+    expect(wallet.isWalletUnlocked()).toBe(true);
+    expect(await wallet.loadCredential(id)).toEqual(credential);
+  });
+
+  it('never stores secret keys or the vault key in the clear', async () => {
+    const credential = makeCredential();
+    const id = await wallet.saveCredential(credential, PASSPHRASE);
+
+    const record = await store.getCredentialRecord(id);
+    expect(record.issuer).toBe(credential.issuer);
+    expect(record.attributes).toEqual(['over_18']);
+    expect(record.data).not.toContain(credential.user_keys.over_18);
+    expect(JSON.stringify(record)).not.toContain(credential.user_keys.over_18);
+
+    const vault = await store.getVaultRecord();
+    expect(Object.keys(vault).sort()).toEqual(['id', 'version', 'wrappedKey']);
+    expect(localItems.size).toBe(0);
+  });
+
+  it('locks, refuses a wrong passphrase and unlocks with the right one', async () => {
+    const credential = makeCredential();
+    const id = await wallet.saveCredential(credential, PASSPHRASE);
+
+    wallet.lockWallet();
+    expect(wallet.isWalletUnlocked()).toBe(false);
+    await expect(wallet.loadCredential(id)).rejects.toThrow('locked');
+    await expect(wallet.listCredentials()).rejects.toThrow('locked');
+
+    await expect(wallet.unlockWallet('wrong passphrase')).rejects.toThrow('Wrong passphrase');
+    expect(wallet.isWalletUnlocked()).toBe(false);
+
+    await wallet.unlockWallet(PASSPHRASE);
+    expect(await wallet.loadCredential(id)).toEqual(credential);
+  });
+
+  it('has nothing to unlock before the first save', async () => {
+    await expect(wallet.unlockWallet(PASSPHRASE)).rejects.toThrow('No credentials stored');
+  });
+
+  it('unlocks a locked wallet when saving with its passphrase', async () => {
+    await wallet.saveCredential(makeCredential(), PASSPHRASE);
+    wallet.lockWallet();
+
+    await expect(wallet.saveCredential(makeCredential())).rejects.toThrow('locked');
+    await expect(wallet.saveCredential(makeCredential(), 'wrong passphrase')).rejects.toThrow('Wrong passphrase');
+
+    await wallet.saveCredential(makeCredential(), PASSPHRASE);
+    expect(await wallet.listCredentials()).toHaveLength(2);
+  });
+
+  it('changes the passphrase without touching the credentials', async () => {
+    const credential = makeCredential();
+    const id = await wallet.saveCredential(credential, PASSPHRASE);
+    const before = await store.getCredentialRecord(id);
+
+    await expect(wallet.changePassphrase('wrong passphrase', 'new passphrase')).rejects.toThrow('Wrong passphrase');
+    await expect(wallet.changePassphrase(PASSPHRASE, 'short')).rejects.toThrow('at least 8 characters');
+    await wallet.changePassphrase(PASSPHRASE, 'new passphrase');
+
+    expect(await store.getCredentialRecord(id)).toEqual(before);
+    wallet.lockWallet();
+    await expect(wallet.unlockWallet(PASSPHRASE)).rejects.toThrow('Wrong passphrase');
+    await wallet.unlockWallet('new passphrase');
+    expect(await wallet.loadCredential(id)).toEqual(credential);
+  });
+
+  it('rejects credentials that fail validation', async () => {
+    const credential = { ...makeCredential(), issuer: 'not hex' };
+    await expect(wallet.saveCredential(credential, PASSPHRASE)).rejects.toThrow('issuer must be a 96-byte hex public key');
+    expect(await wallet.hasWallet()).toBe(false);
+  });
+
+  describe('credentials left in localStorage by earlier versions', () => {
+    it('moves a plaintext credential into a new wallet under the given passphrase', async () => {
+      const credential = makeCredential();
+      localItems.set('kyc_credential', JSON.stringify(credential));
+      localItems.set('kyc_credential_encrypted', 'false');
+
+      expect(wallet.isCredentialUnprotected()).toBe(true);
+      expect(await wallet.hasWallet()).toBe(true);
+      await expect(wallet.unlockWallet('short')).rejects.toThrow('at least 8 characters');
+
+      await wallet.unlockWallet(PASSPHRASE);
+      expect((await wallet.listCredentials()).map(entry => entry.credential)).toEqual([credential]);
+      expect(localItems.size).toBe(0);
+
+      wallet.lockWallet();
+      await wallet.unlockWallet(PASSPHRASE);
+    });
+
+    it('moves an encrypted credential in with its old passphrase', async () => {
+      const credential = makeCredential();
+      localItems.set('kyc_credential', await wallet.encryptCredential(credential, 'old'));
+      localItems.set('kyc_credential_encrypted', 'true');
+
+      expect(wallet.isCredentialUnprotected()).toBe(false);
+      await expect(wallet.unlockWallet('wrong')).rejects.toThrow('Wrong passphrase');
+
+      // Old passphrases were never length-checked
+      await wallet.unlockWallet('old');
+      expect((await wallet.listCredentials()).map(entry => entry.credential)).toEqual([credential]);
+      expect(localItems.size).toBe(0);
+    });
+
+    it('leaves a credential under another passphrase where it is', async () => {
+      await wallet.saveCredential(makeCredential(), PASSPHRASE);
+      wallet.lockWallet();
+      localItems.set('kyc_credential', await wallet.encryptCredential(makeCredential(), 'other passphrase'));
+      localItems.set('kyc_credential_encrypted', 'true');
+
+      await wallet.unlockWallet(PASSPHRASE);
+      expect(await wallet.listCredentials()).toHaveLength(1);
+      expect(localItems.has('kyc_credential')).toBe(true);
+    });
+  });
+});
+
+describe('several credentials', () => {
+  const ISSUER_A = 'aa'.repeat(96);
+  const ISSUER_B = 'bb'.repeat(96);
+
+  it('keeps credentials from several issuers apart', async () => {
+    const first = makeCredential({ issuer: ISSUER_A, attributes: ['over_18', 'resident_us'] });
+    const second = makeCredential({ issuer: ISSUER_B, attributes: ['over_21'] });
+    const firstId = await wallet.saveCredential(first, PASSPHRASE);
+    const secondId = await wallet.saveCredential(second);
+
+    expect(firstId).not.toBe(secondId);
+    expect(await wallet.loadCredential(firstId)).toEqual(first);
+    expect(await wallet.loadCredential(secondId)).toEqual(second);
+    expect(await wallet.loadCredential('missing')).toBeNull();
+  });
+
+  it('lists credentials oldest issuance first, filtered by issuer or attribute', async () => {
+    const newer = makeCredential({ issuer: ISSUER_A, attributes: ['over_21'], now: new Date('2025-06-01T00:00:00Z') });
+    const older = makeCredential({ issuer: ISSUER_A, attributes: ['over_18'], now: new Date('2025-01-01T00:00:00Z') });
+    const other = makeCredential({ issuer: ISSUER_B, attributes: ['over_18', 'resident_us'], now: new Date('2025-03-01T00:00:00Z') });
+    await wallet.saveCredential(newer, PASSPHRASE);
+    await wallet.saveCredential(older);
+    await wallet.saveCredential(other);
+
+    const credentials = entries => entries.map(entry => entry.credential);
+    expect(credentials(await wallet.listCredentials())).toEqual([older, other, newer]);
+    expect(credentials(await wallet.listCredentials({ issuer: ISSUER_A }))).toEqual([older, newer]);
+    expect(credentials(await wallet.listCredentials({ attribute: 'over_18' }))).toEqual([older, other]);
+    expect(credentials(await wallet.listCredentials({ attribute: 'resident_uk' }))).toEqual([]);
+  });
+
+  it('updates one credential and leaves the others alone', async () => {
+    const first = makeCredential({ issuer: ISSUER_A });
+    const second = makeCredential({ issuer: ISSUER_B });
+    const firstId = await wallet.saveCredential(first, PASSPHRASE);
+    const secondId = await wallet.saveCredential(second);
+
+    const refreshed = { ...first, rings: { over_18: [...first.rings.over_18, 'cc'.repeat(96)] } };
+    await wallet.updateCredential(firstId, refreshed);
+
+    expect(await wallet.loadCredential(firstId)).toEqual(refreshed);
+    expect(await wallet.loadCredential(secondId)).toEqual(second);
+
+    wallet.lockWallet();
+    await expect(wallet.updateCredential(firstId, first)).rejects.toThrow('locked');
+  });
+
+  it('deletes one credential', async () => {
+    const firstId = await wallet.saveCredential(makeCredential(), PASSPHRASE);
+    const second = makeCredential();
+    await wallet.saveCredential(second);
+
+    await wallet.deleteCredential(firstId);
+    expect((await wallet.listCredentials()).map(entry => entry.credential)).toEqual([second]);
+  });
+
+  it('skips a stored credential that cannot be opened', async () => {
+    const good = makeCredential();
+    await wallet.saveCredential(good, PASSPHRASE);
+    const badId = await wallet.saveCredential(makeCredential());
+
+    // Overwrite a few bytes of the sealed data, as on a corrupted record
+    const record = await store.getCredentialRecord(badId);
+    await store.putCredentialRecord({ ...record, data: record.data.slice(0, 20) + 'AAAA' + record.data.slice(24) });
+
+    expect((await wallet.listCredentials()).map(entry => entry.credential)).toEqual([good]);
+    await expect(wallet.loadCredential(badId)).rejects.toThrow();
+  });
+
+  it('stores a credential from before schema versioning in the current schema', async () => {
+    const current = makeCredential();
+    const legacy = { issuer: current.issuer, user_keys: current.user_keys, rings: current.rings, issued_at: current.issued_at };
+    const id = await wallet.saveCredential(legacy, PASSPHRASE);
+
+    const loaded = await wallet.loadCredential(id);
+    expect(loaded.schema_version).toBe(2);
+    expect(loaded.user_keys).toEqual(current.user_keys);
+    expect(loaded.expires_at).toBeNull();
+  });
+});
+
+describe('backups', () => {
+  const BACKUP_PASSPHRASE = 'backup passphrase';
+
+  // Re-encrypt a backup's contents and fix up its header, as a file written by another wallet would be
+  async function rewriteBackup(text, credentials) {
+    const backup = { ...JSON.parse(text), count: credentials.length };
+    backup.data = await wallet.encryptCredential({ credentials }, BACKUP_PASSPHRASE, backup.kdf.iterations);
+    const { kdf } = backup;
+    const covered = JSON.stringify([backup.type, backup.version, backup.count, kdf.name, kdf.hash, kdf.iterations, kdf.saltBytes, backup.cipher, backup.data]);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(covered)));
+    backup.checksum = `sha256:${Array.from(digest, b => b.toString(16).padStart(2, '0')).join('')}`;
+    return JSON.stringify(backup);
+  }
+
+  async function walletWith(credentials) {
+    for (const credential of credentials) await wallet.saveCredential(credential, PASSPHRASE);
+    return wallet.exportBackup(BACKUP_PASSPHRASE);
+  }
+
+  const storedCredentials = async () => (await wallet.listCredentials()).map(entry => entry.credential);
+
+  it('restores every credential into a browser without a wallet', async () => {
+    const credentials = [makeCredential(), makeCredential({ attributes: ['over_21', 'resident_us'] })];
+    const text = await walletWith(credentials);
+
+    const header = JSON.parse(text);
+    expect(header.count).toBe(2);
+    expect(text).not.toContain(credentials[0].user_keys.over_18);
+
+    ({ wallet } = await freshWallet());
+    expect(await wallet.importBackup(text, BACKUP_PASSPHRASE)).toEqual({ added: 2, skipped: 0, invalid: [] });
+    expect(await storedCredentials()).toEqual(expect.arrayContaining(credentials));
+
+    // The new wallet takes the backup passphrase unless another one is given
+    wallet.lockWallet();
+    await wallet.unlockWallet(BACKUP_PASSPHRASE);
+  });
+
+  it('creates the new wallet under the wallet passphrase when one is given', async () => {
+    const text = await walletWith([makeCredential()]);
+
+    ({ wallet } = await freshWallet());
+    await wallet.importBackup(text, BACKUP_PASSPHRASE, 'wallet passphrase');
+    wallet.lockWallet();
+    await expect(wallet.unlockWallet(BACKUP_PASSPHRASE)).rejects.toThrow('Wrong passphrase');
+    await wallet.unlockWallet('wallet passphrase');
+  });
+
+  it('skips credentials the wallet already holds', async () => {
+    const kept = makeCredential();
+    const text = await walletWith([kept, makeCredential()]);
+    await wallet.deleteCredential((await wallet.listCredentials())[1].id);
+
+    expect(await wallet.importBackup(text, BACKUP_PASSPHRASE)).toEqual({ added: 1, skipped: 1, invalid: [] });
+    expect(await wallet.listCredentials()).toHaveLength(2);
+    expect(await wallet.importBackup(text, BACKUP_PASSPHRASE)).toEqual({ added: 0, skipped: 2, invalid: [] });
+  });
+
+  it('needs the wallet passphrase to restore into a locked wallet', async () => {
+    const text = await walletWith([makeCredential()]);
+    await wallet.saveCredential(makeCredential());
+    const extra = await rewriteBackup(text, [makeCredential()]);
+    wallet.lockWallet();
+
+    await expect(wallet.importBackup(extra, BACKUP_PASSPHRASE)).rejects.toThrow('locked');
+    expect(await wallet.importBackup(extra, BACKUP_PASSPHRASE, PASSPHRASE)).toMatchObject({ added: 1 });
+    expect(await wallet.listCredentials()).toHaveLength(3);
+  });
+
+  it('restores the valid credentials and reports the invalid ones', async () => {
+    const good = [makeCredential(), makeCredential()];
+    const text = await rewriteBackup(await walletWith([makeCredential()]), [good[0], { ...makeCredential(), issuer: 'not hex' }, good[1]]);
+
+    ({ wallet } = await freshWallet());
+    const result = await wallet.importBackup(text, BACKUP_PASSPHRASE);
+    expect(result.added).toBe(2);
+    expect(result.skipped).toBe(0);
+    expect(result.invalid).toHaveLength(1);
+    expect(result.invalid[0].index).toBe(1);
+    expect(result.invalid[0].error).toContain('issuer must be a 96-byte hex public key');
+    expect(await storedCredentials()).toEqual(expect.arrayContaining(good));
+  });
+
+  it('writes nothing when the backup holds no valid credential', async () => {
+    const text = await rewriteBackup(await walletWith([makeCredential()]), [{ issuer: 'not hex' }]);
+
+    ({ wallet } = await freshWallet());
+    expect(await wallet.importBackup(text, BACKUP_PASSPHRASE)).toMatchObject({ added: 0, skipped: 0 });
+    expect(await wallet.hasWallet()).toBe(false);
+  });
+
+  it('tells a wrong passphrase from a damaged or foreign file', async () => {
+    const text = await walletWith([makeCredential()]);
+    const backup = JSON.parse(text);
+
+    await expect(wallet.importBackup(text, 'wrong passphrase')).rejects.toThrow('Wrong backup passphrase');
+    await expect(wallet.importBackup('not json', BACKUP_PASSPHRASE)).rejects.toThrow('Not a credential backup file');
+    await expect(wallet.importBackup(JSON.stringify({ ...backup, type: 'other' }), BACKUP_PASSPHRASE)).rejects.toThrow('Not a credential backup file');
+    await expect(wallet.importBackup(JSON.stringify({ ...backup, version: 2 }), BACKUP_PASSPHRASE)).rejects.toThrow('Unsupported backup version 2');
+    await expect(wallet.importBackup(JSON.stringify({ ...backup, data: backup.data.slice(0, -8) }), BACKUP_PASSPHRASE)).rejects.toThrow('checksum mismatch');
+    await expect(wallet.importBackup(
+      JSON.stringify({ ...backup, kdf: { ...backup.kdf, iterations: 1e9 } }),
+      BACKUP_PASSPHRASE
+    )).rejects.toThrow('Invalid backup KDF parameters');
+  });
+
+  it('refuses to export a locked or empty wallet, or under a short passphrase', async () => {
+    await wallet.saveCredential(makeCredential(), PASSPHRASE);
+    await expect(wallet.exportBackup('short')).rejects.toThrow('at least 8 characters');
+
+    await wallet.deleteCredential((await wallet.listCredentials())[0].id);
+    await expect(wallet.exportBackup(BACKUP_PASSPHRASE)).rejects.toThrow('No credentials to back up');
+
+    wallet.lockWallet();
+    await expect(wallet.exportBackup(BACKUP_PASSPHRASE)).rejects.toThrow('locked');
+  });
+
+  it('round-trips credentials with large rings', async () => {
+    const credential = makeCredential();
+    credential.rings.over_18 = Array.from({ length: 2000 }, () => hex(96));
+    const text = await walletWith([credential]);
+
+    ({ wallet } = await freshWallet());
+    expect(await wallet.importBackup(text, BACKUP_PASSPHRASE)).toMatchObject({ added: 1 });
+    expect(await storedCredentials()).toEqual([credential]);
+  });
+});
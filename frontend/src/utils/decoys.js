@@ -0,0 +1,71 @@
+// Verifiably unspendable decoy keys
+// Rings are padded up to a target size with points hashed to G1 from a public
+// seed (issuer key, attribute, index). Nobody, the issuer included, knows a
+// secret key for them, and anyone can recompute them to see which ring
+// members are decoys. Real members are never counted twice: a ring's
+// effective anonymity set is its size minus its decoys.
+//
+// Node-safe: only depends on @noble.
+import { bls12_381 } from '@noble/curves/bls12-381.js';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils.js';
+
+const DECOY_DST = 'SELECTIVE-DISCLOSURE-KYC-DECOY-V01_BLS12381G1_XMD:SHA-256_SSWU_RO_';
+
+export const DEFAULT_TARGET_RING_SIZE = 8;
+
+/**
+ * Derive the decoy key at an index
+ * @param {string} issuerPubKey - Issuer's BLS public key (96 bytes hex)
+ * @param {string} attribute - Attribute name
+ * @param {number} index - Decoy number, from 0
+ * @returns {string} 96-byte hex public key
+ */
+export function decoyKey(issuerPubKey, attribute, index) {
+  const seed = utf8ToBytes(`${issuerPubKey.toLowerCase()}/${attribute}/${index}`);
+  return bytesToHex(bls12_381.G1.hashToCurve(seed, { DST: DECOY_DST }).toBytes(false));
+}
+
+/**
+ * Pick decoys that are not in the ring yet, lowest indices first
+ * @param {Array<string>} ring - Current ring (96-byte hex keys)
+ * @param {string} issuerPubKey
+ * @param {string} attribute
+ * @param {number} count - Number of decoys wanted
+ * @returns {string[]}
+ */
+export function nextDecoys(ring, issuerPubKey, attribute, count) {
+  const members = new Set(ring.map(key => key.toLowerCase()));
+  const decoys = [];
+  for (let index = 0; decoys.length < count; index++) {
+    const key = decoyKey(issuerPubKey, attribute, index);
+    if (!members.has(key)) decoys.push(key);
+  }
+  return decoys;
+}
+
+// Indices in a row with no decoy after which describeRing stops looking
+const DECOY_SCAN_GAP = 16;
+
+/**
+ * Size a ring and its effective anonymity set
+ * nextDecoys fills the lowest free indices, so decoys normally sit at 0..n-1,
+ * but a ring edited elsewhere can hold them past its own length or with
+ * holes; the scan only stops after DECOY_SCAN_GAP indices in a row miss.
+ * @param {Array<string>} ring - Ring (96-byte hex keys)
+ * @param {string} issuerPubKey
+ * @param {string} attribute
+ * @returns {{ringSize: number, decoys: number, anonymitySet: number}}
+ */
+export function describeRing(ring, issuerPubKey, attribute) {
+  const members = new Set(ring.map(key => key.toLowerCase()));
+  let decoys = 0;
+  for (let index = 0, misses = 0; misses < DECOY_SCAN_GAP && decoys < members.size; index++) {
+    if (members.has(decoyKey(issuerPubKey, attribute, index))) {
+      decoys++;
+      misses = 0;
+    } else {
+      misses++;
+    }
+  }
+  return { ringSize: ring.length, decoys, anonymitySet: ring.length - decoys };
+}
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { bls12_381 } from '@noble/curves/bls12-381.js';
+import { hexToBytes } from '@noble/hashes/utils.js';
+import { decoyKey, nextDecoys, describeRing } from './decoys';
+import { derivePublicKey } from './ringSignature';
+
+const ISSUER = 'ab'.repeat(96);
+const OTHER_ISSUER = 'cd'.repeat(96);
+
+const members = ['01', '02', '03'].map(byte => derivePublicKey(byte.repeat(32)));
+
+describe('decoyKey', () => {
+  it('derives the same key from the same seed', () => {
+    expect(decoyKey(ISSUER, 'over_18', 0)).toBe(decoyKey(ISSUER, 'over_18', 0));
+    expect(decoyKey(ISSUER.toUpperCase(), 'over_18', 0)).toBe(decoyKey(ISSUER, 'over_18', 0));
+  });
+
+  it('gives every issuer, attribute and index its own key', () => {
+    const keys = new Set([
+      decoyKey(ISSUER, 'over_18', 0),
+      decoyKey(ISSUER, 'over_18', 1),
+      decoyKey(ISSUER, 'over_21', 0),
+      decoyKey(OTHER_ISSUER, 'over_18', 0)
+    ]);
+    expect(keys.size).toBe(4);
+  });
+
+  it('is a valid G1 point in the contract encoding', () => {
+    const key = decoyKey(ISSUER, 'over_18', 0);
+    expect(key).toMatch(/^[0-9a-f]{192}$/);
+
+    const point = bls12_381.G1.Point.fromBytes(hexToBytes(key));
+    expect(() => point.assertValidity()).not.toThrow();
+    expect(point.equals(bls12_381.G1.Point.ZERO)).toBe(false);
+  });
+
+  it('never lands on a member key', () => {
+    const decoys = Array.from({ length: 16 }, (_, index) => decoyKey(ISSUER, 'over_18', index));
+    for (const member of members) {
+      expect(decoys).not.toContain(member);
+    }
+  });
+});
+
+describe('nextDecoys', () => {
+  it('takes the lowest indices first', () => {
+    expect(nextDecoys(members, ISSUER, 'over_18', 2)).toEqual([
+      decoyKey(ISSUER, 'over_18', 0),
+      decoyKey(ISSUER, 'over_18', 1)
+    ]);
+    expect(nextDecoys(members, ISSUER, 'over_18', 0)).toEqual([]);
+  });
+
+  it('skips decoys already in the ring', () => {
+    const ring = [...members, decoyKey(ISSUER, 'over_18', 0).toUpperCase()];
+
+    expect(nextDecoys(ring, ISSUER, 'over_18', 2)).toEqual([
+      decoyKey(ISSUER, 'over_18', 1),
+      decoyKey(ISSUER, 'over_18', 2)
+    ]);
+  });
+});
+
+describe('describeRing', () => {
+  it('counts the decoys padding a ring', () => {
+    const ring = [...members, ...nextDecoys(members, ISSUER, 'over_18', 5)].sort();
+
+    expect(describeRing(ring, ISSUER, 'over_18')).toEqual({ ringSize: 8, decoys: 5, anonymitySet: 3 });
+  });
+
+  it('reports a ring without decoys', () => {
+    expect(describeRing(members, ISSUER, 'over_18')).toEqual({ ringSize: 3, decoys: 0, anonymitySet: 3 });
+  });
+
+  it('handles an empty ring', () => {
+    expect(describeRing([], ISSUER, 'over_18')).toEqual({ ringSize: 0, decoys: 0, anonymitySet: 0 });
+  });
+
+  it('only counts decoys for the same issuer and attribute', () => {
+    const ring = [
+      ...members,
+      decoyKey(ISSUER, 'over_21', 0),
+      decoyKey(OTHER_ISSUER, 'over_18', 0),
+      decoyKey(ISSUER, 'over_18', 0)
+    ];
+
+    expect(describeRing(ring, ISSUER, 'over_18')).toEqual({ ringSize: 6, decoys: 1, anonymitySet: 5 });
+  });
+
+  it('finds decoys past the ring length', () => {
+    // Members revoked after padding leave a small ring holding high decoys
+    const ring = [members[0], decoyKey(ISSUER, 'over_18', 5), decoyKey(ISSUER, 'over_18', 6)];
+
+    expect(describeRing(ring, ISSUER, 'over_18')).toEqual({ ringSize: 3, decoys: 2, anonymitySet: 1 });
+  });
+
+  it('looks past holes in the decoy indices', () => {
+    const ring = [...members, ...[0, 1, 4, 9].map(index => decoyKey(ISSUER, 'over_18', index))];
+
+    expect(describeRing(ring, ISSUER, 'over_18')).toEqual({ ringSize: 7, decoys: 4, anonymitySet: 3 });
+  });
+
+  it('counts a ring of nothing but decoys', () => {
+    const ring = nextDecoys([], ISSUER, 'over_18', 4).map(key => key.toUpperCase());
+
+    expect(describeRing(ring, ISSUER, 'over_18')).toEqual({ ringSize: 4, decoys: 4, anonymitySet: 0 });
+  });
+});
@@ -0,0 +1,121 @@
+// End-to-end encrypted credential delivery
+//
+// The applicant creates an ephemeral P-256 keypair when submitting a KYC
+// request and sends only the public half. The issuer encrypts the credential
+// to it (ECDH with a fresh sender key, HKDF-SHA256, AES-256-GCM), so the
+// backend relays ciphertext it cannot read. The request ID is bound in as
+// additional authenticated data.
+
+const ENVELOPE_VERSION = 1;
+const ENVELOPE_ALG = 'ECDH-P256+HKDF-SHA256+A256GCM';
+const HKDF_INFO = 'selective-disclosure-kyc credential delivery v1';
+
+const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+
+// In chunks: spreading a large credential's bytes into one call overflows the stack
+function toBase64(bytes) {
+  const view = new Uint8Array(bytes);
+  let binary = '';
+  for (let i = 0; i < view.length; i += 0x8000) {
+    binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+async function deriveEnvelopeKey(privateKey, publicKey, salt, usage) {
+  const sharedSecret = await crypto.subtle.deriveBits(
+    { name: 'ECDH', public: publicKey },
+    privateKey,
+    256
+  );
+
+  const hkdfKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(HKDF_INFO) },
+    hkdfKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  );
+}
+
+/**
+ * Generate the applicant's ephemeral delivery keypair.
+ * The private key is non-extractable: it can be kept in IndexedDB, but never exported.
+ * @returns {Promise<{publicKey: string, privateKey: CryptoKey}>} publicKey is the base64 raw (uncompressed) point
+ */
+export async function generateDeliveryKeyPair() {
+  const keyPair = await crypto.subtle.generateKey(ECDH_PARAMS, false, ['deriveBits']);
+  const rawPublicKey = await crypto.subtle.exportKey('raw', keyPair.publicKey);
+
+  return {
+    publicKey: toBase64(rawPublicKey),
+    privateKey: keyPair.privateKey,
+  };
+}
+
+/**
+ * Encrypt a credential to the applicant's delivery key
+ * @param {Object} credential - Credential object
+ * @param {string} recipientPublicKey - Base64 raw P-256 public key from the KYC request
+ * @param {string} requestId - KYC request ID (authenticated, not encrypted)
+ * @returns {Promise<Object>} Envelope { version, alg, epk, salt, iv, ciphertext }
+ */
+export async function encryptCredentialForDelivery(credential, recipientPublicKey, requestId) {
+  const recipientKey = await crypto.subtle.importKey(
+    'raw',
+    fromBase64(recipientPublicKey),
+    ECDH_PARAMS,
+    false,
+    []
+  );
+
+  const senderKeyPair = await crypto.subtle.generateKey(ECDH_PARAMS, true, ['deriveBits']);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  const key = await deriveEnvelopeKey(senderKeyPair.privateKey, recipientKey, salt, 'encrypt');
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(requestId) },
+    key,
+    new TextEncoder().encode(JSON.stringify(credential))
+  );
+
+  return {
+    version: ENVELOPE_VERSION,
+    alg: ENVELOPE_ALG,
+    epk: toBase64(await crypto.subtle.exportKey('raw', senderKeyPair.publicKey)),
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    ciphertext: toBase64(ciphertext),
+  };
+}
+
+/**
+ * Decrypt a delivered credential envelope
+ * @param {Object} envelope - Output of encryptCredentialForDelivery
+ * @param {CryptoKey} privateKey - Applicant's delivery private key
+ * @param {string} requestId - KYC request ID the credential was issued for
+ * @returns {Promise<Object>} Credential object
+ */
+export async function decryptDeliveredCredential(envelope, privateKey, requestId) {
+  if (envelope?.version !== ENVELOPE_VERSION || envelope.alg !== ENVELOPE_ALG) {
+    throw new Error('Unsupported credential envelope');
+  }
+
+  const senderKey = await crypto.subtle.importKey('raw', fromBase64(envelope.epk), ECDH_PARAMS, false, []);
+  const key = await deriveEnvelopeKey(privateKey, senderKey, fromBase64(envelope.salt), 'decrypt');
+
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(envelope.iv), additionalData: new TextEncoder().encode(requestId) },
+    key,
+    fromBase64(envelope.ciphertext)
+  );
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
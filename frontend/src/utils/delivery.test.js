@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  generateDeliveryKeyPair,
+  encryptCredentialForDelivery,
+  decryptDeliveredCredential
+} from './delivery';
+
+const credential = {
+  issuer: 'aa'.repeat(96),
+  user_keys: { over_18: '11'.repeat(32) },
+  issued_at: 1700000000
+};
+
+// Flip one bit inside a base64 field of an envelope
+function tamper(envelope, field) {
+  const bytes = Uint8Array.from(atob(envelope[field]), c => c.charCodeAt(0));
+  bytes[bytes.length - 1] ^= 0x01;
+  return { ...envelope, [field]: btoa(String.fromCharCode(...bytes)) };
+}
+
+describe('credential delivery envelope', () => {
+  let recipient;
+
+  beforeAll(async () => {
+    recipient = await generateDeliveryKeyPair();
+  });
+
+  it('hands out a raw uncompressed P-256 public key', () => {
+    const raw = atob(recipient.publicKey);
+    expect(raw).toHaveLength(65);
+    expect(raw.charCodeAt(0)).toBe(0x04);
+    expect(recipient.privateKey.extractable).toBe(false);
+  });
+
+  it('seals a credential that only the recipient can open', async () => {
+    const envelope = await encryptCredentialForDelivery(credential, recipient.publicKey, 'req_1');
+
+    expect(envelope).toMatchObject({ version: 1, alg: 'ECDH-P256+HKDF-SHA256+A256GCM' });
+    expect(envelope.epk).not.toBe(recipient.publicKey);
+    expect(JSON.stringify(envelope)).not.toContain(credential.user_keys.over_18);
+    expect(await decryptDeliveredCredential(envelope, recipient.privateKey, 'req_1')).toEqual(credential);
+  });
+
+  it('seals credentials with large rings', async () => {
+    const large = { ...credential, rings: { over_18: Array.from({ length: 2000 }, (_, i) => i.toString(16).padStart(192, '0')) } };
+    const envelope = await encryptCredentialForDelivery(large, recipient.publicKey, 'req_1');
+
+    expect(await decryptDeliveredCredential(envelope, recipient.privateKey, 'req_1')).toEqual(large);
+  });
+
+  it('uses a fresh sender key, salt and IV for every envelope', async () => {
+    const first = await encryptCredentialForDelivery(credential, recipient.publicKey, 'req_1');
+    const second = await encryptCredentialForDelivery(credential, recipient.publicKey, 'req_1');
+
+    for (const field of ['epk', 'salt', 'iv', 'ciphertext']) {
+      expect(first[field]).not.toBe(second[field]);
+    }
+  });
+
+  it('cannot be opened by another recipient', async () => {
+    const envelope = await encryptCredentialForDelivery(credential, recipient.publicKey, 'req_1');
+    const other = await generateDeliveryKeyPair();
+
+    await expect(decryptDeliveredCredential(envelope, other.privateKey, 'req_1')).rejects.toThrow();
+  });
+
+  it('cannot be opened under another request ID', async () => {
+    const envelope = await encryptCredentialForDelivery(credential, recipient.publicKey, 'req_1');
+
+    await expect(decryptDeliveredCredential(envelope, recipient.privateKey, 'req_2')).rejects.toThrow();
+  });
+
+  it('detects a tampered envelope', async () => {
+    const envelope = await encryptCredentialForDelivery(credential, recipient.publicKey, 'req_1');
+
+    for (const field of ['ciphertext', 'iv', 'salt']) {
+      await expect(decryptDeliveredCredential(tamper(envelope, field), recipient.privateKey, 'req_1')).rejects.toThrow();
+    }
+
+    // A swapped sender key derives a different AES key
+    const { publicKey: otherKey } = await generateDeliveryKeyPair();
+    await expect(decryptDeliveredCredential({ ...envelope, epk: otherKey }, recipient.privateKey, 'req_1')).rejects.toThrow();
+  });
+
+  it('rejects envelopes in an unknown format', async () => {
+    const envelope = await encryptCredentialForDelivery(credential, recipient.publicKey, 'req_1');
+
+    await expect(decryptDeliveredCredential({ ...envelope, version: 2 }, recipient.privateKey, 'req_1'))
+      .rejects.toThrow('Unsupported credential envelope');
+    await expect(decryptDeliveredCredential({ ...envelope, alg: 'RSA-OAEP' }, recipient.privateKey, 'req_1'))
+      .rejects.toThrow('Unsupported credential envelope');
+  });
+});
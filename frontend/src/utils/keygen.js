@@ -0,0 +1,40 @@
+// BLS12-381 key generation
+// Keys come from the browser's CSPRNG and use the contract's encodings:
+// 32-byte big-endian secret scalars and 96-byte uncompressed G1 public keys.
+// The contract's create_keys is deterministic (every call returns the same
+// keys), so it is only reachable behind the VITE_RPC_KEYGEN demo flag.
+import { bytesToHex } from '@noble/hashes/utils.js';
+import { randomScalar, scalarToBytes, derivePublicKey } from './ringSignature';
+import { createKeys } from './contract';
+
+export const USE_RPC_KEYGEN = import.meta.env.VITE_RPC_KEYGEN === 'true';
+
+/**
+ * Generate a single keypair locally
+ * @returns {{secretKey: string, publicKey: string}} 32-byte and 96-byte hex
+ */
+export function generateKeyPair() {
+  const secretKey = bytesToHex(scalarToBytes(randomScalar()));
+  return { secretKey, publicKey: derivePublicKey(secretKey) };
+}
+
+/**
+ * Generate keypairs, in the same shape createKeys returns
+ * @param {number} count - Number of keypairs
+ * @returns {Promise<{secretKeys: string[], publicKeys: string[]}>}
+ */
+export async function generateKeys(count) {
+  if (USE_RPC_KEYGEN) {
+    console.warn('VITE_RPC_KEYGEN is set: using the contract\'s deterministic create_keys. Demo only, these keys are public.');
+    return createKeys(count);
+  }
+
+  const secretKeys = [];
+  const publicKeys = [];
+  for (let i = 0; i < count; i++) {
+    const { secretKey, publicKey } = generateKeyPair();
+    secretKeys.push(secretKey);
+    publicKeys.push(publicKey);
+  }
+  return { secretKeys, publicKeys };
+}
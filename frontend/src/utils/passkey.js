@@ -0,0 +1,87 @@
+// Passkeys as a way to unlock the credential wallet
+//
+// The WebAuthn PRF extension has the authenticator compute a secret from a
+// salt we choose and a key that never leaves the authenticator. The wallet
+// keeps a random salt per passkey and wraps its vault key under the secret
+// (see credentials.js), so a fingerprint or PIN replaces the passphrase.
+//
+// Nothing checks the assertion signatures here: only the PRF output matters,
+// and it can't be produced without the passkey.
+
+const RP_NAME = 'Selective Disclosure KYC';
+
+// Credential IDs are kept as the base64url strings WebAuthn reports in `id`
+const fromBase64Url = text => Uint8Array.from(
+  atob(text.replace(/-/g, '+').replace(/_/g, '/')),
+  c => c.charCodeAt(0)
+);
+
+/**
+ * @returns {boolean} Whether this browser can use passkeys at all; PRF support only shows once one is created
+ */
+export function isPasskeySupported() {
+  return typeof window !== 'undefined' && !!window.PublicKeyCredential && !!navigator.credentials;
+}
+
+/**
+ * Create a passkey with the PRF extension enabled
+ *
+ * Some authenticators already evaluate the PRF while creating the passkey;
+ * others only do so on a later get, in which case `secret` is null.
+ * @param {Uint8Array} salt - PRF input for this passkey
+ * @returns {Promise<{credentialId: string, secret: Uint8Array|null}>} base64url credential ID
+ * @throws {Error} If the user cancels, or the passkey doesn't support PRF
+ */
+export async function createPasskey(salt) {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      rp: { name: RP_NAME },
+      user: {
+        id: crypto.getRandomValues(new Uint8Array(16)),
+        name: 'kyc-wallet',
+        displayName: 'KYC credential wallet',
+      },
+      challenge: crypto.getRandomValues(new Uint8Array(32)),
+      pubKeyCredParams: [
+        { type: 'public-key', alg: -7 }, // ES256
+        { type: 'public-key', alg: -257 }, // RS256
+      ],
+      authenticatorSelection: { residentKey: 'preferred', userVerification: 'required' },
+      extensions: { prf: { eval: { first: salt } } },
+    },
+  });
+
+  const prf = credential.getClientExtensionResults().prf;
+  if (!prf?.enabled) {
+    throw new Error('This passkey or browser does not support the PRF extension');
+  }
+
+  const first = prf.results?.first;
+  return { credentialId: credential.id, secret: first ? new Uint8Array(first) : null };
+}
+
+/**
+ * Ask the user for one of the given passkeys and evaluate its PRF
+ * @param {Array<{credentialId: string, salt: Uint8Array}>} passkeys
+ * @returns {Promise<{credentialId: string, secret: Uint8Array}>} The passkey used and its PRF output
+ * @throws {Error} If the user cancels, or the authenticator returns no PRF output
+ */
+export async function getPrfSecret(passkeys) {
+  const assertion = await navigator.credentials.get({
+    publicKey: {
+      challenge: crypto.getRandomValues(new Uint8Array(32)),
+      allowCredentials: passkeys.map(passkey => ({ type: 'public-key', id: fromBase64Url(passkey.credentialId) })),
+      userVerification: 'required',
+      extensions: {
+        prf: {
+          evalByCredential: Object.fromEntries(passkeys.map(passkey => [passkey.credentialId, { first: passkey.salt }])),
+        },
+      },
+    },
+  });
+
+  const first = assertion.getClientExtensionResults().prf?.results?.first;
+  if (!first) throw new Error('The passkey did not return a PRF secret');
+
+  return { credentialId: assertion.id, secret: new Uint8Array(first) };
+}
@@ -0,0 +1,257 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { freshWallet, makeCredential } from '../test/wallet';
+
+const PASSPHRASE = 'correct horse';
+
+const toBase64Url = bytes => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Stand-in for navigator.credentials backed by a software authenticator
+ *
+ * Each passkey gets its own HMAC-SHA256 key, and the PRF output is the HMAC
+ * of the salt, so like a real authenticator the same passkey and salt always
+ * give the same secret and nothing else does.
+ * @param {Object} [options]
+ * @param {boolean} [options.prf] - Whether passkeys support the PRF extension at all
+ * @param {boolean} [options.prfOnCreate] - Whether the PRF is already evaluated on create
+ */
+function softwareAuthenticator({ prf = true, prfOnCreate = true } = {}) {
+  const passkeys = new Map();
+  const evaluate = async (id, salt) => new Uint8Array(await crypto.subtle.sign('HMAC', passkeys.get(id), salt)).buffer;
+
+  return {
+    passkeys,
+    requests: [],
+
+    create: vi.fn(async function ({ publicKey }) {
+      this.requests.push(publicKey);
+      const id = toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+      passkeys.set(id, await crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign']));
+
+      const results = prf && prfOnCreate ? { first: await evaluate(id, publicKey.extensions.prf.eval.first) } : undefined;
+      return { id, getClientExtensionResults: () => ({ prf: prf ? { enabled: true, results } : undefined }) };
+    }),
+
+    get: vi.fn(async function ({ publicKey }) {
+      this.requests.push(publicKey);
+      // The user picks the first of the allowed passkeys this authenticator holds
+      const id = publicKey.allowCredentials.map(allowed => toBase64Url(allowed.id)).find(allowed => passkeys.has(allowed));
+      if (!id) throw new DOMException('The operation either timed out or was not allowed.', 'NotAllowedError');
+
+      const salt = publicKey.extensions.prf.evalByCredential[id]?.first;
+      const results = prf && salt ? { first: await evaluate(id, salt) } : undefined;
+      return { id, getClientExtensionResults: () => ({ prf: { results } }) };
+    }),
+
+    // As if the passkey were deleted and created again under the same ID
+    async replaceKey(id) {
+      passkeys.set(id, await crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign']));
+    },
+  };
+}
+
+let authenticator;
+
+function useAuthenticator(options) {
+  authenticator = softwareAuthenticator(options);
+  vi.stubGlobal('navigator', { credentials: authenticator });
+}
+
+describe('passkey.js', () => {
+  let passkey;
+
+  beforeEach(async () => {
+    useAuthenticator();
+    passkey = await import('./passkey');
+  });
+
+  it('is not supported outside a browser', () => {
+    expect(passkey.isPasskeySupported()).toBe(false);
+  });
+
+  it('creates a passkey that needs user verification and evaluates the PRF on the salt', async () => {
+    const salt = crypto.getRandomValues(new Uint8Array(32));
+    const { credentialId, secret } = await passkey.createPasskey(salt);
+
+    const [request] = authenticator.requests;
+    expect(request.authenticatorSelection.userVerification).toBe('required');
+    expect(request.extensions.prf.eval.first).toBe(salt);
+    expect(authenticator.passkeys.has(credentialId)).toBe(true);
+    expect(secret).toBeInstanceOf(Uint8Array);
+    expect(secret).toHaveLength(32);
+  });
+
+  it('reports no secret when the authenticator only evaluates the PRF on get', async () => {
+    useAuthenticator({ prfOnCreate: false });
+    const { secret } = await passkey.createPasskey(new Uint8Array(32));
+    expect(secret).toBeNull();
+  });
+
+  it('rejects a passkey without PRF support', async () => {
+    useAuthenticator({ prf: false });
+    await expect(passkey.createPasskey(new Uint8Array(32))).rejects.toThrow('does not support the PRF extension');
+  });
+
+  it('gives the same secret for the same passkey and salt, and a different one for another salt', async () => {
+    const salt = crypto.getRandomValues(new Uint8Array(32));
+    const { credentialId, secret } = await passkey.createPasskey(salt);
+
+    const again = await passkey.getPrfSecret([{ credentialId, salt }]);
+    expect(again.credentialId).toBe(credentialId);
+    expect(again.secret).toEqual(secret);
+
+    const other = await passkey.getPrfSecret([{ credentialId, salt: crypto.getRandomValues(new Uint8Array(32)) }]);
+    expect(other.secret).not.toEqual(secret);
+  });
+
+  it('asks for each passkey with its own salt', async () => {
+    const first = { salt: new Uint8Array(32).fill(1) };
+    const second = { salt: new Uint8Array(32).fill(2) };
+    first.credentialId = (await passkey.createPasskey(first.salt)).credentialId;
+    second.credentialId = (await passkey.createPasskey(second.salt)).credentialId;
+
+    await passkey.getPrfSecret([first, second]);
+
+    const request = authenticator.requests.at(-1);
+    expect(request.userVerification).toBe('required');
+    expect(request.allowCredentials.map(allowed => toBase64Url(allowed.id))).toEqual([first.credentialId, second.credentialId]);
+    expect(request.extensions.prf.evalByCredential).toEqual({
+      [first.credentialId]: { first: first.salt },
+      [second.credentialId]: { first: second.salt },
+    });
+  });
+
+  it('fails when the authenticator returns no PRF output', async () => {
+    const { credentialId } = await passkey.createPasskey(new Uint8Array(32));
+    await expect(passkey.getPrfSecret([{ credentialId, salt: undefined }])).rejects.toThrow('did not return a PRF secret');
+  });
+});
+
+describe('unlocking the wallet with a passkey', () => {
+  let wallet;
+  let store;
+
+  beforeEach(async () => {
+    useAuthenticator();
+    ({ wallet, store } = await freshWallet());
+  });
+
+  it('needs the wallet unlocked to add a passkey', async () => {
+    await wallet.saveCredential(makeCredential(), PASSPHRASE);
+    wallet.lockWallet();
+
+    await expect(wallet.addPasskey()).rejects.toThrow('locked');
+    expect(authenticator.create).not.toHaveBeenCalled();
+  });
+
+  it('unlocks with the passkey instead of the passphrase', async () => {
+    const credential = makeCredential();
+    const id = await wallet.saveCredential(credential, PASSPHRASE);
+    await wallet.addPasskey();
+    expect(await wallet.countPasskeys()).toBe(1);
+
+    wallet.lockWallet();
+    await wallet.unlockWalletWithPasskey();
+    expect(wallet.isWalletUnlocked()).toBe(true);
+    expect(await wallet.loadCredential(id)).toEqual(credential);
+  });
+
+  it('stores only the salt and the wrapped vault key for a passkey', async () => {
+    await wallet.saveCredential(makeCredential(), PASSPHRASE);
+    await wallet.addPasskey();
+
+    const vault = await store.getVaultRecord();
+    const [entry] = vault.passkeys;
+    expect(Object.keys(entry).sort()).toEqual(['createdAt', 'credentialId', 'salt', 'wrappedKey']);
+    expect(authenticator.passkeys.has(entry.credentialId)).toBe(true);
+    expect(entry.wrappedKey).not.toBe(vault.wrappedKey);
+  });
+
+  it('asks for a second touch when the PRF is not evaluated on create', async () => {
+    useAuthenticator({ prfOnCreate: false });
+    await wallet.saveCredential(makeCredential(), PASSPHRASE);
+
+    await wallet.addPasskey();
+    expect(authenticator.get).toHaveBeenCalledTimes(1);
+
+    wallet.lockWallet();
+    await wallet.unlockWalletWithPasskey();
+    expect(wallet.isWalletUnlocked()).toBe(true);
+  });
+
+  it('keeps the passphrase working next to the passkey, also after changing it', async () => {
+    await wallet.saveCredential(makeCredential(), PASSPHRASE);
+    await wallet.addPasskey();
+
+    wallet.lockWallet();
+    await wallet.unlockWallet(PASSPHRASE);
+
+    await wallet.changePassphrase(PASSPHRASE, 'new passphrase');
+    wallet.lockWallet();
+    await wallet.unlockWalletWithPasskey();
+    wallet.lockWallet();
+    await wallet.unlockWallet('new passphrase');
+  });
+
+  it('accepts any of several passkeys', async () => {
+    await wallet.saveCredential(makeCredential(), PASSPHRASE);
+    await wallet.addPasskey();
+    await wallet.addPasskey();
+    expect(await wallet.countPasskeys()).toBe(2);
+
+    const [first, second] = (await store.getVaultRecord()).passkeys;
+    authenticator.passkeys.delete(first.credentialId);
+
+    wallet.lockWallet();
+    await wallet.unlockWalletWithPasskey();
+    expect(wallet.isWalletUnlocked()).toBe(true);
+    expect(authenticator.requests.at(-1).allowCredentials.map(allowed => toBase64Url(allowed.id)))
+      .toEqual([first.credentialId, second.credentialId]);
+  });
+
+  it('stops every passkey from unlocking once they are removed', async () => {
+    await wallet.saveCredential(makeCredential(), PASSPHRASE);
+    await wallet.addPasskey();
+    await wallet.removePasskeys();
+    expect(await wallet.countPasskeys()).toBe(0);
+
+    wallet.lockWallet();
+    await expect(wallet.removePasskeys()).rejects.toThrow('locked');
+    await expect(wallet.unlockWalletWithPasskey()).rejects.toThrow('No passkey is set up');
+    await wallet.unlockWallet(PASSPHRASE);
+  });
+
+  it('stays locked when the passkey gives a different secret', async () => {
+    await wallet.saveCredential(makeCredential(), PASSPHRASE);
+    await wallet.addPasskey();
+    const [entry] = (await store.getVaultRecord()).passkeys;
+    await authenticator.replaceKey(entry.credentialId);
+
+    wallet.lockWallet();
+    await expect(wallet.unlockWalletWithPasskey()).rejects.toThrow('could not unlock the wallet');
+    expect(wallet.isWalletUnlocked()).toBe(false);
+  });
+
+  it('stays locked when the user picks a passkey this wallet does not know', async () => {
+    await wallet.saveCredential(makeCredential(), PASSPHRASE);
+    await wallet.addPasskey();
+    authenticator.get.mockResolvedValueOnce({
+      id: 'unknown',
+      getClientExtensionResults: () => ({ prf: { results: { first: new Uint8Array(32).buffer } } }),
+    });
+
+    wallet.lockWallet();
+    await expect(wallet.unlockWalletWithPasskey()).rejects.toThrow('not set up for this wallet');
+    expect(wallet.isWalletUnlocked()).toBe(false);
+  });
+
+  it('stays locked when the user cancels', async () => {
+    await wallet.saveCredential(makeCredential(), PASSPHRASE);
+    await wallet.addPasskey();
+    authenticator.passkeys.clear();
+
+    wallet.lockWallet();
+    await expect(wallet.unlockWalletWithPasskey()).rejects.toThrow('not allowed');
+    expect(wallet.isWalletUnlocked()).toBe(false);
+  });
+});
@@ -0,0 +1,197 @@
+// Portable proof presentations
+// A presentation is a JSON file that carries everything needed to re-check a
+// proof later, by anyone: the signed challenge, one ring signature per
+// attribute (hex components), the issuer, the contract and network the rings
+// live on, and a hash of each ring as it was when signing. The full ring can
+// be embedded too, for offline checks; the QR form leaves it out to stay small.
+//
+//   {
+//     "type": "selective-disclosure-kyc/presentation",
+//     "version": 1,
+//     "createdAt": "2025-01-01T12:00:00.000Z",
+//     "network": { "contractId": "C...", "networkPassphrase": "Test SDF Network ; September 2015" },
+//     "issuerPubKey": "<96 bytes hex>",
+//     "challenge": "<signed message>",
+//     "proofs": [
+//       { "attribute": "over_21", "ringHash": "<sha256 hex>", "ring": ["<96 bytes hex>", ...],
+//         "signature": { "challenge": "<32 bytes hex>", "responses": ["<32 bytes hex>", ...] } }
+//     ]
+//   }
+//
+// Like verifier.js, this runs in Node as well as the browser.
+import { sha256 } from '@noble/hashes/sha2.js';
+import { bytesToHex, hexToBytes, concatBytes } from '@noble/hashes/utils.js';
+import { verifyRingSignature } from './ringSignature.js';
+import { fetchAttributeRing } from './verifier.js';
+
+export const PRESENTATION_TYPE = 'selective-disclosure-kyc/presentation';
+export const PRESENTATION_VERSION = 1;
+
+const ATTRIBUTE_PATTERN = /^[a-zA-Z0-9_]{1,32}$/;
+const isHex = (value, bytes) => typeof value === 'string' && new RegExp(`^[0-9a-f]{${bytes * 2}}$`, 'i').test(value);
+
+/**
+ * Hash a ring snapshot: SHA-256 over its public keys in ring order
+ * @param {string[]} ring - Public keys (96-byte hex)
+ * @returns {string} 32-byte hex
+ */
+export function hashRing(ring) {
+  return bytesToHex(sha256(concatBytes(...ring.map(hexToBytes))));
+}
+
+/**
+ * Bundle a signed proof into a presentation
+ * @param {Object} proof
+ * @param {string} proof.issuerPubKey - Issuer whose rings were signed against (96 bytes hex)
+ * @param {string} proof.challenge - The signed message
+ * @param {string[]} proof.attributes - Attribute names
+ * @param {Array<{challenge: string, responses: string[]}>} proof.signatures - In the order of `attributes`
+ * @param {Array<string[]>} proof.rings - Ring each signature was made against, in the same order
+ * @param {{contractId: string, networkPassphrase: string}} network
+ * @returns {Object} Presentation, rings embedded
+ */
+export function createPresentation({ issuerPubKey, challenge, attributes, signatures, rings }, { contractId, networkPassphrase }) {
+  if (attributes.length === 0 || signatures.length !== attributes.length || rings.length !== attributes.length) {
+    throw new Error('Need one signature and one ring per attribute');
+  }
+
+  return {
+    type: PRESENTATION_TYPE,
+    version: PRESENTATION_VERSION,
+    createdAt: new Date().toISOString(),
+    network: { contractId, networkPassphrase },
+    issuerPubKey,
+    challenge,
+    proofs: attributes.map((attribute, i) => ({
+      attribute,
+      ringHash: hashRing(rings[i]),
+      ring: rings[i],
+      signature: { challenge: signatures[i].challenge, responses: signatures[i].responses },
+    })),
+  };
+}
+
+/**
+ * Drop the embedded rings (e.g. for a QR code). The result can only be checked against chain state.
+ * @param {Object} presentation
+ * @returns {Object}
+ */
+export function withoutRings(presentation) {
+  return {
+    ...presentation,
+    proofs: presentation.proofs.map(({ ring, ...proof }) => proof),
+  };
+}
+
+/**
+ * Parse and validate a presentation
+ * @param {string|Object} input - JSON text or an already parsed object
+ * @returns {Object} The presentation
+ * @throws {Error} If it isn't a well-formed presentation of a version we understand
+ */
+export function parsePresentation(input) {
+  let presentation = input;
+  if (typeof input === 'string') {
+    try {
+      presentation = JSON.parse(input);
+    } catch {
+      throw new Error('Not valid JSON');
+    }
+  }
+
+  if (presentation?.type !== PRESENTATION_TYPE) {
+    throw new Error('Not a Selective Disclosure KYC presentation');
+  }
+  if (presentation.version !== PRESENTATION_VERSION) {
+    throw new Error(`Unsupported presentation version ${presentation.version}`);
+  }
+  if (typeof presentation.network?.contractId !== 'string' || typeof presentation.network?.networkPassphrase !== 'string') {
+    throw new Error('Missing contract ID or network');
+  }
+  if (!isHex(presentation.issuerPubKey, 96)) throw new Error('Invalid issuer public key');
+  if (typeof presentation.challenge !== 'string' || !presentation.challenge) throw new Error('Missing challenge');
+  if (!Array.isArray(presentation.proofs) || presentation.proofs.length === 0) throw new Error('No proofs');
+
+  const attributes = new Set();
+  for (const proof of presentation.proofs) {
+    if (!ATTRIBUTE_PATTERN.test(proof?.attribute || '') || attributes.has(proof.attribute)) {
+      throw new Error('Invalid or repeated attribute');
+    }
+    attributes.add(proof.attribute);
+
+    const { signature } = proof;
+    if (!isHex(proof.ringHash, 32)) throw new Error(`Invalid ring hash for ${proof.attribute}`);
+    if (!isHex(signature?.challenge, 32) || !Array.isArray(signature.responses)
+      || !signature.responses.every(response => isHex(response, 32))) {
+      throw new Error(`Invalid signature for ${proof.attribute}`);
+    }
+    if (proof.ring !== undefined && !(Array.isArray(proof.ring) && proof.ring.every(key => isHex(key, 96)))) {
+      throw new Error(`Invalid ring for ${proof.attribute}`);
+    }
+  }
+
+  return presentation;
+}
+
+/**
+ * Whether every proof carries its ring, so the presentation can be checked offline
+ * @param {Object} presentation
+ * @returns {boolean}
+ */
+export function hasEmbeddedRings(presentation) {
+  return presentation.proofs.every(proof => Array.isArray(proof.ring));
+}
+
+/**
+ * Re-check a presentation.
+ *
+ * Against chain state (pass `rpcUrl`), each signature is checked against the
+ * issuer's current on-chain ring, and `ringChanged` says whether that ring
+ * differs from the one signed against. Offline (no `rpcUrl`), each signature is
+ * checked against its embedded ring after matching it to the ring hash; that
+ * shows the signature is sound, but not that the ring really was the issuer's.
+ * @param {Object} presentation - As returned by parsePresentation
+ * @param {{rpcUrl?: string}} [options]
+ * @returns {Promise<{valid: boolean, mode: 'chain'|'offline',
+ *   results: Array<{attribute: string, valid: boolean, ringSize: number, ringChanged?: boolean, reason?: string}>,
+ *   reason?: string}>}
+ */
+export async function verifyPresentation(presentation, { rpcUrl } = {}) {
+  const { network, issuerPubKey, challenge } = presentation;
+  const mode = rpcUrl ? 'chain' : 'offline';
+
+  const results = await Promise.all(presentation.proofs.map(async ({ attribute, ringHash, ring: embedded, signature }) => {
+    if (mode === 'offline') {
+      if (!embedded) return { attribute, valid: false, ringSize: 0, reason: 'No embedded ring' };
+      if (hashRing(embedded) !== ringHash.toLowerCase()) {
+        return { attribute, valid: false, ringSize: embedded.length, reason: 'Embedded ring does not match its hash' };
+      }
+      const valid = verifyRingSignature(embedded, challenge, signature);
+      return valid
+        ? { attribute, valid, ringSize: embedded.length }
+        : { attribute, valid, ringSize: embedded.length, reason: 'Signature does not match the ring' };
+    }
+
+    const ring = await fetchAttributeRing(issuerPubKey, attribute, { ...network, rpcUrl });
+    if (!ring) {
+      return { attribute, valid: false, ringSize: 0, reason: `This issuer has no ring registered for ${attribute}` };
+    }
+    const ringChanged = hashRing(ring) !== ringHash.toLowerCase();
+    const valid = verifyRingSignature(ring, challenge, signature);
+    if (valid) return { attribute, valid, ringSize: ring.length, ringChanged };
+    return {
+      attribute,
+      valid,
+      ringSize: ring.length,
+      ringChanged,
+      reason: ringChanged
+        ? 'The on-chain ring has changed since signing, and the signature does not match the current ring'
+        : 'Signature does not match the ring',
+    };
+  }));
+
+  const failed = results.find(result => !result.valid);
+  return failed
+    ? { valid: false, mode, results, reason: `${failed.attribute}: ${failed.reason}` }
+    : { valid: true, mode, results };
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { derivePublicKey, signMessage } from './ringSignature';
+import {
+  createPresentation,
+  withoutRings,
+  parsePresentation,
+  hasEmbeddedRings,
+  hashRing,
+  verifyPresentation
+} from './presentation';
+
+// Chain mode reads rings through verifier.js; serve them from memory instead
+const chainRings = vi.hoisted(() => new Map());
+vi.mock('./verifier.js', () => ({
+  fetchAttributeRing: async (issuerPubKey, attribute) => chainRings.get(attribute) ?? null
+}));
+
+const ISSUER = 'ab'.repeat(96);
+const NETWORK = { contractId: 'CCONTRACT', networkPassphrase: 'Test SDF Network ; September 2015' };
+const CHALLENGE = 'Selective Disclosure KYC proof\nnonce: 00';
+
+const secretKeys = ['01', '02', '03', '04'].map(byte => byte.repeat(32));
+const over18 = secretKeys.slice(0, 3).map(derivePublicKey);
+const residentUs = secretKeys.slice(1).map(derivePublicKey);
+
+function presentation() {
+  return createPresentation({
+    issuerPubKey: ISSUER,
+    challenge: CHALLENGE,
+    attributes: ['over_18', 'resident_us'],
+    signatures: [
+      signMessage(CHALLENGE, over18, 1, secretKeys[1]),
+      signMessage(CHALLENGE, residentUs, 0, secretKeys[1])
+    ],
+    rings: [over18, residentUs]
+  }, NETWORK);
+}
+
+describe('presentations', () => {
+  beforeEach(() => {
+    chainRings.clear();
+    chainRings.set('over_18', over18);
+    chainRings.set('resident_us', residentUs);
+  });
+
+  it('survives a JSON round trip and verifies offline', async () => {
+    const parsed = parsePresentation(JSON.stringify(presentation()));
+
+    expect(parsed.proofs.map(proof => proof.ringHash)).toEqual([hashRing(over18), hashRing(residentUs)]);
+    expect(hasEmbeddedRings(parsed)).toBe(true);
+    expect(await verifyPresentation(parsed)).toEqual({
+      valid: true,
+      mode: 'offline',
+      results: [
+        { attribute: 'over_18', valid: true, ringSize: 3 },
+        { attribute: 'resident_us', valid: true, ringSize: 3 }
+      ]
+    });
+  });
+
+  it('verifies against the on-chain rings', async () => {
+    const result = await verifyPresentation(withoutRings(presentation()), { rpcUrl: 'http://rpc.invalid' });
+
+    expect(result.valid).toBe(true);
+    expect(result.mode).toBe('chain');
+    expect(result.results.every(proof => proof.ringChanged === false)).toBe(true);
+  });
+
+  it('rejects a proof relabelled as another attribute', async () => {
+    const tampered = presentation();
+    chainRings.set('over_21', [derivePublicKey(secretKeys[3]), ...over18.slice(1)]);
+    tampered.proofs[0].attribute = 'over_21';
+
+    const result = await verifyPresentation(withoutRings(tampered), { rpcUrl: 'http://rpc.invalid' });
+
+    expect(result.valid).toBe(false);
+    expect(result.results[0]).toMatchObject({ attribute: 'over_21', valid: false, ringChanged: true });
+    expect(result.reason).toMatch(/^over_21: /);
+  });
+
+  it('rejects signatures presented for another challenge', async () => {
+    const replayed = { ...presentation(), challenge: 'Selective Disclosure KYC proof\nnonce: 01' };
+
+    const offline = await verifyPresentation(replayed);
+    const chain = await verifyPresentation(replayed, { rpcUrl: 'http://rpc.invalid' });
+
+    expect(offline.valid).toBe(false);
+    expect(offline.reason).toBe('over_18: Signature does not match the ring');
+    expect(chain.valid).toBe(false);
+    expect(chain.results.every(proof => !proof.valid && proof.ringChanged === false)).toBe(true);
+  });
+
+  it('checks embedded rings against their hash offline', async () => {
+    const swapped = presentation();
+    swapped.proofs[1].ring = [...residentUs].reverse();
+
+    expect(await verifyPresentation(swapped)).toMatchObject({
+      valid: false,
+      reason: 'resident_us: Embedded ring does not match its hash'
+    });
+    expect(await verifyPresentation(withoutRings(presentation()))).toMatchObject({
+      valid: false,
+      reason: 'over_18: No embedded ring'
+    });
+  });
+
+  it('reports rings that changed on chain since signing', async () => {
+    chainRings.set('resident_us', [...residentUs, derivePublicKey(secretKeys[0])]);
+
+    const result = await verifyPresentation(presentation(), { rpcUrl: 'http://rpc.invalid' });
+
+    expect(result.valid).toBe(false);
+    expect(result.results[1]).toMatchObject({ attribute: 'resident_us', valid: false, ringChanged: true, ringSize: 4 });
+  });
+
+  it('refuses malformed presentations', () => {
+    const valid = presentation();
+
+    expect(() => parsePresentation('{')).toThrow('Not valid JSON');
+    expect(() => parsePresentation({ ...valid, type: 'other' })).toThrow('Not a Selective Disclosure KYC presentation');
+    expect(() => parsePresentation({ ...valid, version: 2 })).toThrow('Unsupported presentation version 2');
+    expect(() => parsePresentation({ ...valid, proofs: [valid.proofs[0], valid.proofs[0]] })).toThrow('Invalid or repeated attribute');
+    expect(() => createPresentation({ ...valid, attributes: ['over_18'], signatures: [], rings: [] }, NETWORK))
+      .toThrow('Need one signature and one ring per attribute');
+  });
+});
@@ -0,0 +1,129 @@
+// Verifier challenge sessions
+// A relying party opens a session on the backend naming the attributes it wants
+// and its origin, and gets back a one-time message to be signed. The prover
+// signs that message (never one of its own) once per attribute, submits the
+// signatures, and the backend checks each against the issuer's on-chain ring.
+// A session closes on its first valid answer, so proofs can't be replayed.
+import { scValToRingSignature } from './verifier';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// Sessions end in one of these; 'pending' and 'verifying' are still in flight
+export const FINAL_PROOF_STATUSES = ['verified', 'expired'];
+
+async function request(path, options) {
+  const response = await fetch(`${API_BASE_URL}${path}`, options);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Request to ${path} failed`);
+  }
+  return data;
+}
+
+/**
+ * Open a challenge session (verifier side)
+ * @param {Object} options
+ * @param {string[]} options.attributes - Attributes to be proven together (e.g. ["over_21", "resident_us"])
+ * @param {string} [options.origin] - Verifier origin bound into the message, defaults to this site
+ * @param {string} [options.issuerPubKey] - Only accept proofs against this issuer's rings
+ * @param {number} [options.ttlSeconds] - Session lifetime (backend default 5 minutes, max 1 hour)
+ * @returns {Promise<Object>} Session { sessionId, message, nonce, attributes, origin, expiresAt, ... }
+ */
+export function createProofSession({ attributes, origin = window.location.origin, issuerPubKey, ttlSeconds }) {
+  return request('/api/proof-sessions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ attributes, origin, issuerPubKey, ttlSeconds }),
+  });
+}
+
+/**
+ * Fetch a session: its message to sign and, once answered, the result
+ * @param {string} sessionId
+ * @returns {Promise<Object>}
+ */
+export function getProofSession(sessionId) {
+  return request(`/api/proof-sessions/${encodeURIComponent(sessionId)}`);
+}
+
+/**
+ * Answer a session with one ring signature per attribute over its message (prover side)
+ * @param {string} sessionId
+ * @param {string} issuerPubKey - Issuer whose rings were signed against
+ * @param {Array<xdr.ScVal|{challenge: string, responses: string[]}>} signatures - RingSignatures, in the order of the session's attributes
+ * @returns {Promise<Object>} The verified session
+ * @throws {Error} If the proof doesn't verify; the session stays open for another answer
+ */
+export function submitProof(sessionId, issuerPubKey, signatures) {
+  return request(`/api/proof-sessions/${encodeURIComponent(sessionId)}/proof`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      issuerPubKey,
+      signatures: signatures.map(signature => (signature.challenge ? signature : scValToRingSignature(signature))),
+    }),
+  });
+}
+
+async function pollProofResult(sessionId, { intervalMs, onUpdate, signal }) {
+  while (!signal?.aborted) {
+    const session = await getProofSession(sessionId);
+    onUpdate?.(session);
+    if (FINAL_PROOF_STATUSES.includes(session.status)) return session;
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+  throw new Error('Stopped waiting for the proof');
+}
+
+/**
+ * Follow a session until it is verified or expired (verifier side).
+ * Listens to the backend's event stream, so an answer from another device shows
+ * up at once; falls back to polling if the stream can't be opened, drops or
+ * sends something unreadable.
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Delay between polls when falling back
+ * @param {function(Object): void} [options.onUpdate] - Called with every session update
+ * @param {AbortSignal} [options.signal] - Stops waiting when aborted
+ * @returns {Promise<Object>} The session in its final state
+ */
+export function waitForProofResult(sessionId, { intervalMs = 2000, onUpdate, signal } = {}) {
+  if (typeof EventSource === 'undefined') {
+    return pollProofResult(sessionId, { intervalMs, onUpdate, signal });
+  }
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_BASE_URL}/api/proof-sessions/${encodeURIComponent(sessionId)}/events`);
+    let settled = false;
+    // Stop listening; true if this call is the one that settles the promise
+    const stop = () => {
+      if (settled) return false;
+      settled = true;
+      source.close();
+      signal?.removeEventListener('abort', onAbort);
+      return true;
+    };
+    const settle = (fn, value) => {
+      if (stop()) fn(value);
+    };
+    const fallBack = () => {
+      if (stop()) pollProofResult(sessionId, { intervalMs, onUpdate, signal }).then(resolve, reject);
+    };
+    const onAbort = () => settle(reject, new Error('Stopped waiting for the proof'));
+
+    source.onmessage = (event) => {
+      let session;
+      try {
+        session = JSON.parse(event.data);
+      } catch {
+        // A garbled frame says nothing about the session; ask the backend directly
+        fallBack();
+        return;
+      }
+      onUpdate?.(session);
+      if (FINAL_PROOF_STATUSES.includes(session.status)) settle(resolve, session);
+    };
+    source.onerror = fallBack;
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
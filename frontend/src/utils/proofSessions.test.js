@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { waitForProofResult } from './proofSessions';
+
+const pending = { sessionId: 'session_1', status: 'pending' };
+const verified = { sessionId: 'session_1', status: 'verified', result: { valid: true } };
+
+// Stand-in for the browser's EventSource; tests push frames through `latest`
+class FakeEventSource {
+  static latest = null;
+
+  constructor(url) {
+    this.url = url;
+    this.closed = false;
+    FakeEventSource.latest = this;
+  }
+
+  send(data) {
+    this.onmessage?.({ data });
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+// An AbortSignal that counts its abort listeners
+function trackedSignal() {
+  const controller = new AbortController();
+  const { signal } = controller;
+  const listeners = new Set();
+  const add = signal.addEventListener.bind(signal);
+  const remove = signal.removeEventListener.bind(signal);
+  signal.addEventListener = (type, listener, options) => {
+    listeners.add(listener);
+    add(type, listener, options);
+  };
+  signal.removeEventListener = (type, listener, options) => {
+    listeners.delete(listener);
+    remove(type, listener, options);
+  };
+  return { controller, signal, listeners };
+}
+
+describe('waitForProofResult', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    vi.stubGlobal('EventSource', FakeEventSource);
+    fetchMock = vi.fn(async () => ({ ok: true, json: async () => verified }));
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('resolves with the first final session from the stream', async () => {
+    const onUpdate = vi.fn();
+    const { signal, listeners } = trackedSignal();
+    const result = waitForProofResult('session_1', { onUpdate, signal });
+
+    FakeEventSource.latest.send(JSON.stringify(pending));
+    FakeEventSource.latest.send(JSON.stringify(verified));
+
+    expect(await result).toEqual(verified);
+    expect(onUpdate.mock.calls.map(([session]) => session.status)).toEqual(['pending', 'verified']);
+    expect(FakeEventSource.latest.closed).toBe(true);
+    expect(listeners.size).toBe(0);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('falls back to polling on a malformed frame', async () => {
+    const { signal, listeners } = trackedSignal();
+    const result = waitForProofResult('session_1', { signal, intervalMs: 1 });
+
+    FakeEventSource.latest.send('{not json');
+
+    expect(await result).toEqual(verified);
+    expect(FakeEventSource.latest.closed).toBe(true);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(listeners.size).toBe(0);
+  });
+
+  it('falls back to polling when the stream fails', async () => {
+    const result = waitForProofResult('session_1', { intervalMs: 1 });
+
+    FakeEventSource.latest.onerror();
+
+    expect(await result).toEqual(verified);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops waiting when aborted', async () => {
+    const { controller, signal, listeners } = trackedSignal();
+    const result = waitForProofResult('session_1', { signal });
+
+    controller.abort();
+
+    await expect(result).rejects.toThrow('Stopped waiting for the proof');
+    expect(FakeEventSource.latest.closed).toBe(true);
+    expect(listeners.size).toBe(0);
+
+    // Late frames are ignored
+    FakeEventSource.latest.send(JSON.stringify(verified));
+  });
+});
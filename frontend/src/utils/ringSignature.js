@@ -0,0 +1,170 @@
+// Local BLS12-381 ring signing
+// Follows the contract's scheme exactly (same generator, SHA-256 challenge
+// chaining and big-endian Fr encoding) so that the contract and the backend
+// can verify the result, but runs entirely in the browser so secret keys
+// never leave it.
+import { bls12_381 } from '@noble/curves/bls12-381.js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { bytesToHex, hexToBytes, concatBytes, utf8ToBytes, randomBytes } from '@noble/hashes/utils.js';
+
+const { Point } = bls12_381.G1;
+const Fr = bls12_381.fields.Fr;
+
+/**
+ * Generator used by the contract (G1_GENERATOR in contracts/ring-sig-kyc/src/lib.rs)
+ */
+export const G1_GENERATOR = Point.fromBytes(hexToBytes(
+  '17f1d3a73197d7942695638c4fa9ac0fc3688c4f9774b905a14e3a3f171bac58' +
+  '6c55e83ff97a1aeffb3af00adb22c6bb114d1d6855d545a8aa7d76c8cf2e21f2' +
+  '67816aef1db507c96655b9d5caac42364e6f38ba0ecb751bad54dcd6b939c2ca'
+));
+
+/**
+ * Interpret 32 big-endian bytes as a scalar, reducing mod r like Fr::from_bytes
+ * @param {Uint8Array} bytes
+ * @returns {bigint}
+ */
+export function bytesToScalar(bytes) {
+  return Fr.create(BigInt('0x' + bytesToHex(bytes)));
+}
+
+/**
+ * Encode a scalar as 32 big-endian bytes like Fr::to_bytes
+ * @param {bigint} scalar
+ * @returns {Uint8Array}
+ */
+export function scalarToBytes(scalar) {
+  return hexToBytes(scalar.toString(16).padStart(64, '0'));
+}
+
+/**
+ * Uniformly random non-zero scalar from the CSPRNG
+ * @returns {bigint}
+ */
+export function randomScalar() {
+  let scalar = 0n;
+  while (scalar === 0n) {
+    // 48 bytes keeps the modular bias negligible
+    scalar = Fr.create(BigInt('0x' + bytesToHex(randomBytes(48))));
+  }
+  return scalar;
+}
+
+/**
+ * Derive the public key for a secret key, in the contract's 96-byte encoding
+ * @param {string} secretKey - 32-byte hex secret key
+ * @returns {string} 96-byte hex public key
+ */
+export function derivePublicKey(secretKey) {
+  const sk = bytesToScalar(hexToBytes(secretKey));
+  if (sk === 0n) throw new Error('Invalid secret key');
+  return bytesToHex(G1_GENERATOR.multiply(sk).toBytes(false));
+}
+
+/**
+ * Find the signer's position in a ring
+ * @param {Array<string>} ring - Public keys in the ring (96-byte hex)
+ * @param {string} secretKey - Signer's secret key (32-byte hex)
+ * @returns {number} Index of the matching public key, or -1 if the signer is not a member
+ */
+export function findSignerIndex(ring, secretKey) {
+  const publicKey = derivePublicKey(secretKey);
+  return ring.findIndex(key => key.toLowerCase() === publicKey);
+}
+
+function messageBytes(message) {
+  return typeof message === 'string' ? utf8ToBytes(message) : message;
+}
+
+/**
+ * Sign a message as the sole member of a one-key ring, i.e. a Schnorr proof
+ * of knowledge of the secret key. This is what issuer login asks for.
+ * @param {string|Uint8Array} message - Message to sign (strings are UTF-8 encoded)
+ * @param {string} secretKey - Signer's secret key (32-byte hex)
+ * @returns {{challenge: string, responses: string[]}} Signature components as 32-byte hex
+ */
+export function signChallenge(message, secretKey) {
+  return signMessage(message, [derivePublicKey(secretKey)], 0, secretKey);
+}
+
+/**
+ * Create a ring signature locally
+ * @param {string|Uint8Array} message - Message to sign (strings are UTF-8 encoded)
+ * @param {Array<string>} ring - Public keys in the ring (96-byte hex)
+ * @param {number} secretIdx - Index of the signer's public key in the ring
+ * @param {string} secretKey - Signer's secret key (32-byte hex)
+ * @returns {{challenge: string, responses: string[]}} Signature components as 32-byte hex
+ */
+export function signMessage(message, ring, secretIdx, secretKey) {
+  const n = ring.length;
+  if (n === 0) throw new Error('Ring is empty');
+  if (secretIdx < 0 || secretIdx >= n) throw new Error('Secret index out of range');
+
+  const sk = bytesToScalar(hexToBytes(secretKey));
+  if (sk === 0n) throw new Error('Invalid secret key');
+
+  // The contract would silently swap our key in; fail loudly instead
+  if (derivePublicKey(secretKey) !== ring[secretIdx].toLowerCase()) {
+    throw new Error('Secret key does not match the public key at the given ring index');
+  }
+
+  const points = ring.map(pk => Point.fromBytes(hexToBytes(pk)));
+  const base = concatBytes(...ring.map(hexToBytes), messageBytes(message));
+  const hashPoint = point => sha256(concatBytes(base, point.toBytes(false)));
+
+  const a = randomScalar();
+  const responses = ring.map(() => scalarToBytes(randomScalar()));
+  const c = new Array(n);
+
+  let idx = (secretIdx + 1) % n;
+  c[idx] = hashPoint(G1_GENERATOR.multiply(a));
+  while (idx !== secretIdx) {
+    const x = G1_GENERATOR.multiplyUnsafe(bytesToScalar(responses[idx]))
+      .add(points[idx].multiplyUnsafe(bytesToScalar(c[idx])));
+    idx = (idx + 1) % n;
+    c[idx] = hashPoint(x);
+  }
+
+  // Close the ring: r_s = a - c_s * sk
+  responses[secretIdx] = scalarToBytes(Fr.sub(a, Fr.mul(bytesToScalar(c[secretIdx]), sk)));
+
+  // The contract returns Fr::to_bytes of c_0, i.e. the reduced hash
+  return {
+    challenge: bytesToHex(scalarToBytes(bytesToScalar(c[0]))),
+    responses: responses.map(bytesToHex)
+  };
+}
+
+/**
+ * Verify a ring signature locally, exactly like the contract's verify_ring
+ * (without bumping its login count)
+ * @param {Array<string>} ring - Public keys in the ring (96-byte hex)
+ * @param {string|Uint8Array} message - Signed message (strings are UTF-8 encoded)
+ * @param {{challenge: string, responses: string[]}} signature - 32-byte hex components
+ * @returns {boolean}
+ */
+export function verifyRingSignature(ring, message, signature) {
+  try {
+    if (!ring.length || ring.length !== signature.responses.length) return false;
+
+    const points = ring.map(pk => Point.fromBytes(hexToBytes(pk)));
+    const base = concatBytes(...ring.map(hexToBytes), messageBytes(message));
+    const challenge = hexToBytes(signature.challenge);
+    if (challenge.length !== 32) return false;
+
+    let c = challenge;
+    for (let j = 0; j < points.length; j++) {
+      const r = hexToBytes(signature.responses[j]);
+      if (r.length !== 32) return false;
+      const x = G1_GENERATOR.multiplyUnsafe(bytesToScalar(r))
+        .add(points[j].multiplyUnsafe(bytesToScalar(c)));
+      c = sha256(concatBytes(base, x.toBytes(false)));
+    }
+
+    // The contract compares Fr values, i.e. reduced scalars
+    return bytesToScalar(c) === bytesToScalar(challenge);
+  } catch (error) {
+    // Malformed points or hex never verify
+    return false;
+  }
+}
@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { bls12_381 } from '@noble/curves/bls12-381.js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { bytesToHex, concatBytes } from '@noble/hashes/utils.js';
+
+// Lets a test pin the CSPRNG output; falls through to real randomness when empty
+const pinned = vi.hoisted(() => []);
+
+vi.mock('@noble/hashes/utils.js', async importOriginal => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    randomBytes: length => pinned.length ? pinned.shift() : actual.randomBytes(length)
+  };
+});
+
+const { signMessage, signChallenge, derivePublicKey, findSignerIndex, verifyRingSignature } = await import('./ringSignature');
+
+// Known-answer vector, shared with test_known_answer_vector in
+// contracts/ring-sig-kyc/src/test.rs. The keys are create_keys(3), the nonce is
+// sha256([42; 32]) and the decoy responses are sha256([100 + i; 32]), exactly
+// what the contract's own sign() picks.
+const MESSAGE = 'ring-sig-kyc known answer 1';
+
+const SECRET_KEYS = [
+  '2b32db6c2c0a6235fb1397e8225ea85e0f0e6e8c7b126d0016ccbde0e667151e',
+  '2ce6f9651ea8c600590bab5a6c1bf7274e01b01f39ac0fa82bbc5a5a51cfb043',
+  '328674a5f838f6987ead31003978b5ed607ccc5ed2aa73677f861d4d4e567cfc'
+];
+
+const RING = [
+  '0299348281e1a2bc26af3745a858668a8d595ed8e91aeedbce4fdf02ed39b8512f80cd47f232b019080949474e21bb25' +
+  '03366404f8d983682dab6aaba8405b1f31d04bc177db79d31f8afafd564ad5d80aba645a6447ef307f68a19b7d7b6de4',
+  '021192c5d622b68e6ef660d20cdfd42b90b9569842b82db9393a71481a6ba72e2a76c59fa710c45419c8b152c1c2c4d6' +
+  '0b31031a280c87c5e665d3367f43a85bb06996859a65d9d5083bf663ac0ae800a2d692e12e5176796e8633dc4fde2939',
+  '0c77f924d4c86f83a23ef92b431453ff6be9d1de3fbdbff32395eef49a273258bc25bc0035e4f4a1e2dea337935551c3' +
+  '16f1958eb4836288342bd8d8f961bbf4db23d475d52b23412e3f5ca853d2ed7825e70cd8b2bf707de3d410e87038f814'
+];
+
+// Signed by RING[1]. The closing hash for c_0 is above the group order, so the
+// challenge only matches if it is reduced into Fr like Fr::from_bytes does.
+const RING_SIGNATURE = {
+  challenge: '69d47288003cb9acf21cc54093898249ce6e346da80f77e5e51b35555ccb68b8',
+  responses: [
+    '13e06837d76c51ac2efd22c8c7da3314063b190dc9637ca9adb21245754d7681',
+    '6190248b7e0a2c2f01b6ab28762d24ae6d673086cb07a8e55597e37637a710dc',
+    '352302489bc2fcf025cf00cda8308033f97ac87712ce90b4d7cd72c58e4c3af9'
+  ]
+};
+
+// One-member ring of RING[0], as used for issuer login
+const LOGIN_SIGNATURE = {
+  challenge: '09cfb5683890620ca8c84a9583a6bb0d3d308957464d2ec48882a78689b4ba56',
+  responses: ['675c716e2e79b6af2a5658ef53bde2cfe13b1dd9b197075db0f65774d3170a73']
+};
+
+const filled = byte => new Uint8Array(32).fill(byte);
+
+// randomScalar() draws 48 bytes; leading zeros make it land on exactly this hash
+const pinScalar = byte => pinned.push(concatBytes(new Uint8Array(16), sha256(filled(byte))));
+
+afterEach(() => {
+  pinned.length = 0;
+});
+
+describe('ring signature known-answer vector', () => {
+  it('derives the public keys create_keys returns', () => {
+    expect(SECRET_KEYS.map(derivePublicKey)).toEqual(RING);
+  });
+
+  it('reduces secret keys into Fr like the contract', () => {
+    // sha256(sha256([1; 32])) is above the group order; create_keys hands back the reduced key
+    const unreduced = bytesToHex(sha256(sha256(filled(1))));
+    expect(unreduced).not.toBe(SECRET_KEYS[1]);
+    expect(derivePublicKey(unreduced)).toBe(RING[1]);
+  });
+
+  it('produces the contract signature byte for byte', () => {
+    pinScalar(42);
+    [100, 101, 102].forEach(pinScalar);
+
+    expect(signMessage(MESSAGE, RING, 1, SECRET_KEYS[1])).toEqual(RING_SIGNATURE);
+  });
+
+  it('produces the one-member login signature byte for byte', () => {
+    pinScalar(42);
+    pinScalar(100);
+
+    expect(signChallenge(MESSAGE, SECRET_KEYS[0])).toEqual(LOGIN_SIGNATURE);
+  });
+
+  it('keeps every component inside the scalar field', () => {
+    const { ORDER } = bls12_381.fields.Fr;
+    for (const component of [RING_SIGNATURE.challenge, ...RING_SIGNATURE.responses]) {
+      expect(BigInt('0x' + component) < ORDER).toBe(true);
+    }
+  });
+});
+
+describe('findSignerIndex', () => {
+  it('finds the signer wherever the ring puts it', () => {
+    expect(findSignerIndex(RING, SECRET_KEYS[2])).toBe(2);
+    expect(findSignerIndex([...RING].reverse(), SECRET_KEYS[2])).toBe(0);
+    expect(findSignerIndex(RING.map(key => key.toUpperCase()), SECRET_KEYS[1])).toBe(1);
+  });
+
+  it('returns -1 for a key outside the ring', () => {
+    expect(findSignerIndex(RING.slice(1), SECRET_KEYS[0])).toBe(-1);
+  });
+});
+
+describe('signMessage', () => {
+  it('uses a fresh nonce for every signature', () => {
+    const first = signMessage(MESSAGE, RING, 2, SECRET_KEYS[2]);
+    const second = signMessage(MESSAGE, RING, 2, SECRET_KEYS[2]);
+
+    expect(first.responses).toHaveLength(3);
+    expect(first.challenge).not.toBe(second.challenge);
+  });
+
+  it('accepts upper-case ring keys', () => {
+    expect(() => signMessage(MESSAGE, RING.map(key => key.toUpperCase()), 0, SECRET_KEYS[0])).not.toThrow();
+  });
+
+  it('refuses rings it cannot sign for', () => {
+    expect(() => signMessage(MESSAGE, [], 0, SECRET_KEYS[0])).toThrow('Ring is empty');
+    expect(() => signMessage(MESSAGE, RING, 3, SECRET_KEYS[0])).toThrow('Secret index out of range');
+    expect(() => signMessage(MESSAGE, RING, 0, SECRET_KEYS[1])).toThrow('does not match the public key');
+    expect(() => signMessage(MESSAGE, RING, 0, '00'.repeat(32))).toThrow('Invalid secret key');
+  });
+});
+
+describe('verifyRingSignature', () => {
+  const tampered = (hex, index = hex.length - 1) =>
+    hex.slice(0, index) + (hex[index] === '0' ? '1' : '0') + hex.slice(index + 1);
+
+  it('accepts the known-answer signatures', () => {
+    expect(verifyRingSignature(RING, MESSAGE, RING_SIGNATURE)).toBe(true);
+    expect(verifyRingSignature([RING[0]], MESSAGE, LOGIN_SIGNATURE)).toBe(true);
+  });
+
+  it('accepts fresh signatures from every ring position', () => {
+    SECRET_KEYS.forEach((secretKey, index) => {
+      expect(verifyRingSignature(RING, MESSAGE, signMessage(MESSAGE, RING, index, secretKey))).toBe(true);
+    });
+  });
+
+  it('rejects another message, ring or signer order', () => {
+    expect(verifyRingSignature(RING, 'ring-sig-kyc known answer 2', RING_SIGNATURE)).toBe(false);
+    expect(verifyRingSignature([RING[1], RING[0], RING[2]], MESSAGE, RING_SIGNATURE)).toBe(false);
+    expect(verifyRingSignature([RING[1]], MESSAGE, LOGIN_SIGNATURE)).toBe(false);
+  });
+
+  it('rejects tampered components', () => {
+    expect(verifyRingSignature(RING, MESSAGE, { ...RING_SIGNATURE, challenge: tampered(RING_SIGNATURE.challenge) })).toBe(false);
+    RING_SIGNATURE.responses.forEach((response, index) => {
+      const responses = [...RING_SIGNATURE.responses];
+      responses[index] = tampered(response);
+      expect(verifyRingSignature(RING, MESSAGE, { ...RING_SIGNATURE, responses })).toBe(false);
+    });
+  });
+
+  it('rejects malformed input instead of throwing', () => {
+    expect(verifyRingSignature([], MESSAGE, { challenge: RING_SIGNATURE.challenge, responses: [] })).toBe(false);
+    expect(verifyRingSignature(RING, MESSAGE, { ...RING_SIGNATURE, responses: RING_SIGNATURE.responses.slice(1) })).toBe(false);
+    expect(verifyRingSignature(RING, MESSAGE, { ...RING_SIGNATURE, challenge: 'zz' })).toBe(false);
+    expect(verifyRingSignature(['ab'.repeat(96), ...RING.slice(1)], MESSAGE, RING_SIGNATURE)).toBe(false);
+  });
+});
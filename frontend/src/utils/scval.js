@@ -0,0 +1,139 @@
+// Typed decoding of the contract's return values
+// Each decoder checks the ScVal type it expects and returns plain JS:
+// hex strings for keys and scalars, BigInt for u64 counters, null for None.
+// Works in the browser and in Node.
+import { xdr, scValToBigInt } from '@stellar/stellar-sdk';
+import { bytesToHex } from '@noble/hashes/utils.js';
+
+function decodeError(expected, scVal) {
+  return new Error(`Expected ${expected}, got ${scVal ? scVal.switch().name : 'nothing'}`);
+}
+
+function expectType(scVal, type, expected) {
+  if (!scVal || scVal.switch().name !== type) {
+    throw decodeError(expected, scVal);
+  }
+}
+
+/**
+ * Parse base64 XDR, or pass an ScVal through unchanged
+ * @param {xdr.ScVal|string} value
+ * @returns {xdr.ScVal}
+ */
+export function toScVal(value) {
+  return typeof value === 'string' ? xdr.ScVal.fromXDR(value, 'base64') : value;
+}
+
+/**
+ * Decode BytesN<size> (or Bytes when size is omitted) to hex
+ * @param {xdr.ScVal} scVal
+ * @param {number} [size] - Required length in bytes
+ * @returns {string}
+ */
+export function decodeBytes(scVal, size) {
+  const expected = size ? `BytesN<${size}>` : 'Bytes';
+  expectType(scVal, 'scvBytes', expected);
+
+  const bytes = scVal.bytes();
+  if (size && bytes.length !== size) {
+    throw new Error(`Expected ${expected}, got ${bytes.length} bytes`);
+  }
+  return bytesToHex(bytes);
+}
+
+/**
+ * Decode a Vec, decoding each item with the given function
+ * @param {xdr.ScVal} scVal
+ * @param {function(xdr.ScVal): *} decodeItem
+ * @returns {Array}
+ */
+export function decodeVec(scVal, decodeItem) {
+  expectType(scVal, 'scvVec', 'Vec');
+  return (scVal.vec() || []).map(decodeItem);
+}
+
+/**
+ * Decode an Option, returning null for None
+ * @param {xdr.ScVal} scVal
+ * @param {function(xdr.ScVal): *} decodeSome
+ * @returns {*|null}
+ */
+export function decodeOption(scVal, decodeSome) {
+  return scVal && scVal.switch().name === 'scvVoid' ? null : decodeSome(scVal);
+}
+
+/**
+ * Decode a u32 to a number
+ * @param {xdr.ScVal} scVal
+ * @returns {number}
+ */
+export function decodeU32(scVal) {
+  expectType(scVal, 'scvU32', 'u32');
+  return scVal.u32();
+}
+
+/**
+ * Decode a u64 to BigInt
+ * @param {xdr.ScVal} scVal
+ * @returns {bigint}
+ */
+export function decodeU64(scVal) {
+  expectType(scVal, 'scvU64', 'u64');
+  return scValToBigInt(scVal);
+}
+
+/**
+ * Decode a #[contracttype] struct into an object keyed by field name
+ * @param {xdr.ScVal} scVal
+ * @param {Object<string, function(xdr.ScVal): *>} fields - Decoder per field
+ * @returns {Object}
+ */
+export function decodeStruct(scVal, fields) {
+  expectType(scVal, 'scvMap', 'struct');
+
+  const entries = new Map(
+    (scVal.map() || []).map(entry => [entry.key().sym().toString(), entry.val()])
+  );
+
+  const result = {};
+  for (const [name, decodeField] of Object.entries(fields)) {
+    if (!entries.has(name)) {
+      throw decodeError(`struct field ${name}`, null);
+    }
+    result[name] = decodeField(entries.get(name));
+  }
+  return result;
+}
+
+/**
+ * Vec<BytesN<96>>: public keys as 192-char hex strings
+ */
+export const decodePublicKeys = scVal => decodeVec(scVal, item => decodeBytes(item, 96));
+
+/**
+ * Option<Vec<BytesN<96>>>: a ring, or null when none is registered
+ */
+export const decodeOptionalRing = scVal => decodeOption(scVal, decodePublicKeys);
+
+/**
+ * KeyRingResult { secret_keys, ring } as returned by create_keys
+ * @returns {{secretKeys: string[], publicKeys: string[]}}
+ */
+export function decodeKeyRingResult(scVal) {
+  const { secret_keys, ring } = decodeStruct(scVal, {
+    secret_keys: keys => decodeVec(keys, item => decodeBytes(item, 32)),
+    ring: decodePublicKeys,
+  });
+  return { secretKeys: secret_keys, publicKeys: ring };
+}
+
+/**
+ * RingSignature { challenge, responses }
+ * @returns {{challenge: string, responses: string[]}}
+ */
+export function decodeRingSignature(scVal) {
+  return decodeStruct(scVal, {
+    challenge: challenge => decodeBytes(challenge, 32),
+    responses: responses => decodeVec(responses, item => decodeBytes(item, 32)),
+  });
+}
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { xdr } from '@stellar/stellar-sdk';
+import {
+  toScVal,
+  decodeBytes,
+  decodeVec,
+  decodeOption,
+  decodeU64,
+  decodeStruct,
+  decodePublicKeys,
+  decodeOptionalRing,
+  decodeKeyRingResult,
+  decodeRingSignature
+} from './scval';
+
+// Fixtures are built from raw XDR, the way the RPC hands results back
+const bytes = (byte, length) => xdr.ScVal.scvBytes(Buffer.alloc(length, byte));
+const vec = items => xdr.ScVal.scvVec(items);
+const struct = fields => xdr.ScVal.scvMap(
+  Object.entries(fields).map(([key, val]) => new xdr.ScMapEntry({ key: xdr.ScVal.scvSymbol(key), val }))
+);
+const u64 = value => xdr.ScVal.scvU64(xdr.Uint64.fromString(value));
+
+describe('toScVal', () => {
+  it('parses base64 XDR and passes ScVals through', () => {
+    const scVal = bytes(0xab, 4);
+
+    expect(toScVal(scVal)).toBe(scVal);
+    expect(decodeBytes(toScVal(scVal.toXDR('base64')))).toBe('abababab');
+  });
+});
+
+describe('primitive decoders', () => {
+  it('decodes Bytes and BytesN to hex', () => {
+    expect(decodeBytes(bytes(0x01, 3))).toBe('010101');
+    expect(decodeBytes(bytes(0xff, 32), 32)).toBe('ff'.repeat(32));
+  });
+
+  it('rejects BytesN of the wrong length', () => {
+    expect(() => decodeBytes(bytes(0xff, 31), 32)).toThrow('Expected BytesN<32>, got 31 bytes');
+  });
+
+  it('names the type it expected and the one it got', () => {
+    expect(() => decodeBytes(xdr.ScVal.scvBool(true), 32)).toThrow('Expected BytesN<32>, got scvBool');
+    expect(() => decodeVec(bytes(0x01, 1), decodeBytes)).toThrow('Expected Vec, got scvBytes');
+    expect(() => decodeU64(xdr.ScVal.scvU32(1))).toThrow('Expected u64, got scvU32');
+    expect(() => decodeBytes(undefined)).toThrow('Expected Bytes, got nothing');
+  });
+
+  it('decodes u64 to BigInt without losing precision', () => {
+    expect(decodeU64(u64('0'))).toBe(0n);
+    expect(decodeU64(u64('18446744073709551615'))).toBe(18446744073709551615n);
+  });
+
+  it('decodes each item of a Vec', () => {
+    expect(decodeVec(vec([bytes(0x01, 1), bytes(0x02, 1)]), decodeBytes)).toEqual(['01', '02']);
+    expect(decodeVec(vec([]), decodeBytes)).toEqual([]);
+  });
+
+  it('maps None to null and decodes Some', () => {
+    expect(decodeOption(xdr.ScVal.scvVoid(), decodeBytes)).toBeNull();
+    expect(decodeOption(bytes(0x01, 2), decodeBytes)).toBe('0101');
+  });
+});
+
+describe('decodeStruct', () => {
+  it('decodes the requested fields by name', () => {
+    const scVal = struct({ count: u64('7'), key: bytes(0xaa, 2), extra: xdr.ScVal.scvVoid() });
+
+    expect(decodeStruct(scVal, { key: decodeBytes, count: decodeU64 })).toEqual({ key: 'aaaa', count: 7n });
+  });
+
+  it('rejects a missing field and non-map values', () => {
+    expect(() => decodeStruct(struct({ key: bytes(0xaa, 2) }), { count: decodeU64 }))
+      .toThrow('Expected struct field count, got nothing');
+    expect(() => decodeStruct(vec([]), {})).toThrow('Expected struct, got scvVec');
+  });
+});
+
+describe('contract type decoders', () => {
+  const ring = vec([bytes(0x01, 96), bytes(0x02, 96)]);
+
+  it('decodes rings of 96-byte public keys', () => {
+    expect(decodePublicKeys(ring)).toEqual(['01'.repeat(96), '02'.repeat(96)]);
+    expect(() => decodePublicKeys(vec([bytes(0x01, 48)]))).toThrow('Expected BytesN<96>, got 48 bytes');
+  });
+
+  it('decodes an optional ring', () => {
+    expect(decodeOptionalRing(ring)).toHaveLength(2);
+    expect(decodeOptionalRing(xdr.ScVal.scvVoid())).toBeNull();
+  });
+
+  it('decodes KeyRingResult into camelCase fields', () => {
+    const scVal = struct({ ring, secret_keys: vec([bytes(0x0a, 32), bytes(0x0b, 32)]) });
+
+    expect(decodeKeyRingResult(scVal)).toEqual({
+      secretKeys: ['0a'.repeat(32), '0b'.repeat(32)],
+      publicKeys: ['01'.repeat(96), '02'.repeat(96)]
+    });
+  });
+
+  it('decodes RingSignature, also from base64 XDR', () => {
+    const scVal = struct({ challenge: bytes(0xcc, 32), responses: vec([bytes(0x01, 32), bytes(0x02, 32)]) });
+    const expected = { challenge: 'cc'.repeat(32), responses: ['01'.repeat(32), '02'.repeat(32)] };
+
+    expect(decodeRingSignature(scVal)).toEqual(expected);
+    expect(decodeRingSignature(toScVal(scVal.toXDR('base64')))).toEqual(expected);
+  });
+
+  it('rejects a RingSignature with a short response', () => {
+    const scVal = struct({ challenge: bytes(0xcc, 32), responses: vec([bytes(0x01, 16)]) });
+
+    expect(() => decodeRingSignature(scVal)).toThrow('Expected BytesN<32>, got 16 bytes');
+  });
+});
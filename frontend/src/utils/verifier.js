@@ -0,0 +1,102 @@
+// Off-chain proof verification for relying parties
+// Checks a RingSignature against an issuer's on-chain attribute ring with the same
+// algorithm as the contract's verify_ring, without a wallet, fees or a
+// LoginCount bump. The ring is fetched by read-only simulation.
+//
+// Only depends on @stellar/stellar-sdk and @noble, so it runs in Node as well
+// as the browser. Nothing here reads import.meta.env: pass the network
+// settings explicitly (contract.js exports the app's own).
+import { Account, BASE_FEE, Contract, SorobanRpc, TransactionBuilder, nativeToScVal } from '@stellar/stellar-sdk';
+import { verifyRingSignature } from './ringSignature.js';
+import { decodeOptionalRing, decodeRingSignature, toScVal } from './scval.js';
+
+// Any valid account works as the source of a simulation
+const SIMULATION_ACCOUNT = 'GAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAWHF';
+
+/**
+ * Fetch the ring an issuer registered for an attribute
+ * @param {string} issuerPubKey - Issuer's BLS public key (96 bytes hex)
+ * @param {string} attribute - Attribute name (e.g. "over_18")
+ * @param {{contractId: string, rpcUrl: string, networkPassphrase: string}} network
+ * @returns {Promise<string[]|null>} Public keys (96-byte hex), or null if no ring exists
+ */
+export async function fetchAttributeRing(issuerPubKey, attribute, { contractId, rpcUrl, networkPassphrase }) {
+  const server = new SorobanRpc.Server(rpcUrl, { allowHttp: rpcUrl.startsWith('http://') });
+
+  const transaction = new TransactionBuilder(new Account(SIMULATION_ACCOUNT, '0'), {
+    fee: BASE_FEE,
+    networkPassphrase,
+  })
+    .addOperation(new Contract(contractId).call(
+      'get_ring_for_attribute',
+      nativeToScVal(Buffer.from(issuerPubKey, 'hex'), { type: 'bytes' }),
+      nativeToScVal(attribute, { type: 'symbol' })
+    ))
+    .setTimeout(30)
+    .build();
+
+  const response = await server.simulateTransaction(transaction);
+  if (!SorobanRpc.Api.isSimulationSuccess(response)) {
+    throw new Error(`get_ring_for_attribute simulation failed: ${response.error || 'unknown error'}`);
+  }
+
+  return decodeOptionalRing(response.result.retval);
+}
+
+/**
+ * Turn a RingSignature ScVal (as produced by signRingLocally or the contract) into hex components
+ * @param {xdr.ScVal|string} scVal - ScVal or its base64 XDR
+ * @returns {{challenge: string, responses: string[]}}
+ */
+export function scValToRingSignature(scVal) {
+  return decodeRingSignature(toScVal(scVal));
+}
+
+/**
+ * Check a proof for an attribute against the issuer's current on-chain ring
+ * @param {string} message - Signed message (the challenge)
+ * @param {xdr.ScVal|string|{challenge: string, responses: string[]}} signature - RingSignature
+ * @param {string} issuerPubKey - Issuer the proof should be checked against (96 bytes hex)
+ * @param {string} attribute - Attribute name
+ * @param {{contractId: string, rpcUrl: string, networkPassphrase: string}} network
+ * @returns {Promise<{valid: boolean, ringSize: number, reason?: string}>}
+ */
+export async function verifyAttributeOffChain(message, signature, issuerPubKey, attribute, network) {
+  const ring = await fetchAttributeRing(issuerPubKey, attribute, network);
+  if (!ring) {
+    return { valid: false, ringSize: 0, reason: `This issuer has no ring registered for ${attribute}` };
+  }
+
+  const components = signature.challenge ? signature : scValToRingSignature(signature);
+  const valid = verifyRingSignature(ring, message, components);
+
+  return valid
+    ? { valid, ringSize: ring.length }
+    : { valid, ringSize: ring.length, reason: 'Signature does not match the ring' };
+}
+
+/**
+ * Check a bundle of proofs, one ring signature per attribute over the same message.
+ * Valid only if every attribute checks out.
+ * @param {string} message - Signed message (the shared challenge)
+ * @param {Array<xdr.ScVal|string|{challenge: string, responses: string[]}>} signatures - In the order of `attributes`
+ * @param {string} issuerPubKey - Issuer the proofs should be checked against (96 bytes hex)
+ * @param {string[]} attributes - Attribute names
+ * @param {{contractId: string, rpcUrl: string, networkPassphrase: string}} network
+ * @returns {Promise<{valid: boolean, results: Array<{attribute: string, valid: boolean, ringSize: number, reason?: string}>, reason?: string}>}
+ */
+export async function verifyAttributesOffChain(message, signatures, issuerPubKey, attributes, network) {
+  if (attributes.length === 0 || signatures.length !== attributes.length) {
+    return { valid: false, results: [], reason: 'Need exactly one signature per attribute' };
+  }
+
+  const results = await Promise.all(attributes.map(async (attribute, i) => ({
+    attribute,
+    ...await verifyAttributeOffChain(message, signatures[i], issuerPubKey, attribute, network),
+  })));
+
+  const failed = results.find(result => !result.valid);
+  return failed
+    ? { valid: false, results, reason: `${failed.attribute}: ${failed.reason}` }
+    : { valid: true, results };
+}
@@ -0,0 +1,131 @@
+// "Prove with KYC" widget for partner sites
+//
+// Built on its own (npm run build:widget) into a single script that exposes
+// window.ProveWithKYC. It opens the prover page in a popup or an iframe,
+// hands it the attributes and nonce, and resolves with the signed proof:
+//
+//   const proof = await ProveWithKYC.requestProof({ attributes: ['over_21', 'resident_us'], nonce });
+//   // { attributes, issuerPubKey, nonce, message, signatures: [{ challenge, responses }, ...] }
+//
+// The partner then checks every signature against the issuer's on-chain rings,
+// e.g. with verifyAttributesOffChain from frontend/src/utils/verifier.js.
+import { MESSAGE_TYPES, validateProofRequest, buildProofMessage } from './protocol.js';
+
+const DEFAULT_PROVER_URL = import.meta.env.VITE_PROVER_URL || 'http://localhost:3000';
+const EMBED_PATH = '/embed/prove';
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+
+function openPopup(url) {
+  const width = 480;
+  const height = 720;
+  const left = window.screenX + (window.outerWidth - width) / 2;
+  const top = window.screenY + (window.outerHeight - height) / 2;
+  const popup = window.open(url, 'prove-with-kyc', `width=${width},height=${height},left=${left},top=${top}`);
+  if (!popup) {
+    throw new Error('Popup blocked. Call requestProof from a click handler.');
+  }
+  return { target: popup, isClosed: () => popup.closed, close: () => popup.close() };
+}
+
+function openIframe(url) {
+  const overlay = document.createElement('div');
+  overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;background:rgba(0,0,0,0.5);display:flex;align-items:center;justify-content:center';
+
+  const iframe = document.createElement('iframe');
+  iframe.src = url;
+  iframe.title = 'Prove with KYC';
+  // Lets the prover page unlock the wallet with a passkey
+  iframe.allow = 'publickey-credentials-get';
+  iframe.style.cssText = 'width:480px;max-width:100%;height:720px;max-height:100%;border:0;border-radius:12px;background:#fff';
+
+  overlay.appendChild(iframe);
+  document.body.appendChild(overlay);
+
+  return { target: iframe.contentWindow, isClosed: () => !overlay.isConnected, close: () => overlay.remove() };
+}
+
+/**
+ * Ask the user to prove one or more attributes over a single challenge
+ * @param {Object} options
+ * @param {string[]} [options.attributes] - Attributes to prove together (e.g. ["over_21", "resident_us"])
+ * @param {string} [options.attribute] - Shorthand for a single attribute
+ * @param {string} options.nonce - One-time nonce from your server (16-128 chars of [A-Za-z0-9_-]).
+ *   Your server must issue it and accept it once; a nonce made up in the page proves nothing.
+ * @param {string} [options.issuerPubKey] - Only accept proofs against this issuer's rings
+ * @param {'popup'|'iframe'} [options.mode] - Popup by default. The iframe only works where the
+ *   browser lets the embedded prover page read its own storage.
+ * @param {string} [options.proverUrl] - Where the prover UI is hosted
+ * @param {number} [options.timeoutMs] - Give up after this long
+ * @returns {Promise<{attributes: string[], issuerPubKey: string, nonce: string, message: string,
+ *   signatures: Array<{challenge: string, responses: string[]}>}>} Signatures in the order of attributes.
+ *   Rejects without a nonce or with an invalid request, like any other failure.
+ */
+export function requestProof({
+  attribute,
+  attributes = attribute ? [attribute] : [],
+  nonce,
+  issuerPubKey,
+  mode = 'popup',
+  proverUrl = DEFAULT_PROVER_URL,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+} = {}) {
+  if (!nonce) {
+    return Promise.reject(new Error('requestProof needs a nonce issued by your server, so a proof can only be used once'));
+  }
+
+  const request = { attributes, nonce, issuerPubKey: issuerPubKey || null };
+  const invalid = validateProofRequest(request);
+  if (invalid) return Promise.reject(new Error(invalid));
+
+  const proverOrigin = new URL(proverUrl).origin;
+  const expectedMessage = buildProofMessage({ origin: window.location.origin, attributes, nonce });
+
+  return new Promise((resolve, reject) => {
+    let frame;
+    try {
+      const url = new URL(EMBED_PATH, proverUrl).toString();
+      frame = mode === 'iframe' ? openIframe(url) : openPopup(url);
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    const finish = (settle, value) => {
+      window.removeEventListener('message', onMessage);
+      clearInterval(closedPoll);
+      clearTimeout(timeout);
+      frame.close();
+      settle(value);
+    };
+
+    const onMessage = (event) => {
+      // Only the prover window we opened, on the prover's origin, gets a say
+      if (event.origin !== proverOrigin || event.source !== frame.target) return;
+      const { type } = event.data || {};
+
+      if (type === MESSAGE_TYPES.READY) {
+        frame.target.postMessage({ type: MESSAGE_TYPES.REQUEST, ...request }, proverOrigin);
+      } else if (type === MESSAGE_TYPES.PROOF) {
+        const { proof } = event.data;
+        if (proof?.message !== expectedMessage
+          || proof.attributes?.join() !== attributes.join()
+          || proof.signatures?.length !== attributes.length
+          || (issuerPubKey && proof.issuerPubKey !== issuerPubKey)) {
+          finish(reject, new Error('Proof does not answer this request'));
+        } else {
+          finish(resolve, { ...proof, nonce });
+        }
+      } else if (type === MESSAGE_TYPES.ERROR) {
+        finish(reject, new Error(event.data.error || 'Proof was not provided'));
+      }
+    };
+
+    window.addEventListener('message', onMessage);
+    const closedPoll = setInterval(() => {
+      if (frame.isClosed()) finish(reject, new Error('The prover window was closed'));
+    }, 500);
+    const timeout = setTimeout(() => finish(reject, new Error('Timed out waiting for the proof')), timeoutMs);
+  });
+}
+
+export { buildProofMessage };
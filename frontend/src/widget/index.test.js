@@ -0,0 +1,14 @@
+import { describe, it, expect } from 'vitest';
+import { requestProof } from './index';
+
+describe('requestProof', () => {
+  it('rejects rather than throws when the request is incomplete', async () => {
+    let pending;
+    expect(() => {
+      pending = requestProof({ attributes: ['over_18'] });
+    }).not.toThrow();
+    await expect(pending).rejects.toThrow('requestProof needs a nonce');
+
+    await expect(requestProof({ attributes: [], nonce: 'ab'.repeat(16) })).rejects.toThrow();
+  });
+});
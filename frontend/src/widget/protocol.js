@@ -0,0 +1,54 @@
+// postMessage protocol between the "Prove with KYC" widget and the prover page
+//
+//   prover  -> opener/parent  READY    (no data, so '*' is a safe target)
+//   widget  -> prover         REQUEST  { attributes, nonce, issuerPubKey }
+//   prover  -> widget         PROOF    { proof } or ERROR { error }
+//
+// The prover page takes the requesting origin from the REQUEST event, binds
+// it into the signed message and only ever posts the proof back to it. The
+// widget only trusts messages whose event.origin is the prover's.
+//
+// Kept free of any dependencies: the widget bundle imports it.
+
+export const MESSAGE_TYPES = {
+  READY: 'kyc-widget:ready',
+  REQUEST: 'kyc-widget:request',
+  PROOF: 'kyc-widget:proof',
+  ERROR: 'kyc-widget:error',
+};
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const ATTRIBUTE_PATTERN = /^[a-zA-Z0-9_]{1,32}$/;
+
+const MAX_ATTRIBUTES = 8;
+
+/**
+ * Check a widget request before acting on it
+ * @param {Object} request - { attributes, nonce, issuerPubKey? }
+ * @returns {string|null} What's wrong with it, or null if it's fine
+ */
+export function validateProofRequest({ attributes, nonce, issuerPubKey } = {}) {
+  if (!Array.isArray(attributes) || attributes.length === 0 || attributes.length > MAX_ATTRIBUTES
+    || new Set(attributes).size !== attributes.length
+    || !attributes.every(attribute => ATTRIBUTE_PATTERN.test(attribute))) {
+    return 'Invalid attributes. Expected 1-8 distinct attribute names.';
+  }
+  if (!NONCE_PATTERN.test(nonce || '')) return 'Nonce must be 16-128 characters of A-Z, a-z, 0-9, _ or -';
+  if (issuerPubKey && !/^[0-9a-f]{192}$/i.test(issuerPubKey)) return 'Invalid issuer public key';
+  return null;
+}
+
+/**
+ * The message a widget proof signs, once per attribute. Same layout as a
+ * backend proof session, without the expiry line: the partner tracks its own nonces.
+ * @param {{origin: string, attributes: string[], nonce: string}} params
+ * @returns {string}
+ */
+export function buildProofMessage({ origin, attributes, nonce }) {
+  return [
+    'Selective Disclosure KYC proof',
+    `origin: ${origin}`,
+    `attributes: ${attributes.join(', ')}`,
+    `nonce: ${nonce}`,
+  ].join('\n');
+}
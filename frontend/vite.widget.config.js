@@ -0,0 +1,15 @@
+import { defineConfig } from 'vite';
+
+// Standalone "Prove with KYC" widget for partner sites: one script exposing window.ProveWithKYC
+export default defineConfig({
+  build: {
+    outDir: 'dist/widget',
+    copyPublicDir: false,
+    lib: {
+      entry: 'src/widget/index.js',
+      name: 'ProveWithKYC',
+      formats: ['iife'],
+      fileName: () => 'prove-with-kyc.js',
+    },
+  },
+});